@@ -1,8 +1,11 @@
 // Virtual File System
+// Every node carries owner/group ids and mode bits; operations are checked against this.user,
+// which the login screen, the shell (per command) and sudo/su set.
 class VirtualFileSystem {
     constructor() {
+        this.user = VirtualFileSystem.ROOT;
         this.currentDir = '/home/user';
-        this.fs = this.loadFS() || {
+        this.fs = {
             '/': { type: 'dir', children: ['home', 'etc', 'var', 'tmp'] },
             '/home': { type: 'dir', children: ['user'] },
             '/home/user': { type: 'dir', children: ['Desktop', 'Documents', 'Downloads'] },
@@ -13,37 +16,434 @@ class VirtualFileSystem {
             '/var': { type: 'dir', children: [] },
             '/tmp': { type: 'dir', children: [] }
         };
-        this.saveFS();
+        this.revisionBodies = new Map(); // earlier contents of files, keyed by revisionKey()
+        this.normalizeFS();
+        this.watchers = [];
+        this.pendingEvents = [];
+        this.mounts = {};
+        // The saved tree arrives asynchronously; callers wait on this before touching user data
+        this.ready = this.load();
     }
 
-    loadFS() {
+    // Fills in metadata missing from older saved trees (and from the default tree above)
+    normalizeFS() {
+        const now = Date.now();
+        for (const node of Object.values(this.fs)) {
+            if (node.created === undefined) node.created = now;
+            if (node.modified === undefined) node.modified = node.created;
+            if (node.changed === undefined) node.changed = node.modified;
+            if (node.accessed === undefined) node.accessed = node.modified;
+            if (node.type === 'file' && node.size === undefined) node.size = VirtualFileSystem.byteLength(node.content || '');
+            if (node.id === undefined) node.id = VirtualFileSystem.newId();
+        }
+
+        // Hard links are one node under several paths; storage keeps a copy per path, so
+        // rejoin them by id, preferring the most recently changed copy
+        const byId = new Map();
+        for (const [path, node] of Object.entries(this.fs)) {
+            if (node.type !== 'file') continue;
+            const first = byId.get(node.id);
+            if (!first) {
+                byId.set(node.id, { node, paths: [path] });
+                continue;
+            }
+            if (node.changed > first.node.changed) first.node = node;
+            first.paths.push(path);
+        }
+        for (const { node, paths } of byId.values()) {
+            paths.forEach(path => this.fs[path] = node);
+            node.links = paths.length;
+        }
+
+        // Trees saved before ownership existed: the default user's home is theirs, the rest is root's
+        for (const [path, node] of Object.entries(this.fs)) {
+            if (node.owner !== undefined) continue;
+            const inHome = path === '/home/user' || path.startsWith('/home/user/');
+            node.owner = node.group = inHome ? 1000 : 0;
+            node.mode = node.type === 'dir' ? 0o755 : 0o644;
+            if (path === '/tmp') node.mode = 0o1777;
+        }
+
+        // Older trees kept each revision's content inside the node; it moves out to revisionBodies
+        const inline = new Set(Object.values(this.fs).filter(node => (node.revisions || []).some(r => r.content !== undefined)));
+        for (const node of inline) {
+            node.revisions = node.revisions.map(({ content, ...info }) => {
+                if (content !== undefined) this.storeRevision(node, info.rev, content);
+                return info;
+            });
+        }
+        Object.keys(this.fs).filter(path => inline.has(this.fs[path])).forEach(path => this.persist(path));
+    }
+
+    // File contents are strings for text and ArrayBuffers for binary data
+    static byteLength(content) {
+        return typeof content === 'string' ? new TextEncoder().encode(content).length : content.byteLength;
+    }
+
+    static toBuffer(content) {
+        if (typeof content === 'string') return new TextEncoder().encode(content).buffer;
+        if (ArrayBuffer.isView(content)) return content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength);
+        return content;
+    }
+
+    // Key for a node's content in the storage backend; stays the same across renames
+    static newId() {
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+    }
+
+    createNode(type) {
+        const now = Date.now();
+        const node = {
+            type,
+            owner: this.user.uid,
+            group: this.user.gid,
+            mode: type === 'dir' ? 0o755 : 0o644, // umask 022
+            created: now,
+            modified: now,
+            changed: now,
+            accessed: now,
+            id: VirtualFileSystem.newId()
+        };
+        if (type === 'dir') {
+            node.children = [];
+        } else if (type === 'symlink') {
+            node.target = '';
+            node.mode = 0o777;
+            node.size = 0;
+        } else {
+            node.content = '';
+            node.size = 0;
+        }
+        return node;
+    }
+
+    // A directory's mtime changes whenever an entry is added or removed
+    markModified(path) {
+        const node = this.fs[path];
+        if (!node) return;
+        node.modified = node.changed = Date.now();
+        this.persist(path);
+    }
+
+    /* --- Storage --- */
+
+    // Loads the saved tree, migrating the old single localStorage key on first run. The old key is
+    // removed only once the migrated tree is stored. When loading or storing fails the session runs
+    // from memory (nothing is saved, so what is stored stays intact) and ready rejects with the reason.
+    async load() {
+        const backend = await VirtualFileSystem.openBackend(() => this.storedTree(), () => this.revisionBodies);
+        let saved;
         try {
-            const data = localStorage.getItem('vfs');
-            return data ? JSON.parse(data) : null;
+            saved = await backend.load();
         } catch (e) {
-            return null;
+            throw new Error(`Could not load the filesystem: ${e.message || e}`);
+        }
+        if (saved) {
+            this.fs = saved.tree;
+            this.revisionBodies = saved.revisions;
+            this.backend = backend;
+            this.normalizeFS();
+            return;
         }
-    }
 
-    saveFS() {
+        let legacy = null;
         try {
-            localStorage.setItem('vfs', JSON.stringify(this.fs));
+            legacy = await new LocalStorageBackend(null, null).load();
         } catch (e) {
-            console.error('Failed to save filesystem', e);
+            console.error('Could not read the old filesystem', e);
+        }
+        if (legacy) {
+            this.fs = legacy.tree;
+            this.revisionBodies = legacy.revisions;
+            this.normalizeFS();
+        }
+        backend.replace(this.fs, this.revisionBodies);
+        try {
+            await backend.flush();
+        } catch (e) {
+            throw new Error(`Could not store the filesystem: ${e.message || e}`);
+        }
+        this.backend = backend;
+        if (legacy && backend instanceof IndexedDBBackend) {
+            localStorage.removeItem('vfs');
+            localStorage.removeItem('vfs-revisions');
+        }
+    }
+
+    // Swaps in a whole tree (system restore) and stores it in place of the old one; rejects
+    // when the store failed, in which case the previously stored tree is still what loads next time
+    async restoreTree(tree) {
+        // The tree brings its revisions inline; nodes kept from the current tree keep theirs
+        const previous = this.revisionBodies;
+        this.fs = tree;
+        this.revisionBodies = new Map();
+        this.normalizeFS();
+        for (const node of Object.values(this.fs)) {
+            (node.revisions || []).map(({ rev }) => VirtualFileSystem.revisionKey(node, rev))
+                .filter(key => !this.revisionBodies.has(key) && previous.has(key))
+                .forEach(key => this.revisionBodies.set(key, previous.get(key)));
+        }
+        this.emit('reset', '/');
+        if (this.backend) {
+            this.backend.replace(this.fs, this.revisionBodies);
+            await this.backend.flush();
+        }
+    }
+
+    // IndexedDB where available; private windows and old browsers get localStorage
+    static async openBackend(getTree, getRevisions) {
+        if (window.indexedDB) {
+            const backend = new IndexedDBBackend();
+            try {
+                await backend.open();
+                return backend;
+            } catch (e) {
+                console.error('IndexedDB unavailable, using localStorage', e);
+            }
+        }
+        return new LocalStorageBackend(getTree, getRevisions);
+    }
+
+    // Queues a node for saving; its content too when it changed
+    persist(path, withContent = false) {
+        if (this.backend && this.fs[path] && !this.mountOf(path)) this.backend.put(path, this.fs[path], withContent);
+    }
+
+    // keepContent is for renames, where the node (and its content key) lives on under another path.
+    // Otherwise the file's history goes with it.
+    forget(path, node, keepContent = false) {
+        if (node.type === 'file' && !keepContent) (node.revisions || []).forEach(({ rev }) => this.dropRevision(node, rev));
+        if (this.backend && !this.mountOf(path)) this.backend.remove(path, node, keepContent);
+    }
+
+    // Bytes held by files, plus what the browser reports for the backing store
+    async usage() {
+        const files = Object.values(this.fs).reduce((sum, node) => sum + (node.type === 'file' ? node.size : 0), 0);
+        const stored = this.backend ? await this.backend.usage() : { used: 0, quota: 0 };
+        return { files, used: Math.max(files, stored.used), quota: stored.quota, backend: this.backend ? this.backend.name : 'memory' };
+    }
+
+    /* --- Permissions --- */
+
+    // Whether this.user has r, w or x on the node itself; root passes everything but x on plain files
+    canAccess(path, perm) {
+        const node = this.fs[path];
+        if (!node) return false;
+        const bit = { r: 4, w: 2, x: 1 }[perm];
+        if (this.user.uid === 0) return perm !== 'x' || node.type === 'dir' || (node.mode & 0o111) !== 0;
+
+        let shift = 0;
+        if (node.owner === this.user.uid) shift = 6;
+        else if (this.user.groups.includes(node.group)) shift = 3;
+        return ((node.mode >> shift) & bit) !== 0;
+    }
+
+    // Search (x) permission on every directory above path, then perm on path itself
+    access(path, perm) {
+        const parts = path.split('/').filter(p => p);
+        let dir = '';
+        for (let i = 0; i < parts.length - 1; i++) {
+            dir += '/' + parts[i];
+            if (!this.canAccess(dir, 'x')) return false;
+        }
+        return !perm || this.canAccess(path, perm);
+    }
+
+    // Creating or removing entries needs write and search permission on the directory
+    canModifyDir(path) {
+        return this.access(path, 'w') && this.canAccess(path, 'x');
+    }
+
+    // The sticky bit (as on /tmp) limits removal to the entry's or directory's owner
+    canRemove(path) {
+        const parent = path.substring(0, path.lastIndexOf('/')) || '/';
+        if (!this.canModifyDir(parent)) return false;
+        const dir = this.fs[parent];
+        if (!(dir.mode & 0o1000) || this.user.uid === 0) return true;
+        return this.fs[path].owner === this.user.uid || dir.owner === this.user.uid;
+    }
+
+    // Runs fn with root privileges (used for system files such as /etc/shadow)
+    asRoot(fn) {
+        const saved = this.user;
+        this.user = VirtualFileSystem.ROOT;
+        try {
+            return fn();
+        } finally {
+            this.user = saved;
+        }
+    }
+
+    chmod(path, mode) {
+        path = this.resolvePath(path);
+        if (!this.exists(path) || !this.access(path)) return { error: 'chmod: cannot access: No such file or directory' };
+        const node = this.fs[path];
+        if (this.user.uid !== 0 && node.owner !== this.user.uid) return { error: 'chmod: changing permissions of: Operation not permitted' };
+        if (this.isReadOnly(path)) return { error: 'chmod: changing permissions of: Read-only file system' };
+        node.mode = mode & 0o7777;
+        node.changed = Date.now();
+        this.persist(path);
+        this.emit('modify', path);
+        return { success: true };
+    }
+
+    chown(path, uid, gid) {
+        path = this.resolvePath(path);
+        if (!this.exists(path) || !this.access(path)) return { error: 'chown: cannot access: No such file or directory' };
+        if (this.user.uid !== 0) return { error: 'chown: changing ownership of: Operation not permitted' };
+        if (this.isReadOnly(path)) return { error: 'chown: changing ownership of: Read-only file system' };
+        const node = this.fs[path];
+        if (uid !== null) node.owner = uid;
+        if (gid !== null) node.group = gid;
+        node.changed = Date.now();
+        this.persist(path);
+        this.emit('modify', path);
+        return { success: true };
+    }
+
+    // "drwxr-xr-x" style rendering of a node's type and mode bits
+    static modeString(type, mode) {
+        let s = { dir: 'd', symlink: 'l' }[type] || '-';
+        for (const shift of [6, 3, 0]) {
+            const bits = (mode >> shift) & 7;
+            s += (bits & 4 ? 'r' : '-') + (bits & 2 ? 'w' : '-') + (bits & 1 ? 'x' : '-');
+        }
+        if (mode & 0o1000) s = s.slice(0, 9) + (mode & 1 ? 't' : 'T');
+        return s;
+    }
+
+    // The path and everything below it, parents before children; symbolic links are not followed
+    walk(path) {
+        path = this.resolvePath(path, false);
+        if (!this.exists(path)) return [];
+        const paths = [path];
+        if (this.isDir(path)) {
+            for (const child of this.fs[path].children) {
+                paths.push(...this.walk((path === '/' ? '' : path) + '/' + child));
+            }
+        }
+        return paths;
+    }
+
+    // Entries below path whose name contains query (or matches it as a pattern like "*.md"),
+    // and text files whose content contains it: [{ path, line }] with the first matching line
+    // for content matches. Unreadable folders are skipped; hidden ones unless hidden is set.
+    search(path, query, { hidden = false, content = true, limit = 500 } = {}) {
+        path = this.resolvePath(path);
+        const needle = query.toLowerCase();
+        const pattern = Shell.hasGlob(query) ? new RegExp(Shell.globRegExp(query).source, 'i') : null;
+        const matches = [];
+        const visit = (dir) => {
+            if (!this.access(dir, 'r') || !this.canAccess(dir, 'x')) return;
+            for (const name of [...this.fs[dir].children].sort()) {
+                if (matches.length >= limit) return;
+                if (!hidden && name.startsWith('.')) continue;
+                const child = (dir === '/' ? '' : dir) + '/' + name;
+                const node = this.fs[child];
+                if (pattern ? pattern.test(name) : name.toLowerCase().includes(needle)) {
+                    matches.push({ path: child });
+                } else if (content && !pattern && node.type === 'file' && typeof node.content === 'string' && this.canAccess(child, 'r')) {
+                    const line = node.content.split('\n').find(l => l.toLowerCase().includes(needle));
+                    if (line !== undefined) matches.push({ path: child, line: line.trim() });
+                }
+                if (node.type === 'dir') visit(child);
+            }
+        };
+        if (this.isDir(path)) visit(path);
+        return { matches, truncated: matches.length >= limit };
+    }
+
+    // Turns any path into the canonical key of this.fs: absolute, without ".", ".." or
+    // trailing slashes, and with symbolic links followed (except a final one if followLast is false)
+    resolvePath(path, followLast = true) {
+        if (path === '~' || path.startsWith('~/')) path = this.user.home + path.slice(1);
+        else if (!path.startsWith('/')) path = this.currentDir + '/' + path;
+        return this.realPath(VirtualFileSystem.normalize(path), followLast);
+    }
+
+    // ".." is applied to the path as written, as the shell does for cd
+    static normalize(path) {
+        const parts = [];
+        for (const part of path.split('/')) {
+            if (part === '' || part === '.') continue;
+            if (part === '..') parts.pop();
+            else parts.push(part);
         }
+        return '/' + parts.join('/');
     }
 
-    resolvePath(path) {
-        if (path.startsWith('/')) return path;
-        if (path === '~') return '/home/user';
-        if (path.startsWith('~/')) return '/home/user' + path.slice(1);
-        if (path === '.') return this.currentDir;
-        if (path === '..') {
-            const parts = this.currentDir.split('/').filter(p => p);
-            parts.pop();
-            return '/' + parts.join('/') || '/';
+    realPath(path, followLast = true) {
+        const parts = path.split('/').filter(p => p);
+        let resolved = '/';
+        let hops = 0;
+        for (let i = 0; i < parts.length; i++) {
+            const next = (resolved === '/' ? '' : resolved) + '/' + parts[i];
+            const node = this.fs[next];
+            const follow = node && node.type === 'symlink' && (followLast || i < parts.length - 1);
+            if (!follow || ++hops > VirtualFileSystem.MAX_SYMLINKS) {
+                resolved = next;
+                continue;
+            }
+            // Start over from the link's target with the remaining components appended
+            const target = node.target.startsWith('/') ? node.target : resolved + '/' + node.target;
+            parts.splice(0, i + 1, ...VirtualFileSystem.normalize(target).split('/').filter(p => p));
+            resolved = '/';
+            i = -1;
         }
-        return this.currentDir + (this.currentDir.endsWith('/') ? '' : '/') + path;
+        return resolved;
+    }
+
+    isSymlink(path) {
+        return this.exists(path) && this.fs[path].type === 'symlink';
+    }
+
+    symlink(target, path) {
+        path = this.resolvePath(path, false);
+        if (this.exists(path)) return { error: 'ln: failed to create symbolic link: File exists' };
+        const parent = path.substring(0, path.lastIndexOf('/')) || '/';
+        if (!this.isDir(parent)) return { error: 'ln: failed to create symbolic link: No such file or directory' };
+        if (!this.canModifyDir(parent)) return { error: 'ln: failed to create symbolic link: Permission denied' };
+        if (this.mountOf(path)) return { error: 'ln: failed to create symbolic link: Operation not supported' };
+
+        const node = this.createNode('symlink');
+        node.target = target;
+        node.size = VirtualFileSystem.byteLength(target);
+        this.fs[path] = node;
+        this.fs[parent].children.push(path.substring(path.lastIndexOf('/') + 1));
+        this.persist(path);
+        this.markModified(parent);
+        this.emit('create', path);
+        return { success: true };
+    }
+
+    // A hard link: the same node under a second name
+    link(existing, path) {
+        existing = this.resolvePath(existing);
+        path = this.resolvePath(path, false);
+        if (!this.exists(existing)) return { error: 'ln: failed to access: No such file or directory' };
+        if (!this.isFile(existing)) return { error: 'ln: hard link not allowed for directory' };
+        if (this.exists(path)) return { error: 'ln: failed to create hard link: File exists' };
+        const parent = path.substring(0, path.lastIndexOf('/')) || '/';
+        if (!this.isDir(parent)) return { error: 'ln: failed to create hard link: No such file or directory' };
+        if (!this.canModifyDir(parent)) return { error: 'ln: failed to create hard link: Permission denied' };
+        if (this.mountOf(path) || this.mountOf(existing)) return { error: 'ln: failed to create hard link: Invalid cross-device link' };
+
+        const node = this.fs[existing];
+        node.links = (node.links || 1) + 1;
+        node.changed = Date.now();
+        this.fs[path] = node;
+        this.fs[parent].children.push(path.substring(path.lastIndexOf('/') + 1));
+        this.persist(path);
+        this.persist(existing);
+        this.markModified(parent);
+        this.emit('create', path);
+        return { success: true };
+    }
+
+    readlink(path) {
+        path = this.resolvePath(path, false);
+        if (!this.isSymlink(path)) return { error: 'readlink: Invalid argument' };
+        return { target: this.fs[path].target };
     }
 
     exists(path) {
@@ -59,34 +459,64 @@ class VirtualFileSystem {
     }
 
     mkdir(path) {
-        path = this.resolvePath(path);
+        path = this.resolvePath(path, false);
         if (this.exists(path)) return { error: 'mkdir: cannot create directory: File exists' };
 
         const parent = path.substring(0, path.lastIndexOf('/')) || '/';
         if (!this.isDir(parent)) return { error: 'mkdir: cannot create directory: No such file or directory' };
+        if (!this.canModifyDir(parent)) return { error: 'mkdir: cannot create directory: Permission denied' };
+        if (this.isReadOnly(path)) return { error: 'mkdir: cannot create directory: Read-only file system' };
 
         const name = path.substring(path.lastIndexOf('/') + 1);
-        this.fs[path] = { type: 'dir', children: [] };
+        this.fs[path] = this.createNode('dir');
         this.fs[parent].children.push(name);
-        this.saveFS();
+        this.persist(path);
+        this.markModified(parent);
+        this.emit('create', path);
+        return { success: true };
+    }
+
+    // mkdir -p: creates the directory and any missing parents
+    mkdirs(path) {
+        path = this.resolvePath(path);
+        let dir = '';
+        for (const part of path.split('/').filter(p => p)) {
+            dir += '/' + part;
+            if (this.isDir(dir)) continue;
+            const result = this.mkdir(dir);
+            if (result.error) return result;
+        }
         return { success: true };
     }
 
     touch(path) {
         path = this.resolvePath(path);
-        if (this.exists(path)) return { success: true }; // File exists, just update timestamp
+        if (this.exists(path)) {
+            const node = this.fs[path];
+            if (node.owner !== this.user.uid && !this.access(path, 'w')) return { error: 'touch: cannot touch: Permission denied' };
+            if (this.isReadOnly(path)) return { error: 'touch: cannot touch: Read-only file system' };
+            node.modified = node.accessed = node.changed = Date.now();
+            this.persist(path);
+            this.emit('modify', path);
+            return { success: true };
+        }
 
         const parent = path.substring(0, path.lastIndexOf('/')) || '/';
         if (!this.isDir(parent)) return { error: 'touch: cannot touch: No such file or directory' };
+        if (!this.canModifyDir(parent)) return { error: 'touch: cannot touch: Permission denied' };
+        if (this.isReadOnly(path)) return { error: 'touch: cannot touch: Read-only file system' };
 
         const name = path.substring(path.lastIndexOf('/') + 1);
-        this.fs[path] = { type: 'file', content: '', created: Date.now() };
+        this.fs[path] = this.createNode('file');
         this.fs[parent].children.push(name);
-        this.saveFS();
+        this.persist(path, true);
+        this.markModified(parent);
+        this.emit('create', path);
         return { success: true };
     }
 
-    writeFile(path, content, append = false) {
+    // mime records the content type (e.g. of an upload); otherwise it is guessed from the name
+    writeFile(path, content, append = false, mime = null) {
         path = this.resolvePath(path);
         if (!this.exists(path)) {
             const result = this.touch(path);
@@ -94,27 +524,103 @@ class VirtualFileSystem {
         }
 
         if (!this.isFile(path)) return { error: 'cannot write: Is a directory' };
-
-        if (append) {
-            this.fs[path].content += content;
+        if (!this.access(path, 'w')) return { error: 'cannot write: Permission denied' };
+        if (this.isReadOnly(path)) return { error: 'cannot write: Read-only file system' };
+
+        const node = this.fs[path];
+        if (append && node.content === undefined) return { error: 'cannot write: ' + VirtualFileSystem.UNREAD };
+        if (typeof content !== 'string') content = VirtualFileSystem.toBuffer(content);
+        if (!append) this.recordRevision(path, node, content);
+        if (append && typeof content === 'string' && typeof node.content === 'string') {
+            node.content += content;
+        } else if (append) {
+            const before = new Uint8Array(VirtualFileSystem.toBuffer(node.content));
+            const added = new Uint8Array(VirtualFileSystem.toBuffer(content));
+            const joined = new Uint8Array(before.length + added.length);
+            joined.set(before);
+            joined.set(added, before.length);
+            node.content = joined.buffer;
         } else {
-            this.fs[path].content = content;
+            node.content = content;
         }
-        this.saveFS();
+        node.size = VirtualFileSystem.byteLength(node.content);
+        node.modified = node.changed = Date.now();
+        if (mime) node.mime = mime;
+        this.persist(path, true);
+        this.emit('modify', path, { content: true });
         return { success: true };
     }
 
     readFile(path) {
         path = this.resolvePath(path);
         if (!this.exists(path)) return { error: 'cat: No such file or directory' };
+        if (this.isSymlink(path)) return { error: 'cat: Too many levels of symbolic links' };
+        if (!this.isFile(path)) return { error: 'cat: Is a directory' };
+        if (!this.access(path, 'r')) return { error: 'cat: Permission denied' };
+        if (this.fs[path].content === undefined) return { error: 'cat: ' + VirtualFileSystem.UNREAD };
+        // Access times are kept in memory and saved with the next write
+        this.fs[path].accessed = Date.now();
+        const content = this.fs[path].content || '';
+        return { content: typeof content === 'string' ? content : new TextDecoder().decode(content) };
+    }
+
+    mimeType(path) {
+        path = this.resolvePath(path);
+        const node = this.fs[path];
+        if (node && node.mime) return node.mime;
+        const ext = path.includes('.') ? path.split('.').pop().toLowerCase() : '';
+        if (VirtualFileSystem.MIME_TYPES[ext]) return VirtualFileSystem.MIME_TYPES[ext];
+        return node && node.content !== undefined && typeof node.content !== 'string' ? 'application/octet-stream' : 'text/plain';
+    }
+
+    static isText(mime) {
+        return mime.startsWith('text/') || /[/+](json|javascript|xml)$/.test(mime);
+    }
+
+    // Like readFile, but returns the raw bytes as an ArrayBuffer
+    readBinary(path) {
+        path = this.resolvePath(path);
+        if (!this.exists(path)) return { error: 'cat: No such file or directory' };
+        if (this.isSymlink(path)) return { error: 'cat: Too many levels of symbolic links' };
         if (!this.isFile(path)) return { error: 'cat: Is a directory' };
-        return { content: this.fs[path].content || '' };
+        if (!this.access(path, 'r')) return { error: 'cat: Permission denied' };
+        if (this.fs[path].content === undefined) return { error: 'cat: ' + VirtualFileSystem.UNREAD };
+        this.fs[path].accessed = Date.now();
+        return { data: VirtualFileSystem.toBuffer(this.fs[path].content || '') };
+    }
+
+    stat(path) {
+        return this.lstat(this.resolvePath(path));
+    }
+
+    // stat of a symbolic link itself rather than what it points to
+    lstat(path) {
+        path = this.resolvePath(path, false);
+        if (!this.exists(path)) return { error: 'stat: cannot stat: No such file or directory' };
+        const node = this.fs[path];
+        return {
+            path,
+            name: path === '/' ? '/' : path.substring(path.lastIndexOf('/') + 1),
+            type: node.type,
+            size: node.type === 'dir' ? 4096 : node.size,
+            mime: { dir: 'inode/directory', symlink: 'inode/symlink' }[node.type] || this.mimeType(path),
+            links: node.type === 'dir' ? 2 : node.links || 1,
+            target: node.target,
+            owner: node.owner,
+            group: node.group,
+            mode: node.mode,
+            created: node.created,
+            modified: node.modified,
+            changed: node.changed,
+            accessed: node.accessed
+        };
     }
 
     ls(path = '.', showHidden = false) {
         path = this.resolvePath(path);
         if (!this.exists(path)) return { error: 'ls: cannot access: No such file or directory' };
         if (!this.isDir(path)) return { items: [path.substring(path.lastIndexOf('/') + 1)] };
+        if (!this.access(path, 'r')) return { error: 'ls: cannot open directory: Permission denied' };
 
         let items = [...this.fs[path].children];
         if (!showHidden) items = items.filter(i => !i.startsWith('.'));
@@ -122,7 +628,7 @@ class VirtualFileSystem {
     }
 
     rm(path, recursive = false) {
-        path = this.resolvePath(path);
+        path = this.resolvePath(path, false);
         if (!this.exists(path)) return { error: 'rm: cannot remove: No such file or directory' };
 
         if (this.isDir(path) && !recursive) {
@@ -131,19 +637,28 @@ class VirtualFileSystem {
 
         const parent = path.substring(0, path.lastIndexOf('/')) || '/';
         const name = path.substring(path.lastIndexOf('/') + 1);
+        if (!this.canRemove(path)) return { error: 'rm: cannot remove: Permission denied' };
+        if (this.isBusy(path)) return { error: 'rm: cannot remove: Device or resource busy' };
+        if (this.isReadOnly(path)) return { error: 'rm: cannot remove: Read-only file system' };
 
         if (this.isDir(path) && recursive) {
-            // Remove all children first
+            // Remove all children first; stop at the first one we may not delete
             const children = [...this.fs[path].children];
             for (const child of children) {
-                this.rm(path + '/' + child, true);
+                const result = this.rm(path + '/' + child, true);
+                if (result.error) return result;
             }
         }
 
+        // The content goes only with the last hard link
+        const node = this.fs[path];
+        if (node.type === 'file') node.links = (node.links || 1) - 1;
+        this.forget(path, node, node.links > 0);
         delete this.fs[path];
         const idx = this.fs[parent].children.indexOf(name);
         if (idx > -1) this.fs[parent].children.splice(idx, 1);
-        this.saveFS();
+        this.markModified(parent);
+        this.emit('delete', path, { nodeType: node.type });
         return { success: true };
     }
 
@@ -151,6 +666,7 @@ class VirtualFileSystem {
         path = this.resolvePath(path);
         if (!this.exists(path)) return { error: 'cd: no such file or directory' };
         if (!this.isDir(path)) return { error: 'cd: not a directory' };
+        if (!this.access(path, 'x')) return { error: 'cd: permission denied' };
         this.currentDir = path;
         return { success: true, path };
     }
@@ -159,649 +675,8903 @@ class VirtualFileSystem {
         return this.currentDir;
     }
 
-    cp(src, dest) {
+    // Where cp and mv put src: inside dest when dest is an existing directory, else at dest
+    targetPath(src, dest) {
+        src = this.resolvePath(src, false);
+        dest = this.resolvePath(dest);
+        if (!this.isDir(dest)) return dest;
+        return (dest === '/' ? '' : dest) + '/' + src.substring(src.lastIndexOf('/') + 1);
+    }
+
+    cp(src, dest, recursive = false) {
+        return this.copy(src, this.targetPath(src, dest), recursive);
+    }
+
+    // Copies src to exactly dest; directories need recursive and are merged into an existing one
+    copy(src, dest, recursive = false) {
+        // Recursive copies reproduce symbolic links instead of following them
+        const link = this.resolvePath(src, false);
+        if (recursive && this.isSymlink(link)) return this.symlink(this.fs[link].target, dest);
+
         src = this.resolvePath(src);
         dest = this.resolvePath(dest);
 
         if (!this.exists(src)) return { error: 'cp: cannot stat: No such file or directory' };
-        if (this.isDir(src)) return { error: 'cp: omitting directory (use -r for recursive)' };
+        if (this.isDir(src)) {
+            if (!recursive) return { error: 'cp: omitting directory (use -r for recursive)' };
+            if (dest === src || dest.startsWith(src + '/')) return { error: 'cp: cannot copy a directory into itself' };
+            if (this.isFile(dest)) return { error: 'cp: cannot overwrite non-directory with directory' };
+            if (!this.access(src, 'r')) return { error: 'cp: cannot open directory: Permission denied' };
+            if (!this.exists(dest)) {
+                const made = this.mkdir(dest);
+                if (made.error) return { error: made.error.replace('mkdir', 'cp') };
+                this.fs[dest].mode = this.fs[src].mode & ~0o022;
+            }
+            for (const child of [...this.fs[src].children]) {
+                const result = this.copy(src + '/' + child, (dest === '/' ? '' : dest) + '/' + child, true);
+                if (result.error) return result;
+            }
+            return { success: true };
+        }
+        if (this.isDir(dest)) return { error: 'cp: cannot overwrite directory with non-directory' };
 
-        const content = this.readFile(src);
+        const content = this.readBinary(src);
         if (content.error) return content;
 
-        return this.writeFile(dest, content.content);
+        // New copies take the source's mode bits (less the umask), like coreutils cp
+        const created = !this.exists(dest);
+        const result = this.writeFile(dest, typeof this.fs[src].content === 'string' ? this.fs[src].content : content.data, false, this.fs[src].mime);
+        if (result.success && created) this.fs[dest].mode = this.fs[src].mode & ~0o022;
+        return result;
     }
 
     mv(src, dest) {
-        const cpResult = this.cp(src, dest);
-        if (cpResult.error) return cpResult;
-        return this.rm(src);
+        return this.rename(src, this.targetPath(src, dest));
     }
-}
 
-class OS {
-    constructor() {
-        this.desktop = document.getElementById('desktop');
-        this.windowArea = document.getElementById('window-area');
-        this.windows = {};
-        this.zIndex = 100;
-        this.nextId = 1;
-        this.vfs = new VirtualFileSystem(); // Virtual File System
+    // Moves src to exactly dest by re-keying it and everything below it; nothing is copied,
+    // so metadata survives and a failure leaves the tree untouched
+    rename(src, dest) {
+        src = this.resolvePath(src, false);
+        dest = this.resolvePath(dest, false);
+
+        if (!this.exists(src)) return { error: 'mv: cannot stat: No such file or directory' };
+        if (src === '/') return { error: 'mv: cannot move root directory' };
+        if (dest === src) return { success: true };
+        if (dest.startsWith(src + '/')) return { error: 'mv: cannot move a directory into itself' };
+
+        const destParent = dest.substring(0, dest.lastIndexOf('/')) || '/';
+        if (!this.isDir(destParent)) return { error: 'mv: cannot move: No such file or directory' };
+        if (!this.canRemove(src) || !this.canModifyDir(destParent)) return { error: 'mv: cannot move: Permission denied' };
+        if (this.isBusy(src)) return { error: 'mv: cannot move: Device or resource busy' };
+        if (this.isReadOnly(src) || this.isReadOnly(dest)) return { error: 'mv: cannot move: Read-only file system' };
+        if (this.mountOf(src) !== this.mountOf(dest)) return this.moveAcross(src, dest);
+
+        const node = this.fs[src];
+        const existing = this.fs[dest];
+        if (existing) {
+            if (existing.type === 'dir' && node.type !== 'dir') return { error: 'mv: cannot overwrite directory with non-directory' };
+            if (existing.type !== 'dir' && node.type === 'dir') return { error: 'mv: cannot overwrite non-directory with directory' };
+            if (existing.type === 'dir' && existing.children.length) return { error: 'mv: cannot move: Directory not empty' };
+            if (!this.canRemove(dest)) return { error: 'mv: cannot move: Permission denied' };
+            if (existing.type === 'file') existing.links = (existing.links || 1) - 1;
+            this.forget(dest, existing, existing.links > 0);
+            delete this.fs[dest];
+            this.emit('delete', dest, { nodeType: existing.type });
+        }
 
-        this.startClock();
-        this.setupDrag();
-        this.setupResize();
+        const moved = this.walk(src);
+        const nodes = moved.map(path => this.fs[path]);
+        moved.forEach((path, i) => {
+            this.forget(path, nodes[i], true);
+            delete this.fs[path];
+        });
+        moved.forEach((path, i) => {
+            const newPath = dest + path.slice(src.length);
+            this.fs[newPath] = nodes[i];
+            this.persist(newPath);
+        });
+        node.changed = Date.now();
+
+        const srcParent = src.substring(0, src.lastIndexOf('/')) || '/';
+        const srcChildren = this.fs[srcParent].children;
+        srcChildren.splice(srcChildren.indexOf(src.substring(src.lastIndexOf('/') + 1)), 1);
+        const name = dest.substring(dest.lastIndexOf('/') + 1);
+        if (!this.fs[destParent].children.includes(name)) this.fs[destParent].children.push(name);
+        this.markModified(srcParent);
+        this.markModified(destParent);
+        this.emit('rename', dest, { oldPath: src });
+        return { success: true };
     }
 
-    startClock() {
-        setInterval(() => {
-            document.getElementById('clock').innerText = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        }, 1000);
+    /* --- Change events --- */
+
+    // Calls listener(events) after each burst of changes that touch path: the path itself,
+    // its direct entries (or everything below it with recursive) and its ancestors being
+    // moved or deleted. Events are { type, path, nodeType } with type create, modify, delete
+    // or rename (which also has oldPath); modify has content set when the file's content
+    // changed, and mount when a folder was mounted or unmounted there. { type: 'reset',
+    // path: '/' } means the whole tree was replaced and reaches every listener. Returns a
+    // function that stops the watch.
+    watch(path, listener, { recursive = false, types = null } = {}) {
+        const watcher = { path: this.resolvePath(path), listener, recursive, types };
+        this.watchers.push(watcher);
+        return () => {
+            this.watchers = this.watchers.filter(w => w !== watcher);
+        };
     }
 
-    /* --- Window Management --- */
+    // Events are queued and delivered together once the current operation (a whole rm -r, say) is done
+    emit(type, path, details = {}) {
+        if (!this.watchers.length) return;
+        const node = this.fs[path];
+        this.pendingEvents.push({ type, path, nodeType: node ? node.type : null, ...details });
+        if (this.pendingEvents.length === 1) queueMicrotask(() => this.dispatch());
+    }
 
-    openApp(appType, arg = null) {
-        let content = '';
-        let title = '';
-        let width = 400;
-        let height = 300;
+    dispatch() {
+        const events = this.pendingEvents;
+        this.pendingEvents = [];
+        for (const watcher of [...this.watchers]) {
+            const matching = events.filter(event => VirtualFileSystem.affects(watcher, event));
+            if (!matching.length) continue;
+            try {
+                watcher.listener(matching);
+            } catch (e) {
+                console.error('VFS watcher failed', e);
+            }
+        }
+    }
 
-        switch (appType) {
-            case 'notepad':
-                title = 'Notepad';
-                const savedNote = localStorage.getItem('yesos_notepad_cache') || '';
-                // Escape saved content to prevent HTML injection issues in template literal
-                const safeNote = savedNote.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
-                content = `<textarea class="notepad-area" placeholder="Type here... (Auto-saved)" oninput="localStorage.setItem('yesos_notepad_cache', this.value)">${safeNote}</textarea>`;
-                break;
-            case 'calculator':
-                title = 'Calculator';
-                width = 300;
-                height = 400;
-                content = this.getCalculatorHTML();
-                break;
-            case 'browser':
-                title = 'Web Surf';
-                width = 800;
-                height = 600;
-                const initialUrl = arg || 'https://www.wikipedia.org';
-                // If it's a blob URL, we might want to show a friendly name in the bar, but for now show real URL
-                // Check if it's a blob to determine if we need proxy
-                const isBlob = initialUrl.startsWith('blob:');
-                const srcUrl = isBlob ? initialUrl : (initialUrl.startsWith('http') ? 'https://api.allorigins.win/raw?url=' + encodeURIComponent(initialUrl) : initialUrl);
+    static affects(watcher, event) {
+        if (event.type === 'reset') return true;
+        if (watcher.types && !watcher.types.includes(event.type)) return false;
+        const dir = watcher.path === '/' ? '/' : watcher.path + '/';
+        return [event.path, event.oldPath].some(path => path && (
+            path === watcher.path ||
+            watcher.path.startsWith(path + '/') ||
+            (path.startsWith(dir) && (watcher.recursive || !path.slice(dir.length).includes('/')))
+        ));
+    }
 
-                content = `
-                    <div class="browser-chrome">
-                        <button onclick="os.browserBack(this)">⬅</button>
-                        <input type="text" class="url-bar" value="${initialUrl}" onkeydown="if(event.key==='Enter') os.browserGo(this)">
-                        <button onclick="os.browserGo(this.previousElementSibling)">Go</button>
-                    </div>
-                    <iframe src="${srcUrl}" sandbox="allow-scripts allow-same-origin allow-forms allow-popups"></iframe>
-                `;
-                break;
-            case 'htmlviewer':
-                title = 'HTML Viewer';
-                width = 800;
-                height = 600;
-                // arg should be the blob URL
-                content = `
-                    <div style="width:100%; height:100%; display:flex; flex-direction:column; background:#fff;">
-                         <div style="background:#eee; padding:5px 10px; border-bottom:1px solid #ccc; font-size:0.8rem; color:#555;">
-                            Previewing File
-                        </div>
-                        <iframe src="${arg}" style="flex:1; border:none; width:100%; height:100%;" sandbox="allow-scripts allow-forms allow-popups"></iframe>
-                    </div>
-                `;
-                break;
-            case 'aibot':
-                title = 'YesAI Assistant';
-                width = 350;
-                height = 500;
-                content = `
-                    <div class="chat-container">
-                        <div class="chat-history" id="ai-history-${this.nextId}"></div>
-                        <div class="chat-input-area">
-                            <input class="chat-input" type="text" placeholder="Ask me anything..." onkeydown="if(event.key==='Enter') os.aiSend(this)">
-                            <button class="chat-send" onclick="os.aiSend(this.previousElementSibling)">➤</button>
-                        </div>
-                    </div>
-                `;
-                break;
-            case 'terminal':
-                title = 'Terminal';
-                width = 600;
-                height = 400;
-                content = `
-                    <div class="terminal-window" onclick="this.querySelector('input').focus()">
-                        <div class="term-output">
-                            <div class="term-line">Welcome to YesOS Linux</div>
-                            <div class="term-line">Type 'help' for available commands</div>
-                            <br>
-                        </div>
-                        <div class="term-input-line">
-                            <span class="term-prompt">user@yesos:~$</span>
-                            <input class="term-input" type="text" onkeydown="os.termEnter(event)">
-                        </div>
-                    </div>
-                `;
-                break;
-            case 'settings':
-                title = 'Settings';
-                content = `
-                    <div style="padding:20px; color:#fff;">
-                        <h3>System Settings</h3>
-                        <p>Customize your Yes Browser experience.</p>
-                        <br>
-                        <label>Background Style</label>
-                        <select style="width:100%; padding:5px; margin-top:5px; background:#333; color:#fff; border:1px solid #555;">
-                            <option>Deep Space (Default)</option>
-                            <option>Nebula</option>
-                            <option>Black Hole</option>
-                        </select>
-                        <br><br>
-                        <label>AI API Key (Gemini or OpenAI/ChatGPT)</label>
-                        <input type="password" id="gemini-key-input" placeholder="Paste API Key here..." style="width:100%; padding:5px; margin-top:5px; background:#333; color:#fff; border:1px solid #555;">
-                        <button onclick="os.saveSettings()" style="margin-top:10px; padding:8px 15px; background:var(--accent); border:none; color:#000; font-weight:bold; cursor:pointer;">Save Settings</button>
-                    </div>`;
-                break;
-            case 'fileexplorer':
-                title = 'File Explorer';
-                width = 700;
-                height = 500;
-                content = `
-                    <div class="explorer-container">
-                        <div class="explorer-toolbar">
-                            <button onclick="os.navigateExplorer('${this.nextId}', '..')">⬆ Up</button>
-                            <button onclick="os.navigateExplorer('${this.nextId}', '~')">🏠 Home</button>
-                            <div class="explorer-path" id="path-${this.nextId}">/home/user</div>
-                            <button onclick="os.explorerMkdir('${this.nextId}')">📁 New Folder</button>
-                            <button onclick="os.explorerDownload('${this.nextId}')">🌐 Download URL</button>
-                            <label class="explorer-toolbar-btn" style="cursor:pointer; background:rgba(255,255,255,0.1); padding:5px 10px; border-radius:4px; font-size:0.85rem;">
-                                📤 Upload
-                                <input type="file" style="display:none" onchange="os.explorerUpload('${this.nextId}', event)">
-                            </label>
-                        </div>
-                        <div class="file-grid" id="grid-${this.nextId}"></div>
-                    </div>
-                `;
-                break;
+    /* --- Mounts --- */
+
+    // Attaches a folder from a mount backend (see HostFolderBackend) at point. Its folders and
+    // file sizes are listed now; a file's content is read from the backend when it is fetched
+    // (see fetch). Changes under point are replayed on the backend and never stored with the
+    // rest of the tree. Points directly under /mnt are created for the mounting user as needed.
+    async mount(point, backend) {
+        point = this.resolvePath(point);
+        const parent = point.substring(0, point.lastIndexOf('/')) || '/';
+        if (!this.exists(point) && parent === VirtualFileSystem.MNT) {
+            const user = this.user;
+            this.asRoot(() => {
+                this.mkdirs(point);
+                this.chown(point, user.uid, user.gid);
+            });
         }
+        const check = () => {
+            if (!this.isDir(point)) return `mount: ${point}: mount point does not exist`;
+            if (this.mountOf(point) || Object.keys(this.mounts).some(p => p.startsWith(point + '/'))) return `mount: ${point}: already mounted or mount point busy`;
+            if (this.fs[point].children.length) return `mount: ${point}: mount point is not empty`;
+            if (this.user.uid !== 0 && this.fs[point].owner !== this.user.uid) return `mount: ${point}: Permission denied`;
+            return null;
+        };
+        if (check()) return { error: check() };
 
-        this.createWindow(title, content, width, height, appType);
+        let entries;
+        try {
+            entries = await VirtualFileSystem.scanMount(backend);
+        } catch (e) {
+            return { error: `mount: ${backend.name}: ${e.message}` };
+        }
+        if (check()) return { error: check() };
+
+        const mount = { point, backend, user: this.user.uid, group: this.user.gid, errors: 0, queue: Promise.resolve() };
+        for (const entry of entries) {
+            const path = point + '/' + entry.path;
+            this.fs[path] = this.mountedNode(mount, entry);
+            this.fs[path.substring(0, path.lastIndexOf('/'))].children.push(entry.name);
+        }
+        mount.unwatch = this.watch(point, events => this.syncMount(mount, events), { recursive: true });
+        this.mounts[point] = mount;
+        this.emit('modify', point, { mount: true });
+        return { success: true, count: entries.length };
     }
 
-    createWindow(title, content, width, height, type) {
-        const id = 'win_' + this.nextId++;
-        const win = document.createElement('div');
-        win.className = 'window';
-        win.id = id;
-        win.style.width = width + 'px';
-        win.style.height = height + 'px';
-        win.style.zIndex = ++this.zIndex;
+    // Everything below a backend's root as [{ path, name, type, size, mime, modified }], parents first
+    static async scanMount(backend, relative = '') {
+        const entries = [];
+        for (const entry of await backend.list(relative)) {
+            const path = relative ? relative + '/' + entry.name : entry.name;
+            entries.push({ ...entry, path });
+            if (entry.type === 'dir') entries.push(...await VirtualFileSystem.scanMount(backend, path));
+        }
+        return entries;
+    }
 
-        // Random pos
-        const top = 50 + (this.nextId * 20) % 300;
-        const left = 50 + (this.nextId * 20) % 500;
-        win.style.top = top + 'px';
-        win.style.left = left + 'px';
+    // A node for an entry a mount backend listed, owned by whoever mounted it. Files start
+    // without content (undefined, unlike an empty file's '') until fetched.
+    mountedNode(mount, entry) {
+        const node = this.createNode(entry.type);
+        node.owner = mount.user;
+        node.group = mount.group;
+        if (entry.type === 'dir') {
+            node.mode = mount.backend.readOnly ? 0o555 : 0o755;
+        } else {
+            node.mode = mount.backend.readOnly ? 0o444 : 0o644;
+            delete node.content;
+            node.size = entry.size;
+            if (entry.mime) node.mime = entry.mime;
+            node.modified = node.changed = node.hostModified = entry.modified || node.modified;
+        }
+        return node;
+    }
 
-        win.innerHTML = `
-            <div class="title-bar" onmousedown="os.startDrag(event, '${id}')">
-                <h4>${title}</h4>
-                <div class="window-controls">
-                    <div class="control-btn min-btn"></div>
-                    <div class="control-btn max-btn"></div>
-                    <div class="control-btn close-btn" onclick="os.closeWindow('${id}')"></div>
-                </div>
-            </div>
-            <div class="window-content">${content}</div>
-            <div class="resize-handle" onmousedown="os.startResize(event, '${id}')"></div>
-        `;
+    // Brings a mounted path up to date with the other side: a folder is listed again and a file is
+    // read if it never was or changed there since. recursive covers everything below a folder, and
+    // contents false only lists (files already read are still refreshed, for the apps showing them).
+    // What changed is announced with fromMount set, which syncMount doesn't send back. Paths outside
+    // mounts are left alone. Resolves to { success } or { error }.
+    async fetch(path, { recursive = false, contents = true } = {}) {
+        path = this.resolvePath(path);
+        const point = this.mountOf(path);
+        if (!point || !this.exists(path)) return { success: true };
+        const mount = this.mounts[point];
+        try {
+            // Our own changes still on their way out land first
+            await mount.queue;
+            await this.fetchNode(mount, path, recursive, contents);
+        } catch (e) {
+            return { error: `${path}: ${e.message}` };
+        }
+        return { success: true };
+    }
 
-        win.onmousedown = () => this.focusWindow(id);
-        this.windowArea.appendChild(win);
-        this.windows[id] = win;
+    async fetchNode(mount, path, recursive, contents) {
+        const node = this.fs[path];
+        // Unmounted, or replaced, while we were waiting on the backend
+        if (this.mounts[mount.point] !== mount || !node) return;
+        const relative = path === mount.point ? '' : path.slice(mount.point.length + 1);
+        if (node.type === 'file') {
+            if (!contents && node.content === undefined) return;
+            const file = await mount.backend.file(relative);
+            if (node.content !== undefined && file.lastModified === node.hostModified && file.size === node.size) return;
+            const data = await file.arrayBuffer();
+            if (this.fs[path] !== node) return;
+            const changed = node.content !== undefined;
+            node.content = Archive.content(relative, new Uint8Array(data));
+            node.size = data.byteLength;
+            node.modified = node.changed = node.hostModified = file.lastModified;
+            if (changed) this.emit('modify', path, { fromMount: true });
+            return;
+        }
+        if (node.type !== 'dir') return;
+
+        const entries = await mount.backend.list(relative);
+        if (this.fs[path] !== node) return;
+        const names = new Set(entries.map(entry => entry.name));
+        const replace = (child) => {
+            this.walk(child).forEach(p => delete this.fs[p]);
+            node.children.splice(node.children.indexOf(child.substring(child.lastIndexOf('/') + 1)), 1);
+        };
+        node.children.filter(name => !names.has(name)).forEach(name => {
+            replace(path + '/' + name);
+            this.emit('delete', path + '/' + name, { fromMount: true });
+        });
+        for (const entry of entries) {
+            const child = path + '/' + entry.name;
+            const existing = this.fs[child];
+            if (existing && existing.type === entry.type) {
+                if (entry.type !== 'file' || (entry.modified === existing.hostModified && entry.size === existing.size)) continue;
+                if (existing.content !== undefined) {
+                    existing.hostModified = null; // read again below
+                    continue;
+                }
+                existing.size = entry.size;
+                existing.modified = existing.changed = existing.hostModified = entry.modified;
+                this.emit('modify', child, { fromMount: true });
+                continue;
+            }
+            if (existing) replace(child);
+            this.fs[child] = this.mountedNode(mount, entry);
+            node.children.push(entry.name);
+            this.emit('create', child, { fromMount: true });
+        }
+        for (const name of [...node.children]) {
+            const child = path + '/' + name;
+            if (recursive || (this.fs[child].type === 'file' && this.fs[child].hostModified === null)) {
+                await this.fetchNode(mount, child, recursive, contents);
+            }
+        }
+    }
 
-        // Post-render init for apps
-        if (type === 'calculator') this.initCalculator(id);
-        if (type === 'aibot') setTimeout(() => this.aiGreet(id), 500);
-        if (type === 'fileexplorer') {
-            const winNum = id.split('_')[1];
-            this.renderFileExplorer(winNum, '/home/user');
+    // Waits for changes still on their way to the backend, then puts back the empty mount point
+    async umount(point) {
+        point = this.resolvePath(point);
+        const mount = this.mounts[point];
+        if (!mount) return { error: `umount: ${point}: not mounted` };
+        if (this.user.uid !== 0 && mount.user !== this.user.uid) return { error: `umount: ${point}: Permission denied` };
+
+        if (this.pendingEvents.length) this.dispatch();
+        mount.unwatch();
+        delete this.mounts[point];
+        await mount.queue;
+        this.walk(point).slice(1).forEach(path => delete this.fs[path]);
+        this.fs[point].children = [];
+        if (this.currentDir.startsWith(point + '/')) this.currentDir = point;
+        this.emit('modify', point, { mount: true });
+        return { success: true, errors: mount.errors };
+    }
+
+    // [{ point, name, kind, readOnly, files, errors }]
+    listMounts() {
+        return Object.values(this.mounts).map(({ point, backend, errors }) => ({
+            point, name: backend.name, kind: backend.kind, readOnly: backend.readOnly, errors,
+            files: this.walk(point).filter(path => this.fs[path].type === 'file').length
+        }));
+    }
+
+    // The mount point path is on, or null
+    mountOf(path) {
+        return Object.keys(this.mounts).find(point => path === point || path.startsWith(point + '/')) || null;
+    }
+
+    isReadOnly(path) {
+        const point = this.mountOf(path);
+        return point !== null && this.mounts[point].backend.readOnly;
+    }
+
+    // Mount points (and folders holding them) can't be removed or moved while mounted
+    isBusy(path) {
+        return Object.keys(this.mounts).some(point => point === path || point.startsWith(path + '/'));
+    }
+
+    // The tree as stored: mounted folders are the empty directories they are mounted on
+    storedTree() {
+        if (!Object.keys(this.mounts).length) return this.fs;
+        const tree = {};
+        for (const [path, node] of Object.entries(this.fs)) {
+            const point = this.mountOf(path);
+            if (point && point !== path) continue;
+            tree[path] = point ? { ...node, children: [] } : node;
         }
+        return tree;
     }
 
-    closeWindow(id) {
-        const win = document.getElementById(id);
-        if (win) {
-            // Animate out?
-            win.remove();
-            delete this.windows[id];
+    // Turns change events under a mount into backend calls, run one after another. Contents
+    // are taken now, so later writes (or an umount) can't change what a queued write sends.
+    // Only new content is written: chmod, touch and the like stay on this side, and what
+    // fetch brought in from the other side isn't sent back.
+    syncMount(mount, events) {
+        const inside = (path) => path && path.startsWith(mount.point + '/');
+        const relative = (path) => path.slice(mount.point.length + 1);
+        events = events.filter(e => !e.fromMount);
+        const removed = events.filter(e => e.type === 'delete').map(e => e.path);
+        const ops = [];
+        // A renamed file that was never read is copied over on the other side
+        const push = (path, from = null) => {
+            const node = this.fs[path];
+            if (!node || node.type === 'symlink') return;
+            let op = ['mkdir', relative(path)];
+            if (node.type === 'file') op = node.content === undefined ? ['copy', relative(path), from && relative(from)] : ['write', relative(path), node.content];
+            if (op[0] === 'copy' && !op[2]) return;
+            const last = ops[ops.length - 1];
+            if (op[0] === 'write' && last && last[0] === 'write' && last[1] === op[1]) ops.pop();
+            ops.push(op);
+        };
+        for (const event of events) {
+            if (event.type === 'delete') {
+                // rm -r reports children first; removing the topmost folder covers them
+                if (inside(event.path) && !removed.some(dir => event.path.startsWith(dir + '/'))) ops.push(['remove', relative(event.path)]);
+            } else if (event.type === 'rename') {
+                const from = (path) => inside(event.oldPath) ? event.oldPath + path.slice(event.path.length) : null;
+                if (inside(event.path)) this.walk(event.path).forEach(path => push(path, from(path)));
+                if (inside(event.oldPath)) ops.push(['remove', relative(event.oldPath)]);
+            } else if (event.type === 'create' || (event.type === 'modify' && event.content)) {
+                if (inside(event.path)) push(event.path);
+            }
         }
+        if (!ops.length) return;
+        mount.queue = mount.queue.then(async () => {
+            for (const [op, path, data] of ops) {
+                try {
+                    const source = op === 'copy' ? await (await mount.backend.file(data)).arrayBuffer() : data;
+                    const modified = await mount.backend[op === 'copy' ? 'write' : op](path, source);
+                    // What we wrote is what the other side has now; fetch needn't read it back
+                    const node = this.fs[mount.point + '/' + path];
+                    if (op !== 'mkdir' && op !== 'remove' && node && typeof modified === 'number') node.hostModified = modified;
+                } catch (e) {
+                    mount.errors++;
+                    console.error(`${mount.point}/${path}: ${op} on ${mount.backend.name} failed`, e);
+                }
+            }
+        });
     }
 
-    focusWindow(id) {
-        const win = document.getElementById(id);
-        if (win) {
-            win.style.zIndex = ++this.zIndex;
+    // mv between a mount and the rest of the tree (or two mounts) copies, then deletes the original
+    moveAcross(src, dest) {
+        const copied = this.copy(src, dest, true);
+        if (copied.error) return { error: copied.error.replace(/^cp:/, 'mv:') };
+        const removed = this.rm(src, true);
+        return removed.error ? { error: removed.error.replace(/^rm:/, 'mv:') } : { success: true };
+    }
+
+    /* --- Trash --- */
+
+    // The freedesktop.org home trash: items under files/, and for each one
+    // info/<name>.trashinfo with its original path and deletion time
+    trashDir() {
+        return (this.user.home === '/' ? '' : this.user.home) + '/.Trash';
+    }
+
+    // Moves path into the trash under a free name ("a.txt", "a.2.txt", ...)
+    trash(path) {
+        path = this.resolvePath(path, false);
+        if (!this.exists(path)) return { error: 'trash: cannot move to trash: No such file or directory' };
+        const trash = this.trashDir();
+        if (path === trash || path.startsWith(trash + '/') || trash.startsWith(path + '/')) {
+            return { error: 'trash: cannot move to trash: It is or contains the trash' };
         }
+        for (const dir of [trash, trash + '/files', trash + '/info']) {
+            if (this.isDir(dir)) continue;
+            const made = this.mkdir(dir);
+            if (made.error) return { error: made.error.replace(/^mkdir: cannot create directory/, 'trash: cannot create the trash') };
+            if (dir === trash) this.chmod(dir, 0o700);
+        }
+
+        const base = path.substring(path.lastIndexOf('/') + 1);
+        const dot = base.lastIndexOf('.');
+        const [stem, ext] = dot > 0 ? [base.slice(0, dot), base.slice(dot)] : [base, ''];
+        let name = base;
+        for (let n = 2; this.exists(`${trash}/files/${name}`) || this.exists(`${trash}/info/${name}.trashinfo`); n++) name = `${stem}.${n}${ext}`;
+
+        const moved = this.rename(path, `${trash}/files/${name}`);
+        if (moved.error) return { error: moved.error.replace(/^mv: cannot move/, 'trash: cannot move to trash') };
+        // DeletionDate is local time without a zone, as the specification asks
+        const now = new Date();
+        const date = new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 19);
+        this.writeFile(`${trash}/info/${name}.trashinfo`, `[Trash Info]\nPath=${encodeURI(path)}\nDeletionDate=${date}\n`);
+        return { success: true, name };
     }
 
-    toggleHelp() {
-        const overlay = document.getElementById('help-overlay');
-        if (overlay) {
-            overlay.classList.toggle('hidden');
+    // [{ name, path, deleted, type, size }] newest first; path is null when the info file is missing
+    listTrash() {
+        const trash = this.trashDir();
+        if (!this.isDir(trash + '/files')) return [];
+        return this.fs[trash + '/files'].children.map(name => {
+            const fields = {};
+            const info = this.readFile(`${trash}/info/${name}.trashinfo`);
+            if (!info.error) {
+                info.content.split('\n').forEach(line => {
+                    const eq = line.indexOf('=');
+                    if (eq > 0) fields[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+                });
+            }
+            let path = null;
+            try {
+                path = fields.Path ? decodeURI(fields.Path) : null;
+            } catch (e) {
+                path = fields.Path;
+            }
+            const node = this.fs[`${trash}/files/${name}`];
+            const deleted = fields.DeletionDate ? new Date(fields.DeletionDate).getTime() : node.changed;
+            const size = node.type === 'dir'
+                ? this.walk(`${trash}/files/${name}`).reduce((sum, p) => sum + (this.fs[p].type === 'file' ? this.fs[p].size : 0), 0)
+                : node.size;
+            return { name, path, deleted: isNaN(deleted) ? node.changed : deleted, type: node.type, size };
+        }).sort((a, b) => b.deleted - a.deleted || this.fs[`${trash}/files/${b.name}`].changed - this.fs[`${trash}/files/${a.name}`].changed);
+    }
+
+    // Puts a trashed item back where it was, recreating missing parent folders
+    restoreFromTrash(name, overwrite = false) {
+        const trash = this.trashDir();
+        const item = this.listTrash().find(entry => entry.name === name);
+        if (!item) return { error: `restore: '${name}': not in the trash` };
+        if (!item.path) return { error: `restore: '${name}': original location unknown` };
+
+        if (this.exists(this.resolvePath(item.path, false))) {
+            if (!overwrite) return { error: `restore: cannot restore '${name}': ${item.path} already exists` };
+            const removed = this.rm(item.path, true);
+            if (removed.error) return { error: removed.error.replace(/^rm:/, 'restore:') };
         }
+        const made = this.mkdirs(item.path.substring(0, item.path.lastIndexOf('/')) || '/');
+        if (made.error) return { error: made.error.replace(/^mkdir:/, 'restore:') };
+        const moved = this.rename(`${trash}/files/${name}`, item.path);
+        if (moved.error) return { error: moved.error.replace(/^mv: cannot move/, 'restore: cannot restore') };
+        if (this.exists(`${trash}/info/${name}.trashinfo`)) this.rm(`${trash}/info/${name}.trashinfo`);
+        return { success: true, path: item.path };
     }
-    /* --- Window Dragging --- */
-    setupDrag() {
-        this.dragState = { active: false, currentWin: null, offsetX: 0, offsetY: 0 };
 
-        document.addEventListener('mousemove', (e) => {
-            if (this.dragState.active && this.dragState.currentWin) {
-                const win = this.dragState.currentWin;
-                win.style.top = (e.clientY - this.dragState.offsetY) + 'px';
-                win.style.left = (e.clientX - this.dragState.offsetX) + 'px';
+    // Deletes the named items for good, or everything in the trash
+    emptyTrash(names = null) {
+        const trash = this.trashDir();
+        const errors = [];
+        let count = 0;
+        const items = names || (this.isDir(trash + '/files') ? [...this.fs[trash + '/files'].children] : []);
+        for (const name of items) {
+            if (!this.exists(`${trash}/files/${name}`)) {
+                errors.push(`'${name}': not in the trash`);
+                continue;
+            }
+            const result = this.rm(`${trash}/files/${name}`, true);
+            if (result.error) {
+                errors.push(`'${name}': ${result.error.replace(/^rm: /, '')}`);
+                continue;
             }
+            if (this.exists(`${trash}/info/${name}.trashinfo`)) this.rm(`${trash}/info/${name}.trashinfo`);
+            count++;
+        }
+        // Info files whose item is gone
+        if (!names && this.isDir(trash + '/info')) {
+            [...this.fs[trash + '/info'].children].forEach(info => this.rm(`${trash}/info/${info}`, true));
+        }
+        return { count, errors };
+    }
+
+    /* --- Revisions --- */
+
+    // How many earlier versions writeFile keeps per file (a setting; 0 turns history off)
+    revisionLimit() {
+        const setting = parseInt(localStorage.getItem('yesos_revisions'), 10);
+        return isNaN(setting) ? VirtualFileSystem.REVISIONS : Math.max(0, setting);
+    }
+
+    // Before an overwrite, keeps the content being replaced as the newest revision.
+    // Revisions are numbered per file and the numbers are never reused.
+    recordRevision(path, node, replacement) {
+        const limit = this.revisionLimit();
+        const previous = node.content || '';
+        const size = VirtualFileSystem.byteLength(previous);
+        if (!limit || !size || size > VirtualFileSystem.MAX_REVISION_SIZE || VirtualFileSystem.UNVERSIONED.includes(path)) return;
+        if (this.mountOf(path)) return; // the host keeps its own history
+        if (typeof previous === 'string' && previous === replacement) return;
+
+        node.revisions = node.revisions || [];
+        node.nextRevision = node.nextRevision || 1;
+        const rev = node.nextRevision++;
+        node.revisions.push({ rev, modified: node.modified, size, user: this.user.name });
+        this.storeRevision(node, rev, previous);
+        node.revisions.splice(0, Math.max(0, node.revisions.length - limit)).forEach(old => this.dropRevision(node, old.rev));
+    }
+
+    // The node lists its revisions; their contents are stored apart from it, so saving the node
+    // (a chmod, a rename, every write) doesn't save its whole history again
+    static revisionKey(node, rev) {
+        return `${node.id}:${rev}`;
+    }
+
+    storeRevision(node, rev, content) {
+        const key = VirtualFileSystem.revisionKey(node, rev);
+        this.revisionBodies.set(key, content);
+        if (this.backend) this.backend.putRevision(key, content);
+    }
+
+    dropRevision(node, rev) {
+        const key = VirtualFileSystem.revisionKey(node, rev);
+        if (!this.revisionBodies.delete(key)) return;
+        if (this.backend) this.backend.removeRevision(key);
+    }
+
+    // [{ rev, modified, size, user }] oldest first
+    revisions(path) {
+        path = this.resolvePath(path);
+        if (!this.isFile(path)) return { error: `history: ${this.exists(path) ? 'Is a directory' : 'No such file or directory'}` };
+        if (!this.access(path, 'r')) return { error: 'history: Permission denied' };
+        return { revisions: (this.fs[path].revisions || []).map(info => ({ ...info })) };
+    }
+
+    readRevision(path, rev) {
+        const list = this.revisions(path);
+        if (list.error) return list;
+        const node = this.fs[this.resolvePath(path)];
+        const key = VirtualFileSystem.revisionKey(node, rev);
+        if (!node.revisions.some(r => r.rev === rev) || !this.revisionBodies.has(key)) return { error: `history: no revision ${rev}` };
+        const content = this.revisionBodies.get(key);
+        return { content: typeof content === 'string' ? content : new TextDecoder().decode(content), data: VirtualFileSystem.toBuffer(content), stored: content };
+    }
+
+    // Writes an old revision back; what it replaces becomes a revision itself, so this can be undone
+    restoreRevision(path, rev) {
+        const revision = this.readRevision(path, rev);
+        if (revision.error) return revision;
+        return this.writeFile(path, typeof revision.stored === 'string' ? revision.stored : revision.data);
+    }
+}
+
+VirtualFileSystem.ROOT = { name: 'root', uid: 0, gid: 0, groups: [0], home: '/root', shell: '/bin/bash' };
+VirtualFileSystem.MAX_SYMLINKS = 40;
+VirtualFileSystem.MNT = '/mnt';
+VirtualFileSystem.UNREAD = 'Not read from the mounted folder yet';
+VirtualFileSystem.REVISIONS = 10;
+VirtualFileSystem.MAX_REVISION_SIZE = 1024 * 1024; // larger files keep no history
+VirtualFileSystem.UNVERSIONED = ['/etc/shadow']; // old password hashes are not kept
+
+VirtualFileSystem.MIME_TYPES = {
+    txt: 'text/plain', md: 'text/markdown', html: 'text/html', htm: 'text/html', css: 'text/css',
+    js: 'text/javascript', json: 'application/json', xml: 'application/xml', csv: 'text/csv', sh: 'text/x-shellscript',
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml',
+    mp3: 'audio/mpeg', wav: 'audio/wav', ogg: 'audio/ogg', mp4: 'video/mp4', webm: 'video/webm',
+    pdf: 'application/pdf', zip: 'application/zip', gz: 'application/gzip', tar: 'application/x-tar'
+};
+
+// Storage backends save the VFS tree node by node. Each one provides:
+//   load()          resolves to { tree, revisions }, or null when empty: tree is { path: node } with file
+//                   contents attached, revisions a Map of revision contents keyed by VirtualFileSystem.revisionKey
+//   put(path, node, withContent) / remove(path, node, keepContent)   queue writes, applied in order
+//   putRevision(key, content) / removeRevision(key)   queue writes of revision contents
+//   replace(tree, revisions)   stores a whole tree (first run, migration and restore)
+//   flush()         resolves once everything queued so far is stored; rejects if a write since the last flush failed
+//   usage()         resolves to { used, quota } in bytes
+class IndexedDBBackend {
+    constructor(dbName = 'yesos-vfs') {
+        this.name = 'indexeddb';
+        this.dbName = dbName;
+        this.queue = [];
+        this.scheduled = false;
+        this.chain = Promise.resolve();
+    }
+
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
         });
+    }
 
-        document.addEventListener('mouseup', () => {
-            this.dragState.active = false;
-            this.dragState.currentWin = null;
+    // Metadata lives in "nodes" keyed by path; contents in "contents" keyed by node id, and
+    // revision contents there too under "id:rev"
+    open() {
+        if (!this.db) {
+            const req = indexedDB.open(this.dbName, 1);
+            req.onupgradeneeded = () => {
+                req.result.createObjectStore('nodes');
+                req.result.createObjectStore('contents');
+            };
+            this.db = IndexedDBBackend.request(req);
+        }
+        return this.db;
+    }
+
+    async load() {
+        const db = await this.open();
+        const tx = db.transaction(['nodes', 'contents']);
+        const nodes = tx.objectStore('nodes');
+        const contents = tx.objectStore('contents');
+        const [paths, metas, ids, values] = await Promise.all([
+            IndexedDBBackend.request(nodes.getAllKeys()),
+            IndexedDBBackend.request(nodes.getAll()),
+            IndexedDBBackend.request(contents.getAllKeys()),
+            IndexedDBBackend.request(contents.getAll())
+        ]);
+        if (!paths.length) return null;
+
+        const byId = new Map();
+        const revisions = new Map();
+        ids.forEach((id, i) => (id.includes(':') ? revisions : byId).set(id, values[i]));
+        const tree = {};
+        paths.forEach((path, i) => {
+            const node = metas[i];
+            if (node.type === 'file') node.content = byId.has(node.id) ? byId.get(node.id) : '';
+            tree[path] = node;
         });
+        return { tree, revisions };
     }
 
-    startDrag(e, id) {
-        // Only drag if left click
-        if (e.button !== 0) return;
+    put(path, node, withContent) {
+        this.queue.push({ op: 'put', path, node, withContent });
+        this.schedule();
+    }
 
-        const win = document.getElementById(id);
-        this.focusWindow(id);
+    remove(path, node, keepContent) {
+        this.queue.push({ op: 'remove', path, node, keepContent });
+        this.schedule();
+    }
 
-        const rect = win.getBoundingClientRect();
-        this.dragState.active = true;
-        this.dragState.currentWin = win;
-        this.dragState.offsetX = e.clientX - rect.left;
-        this.dragState.offsetY = e.clientY - rect.top;
+    putRevision(key, content) {
+        this.queue.push({ op: 'putRevision', key, content });
+        this.schedule();
     }
 
-    // --- Window Resizing ---
-    setupResize() {
-        this.resizeState = { active: false, currentWin: null, startX: 0, startY: 0, startW: 0, startH: 0 };
+    removeRevision(key) {
+        this.queue.push({ op: 'removeRevision', key });
+        this.schedule();
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (this.resizeState.active && this.resizeState.currentWin) {
-                const win = this.resizeState.currentWin;
-                const newWidth = Math.max(200, this.resizeState.startW + (e.clientX - this.resizeState.startX));
-                const newHeight = Math.max(150, this.resizeState.startH + (e.clientY - this.resizeState.startY));
+    replace(tree, revisions) {
+        this.queue.push({ op: 'clear' });
+        Object.entries(tree).forEach(([path, node]) => this.queue.push({ op: 'put', path, node, withContent: true }));
+        revisions.forEach((content, key) => this.queue.push({ op: 'putRevision', key, content }));
+        this.schedule();
+    }
 
-                win.style.width = newWidth + 'px';
-                win.style.height = newHeight + 'px';
+    // Everything queued during one synchronous VFS operation goes into a single transaction.
+    // A failed write doesn't stop later ones; it is kept for flush() to report.
+    schedule() {
+        if (this.scheduled) return;
+        this.scheduled = true;
+        this.chain = this.chain.then(() => {
+            this.scheduled = false;
+            return this.write(this.queue.splice(0));
+        }).catch(e => {
+            console.error('Failed to save filesystem', e);
+            this.error = e;
+        });
+    }
+
+    async write(ops) {
+        const db = await this.open();
+        const tx = db.transaction(['nodes', 'contents'], 'readwrite');
+        const nodes = tx.objectStore('nodes');
+        const contents = tx.objectStore('contents');
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+        try {
+            for (const { op, path, node, withContent, keepContent, key, content } of ops) {
+                if (op === 'clear') {
+                    nodes.clear();
+                    contents.clear();
+                } else if (op === 'put') {
+                    // Metadata is copied at write time, so a burst of changes stores the final state
+                    const { content: data, ...meta } = node;
+                    nodes.put(meta, path);
+                    if (withContent && node.type === 'file') contents.put(node.content, node.id);
+                } else if (op === 'putRevision') {
+                    contents.put(content, key);
+                } else if (op === 'removeRevision') {
+                    contents.delete(key);
+                } else {
+                    nodes.delete(path);
+                    if (node.type === 'file' && !keepContent) contents.delete(node.id);
+                }
             }
+        } catch (e) {
+            // A value the store refuses must not leave half the batch (or just a clear) committed
+            tx.abort();
+            done.catch(() => {});
+            throw e;
+        }
+        await done;
+    }
+
+    async flush() {
+        await this.chain;
+        const error = this.error;
+        this.error = null;
+        if (error) throw error;
+    }
+
+    async usage() {
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            return { used: estimate.usage || 0, quota: estimate.quota || 0 };
+        }
+        return { used: 0, quota: 0 };
+    }
+}
+
+// Fallback: the whole tree as one JSON string, saved at most once per tick. Revision contents
+// are a second string ("vfs-revisions"), saved only when they change.
+class LocalStorageBackend {
+    constructor(getTree, getRevisions, key = 'vfs') {
+        this.name = 'localstorage';
+        this.getTree = getTree;
+        this.getRevisions = getRevisions;
+        this.key = key;
+        this.chain = Promise.resolve();
+        this.scheduled = false;
+        this.revisionsChanged = false;
+    }
+
+    // Binary contents are stored as { $base64: '...' }
+    static parse(json) {
+        if (!json) return null;
+        return JSON.parse(json, (key, value) => {
+            if (value && typeof value.$base64 === 'string') {
+                return Uint8Array.from(atob(value.$base64), c => c.charCodeAt(0)).buffer;
+            }
+            return value;
         });
+    }
 
-        document.addEventListener('mouseup', () => {
-            this.resizeState.active = false;
-            this.resizeState.currentWin = null;
+    static stringify(tree) {
+        return JSON.stringify(tree, (key, value) => {
+            if (value instanceof ArrayBuffer) {
+                let binary = '';
+                new Uint8Array(value).forEach(b => binary += String.fromCharCode(b));
+                return { $base64: btoa(binary) };
+            }
+            return value;
         });
     }
 
-    startResize(e, id) {
-        e.preventDefault();
-        e.stopPropagation();
+    async load() {
+        const tree = LocalStorageBackend.parse(localStorage.getItem(this.key));
+        if (!tree) return null;
+        const revisions = LocalStorageBackend.parse(localStorage.getItem(this.key + '-revisions')) || {};
+        return { tree, revisions: new Map(Object.entries(revisions)) };
+    }
 
-        const win = document.getElementById(id);
-        this.focusWindow(id);
+    put() {
+        this.schedule();
+    }
 
-        this.resizeState.active = true;
-        this.resizeState.currentWin = win;
-        this.resizeState.startX = e.clientX;
-        this.resizeState.startY = e.clientY;
-        this.resizeState.startW = parseInt(win.style.width);
-        this.resizeState.startH = parseInt(win.style.height);
+    remove() {
+        this.schedule();
     }
 
-    /* --- App Specific Logic --- */
+    putRevision() {
+        this.schedule(true);
+    }
 
-    // Browser
-    // AI Bot
-    // AI Bot
-    async aiGreet(winId) {
-        const win = document.getElementById(winId);
-        if (!win) return;
-        const history = win.querySelector('.chat-history');
+    removeRevision() {
+        this.schedule(true);
+    }
 
-        let msg = "Hello! I am YesAI.";
-        const key = localStorage.getItem('gemini_key');
+    replace() {
+        this.schedule(true);
+    }
 
-        if (key && key.startsWith('sk-or-')) {
-            msg += " Connected to ChatGPT (via OpenRouter) 🟢.";
-        } else if (key && key.length > 5) {
-            msg += " Connected to Gemini Cloud ☁️.";
+    schedule(revisions = false) {
+        if (revisions) this.revisionsChanged = true;
+        if (this.scheduled) return;
+        this.scheduled = true;
+        this.chain = this.chain.then(() => {
+            this.scheduled = false;
+            localStorage.setItem(this.key, LocalStorageBackend.stringify(this.getTree()));
+            if (!this.revisionsChanged) return;
+            this.revisionsChanged = false;
+            localStorage.setItem(this.key + '-revisions', LocalStorageBackend.stringify(Object.fromEntries(this.getRevisions())));
+        }).catch(e => {
+            console.error('Failed to save filesystem', e);
+            this.error = e;
+        });
+    }
+
+    async flush() {
+        await this.chain;
+        const error = this.error;
+        this.error = null;
+        if (error) throw error;
+    }
+
+    // localStorage strings are UTF-16 and most browsers allow about 5 MB per origin
+    async usage() {
+        const data = (localStorage.getItem(this.key) || '') + (localStorage.getItem(this.key + '-revisions') || '');
+        return { used: data.length * 2, quota: 5 * 1024 * 1024 };
+    }
+}
+
+// Mount backends give the VFS a folder that lives somewhere else (see VirtualFileSystem.mount). Each one has
+//   name, kind, readOnly
+//   list(path)                      resolves to a folder's [{ name, type: 'dir'|'file', size, mime, modified }]
+//   file(path)                      resolves to a File with the file's current content and lastModified
+//   write(path, data)               resolves to the file's new modified time, or undefined when unknown
+//   mkdir(path), remove(path)       resolve once done on the other side
+// Paths are relative to the mounted folder, '' being the folder itself.
+class HostFolderBackend {
+    // handle is a FileSystemDirectoryHandle from showDirectoryPicker()
+    constructor(handle, readOnly = false) {
+        this.name = handle.name;
+        this.kind = 'host';
+        this.handle = handle;
+        this.readOnly = readOnly;
+    }
+
+    // Getting a File only reads its metadata; the bytes are read when asked for
+    async list(path) {
+        let dir = this.handle;
+        for (const part of path ? path.split('/') : []) dir = await dir.getDirectoryHandle(part);
+        const entries = [];
+        for await (const handle of dir.values()) {
+            if (handle.kind === 'directory') {
+                entries.push({ name: handle.name, type: 'dir' });
+                continue;
+            }
+            const file = await handle.getFile();
+            entries.push({ name: handle.name, type: 'file', size: file.size, mime: file.type, modified: file.lastModified });
+        }
+        return entries;
+    }
+
+    async file(path) {
+        const { dir, name } = await this.parent(path);
+        return (await dir.getFileHandle(name)).getFile();
+    }
+
+    // The directory handle that holds path's last component
+    async parent(path, create = false) {
+        const parts = path.split('/');
+        let dir = this.handle;
+        for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part, { create });
+        return { dir, name: parts[parts.length - 1] };
+    }
+
+    async write(path, data) {
+        const { dir, name } = await this.parent(path, true);
+        const handle = await dir.getFileHandle(name, { create: true });
+        const writable = await handle.createWritable();
+        await writable.write(data);
+        await writable.close();
+        return (await handle.getFile()).lastModified;
+    }
+
+    async mkdir(path) {
+        const { dir, name } = await this.parent(path, true);
+        await dir.getDirectoryHandle(name, { create: true });
+    }
+
+    async remove(path) {
+        const { dir, name } = await this.parent(path);
+        await dir.removeEntry(name, { recursive: true });
+    }
+}
+
+// Browsers without the File System Access API: the files of a folder picked with
+// <input webkitdirectory>, read-only since there is no way to write them back
+class FileListBackend {
+    constructor(files) {
+        files = [...files];
+        this.name = files.length ? files[0].webkitRelativePath.split('/')[0] : 'folder';
+        this.kind = 'files';
+        this.readOnly = true;
+        // Paths below the picked folder
+        this.files = new Map(files.map(file => [file.webkitRelativePath.split('/').slice(1).join('/'), file]));
+    }
+
+    // Only folders that contain files are listed by the browser
+    async list(path) {
+        const prefix = path ? path + '/' : '';
+        const entries = new Map();
+        for (const [key, file] of this.files) {
+            if (!key.startsWith(prefix)) continue;
+            const rest = key.slice(prefix.length);
+            const name = rest.split('/')[0];
+            if (rest.includes('/')) entries.set(name, { name, type: 'dir' });
+            else entries.set(name, { name, type: 'file', size: file.size, mime: file.type, modified: file.lastModified });
+        }
+        return [...entries.values()];
+    }
+
+    async file(path) {
+        if (!this.files.has(path)) throw new Error('No such file or directory');
+        return this.files.get(path);
+    }
+
+    write() {
+        return Promise.reject(new Error('Read-only file system'));
+    }
+
+    mkdir() {
+        return this.write();
+    }
+
+    remove() {
+        return this.write();
+    }
+}
+
+// User accounts backed by /etc/passwd, /etc/group and /etc/shadow in the VFS
+class UserAccounts {
+    constructor(vfs) {
+        this.vfs = vfs;
+        this.ensureDefaults();
+    }
+
+    // Root's password starts locked ("!"); the default "user" has none and is in the sudo group,
+    // so it can log straight in but needs to set a password before sudo will run anything
+    ensureDefaults() {
+        this.vfs.asRoot(() => {
+            if (!this.vfs.exists('/etc')) this.vfs.mkdir('/etc');
+            if (!this.vfs.exists('/root')) {
+                this.vfs.mkdir('/root');
+                this.vfs.chmod('/root', 0o700);
+            }
+            if (!this.vfs.exists('/etc/passwd')) {
+                this.vfs.writeFile('/etc/passwd', 'root:x:0:0:root:/root:/bin/bash\nuser:x:1000:1000:User:/home/user:/bin/bash\n');
+            }
+            if (!this.vfs.exists('/etc/group')) {
+                this.vfs.writeFile('/etc/group', 'root:x:0:\nsudo:x:27:user\nuser:x:1000:\n');
+            }
+            if (!this.vfs.exists('/etc/shadow')) {
+                this.vfs.writeFile('/etc/shadow', 'root:!\nuser:\n');
+                this.vfs.chmod('/etc/shadow', 0o600);
+            }
+        });
+    }
+
+    readTable(path) {
+        const result = this.vfs.asRoot(() => this.vfs.readFile(path));
+        if (result.error) return [];
+        return result.content.split('\n').filter(line => line.trim() && !line.startsWith('#')).map(line => line.split(':'));
+    }
+
+    writeTable(path, rows) {
+        this.vfs.asRoot(() => this.vfs.writeFile(path, rows.map(row => row.join(':')).join('\n') + '\n'));
+    }
+
+    users() {
+        return this.readTable('/etc/passwd').map(([name, , uid, gid, gecos, home, shell]) => ({
+            name, uid: parseInt(uid), gid: parseInt(gid), gecos: gecos || '', home, shell
+        }));
+    }
+
+    groups() {
+        return this.readTable('/etc/group').map(([name, , gid, members]) => ({
+            name, gid: parseInt(gid), members: members ? members.split(',').filter(m => m) : []
+        }));
+    }
+
+    find(name) {
+        return this.users().find(u => u.name === name) || null;
+    }
+
+    findGroup(name) {
+        return this.groups().find(g => g.name === name) || null;
+    }
+
+    userName(uid) {
+        const user = this.users().find(u => u.uid === uid);
+        return user ? user.name : String(uid);
+    }
+
+    groupName(gid) {
+        const group = this.groups().find(g => g.gid === gid);
+        return group ? group.name : String(gid);
+    }
+
+    // The identity VFS operations run as: primary gid plus supplementary groups
+    credentials(name) {
+        const user = this.find(name);
+        if (!user) return null;
+        const groups = [user.gid, ...this.groups().filter(g => g.members.includes(name)).map(g => g.gid)];
+        return { ...user, groups: [...new Set(groups)] };
+    }
+
+    isSudoer(name) {
+        const sudo = this.findGroup('sudo');
+        return name === 'root' || (sudo !== null && sudo.members.includes(name));
+    }
+
+    async hash(password, salt) {
+        const data = new TextEncoder().encode(salt + password);
+        if (window.crypto && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', data);
+            return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+        // Insecure contexts have no SubtleCrypto; fall back to FNV-1a so logins still work
+        let h = 0x811c9dc5;
+        for (const byte of data) h = Math.imul(h ^ byte, 0x01000193) >>> 0;
+        return h.toString(16);
+    }
+
+    // An empty shadow entry means no password; "!" or "*" means the account is locked
+    async verify(name, password) {
+        const entry = this.readTable('/etc/shadow').find(row => row[0] === name);
+        if (!entry) return false;
+        const stored = entry[1] || '';
+        if (stored === '') return true;
+        if (stored.startsWith('!') || stored === '*') return false;
+        const [, salt, digest] = stored.split('$');
+        return await this.hash(password, salt) === digest;
+    }
+
+    hasPassword(name) {
+        const entry = this.readTable('/etc/shadow').find(row => row[0] === name);
+        return Boolean(entry && entry[1]);
+    }
+
+    async setPassword(name, password) {
+        const salt = [...crypto.getRandomValues(new Uint8Array(8))].map(b => b.toString(16).padStart(2, '0')).join('');
+        const value = password ? `sha256$${salt}$${await this.hash(password, salt)}` : '';
+        const rows = this.readTable('/etc/shadow').filter(row => row[0] !== name);
+        rows.push([name, value]);
+        this.writeTable('/etc/shadow', rows);
+    }
+
+    // useradd: a private group named after the user, optional supplementary groups and home directory
+    add(name, options = {}) {
+        if (!/^[a-z_][a-z0-9_-]*$/.test(name)) return { error: `useradd: invalid user name '${name}'` };
+        if (this.find(name)) return { error: `useradd: user '${name}' already exists` };
+
+        // Everything is checked and built before any table is written, so a refusal leaves no half account
+        const groups = this.readTable('/etc/group');
+        const missing = (options.groups || []).find(extra => !groups.some(g => g[0] === extra));
+        if (missing) return { error: `useradd: group '${missing}' does not exist` };
+
+        const uid = Math.max(999, ...this.users().map(u => u.uid).filter(uid => uid < 60000)) + 1;
+        const home = options.home || '/home/' + name;
+        const passwd = this.readTable('/etc/passwd');
+        passwd.push([name, 'x', uid, uid, options.comment || '', home, options.shell || '/bin/bash']);
+        for (const extra of options.groups || []) {
+            const row = groups.find(g => g[0] === extra);
+            row[3] = [...(row[3] ? row[3].split(',') : []), name].join(',');
+        }
+        groups.push([name, 'x', uid, '']);
+        const shadow = this.readTable('/etc/shadow');
+        shadow.push([name, '']);
+
+        this.writeTable('/etc/passwd', passwd);
+        this.writeTable('/etc/group', groups);
+        this.writeTable('/etc/shadow', shadow);
+
+        if (options.createHome) {
+            this.vfs.asRoot(() => {
+                if (!this.vfs.exists(home)) this.vfs.mkdir(home);
+                ['Desktop', 'Documents', 'Downloads'].forEach(dir => this.vfs.mkdir(home + '/' + dir));
+                // Links in a home that was already there are left alone rather than followed
+                this.vfs.walk(home).filter(path => !this.vfs.isSymlink(path)).forEach(path => this.vfs.chown(path, uid, uid));
+            });
+        }
+        return { user: this.find(name) };
+    }
+}
+
+// Zip and tar(.gz) archives of VFS trees, built and read in the browser. Entries are
+// { name, type: 'file' | 'dir' | 'symlink', data (Uint8Array), target, mode, mtime } with names
+// relative to the archive root; readers throw an Error for archives they cannot understand.
+class Archive {
+    // The paths and everything below them (unless recursive is false), named as given relative
+    // to the current directory; absolute paths lose their leading "/" as with tar
+    static collect(vfs, paths, recursive = true) {
+        const entries = [];
+        const errors = [];
+        const cwd = vfs.currentDir === '/' ? '' : vfs.currentDir;
+        for (const operand of paths) {
+            const root = vfs.resolvePath(operand, false);
+            if (!vfs.exists(root)) {
+                errors.push(`${operand}: No such file or directory`);
+                continue;
+            }
+            const base = root.startsWith(cwd + '/') ? root.slice(cwd.length + 1) : root.slice(1);
+            for (const path of recursive ? vfs.walk(root) : [root]) {
+                const node = vfs.fs[path];
+                const name = base + path.slice(root.length);
+                if (!name) continue;
+                const entry = { name, type: node.type, mode: node.mode & 0o7777, mtime: node.modified };
+                if (node.type === 'file') {
+                    const result = vfs.readBinary(path);
+                    if (result.error) {
+                        errors.push(`${name}: ${result.error.replace(/^cat: /, '')}`);
+                        continue;
+                    }
+                    entry.data = new Uint8Array(result.data);
+                } else if (node.type === 'symlink') {
+                    entry.target = node.target;
+                }
+                entries.push(entry);
+            }
+        }
+        return { entries, errors };
+    }
+
+    // Writes entries below dest, creating folders as needed; existing files are kept unless overwrite.
+    // Names that would climb out of dest ("../", absolute) are confined to it, and so are names
+    // that go through a link, which may be one an earlier entry just made.
+    static extract(vfs, entries, dest, overwrite = false) {
+        dest = vfs.resolvePath(dest);
+        const base = dest === '/' ? '' : dest;
+        const errors = [];
+        const skipped = [];
+        let count = 0;
+
+        for (const entry of entries) {
+            const name = entry.name.split('/').filter(p => p && p !== '.' && p !== '..').join('/');
+            if (!name) continue;
+            // Links on the way are followed; the last part is looked at as it is, like lstat
+            const path = vfs.resolvePath(base + '/' + name, false);
+            if (path !== dest && !path.startsWith(base + '/')) {
+                errors.push(`${name}: refusing to extract outside ${dest}`);
+                continue;
+            }
+            if (entry.type === 'dir' && vfs.fs[path] && vfs.fs[path].type !== 'dir') {
+                skipped.push(name);
+                continue;
+            }
+            const made = vfs.mkdirs(entry.type === 'dir' ? path : path.substring(0, path.lastIndexOf('/')) || '/');
+            if (made.error) {
+                errors.push(`${name}: ${made.error.replace(/^\w+: /, '')}`);
+                continue;
+            }
+            if (entry.type === 'dir') {
+                if (entry.mode) vfs.chmod(path, entry.mode & 0o777);
+                continue;
+            }
+
+            if (vfs.fs[path] !== undefined) {
+                if (!overwrite || vfs.fs[path].type === 'dir') {
+                    skipped.push(name);
+                    continue;
+                }
+                const removed = vfs.rm(path);
+                if (removed.error) {
+                    errors.push(`${name}: ${removed.error.replace(/^\w+: /, '')}`);
+                    continue;
+                }
+            }
+
+            const result = entry.type === 'symlink'
+                ? vfs.symlink(entry.target, path)
+                : vfs.writeFile(path, Archive.content(name, entry.data));
+            if (result.error) {
+                errors.push(`${name}: ${result.error.replace(/^\w+: /, '')}`);
+                continue;
+            }
+            if (entry.type === 'file') {
+                if (entry.mode) vfs.chmod(path, entry.mode & 0o777);
+                if (entry.mtime) {
+                    vfs.fs[path].modified = entry.mtime;
+                    vfs.persist(path);
+                }
+            }
+            count++;
+        }
+        return { count, errors, skipped };
+    }
+
+    // Text files go back into the VFS as strings so the editor and shell tools can use them
+    static content(name, data) {
+        const mime = VirtualFileSystem.MIME_TYPES[name.split('.').pop().toLowerCase()] || 'text/plain';
+        if (!VirtualFileSystem.isText(mime) || data.includes(0)) return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(data);
+        } catch (e) {
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        }
+    }
+
+    // 'zip', 'gzip' or 'tar' from the first bytes, or null
+    static detect(bytes) {
+        if (bytes[0] === 0x50 && bytes[1] === 0x4b && (bytes[2] === 3 || bytes[2] === 5)) return 'zip';
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+        if (bytes.length >= 512 && new TextDecoder().decode(bytes.subarray(257, 262)) === 'ustar') return 'tar';
+        return null;
+    }
+
+    // Any supported archive (zip, tar, tar.gz) as entries
+    static async read(bytes) {
+        const format = Archive.detect(bytes);
+        if (format === 'zip') return Archive.unzip(bytes);
+        if (format === 'gzip') return Archive.untar(await Archive.transform(bytes, new DecompressionStream('gzip')));
+        if (format === 'tar') return Archive.untar(bytes);
+        throw new Error('not a zip or tar archive');
+    }
+
+    static async transform(bytes, stream) {
+        return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+    }
+
+    static crc32(bytes) {
+        if (!Archive.CRC_TABLE) {
+            Archive.CRC_TABLE = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                Archive.CRC_TABLE[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) crc = Archive.CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    static concat(chunks) {
+        const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return out;
+    }
+
+    /* --- Zip --- */
+
+    // Entries are deflated unless that does not make them smaller; names are flagged as UTF-8
+    // and Unix modes go in the external attributes, as Info-ZIP does
+    static async zip(entries, onEntry = null) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.type === 'dir' ? entry.name.replace(/\/?$/, '/') : entry.name);
+            const raw = entry.type === 'file' ? entry.data : entry.type === 'symlink' ? encoder.encode(entry.target) : new Uint8Array(0);
+            let data = raw;
+            let method = 0;
+            if (entry.type === 'file' && raw.length) {
+                const deflated = await Archive.transform(raw, new CompressionStream('deflate-raw'));
+                if (deflated.length < raw.length) {
+                    data = deflated;
+                    method = 8;
+                }
+            }
+            if (onEntry) onEntry(entry, raw.length, data.length);
+
+            const crc = Archive.crc32(raw);
+            const date = new Date(entry.mtime || Date.now());
+            const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+            const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+            const typeBits = { file: 0o100000, dir: 0o040000, symlink: 0o120000 }[entry.type];
+            const attributes = ((typeBits | (entry.mode || (entry.type === 'dir' ? 0o755 : 0o644))) << 16 | (entry.type === 'dir' ? 0x10 : 0)) >>> 0;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, method, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, raw.length, true);
+            local.setUint16(26, name.length, true);
+            chunks.push(new Uint8Array(local.buffer), name, data);
+
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, (3 << 8) | 20, true); // made by Unix
+            header.setUint16(6, 20, true);
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, method, true);
+            header.setUint16(12, dosTime, true);
+            header.setUint16(14, dosDate, true);
+            header.setUint32(16, crc, true);
+            header.setUint32(20, data.length, true);
+            header.setUint32(24, raw.length, true);
+            header.setUint16(28, name.length, true);
+            header.setUint32(38, attributes, true);
+            header.setUint32(42, offset, true);
+            central.push(new Uint8Array(header.buffer), name);
+            offset += 30 + name.length + data.length;
+        }
+
+        const directory = Archive.concat(central);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, directory.length, true);
+        end.setUint32(16, offset, true);
+        return Archive.concat([...chunks, directory, new Uint8Array(end.buffer)]);
+    }
+
+    // Reads the central directory; stored and deflated entries are supported
+    static async unzip(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('end-of-central-directory signature not found');
+        const count = view.getUint16(end + 10, true);
+        let pos = view.getUint32(end + 16, true);
+        if (pos === 0xffffffff) throw new Error('zip64 archives are not supported');
+
+        const entries = [];
+        for (let n = 0; n < count; n++) {
+            if (pos + 46 > bytes.length || view.getUint32(pos, true) !== 0x02014b50) throw new Error('bad central directory');
+            const madeBy = view.getUint16(pos + 4, true) >> 8;
+            const flags = view.getUint16(pos + 8, true);
+            const method = view.getUint16(pos + 10, true);
+            const dosTime = view.getUint16(pos + 12, true);
+            const dosDate = view.getUint16(pos + 14, true);
+            const crc = view.getUint32(pos + 16, true);
+            const compressedSize = view.getUint32(pos + 20, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            const attributes = view.getUint32(pos + 38, true);
+            const local = view.getUint32(pos + 42, true);
+            const name = new TextDecoder().decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+            pos += 46 + nameLength + extraLength + commentLength;
+
+            if (flags & 1) throw new Error(`${name}: encrypted entries are not supported`);
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            let data = bytes.subarray(start, start + compressedSize);
+            if (method === 8) data = await Archive.transform(data, new DecompressionStream('deflate-raw'));
+            else if (method !== 0) throw new Error(`${name}: unsupported compression method ${method}`);
+            if (Archive.crc32(data) !== crc) throw new Error(`${name}: bad CRC`);
+
+            const mode = madeBy === 3 ? attributes >>> 16 : 0;
+            const type = (mode & 0o170000) === 0o120000 ? 'symlink'
+                : (mode & 0o170000) === 0o040000 || name.endsWith('/') ? 'dir' : 'file';
+            const mtime = new Date(1980 + (dosDate >> 9), ((dosDate >> 5) & 15) - 1, dosDate & 31,
+                dosTime >> 11, (dosTime >> 5) & 63, (dosTime & 31) * 2).getTime();
+            const entry = { name: name.replace(/\/$/, ''), type, mode: mode & 0o7777, mtime };
+            if (type === 'file') entry.data = data;
+            if (type === 'symlink') entry.target = new TextDecoder().decode(data);
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    /* --- Tar --- */
+
+    // POSIX ustar; names too long for the header go in a pax extended header
+    static tar(entries) {
+        const encoder = new TextEncoder();
+        const blocks = [];
+        const pad = (data) => new Uint8Array(Math.ceil(data.length / 512) * 512 - data.length);
+        const header = (fields) => {
+            const block = new Uint8Array(512);
+            const put = (offset, length, value) => block.set(encoder.encode(value).subarray(0, length), offset);
+            const octal = (offset, length, value) => put(offset, length, value.toString(8).padStart(length - 1, '0') + '\0');
+            put(0, 100, fields.name);
+            octal(100, 8, fields.mode);
+            octal(108, 8, fields.uid || 0);
+            octal(116, 8, fields.gid || 0);
+            octal(124, 12, fields.size);
+            octal(136, 12, Math.floor(fields.mtime / 1000));
+            put(148, 8, '        ');
+            put(156, 1, fields.type);
+            put(157, 100, fields.target || '');
+            put(257, 8, 'ustar\u000000');
+            put(345, 155, fields.prefix || '');
+            const sum = block.reduce((total, byte) => total + byte, 0);
+            put(148, 8, sum.toString(8).padStart(6, '0') + '\0 ');
+            return block;
+        };
+
+        for (const entry of entries) {
+            const name = entry.type === 'dir' ? entry.name.replace(/\/?$/, '/') : entry.name;
+            const data = entry.type === 'file' ? entry.data : new Uint8Array(0);
+            const mtime = entry.mtime || Date.now();
+            let prefix = '';
+            let short = name;
+            if (encoder.encode(name).length > 100) {
+                const split = name.lastIndexOf('/', name.length - 2);
+                if (split > 0 && encoder.encode(name.slice(split + 1)).length <= 100 && encoder.encode(name.slice(0, split)).length <= 155) {
+                    prefix = name.slice(0, split);
+                    short = name.slice(split + 1);
+                } else {
+                    // A pax record is "<length> path=<name>\n", the length counting its own digits
+                    const body = ` path=${name}\n`;
+                    let length = encoder.encode(body).length;
+                    length += String(length + String(length).length).length;
+                    const record = encoder.encode(length + body);
+                    blocks.push(header({ name: 'PaxHeader', mode: 0o644, size: record.length, mtime, type: 'x' }), record, pad(record));
+                    short = name.slice(0, 100);
+                }
+            }
+            const type = { file: '0', dir: '5', symlink: '2' }[entry.type];
+            const mode = entry.mode || (entry.type === 'dir' ? 0o755 : entry.type === 'symlink' ? 0o777 : 0o644);
+            blocks.push(header({ name: short, prefix, mode, size: data.length, mtime, type, target: entry.target }), data, pad(data));
+        }
+        blocks.push(new Uint8Array(1024));
+        return Archive.concat(blocks);
+    }
+
+    // ustar, GNU long names (L/K) and pax path/linkpath records; hard links become copies
+    static untar(bytes) {
+        const decoder = new TextDecoder();
+        const text = (offset, length) => {
+            const field = bytes.subarray(offset, offset + length);
+            const nul = field.indexOf(0);
+            return decoder.decode(nul < 0 ? field : field.subarray(0, nul));
+        };
+        const octal = (offset, length) => parseInt(text(offset, length).trim() || '0', 8);
+
+        const entries = [];
+        let long = {};
+        for (let pos = 0; pos + 512 <= bytes.length;) {
+            if (bytes.subarray(pos, pos + 512).every(byte => byte === 0)) break;
+            const stored = bytes.subarray(pos, pos + 512).reduce((total, byte, i) => total + (i >= 148 && i < 156 ? 32 : byte), 0);
+            if (stored !== octal(pos + 148, 8)) throw new Error('bad tar header checksum');
+
+            const type = String.fromCharCode(bytes[pos + 156]);
+            const size = octal(pos + 124, 12);
+            const data = bytes.subarray(pos + 512, pos + 512 + size);
+            const prefix = text(pos + 345, 155);
+            const header = {
+                name: (prefix ? prefix + '/' : '') + text(pos, 100),
+                target: text(pos + 157, 100),
+                mode: octal(pos + 100, 8) & 0o7777,
+                mtime: octal(pos + 136, 12) * 1000
+            };
+            pos += 512 + Math.ceil(size / 512) * 512;
+
+            if (type === 'L' || type === 'K') {
+                long[type === 'L' ? 'name' : 'target'] = decoder.decode(data).replace(/\0+$/, '');
+                continue;
+            }
+            if (type === 'x') {
+                for (const record of decoder.decode(data).split('\n')) {
+                    const match = record.match(/^\d+ (path|linkpath)=(.*)$/);
+                    if (match) long[match[1] === 'path' ? 'name' : 'target'] = match[2];
+                }
+                continue;
+            }
+            if (type === 'g') continue;
+
+            const entry = { ...header, ...long };
+            long = {};
+            entry.name = entry.name.replace(/\/$/, '');
+            if (type === '5') {
+                entry.type = 'dir';
+            } else if (type === '2') {
+                entry.type = 'symlink';
+            } else if (type === '1') {
+                const original = entries.find(e => e.name === entry.target && e.type === 'file');
+                if (!original) continue;
+                entry.type = 'file';
+                entry.data = original.data;
+            } else if (type === '0' || type === '\0' || type === '7') {
+                entry.type = 'file';
+                entry.data = data;
+            } else {
+                continue; // devices and FIFOs have no VFS equivalent
+            }
+            if (entry.type !== 'symlink') delete entry.target;
+            entries.push(entry);
+        }
+        return entries;
+    }
+}
+
+Archive.CRC_TABLE = null; // built on first use
+
+// Whole-system backups: the VFS tree, settings kept in localStorage and the desktop session, in
+// one zip with a versioned manifest. Formats older than SystemBackup.VERSION are upgraded by
+// SystemBackup.MIGRATIONS when read, so old backups keep restoring. Snapshots are the same
+// archives holding only the tree (settings and session are null when absent).
+class SystemBackup {
+    // Settings are the localStorage keys apps own: "gemini_key" and everything named "yesos_..."
+    static settingsKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key === 'gemini_key' || key.startsWith('yesos_')) keys.push(key);
+        }
+        return keys.sort();
+    }
+
+    // Reads the whole tree regardless of permissions; callers check that the user is an administrator.
+    // options: exclude (subtrees to leave out), settings (false to leave them out), kind and name.
+    static async create(vfs, session, options = {}) {
+        const now = Date.now();
+        const encoder = new TextEncoder();
+        const json = (name, value) => ({ name, type: 'file', data: encoder.encode(JSON.stringify(value, null, 2)), mode: 0o600, mtime: now });
+        const excluded = (path) => (options.exclude || []).some(root => path === root || path.startsWith(root + '/'));
+        const nodes = {};
+        const contents = new Map(); // hard links share one content entry
+        const history = new Map();
+        for (const [path, node] of Object.entries(vfs.storedTree())) {
+            if (excluded(path)) continue;
+            const { content, ...meta } = node;
+            if (meta.children) meta.children = meta.children.filter(child => !excluded((path === '/' ? '' : path) + '/' + child));
+            if (node.type === 'file') {
+                if (typeof (content || '') === 'string') meta.encoding = 'utf-8';
+                contents.set(node.id, new Uint8Array(VirtualFileSystem.toBuffer(content || '')));
+                // Earlier versions go under revisions/<id>/<rev>
+                if (node.revisions) {
+                    meta.revisions = node.revisions.filter(({ rev }) => vfs.revisionBodies.has(VirtualFileSystem.revisionKey(node, rev))).map(info => {
+                        const stored = vfs.revisionBodies.get(VirtualFileSystem.revisionKey(node, info.rev));
+                        history.set(`${node.id}/${info.rev}`, new Uint8Array(VirtualFileSystem.toBuffer(stored)));
+                        return typeof stored === 'string' ? { ...info, encoding: 'utf-8' } : { ...info };
+                    });
+                }
+            }
+            nodes[path] = meta;
+        }
+        const manifest = {
+            format: 'yesos-backup',
+            version: SystemBackup.VERSION,
+            kind: options.kind || 'backup',
+            name: options.name || null,
+            created: now,
+            paths: Object.keys(nodes).length,
+            bytes: [...contents.values()].reduce((sum, data) => sum + data.length, 0)
+        };
+        const entries = [json('manifest.json', manifest), { ...json('nodes.json', null), data: encoder.encode(LocalStorageBackend.stringify(nodes)) }];
+        if (options.settings !== false) {
+            const settings = {};
+            SystemBackup.settingsKeys().forEach(key => settings[key] = localStorage.getItem(key));
+            entries.push(json('settings.json', settings));
+        }
+        if (session) entries.push(json('session.json', session));
+        entries.push(...[...contents].map(([id, data]) => ({ name: 'contents/' + id, type: 'file', data, mode: 0o600, mtime: now })));
+        entries.push(...[...history].map(([key, data]) => ({ name: 'revisions/' + key, type: 'file', data, mode: 0o600, mtime: now })));
+        return Archive.zip(entries);
+    }
+
+    // Returns { version, created, tree, settings, session } in the current format, or throws
+    static async read(bytes) {
+        let backup;
+        if (Archive.detect(bytes) === 'zip') {
+            const files = new Map((await Archive.unzip(bytes)).map(entry => [entry.name, entry]));
+            const json = (name) => {
+                if (!files.has(name)) throw new Error(`not a YesOS backup (${name} is missing)`);
+                return LocalStorageBackend.parse(new TextDecoder().decode(files.get(name).data));
+            };
+            const manifest = json('manifest.json');
+            if (manifest.format !== 'yesos-backup') throw new Error('not a YesOS backup');
+            if (manifest.version > SystemBackup.VERSION) {
+                throw new Error(`made by a newer YesOS (format ${manifest.version}; this one reads up to ${SystemBackup.VERSION})`);
+            }
+
+            const tree = {};
+            for (const [path, meta] of Object.entries(json('nodes.json'))) {
+                const { encoding, ...node } = meta;
+                if (node.type === 'file') {
+                    const entry = files.get('contents/' + node.id);
+                    const data = entry ? entry.data : new Uint8Array(0);
+                    node.content = encoding === 'utf-8' ? new TextDecoder().decode(data) : data.slice().buffer;
+                    // Revisions come back inline, as older backups have them; restoring moves them out of the node
+                    if (node.revisions) {
+                        const stored = (info) => files.get(`revisions/${node.id}/${info.rev}`);
+                        node.revisions = node.revisions.filter(info => info.content !== undefined || stored(info)).map(({ encoding: kind, ...info }) => {
+                            if (info.content !== undefined) return info;
+                            const bytes = stored(info).data;
+                            return { ...info, content: kind === 'utf-8' ? new TextDecoder().decode(bytes) : bytes.slice().buffer };
+                        });
+                    }
+                }
+                tree[path] = node;
+            }
+            backup = { version: manifest.version, kind: manifest.kind, name: manifest.name, created: manifest.created, tree };
+            backup.settings = files.has('settings.json') ? json('settings.json') : null;
+            backup.session = files.has('session.json') ? json('session.json') : null;
+        } else {
+            let tree = null;
+            try {
+                tree = LocalStorageBackend.parse(new TextDecoder().decode(bytes));
+            } catch (e) {
+                tree = null;
+            }
+            if (!tree || !tree['/']) throw new Error('not a YesOS backup');
+            backup = { version: 0, tree };
+        }
+
+        while (backup.version < SystemBackup.VERSION) backup = SystemBackup.MIGRATIONS[backup.version](backup);
+        if (!backup.tree['/'] || backup.tree['/'].type !== 'dir') throw new Error('backup has no root directory');
+        return backup;
+    }
+
+    // What restoring would change: paths created, overwritten and deleted, and settings keys.
+    // Subtrees in keep are left as they are (see apply).
+    static diff(vfs, backup, keep = []) {
+        const kept = (path) => keep.some(root => path === root || path.startsWith(root + '/'));
+        const tree = vfs.storedTree();
+        const changes = { added: [], modified: [], removed: [], settings: [] };
+        for (const [path, node] of Object.entries(backup.tree)) {
+            if (kept(path)) continue;
+            if (!tree[path]) changes.added.push(path);
+            else if (!SystemBackup.sameNode(tree[path], node)) changes.modified.push(path);
+        }
+        changes.removed = Object.keys(tree).filter(path => !backup.tree[path] && !kept(path));
+        Object.values(changes).forEach(list => list.sort());
+
+        if (!backup.settings) return changes;
+        const current = SystemBackup.settingsKeys();
+        const keys = [...new Set([...current, ...Object.keys(backup.settings)])].sort();
+        for (const key of keys) {
+            if (!(key in backup.settings)) changes.settings.push({ key, change: 'D' });
+            else if (!current.includes(key)) changes.settings.push({ key, change: 'A' });
+            else if (localStorage.getItem(key) !== backup.settings[key]) changes.settings.push({ key, change: 'M' });
+        }
+        return changes;
+    }
+
+    static sameNode(a, b) {
+        if (a.type !== b.type || a.mode !== b.mode || a.owner !== b.owner || a.group !== b.group) return false;
+        if (a.type === 'symlink') return a.target === b.target;
+        if (a.type !== 'file') return true;
+        if (typeof a.content === 'string' && typeof b.content === 'string') return a.content === b.content;
+        const x = new Uint8Array(VirtualFileSystem.toBuffer(a.content || ''));
+        const y = new Uint8Array(VirtualFileSystem.toBuffer(b.content || ''));
+        return x.length === y.length && x.every((byte, i) => byte === y[i]);
+    }
+
+    // git-status style listing: A created, M overwritten, D deleted
+    static formatDiff(changes) {
+        const lines = [
+            ...changes.added.map(path => 'A  ' + path),
+            ...changes.modified.map(path => 'M  ' + path),
+            ...changes.removed.map(path => 'D  ' + path),
+            ...changes.settings.map(({ key, change }) => `${change}  setting ${key}`)
+        ];
+        const total = lines.length;
+        lines.push(total ? `${changes.added.length} created, ${changes.modified.length} overwritten, ${changes.removed.length} deleted, ` +
+            `${changes.settings.length} setting(s) changed` : 'The system already matches this backup.');
+        return lines.join('\n') + '\n';
+    }
+
+    // Replaces the tree and settings (when the archive has them); the caller restores the session.
+    // Subtrees in keep survive from the current tree, e.g. the snapshots themselves.
+    static async apply(vfs, backup, keep = []) {
+        const tree = { ...backup.tree };
+        for (const root of keep.filter(path => vfs.fs[path])) {
+            Object.keys(tree).filter(path => path === root || path.startsWith(root + '/')).forEach(path => delete tree[path]);
+            vfs.walk(root).forEach(path => tree[path] = vfs.fs[path]);
+            // Reattach the subtree, borrowing any missing ancestors from the current tree
+            let child = root;
+            for (let parent = root.substring(0, root.lastIndexOf('/')) || '/'; ; parent = parent.substring(0, parent.lastIndexOf('/')) || '/') {
+                const name = child.substring(child.lastIndexOf('/') + 1);
+                if (!tree[parent]) tree[parent] = { ...vfs.fs[parent], children: [] };
+                else tree[parent] = { ...tree[parent], children: [...tree[parent].children] };
+                if (!tree[parent].children.includes(name)) tree[parent].children.push(name);
+                if (parent === '/') break;
+                child = parent;
+            }
+        }
+        await vfs.restoreTree(tree);
+        if (!backup.settings) return;
+        SystemBackup.settingsKeys().filter(key => !(key in backup.settings)).forEach(key => localStorage.removeItem(key));
+        Object.entries(backup.settings).forEach(([key, value]) => localStorage.setItem(key, value));
+    }
+}
+
+SystemBackup.VERSION = 1;
+SystemBackup.SNAPSHOT_DIR = '/var/snapshots';
+
+// MIGRATIONS[n] turns a version n backup into version n + 1
+SystemBackup.MIGRATIONS = [
+    // 0: the raw JSON tree that used to live in localStorage['vfs'] (node metadata is filled in by normalizeFS)
+    (backup) => ({ version: 1, kind: 'backup', name: null, created: null, tree: backup.tree, settings: null, session: null })
+];
+
+// Shell: tokenizer and recursive-descent parser for terminal command lines and scripts
+class ShellParser {
+    constructor(line) {
+        this.tokens = ShellParser.tokenize(line);
+        this.pos = 0;
+    }
+
+    static tokenize(line) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < line.length) {
+            const ch = line[i];
+            if (ch === ' ' || ch === '\t' || ch === '\r') {
+                i++;
+                continue;
+            }
+            if (ch === '\\' && line[i + 1] === '\n') {
+                i += 2;
+                continue;
+            }
+            if (ch === '#') {
+                while (i < line.length && line[i] !== '\n') i++;
+                continue;
+            }
+            if (ch === '\n') {
+                tokens.push({ type: 'op', value: '\n' });
+                i++;
+                continue;
+            }
+
+            const op = ShellParser.matchOperator(line, i, true);
+            if (op) {
+                tokens.push(op.token);
+                i += op.length;
+                continue;
+            }
+
+            // Words keep their quotes and escapes; Shell.expandWord removes them later
+            let raw = '';
+            while (i < line.length) {
+                const c = line[i];
+                if (c === ' ' || c === '\t' || c === '\r' || c === '\n') break;
+                if (ShellParser.matchOperator(line, i, raw === '')) break;
+
+                if (c === '\\') {
+                    raw += line.slice(i, i + 2);
+                    i += 2;
+                } else if (c === "'") {
+                    const end = line.indexOf("'", i + 1);
+                    if (end < 0) throw new Error("unexpected EOF while looking for matching `''");
+                    raw += line.slice(i, end + 1);
+                    i = end + 1;
+                } else if (c === '"') {
+                    let end = i + 1;
+                    while (end < line.length && line[end] !== '"') {
+                        end += line[end] === '\\' ? 2 : 1;
+                    }
+                    if (end >= line.length) throw new Error('unexpected EOF while looking for matching `"\'');
+                    raw += line.slice(i, end + 1);
+                    i = end + 1;
+                } else if (c === '$' && line[i + 1] === '(') {
+                    // $(( arithmetic )) may contain spaces, so scan to the balancing paren
+                    let depth = 0;
+                    let end = i + 1;
+                    for (; end < line.length; end++) {
+                        if (line[end] === '(') depth++;
+                        if (line[end] === ')' && --depth === 0) break;
+                    }
+                    if (end >= line.length) throw new Error("unexpected EOF while looking for matching `)'");
+                    raw += line.slice(i, end + 1);
+                    i = end + 1;
+                } else {
+                    raw += c;
+                    i++;
+                }
+            }
+            tokens.push({ type: 'word', value: raw });
+        }
+
+        return tokens;
+    }
+
+    // Operators and redirections; a leading fd number ("2>") only counts at the start of a word
+    static matchOperator(line, i, wordStart) {
+        const rest = line.slice(i);
+        const redir = rest.match(wordStart ? /^(\d*)(>>|>&|>|<)/ : /^()(>>|>&|>|<)/);
+        if (redir) {
+            const op = redir[2];
+            const fd = redir[1] ? parseInt(redir[1]) : (op === '<' ? 0 : 1);
+            return { token: { type: 'redir', op, fd }, length: redir[0].length };
+        }
+        const control = rest.match(/^(&&|\|\||;|\|)/);
+        if (control) return { token: { type: 'op', value: control[1] }, length: control[1].length };
+        return null;
+    }
+
+    peek() {
+        return this.tokens[this.pos];
+    }
+
+    isOp(value) {
+        const tok = this.peek();
+        return tok && tok.type === 'op' && tok.value === value;
+    }
+
+    // Reserved words only count when unquoted and in command position
+    isWord(...values) {
+        const tok = this.peek();
+        return tok && tok.type === 'word' && values.includes(tok.value);
+    }
+
+    accept(value) {
+        if (!this.isWord(value)) return false;
+        this.pos++;
+        return true;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) throw this.unexpected();
+    }
+
+    skipNewlines() {
+        while (this.isOp('\n')) this.pos++;
+    }
+
+    unexpected() {
+        const tok = this.peek();
+        const text = !tok || tok.value === '\n' ? 'newline' : (tok.value || tok.op);
+        return new Error(`syntax error near unexpected token \`${text}'`);
+    }
+
+    parse() {
+        const list = this.parseList(ShellParser.CLOSERS);
+        if (this.pos < this.tokens.length) throw this.unexpected();
+        return list;
+    }
+
+    // list := and_or ((';' | '\n') and_or)*, ending before EOF or one of the terminator words
+    parseList(terminators) {
+        const items = [];
+        this.skipNewlines();
+        while (this.pos < this.tokens.length && !this.isWord(...terminators)) {
+            items.push(this.parseAndOr());
+            if (!this.isOp(';') && !this.isOp('\n')) break;
+            this.pos++;
+            this.skipNewlines();
+        }
+        return { type: 'list', items };
+    }
+
+    // A list that must contain at least one command (if/while/for bodies)
+    parseBody(terminators) {
+        const list = this.parseList(terminators);
+        if (!list.items.length) throw this.unexpected();
+        return list;
+    }
+
+    // and_or := pipeline (('&&' | '||') pipeline)*
+    parseAndOr() {
+        const node = { type: 'andor', first: this.parsePipeline(), rest: [] };
+        while (this.isOp('&&') || this.isOp('||')) {
+            const op = this.tokens[this.pos++].value;
+            this.skipNewlines();
+            node.rest.push({ op, pipeline: this.parsePipeline() });
+        }
+        return node;
+    }
+
+    // pipeline := ['!'] command ('|' command)*
+    parsePipeline() {
+        const node = { type: 'pipeline', negate: false, commands: [] };
+        if (this.accept('!')) node.negate = true;
+        node.commands.push(this.parseCommand());
+        while (this.isOp('|')) {
+            this.pos++;
+            this.skipNewlines();
+            node.commands.push(this.parseCommand());
+        }
+        return node;
+    }
+
+    // command := compound redirection* | function definition | simple command
+    parseCommand() {
+        const tok = this.peek();
+        const next = this.tokens[this.pos + 1];
+
+        let compound = null;
+        if (this.isWord('if')) compound = this.parseIf();
+        else if (this.isWord('while', 'until')) compound = this.parseWhile();
+        else if (this.isWord('for')) compound = this.parseFor();
+        else if (this.isWord('{')) compound = this.parseGroup();
+        else if (this.isWord('function')) {
+            this.pos++;
+            const name = this.peek();
+            if (!name || name.type !== 'word') throw this.unexpected();
+            this.pos++;
+            return this.parseFunction(name.value.replace(/\(\)$/, ''));
+        } else if (tok && tok.type === 'word' && /^[A-Za-z_][\w-]*\(\)$/.test(tok.value)) {
+            this.pos++;
+            return this.parseFunction(tok.value.slice(0, -2));
+        } else if (tok && tok.type === 'word' && next && next.type === 'word' && next.value === '()') {
+            this.pos += 2;
+            return this.parseFunction(tok.value);
+        }
+
+        if (compound) {
+            compound.redirects = [];
+            while (this.peek() && this.peek().type === 'redir') compound.redirects.push(this.parseRedirect());
+            return compound;
+        }
+        return this.parseSimpleCommand();
+    }
+
+    // simple := (assignment | word | redirection)+
+    parseSimpleCommand() {
+        const node = { type: 'command', assigns: [], words: [], redirects: [] };
+        while (this.pos < this.tokens.length) {
+            const tok = this.peek();
+            const assign = tok.type === 'word' && !node.words.length && tok.value.match(/^([A-Za-z_][A-Za-z0-9_]*)=/);
+            if (assign) {
+                node.assigns.push({ name: assign[1], value: tok.value.slice(assign[0].length) });
+                this.pos++;
+            } else if (tok.type === 'word') {
+                node.words.push(tok.value);
+                this.pos++;
+            } else if (tok.type === 'redir') {
+                node.redirects.push(this.parseRedirect());
+            } else {
+                break;
+            }
+        }
+        if (!node.assigns.length && !node.words.length && !node.redirects.length) throw this.unexpected();
+        return node;
+    }
+
+    parseRedirect() {
+        const tok = this.tokens[this.pos++];
+        const target = this.peek();
+        if (!target || target.type !== 'word') throw this.unexpected();
+        this.pos++;
+        return { op: tok.op, fd: tok.fd, target: target.value };
+    }
+
+    // if list then list (elif list then list)* [else list] fi
+    parseIf() {
+        this.expect('if');
+        const node = { type: 'if', clauses: [], otherwise: null };
+        do {
+            const cond = this.parseBody(['then']);
+            this.expect('then');
+            const body = this.parseBody(['elif', 'else', 'fi']);
+            node.clauses.push({ cond, body });
+        } while (this.accept('elif'));
+        if (this.accept('else')) node.otherwise = this.parseBody(['fi']);
+        this.expect('fi');
+        return node;
+    }
+
+    // (while | until) list do list done
+    parseWhile() {
+        const until = this.tokens[this.pos++].value === 'until';
+        const cond = this.parseBody(['do']);
+        this.expect('do');
+        const body = this.parseBody(['done']);
+        this.expect('done');
+        return { type: 'while', until, cond, body };
+    }
+
+    // for name [in word*] (';' | '\n') do list done; without "in" it loops over "$@"
+    parseFor() {
+        this.expect('for');
+        const name = this.peek();
+        if (!name || name.type !== 'word' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name.value)) throw this.unexpected();
+        this.pos++;
+
+        const node = { type: 'for', name: name.value, words: null, body: null };
+        this.skipNewlines();
+        if (this.accept('in')) {
+            node.words = [];
+            while (this.peek() && this.peek().type === 'word') node.words.push(this.tokens[this.pos++].value);
+        }
+        if (this.isOp(';')) this.pos++;
+        this.skipNewlines();
+        this.expect('do');
+        node.body = this.parseBody(['done']);
+        this.expect('done');
+        return node;
+    }
+
+    // { list; }
+    parseGroup() {
+        this.expect('{');
+        const body = this.parseBody(['}']);
+        this.expect('}');
+        return { type: 'group', body };
+    }
+
+    // name() compound-command
+    parseFunction(name) {
+        if (!/^[A-Za-z_][\w-]*$/.test(name)) throw new Error(`\`${name}': not a valid identifier`);
+        this.accept('()');
+        this.skipNewlines();
+        const body = this.parseCommand();
+        if (body.type === 'command') throw new Error(`syntax error in function \`${name}': expected a compound command`);
+        return { type: 'function', name, body };
+    }
+}
+
+ShellParser.CLOSERS = ['then', 'elif', 'else', 'fi', 'do', 'done', '}'];
+
+// Thrown to unwind the executor for break, continue, return, exit and Ctrl+C
+class ShellControl {
+    constructor(type, value = 0) {
+        this.type = type;
+        this.value = value;
+    }
+}
+
+// Shell: executes parsed command lines against the built-in command table.
+// Every command gets an io object: stdin (text, or null when nothing is piped in),
+// out(text) and err(text). Its return value is the exit status.
+// Each Terminal window owns one Shell, so the working directory and variables are per-terminal;
+// scripts run in child shells created with { interactive: false }.
+class Shell {
+    constructor(os, options = {}) {
+        this.os = os;
+        this.vfs = os.vfs;
+        this.status = 0;
+        this.scriptName = 'bash';
+        this.positional = [];
+        this.functions = {};
+        this.frames = []; // one per active function call, holding values shadowed by `local`
+        this.signal = { interrupted: false };
+        this.exited = false;
+        this.user = options.user || this.vfs.user;
+        this.userStack = []; // identities to return to when a `su` session exits
+        this.terminal = options.terminal || null; // { readLine(secret) } for password prompts
+        this.cwd = this.vfs.currentDir;
+        this.vars = {
+            HOME: this.user.home,
+            PWD: this.cwd,
+            USER: this.user.name,
+            LOGNAME: this.user.name,
+            PATH: '/usr/local/bin:/usr/bin:/bin',
+            SHELL: '/bin/bash',
+            PS1: '\\u@\\h:\\w\\$ '
+        };
+        this.exported = new Set(Object.keys(this.vars));
+        this.search = null;
+        if (options.interactive === false) {
+            this.history = [];
+        } else {
+            this.loadHistory();
+        }
+    }
+
+    setVar(name, value, exported = false) {
+        this.vars[name] = value;
+        if (exported) this.exported.add(name);
+    }
+
+    unsetVar(name) {
+        delete this.vars[name];
+        this.exported.delete(name);
+    }
+
+    // Exported variables, i.e. what `env` shows
+    environment() {
+        const env = {};
+        for (const name of this.exported) {
+            if (this.vars[name] !== undefined) env[name] = this.vars[name];
+        }
+        return env;
+    }
+
+    // Value of $name, including the special and positional parameters
+    param(name) {
+        if (name === '?') return String(this.status);
+        if (name === '$') return '1';
+        if (name === '#') return String(this.positional.length);
+        if (name === '@' || name === '*') return this.positional.join(' ');
+        if (name === '0') return this.scriptName;
+        if (/^\d+$/.test(name)) return this.positional[parseInt(name) - 1] || '';
+        return this.vars[name] !== undefined ? this.vars[name] : '';
+    }
+
+    // Points the shared VFS at this shell's working directory and identity before it is used
+    bind() {
+        this.vfs.currentDir = this.cwd;
+        this.vfs.user = this.user;
+    }
+
+    chdir(path) {
+        this.bind();
+        const result = this.vfs.cd(path);
+        if (result.error) return result;
+        this.setVar('OLDPWD', this.cwd);
+        this.cwd = result.path;
+        this.setVar('PWD', this.cwd);
+        return result;
+    }
+
+    /* --- History --- */
+
+    historyFile() {
+        return (this.vars.HOME || this.user.home) + '/.bash_history';
+    }
+
+    loadHistory() {
+        this.bind();
+        const result = this.vfs.readFile(this.historyFile());
+        this.history = result.error ? [] : Shell.splitLines(result.content);
+        this.historyIndex = this.history.length;
+        this.historyDraft = '';
+    }
+
+    addHistory(line) {
+        if (!line.trim()) return;
+        this.bind();
+        this.history.push(line);
+        if (this.history.length > Shell.HISTORY_SIZE) {
+            this.history.splice(0, this.history.length - Shell.HISTORY_SIZE);
+            this.vfs.writeFile(this.historyFile(), this.history.join('\n') + '\n');
+        } else {
+            this.vfs.writeFile(this.historyFile(), line + '\n', true);
+        }
+        this.historyIndex = this.history.length;
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.historyIndex = 0;
+        this.bind();
+        this.vfs.writeFile(this.historyFile(), '');
+    }
+
+    // Moves through history for Up (-1) / Down (+1); returns the line to show, or null at either end
+    historyStep(delta, current) {
+        if (this.historyIndex === this.history.length) this.historyDraft = current;
+        const next = this.historyIndex + delta;
+        if (next < 0 || next > this.history.length) return null;
+        this.historyIndex = next;
+        return next === this.history.length ? this.historyDraft : this.history[next];
+    }
+
+    // Newest history index at or before `from` whose entry contains query, or -1
+    findHistory(query, from) {
+        for (let i = Math.min(from, this.history.length - 1); i >= 0; i--) {
+            if (this.history[i].includes(query)) return i;
+        }
+        return -1;
+    }
+
+    // History expansion: !! (last command), !n, !-n and !prefix. Single quotes protect "!".
+    expandHistory(line) {
+        let result = '';
+        let inSingle = false;
+        let inDouble = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (c === '\\') {
+                result += line.slice(i, i + 2);
+                i++;
+                continue;
+            }
+            if (c === "'" && !inDouble) inSingle = !inSingle;
+            if (c === '"' && !inSingle) inDouble = !inDouble;
+
+            const event = c === '!' && !inSingle && line.slice(i + 1).match(/^(!|-?\d+|[^\s!=()'";|&<>]+)/);
+            if (!event) {
+                result += c;
+                continue;
+            }
+
+            const ref = event[1];
+            let entry;
+            if (ref === '!') {
+                entry = this.history[this.history.length - 1];
+            } else if (/^-?\d+$/.test(ref)) {
+                const n = parseInt(ref);
+                entry = this.history[n < 0 ? this.history.length + n : n - 1];
+            } else {
+                const idx = this.history.map(h => h.startsWith(ref)).lastIndexOf(true);
+                entry = this.history[idx];
+            }
+            if (entry === undefined) return { error: `bash: !${ref}: event not found` };
+
+            result += entry;
+            i += ref.length;
+        }
+
+        return { line: result, expanded: result !== line };
+    }
+
+    /* --- Completion --- */
+
+    // Completes the word before the caret: command names in command position, VFS paths elsewhere.
+    // Returns the new line and caret, plus the candidate list when the word is ambiguous.
+    complete(line, caret) {
+        const before = line.slice(0, caret);
+        const word = before.match(/[^\s|;&<>]*$/)[0];
+        const head = before.slice(0, before.length - word.length);
+        const commandPosition = /(^|[|;&]|&&|\|\|)\s*$/.test(head);
+
+        let candidates;
+        let dirPart = '';
+        let prefix = word;
+        if (commandPosition && !word.includes('/')) {
+            candidates = Object.keys(termCommands).filter(name => name.startsWith(word)).sort();
+        } else {
+            const slash = word.lastIndexOf('/');
+            dirPart = word.slice(0, slash + 1);
+            prefix = word.slice(slash + 1).replace(/\\(.)/g, '$1');
+            let dir = (dirPart || '.').replace(/\\(.)/g, '$1');
+            if (dir.startsWith('~/')) dir = this.param('HOME') + dir.slice(1);
+            if (dir.length > 1) dir = dir.replace(/\/+$/, '') || '/';
+
+            this.bind();
+            const base = this.vfs.resolvePath(dir);
+            const listing = this.vfs.ls(base, prefix.startsWith('.'));
+            if (listing.error || !this.vfs.isDir(base)) return { line, caret, candidates: [] };
+            candidates = listing.items
+                .filter(name => name.startsWith(prefix))
+                .sort()
+                .map(name => this.vfs.isDir(this.vfs.resolvePath((base === '/' ? '' : base) + '/' + name)) ? name + '/' : name);
+        }
+
+        if (!candidates.length) return { line, caret, candidates: [] };
+
+        // A unique match is completed and terminated; several are completed to their common prefix
+        let completion = candidates[0];
+        let suffix = completion.endsWith('/') ? '' : ' ';
+        if (candidates.length > 1) {
+            completion = candidates.reduce((common, c) => {
+                let i = 0;
+                while (i < common.length && common[i] === c[i]) i++;
+                return common.slice(0, i);
+            });
+            suffix = '';
+        }
+
+        const escaped = completion.replace(/([\s'"\\$|;&<>()])/g, '\\$1');
+        const newBefore = head + dirPart + escaped + suffix;
+        const ambiguous = candidates.length > 1 && completion.length <= prefix.length;
+        return {
+            line: newBefore + line.slice(caret),
+            caret: newBefore.length,
+            candidates: ambiguous ? candidates : []
+        };
+    }
+
+    // Renders PS1: \u user, \h host, \w working dir (with ~), \W its basename, \$ prompt char
+    prompt() {
+        const home = this.vars.HOME;
+        const dir = home && (this.cwd === home || this.cwd.startsWith(home + '/'))
+            ? '~' + this.cwd.slice(home.length)
+            : this.cwd;
+        const base = dir === '/' ? '/' : dir.substring(dir.lastIndexOf('/') + 1) || dir;
+        const escapes = { u: this.user.name, h: 'yesos', w: dir, W: base, $: this.user.uid === 0 ? '#' : '$', n: '\n', '\\': '\\' };
+        return (this.vars.PS1 || '').replace(/\\([uhwW$n\\])/g, (m, c) => escapes[c]);
+    }
+
+    // Runs a command line or whole script at top level: exit, return and Ctrl+C stop here
+    async run(line, io) {
+        const ast = this.parseScript(line, io);
+        if (!ast) return this.status;
+        return this.topLevel(() => this.execList(ast, io), io);
+    }
+
+    // Sources a startup file (~/.bashrc) at top level, so exit in it ends the shell as it would at the prompt
+    runStartup(path, io) {
+        return this.topLevel(() => this.source(path, [], io), io);
+    }
+
+    async topLevel(task, io) {
+        this.signal.interrupted = false;
+        try {
+            return await task();
+        } catch (e) {
+            if (!(e instanceof ShellControl)) throw e;
+            if (e.type === 'exit' && this.userStack.length) this.endSu();
+            else if (e.type === 'exit') this.exited = true;
+            if (e.type === 'interrupt') io.err('^C\n');
+            this.status = e.type === 'break' || e.type === 'continue' ? 0 : e.value;
+            return this.status;
+        }
+    }
+
+    parseScript(text, io) {
+        try {
+            return new ShellParser(text).parse();
+        } catch (e) {
+            io.err(`${this.scriptName}: ${e.message}\n`);
+            this.status = 2;
+            return null;
+        }
+    }
+
+    // Runs a script in a child shell that inherits exported variables and the working directory
+    async runScript(text, name, args, io) {
+        const child = new Shell(this.os, { interactive: false, user: this.user, terminal: this.terminal });
+        child.vars = { ...this.environment() };
+        child.exported = new Set(Object.keys(child.vars));
+        child.cwd = this.cwd;
+        child.setVar('PWD', this.cwd);
+        child.signal = this.signal;
+        child.scriptName = name;
+        child.positional = args;
+        return child.run(text, io);
+    }
+
+    /* --- Users --- */
+
+    // Prompts on the terminal (e.g. for a password); resolves to null without a terminal or on Ctrl+C
+    async readLine(prompt, io, secret = false) {
+        if (!this.terminal) return null;
+        io.err(prompt);
+        const line = await this.terminal.readLine(secret);
+        io.err('\n');
+        this.bind();
+        return line;
+    }
+
+    // su: switch identity in place, keeping what to restore when the session exits
+    startSu(user, login) {
+        this.userStack.push({ user: this.user, vars: { ...this.vars }, exported: new Set(this.exported), cwd: this.cwd });
+        this.user = user;
+        this.setVar('HOME', user.home, true);
+        this.setVar('USER', user.name, true);
+        this.setVar('LOGNAME', user.name, true);
+        this.setVar('SHELL', user.shell || '/bin/bash', true);
+        if (login && this.vfs.asRoot(() => this.vfs.isDir(user.home))) {
+            this.cwd = user.home;
+            this.setVar('PWD', this.cwd);
+        }
+    }
+
+    endSu() {
+        const saved = this.userStack.pop();
+        this.user = saved.user;
+        this.vars = saved.vars;
+        this.exported = saved.exported;
+        this.cwd = saved.cwd;
+        this.bind();
+    }
+
+    // Runs a file in this shell (source / .); only "return" ends it early
+    async source(path, args, io) {
+        this.bind();
+        const file = this.vfs.readFile(path);
+        if (file.error) {
+            io.err(`bash: ${path}: No such file or directory\n`);
+            return 1;
+        }
+        const ast = this.parseScript(file.content, io);
+        if (!ast) return 2;
+
+        const savedArgs = this.positional;
+        if (args.length) this.positional = args;
+        try {
+            return await this.execList(ast, io);
+        } catch (e) {
+            if (!(e instanceof ShellControl) || e.type !== 'return') throw e;
+            this.status = e.value;
+            return e.value;
+        } finally {
+            this.positional = savedArgs;
+        }
+    }
+
+    // Called between loop iterations and commands: honours Ctrl+C and lets the page repaint
+    async checkpoint(iteration = 0) {
+        if (this.signal.interrupted) throw new ShellControl('interrupt', 130);
+        if (iteration % 200 === 199) await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    async execNode(node, io) {
+        switch (node.type) {
+            case 'list': return this.execList(node, io);
+            case 'andor': return this.execAndOr(node, io);
+            case 'pipeline': return this.execPipeline(node, io);
+            case 'command': return this.execCommand(node, io);
+            case 'function':
+                this.functions[node.name] = node.body;
+                return 0;
+            default: return this.execCompound(node, io);
+        }
+    }
+
+    async execList(node, io) {
+        let status = 0;
+        for (const item of node.items) {
+            status = await this.execAndOr(item, io);
+        }
+        return status;
+    }
+
+    async execAndOr(node, io) {
+        let status = await this.execPipeline(node.first, io);
+        for (const { op, pipeline } of node.rest) {
+            if ((op === '&&' && status === 0) || (op === '||' && status !== 0)) {
+                status = await this.execPipeline(pipeline, io);
+            }
+        }
+        return status;
+    }
+
+    // Stages run in order; each stage's stdout is buffered and becomes the next stage's stdin
+    async execPipeline(node, io) {
+        let input = io.stdin;
+        let status = 0;
+
+        for (let i = 0; i < node.commands.length; i++) {
+            const last = i === node.commands.length - 1;
+            let buffer = '';
+            const stageIO = {
+                stdin: input,
+                out: last ? io.out : (text) => { buffer += text; },
+                err: io.err
+            };
+            status = await this.execNode(node.commands[i], stageIO);
+            input = buffer;
+        }
+
+        if (node.negate) status = status === 0 ? 1 : 0;
+        this.status = status;
+        return status;
+    }
+
+    async execCommand(node, io) {
+        await this.checkpoint();
+        this.bind();
+
+        let argv, assigns;
+        try {
+            argv = node.words.flatMap(w => this.expandWord(w));
+            assigns = node.assigns.map(a => ({ name: a.name, value: this.expandWord(a.value, false)[0] || '' }));
+        } catch (e) {
+            io.err(`${this.scriptName}: ${e.message}\n`);
+            return 1;
+        }
+
+        if (argv.length) await this.fetchMounted(argv[0], [...argv, ...node.redirects.map(r => this.expandWord(r.target, false)[0])], io);
+        const redirected = this.applyRedirects(node.redirects, io);
+        if (redirected.error) {
+            io.err(redirected.error + '\n');
+            return 1;
+        }
+
+        let status = 0;
+        try {
+            if (!argv.length) {
+                // Bare assignments set shell variables
+                assigns.forEach(a => this.setVar(a.name, a.value));
+            } else {
+                // "NAME=value cmd" exports NAME to that command only
+                const saved = assigns.map(a => ({ name: a.name, value: this.vars[a.name], exported: this.exported.has(a.name) }));
+                assigns.forEach(a => this.setVar(a.name, a.value, true));
+                try {
+                    status = await this.invoke(argv[0], argv.slice(1), redirected.io);
+                } finally {
+                    saved.forEach(s => {
+                        if (s.value === undefined) this.unsetVar(s.name);
+                        else this.setVar(s.name, s.value);
+                        if (!s.exported) this.exported.delete(s.name);
+                    });
+                }
+            }
+        } finally {
+            status = this.flushRedirects(redirected.files, io) || status;
+        }
+        return status;
+    }
+
+    // Before a command runs, the mounted paths among its words (and the folder it runs in) are
+    // brought up to date with the other side (see VirtualFileSystem.fetch). Listing commands only
+    // need folders listed; others read the files they name, and with -r (or as archivers) every
+    // file below the folders they name.
+    async fetchMounted(name, args, io) {
+        if (!Object.keys(this.vfs.mounts).length) return;
+        const listing = Shell.LISTING_COMMANDS.includes(name);
+        const operands = args.slice(1).filter(arg => arg && !arg.startsWith('-')).map(arg => this.vfs.resolvePath(arg));
+        // mv only reads what it takes out of its mount
+        const leaving = name === 'mv' && operands.some(path => this.vfs.mountOf(path) !== this.vfs.mountOf(operands[operands.length - 1]));
+        const recursive = Shell.TREE_COMMANDS.includes(name) || leaving || args.some(arg => /^-[a-zA-Z]*[rR]/.test(arg));
+        const targets = [[this.vfs.currentDir, false], ...operands.map(path => [path, recursive])];
+        for (const [path, deep] of targets) {
+            if (!this.vfs.mountOf(path) || !this.vfs.exists(path)) continue;
+            const result = await this.vfs.fetch(path, { recursive: deep, contents: !listing });
+            if (result.error) io.err(`${name}: ${result.error}\n`);
+        }
+    }
+
+    // if / while / for / { } with their own redirections
+    async execCompound(node, io) {
+        const redirected = this.applyRedirects(node.redirects, io);
+        if (redirected.error) {
+            io.err(redirected.error + '\n');
+            return 1;
+        }
+        const cio = redirected.io;
+
+        let status = 0;
+        try {
+            if (node.type === 'if') {
+                const clause = await this.findClause(node.clauses, cio);
+                if (clause) status = await this.execList(clause.body, cio);
+                else if (node.otherwise) status = await this.execList(node.otherwise, cio);
+            } else if (node.type === 'while') {
+                status = await this.execLoop(async () => {
+                    const cond = await this.execList(node.cond, cio);
+                    return (cond === 0) !== node.until;
+                }, node.body, cio);
+            } else if (node.type === 'for') {
+                let values;
+                try {
+                    values = node.words ? node.words.flatMap(w => this.expandWord(w)) : [...this.positional];
+                } catch (e) {
+                    io.err(`${this.scriptName}: ${e.message}\n`);
+                    return 1;
+                }
+                let index = 0;
+                status = await this.execLoop(async () => {
+                    if (index >= values.length) return false;
+                    this.setVar(node.name, values[index++]);
+                    return true;
+                }, node.body, cio);
+            } else if (node.type === 'group') {
+                status = await this.execList(node.body, cio);
+            }
+        } finally {
+            status = this.flushRedirects(redirected.files, io) || status;
+        }
+        this.status = status;
+        return status;
+    }
+
+    async findClause(clauses, io) {
+        for (const clause of clauses) {
+            if (await this.execList(clause.cond, io) === 0) return clause;
+        }
+        return null;
+    }
+
+    // break N / continue N unwind N enclosing loops
+    async execLoop(next, body, io) {
+        let status = 0;
+        for (let n = 0; ; n++) {
+            await this.checkpoint(n);
+            if (!await next()) break;
+            try {
+                status = await this.execList(body, io);
+            } catch (e) {
+                if (!(e instanceof ShellControl) || (e.type !== 'break' && e.type !== 'continue')) throw e;
+                if (--e.value > 0) throw e;
+                status = 0;
+                if (e.type === 'break') break;
+            }
+        }
+        return status;
+    }
+
+    async invoke(name, args, io) {
+        if (this.functions[name]) return this.callFunction(name, args, io);
+
+        const command = termCommands[name];
+        if (!command) return this.execFile(name, args, io);
+
+        try {
+            const status = await command(this, args, io);
+            return typeof status === 'number' ? status : 0;
+        } catch (e) {
+            if (e instanceof ShellControl) throw e;
+            console.error(e);
+            io.err(`${name}: ${e.message}\n`);
+            return 1;
+        }
+    }
+
+    async callFunction(name, args, io) {
+        if (this.frames.length >= Shell.MAX_DEPTH) {
+            io.err(`${name}: maximum function nesting level exceeded (${Shell.MAX_DEPTH})\n`);
+            return 1;
+        }
+        const savedArgs = this.positional;
+        this.positional = args;
+        this.frames.push({});
+        try {
+            return await this.execNode(this.functions[name], io);
+        } catch (e) {
+            if (!(e instanceof ShellControl) || e.type !== 'return') throw e;
+            this.status = e.value;
+            return e.value;
+        } finally {
+            // Put back variables shadowed by `local`
+            const frame = this.frames.pop();
+            Object.entries(frame).forEach(([varName, value]) => {
+                if (value === undefined) delete this.vars[varName];
+                else this.vars[varName] = value;
+            });
+            this.positional = savedArgs;
+        }
+    }
+
+    // Scripts run by path ("./setup.sh") or found on $PATH, given read and execute permission;
+    // #!/bin/sh and #!/bin/bash are understood
+    async execFile(name, args, io) {
+        let path = null;
+        if (name.includes('/')) {
+            path = this.vfs.resolvePath(name);
+        } else {
+            path = (this.vars.PATH || '').split(':').filter(d => d)
+                .map(dir => dir.replace(/\/$/, '') + '/' + name)
+                .find(candidate => this.vfs.isFile(candidate)) || null;
+            if (!path) {
+                io.err(`bash: ${name}: command not found\n`);
+                return 127;
+            }
+        }
+
+        if (!this.vfs.exists(path)) {
+            io.err(`bash: ${name}: No such file or directory\n`);
+            return 127;
+        }
+        if (this.vfs.isDir(path)) {
+            io.err(`bash: ${name}: Is a directory\n`);
+            return 126;
+        }
+
+        const file = this.vfs.access(path, 'x') ? this.vfs.readFile(path) : { error: 'Permission denied' };
+        if (file.error) {
+            io.err(`bash: ${name}: ${file.error.replace(/^cat: /, '')}\n`);
+            return 126;
+        }
+        const text = file.content;
+        const shebang = text.match(/^#![ \t]*(\S+)(?:[ \t]+(\S+))?/);
+        if (shebang) {
+            // "#!/usr/bin/env" with nothing after it names no interpreter at all
+            const interpreter = shebang[1].endsWith('/env') ? shebang[2] : shebang[1];
+            const program = interpreter ? interpreter.substring(interpreter.lastIndexOf('/') + 1) : '';
+            if (program !== 'sh' && program !== 'bash') {
+                io.err(`bash: ${name}: ${interpreter || shebang[1]}: bad interpreter: No such file or directory\n`);
+                return 126;
+            }
+        }
+        return this.runScript(text, name, args, io);
+    }
+
+    flushRedirects(files, io) {
+        let status = 0;
+        for (const file of files) {
+            if (file.path === '/dev/null') continue;
+            const result = this.vfs.writeFile(file.path, file.text, file.append);
+            if (result.error) {
+                io.err(`bash: ${file.path}: ${result.error}\n`);
+                status = 1;
+            }
+        }
+        return status;
+    }
+
+    // Applies redirections left to right, so "> out.txt 2>&1" sends both streams to the file
+    applyRedirects(redirects, io) {
+        const result = { io: { ...io }, files: [] };
+
+        for (const r of redirects) {
+            const target = this.expandWord(r.target, false)[0];
+
+            if (r.op === '<') {
+                const file = this.vfs.readFile(target);
+                if (file.error) return { error: `bash: ${target}: ${file.error}` };
+                result.io.stdin = file.content;
+            } else if (r.op === '>&') {
+                if (target !== '1' && target !== '2') return { error: `bash: ${target}: ambiguous redirect` };
+                const stream = target === '1' ? result.io.out : result.io.err;
+                if (r.fd === 2) result.io.err = stream;
+                else result.io.out = stream;
+            } else {
+                const file = { path: target, append: r.op === '>>', text: '' };
+                const sink = (text) => { file.text += text; };
+                result.files.push(file);
+                if (r.fd === 2) result.io.err = sink;
+                else result.io.out = sink;
+            }
+        }
+
+        return result;
+    }
+
+    // Expands one raw word into fields: tilde, $VAR / ${VAR} / ${VAR:-default}, $? and $$,
+    // then quote removal. Unquoted expansions are split on whitespace unless split is false.
+    expandWord(raw, split = true) {
+        const fields = [];
+        let word = '';
+        let pattern = ''; // the word with quoted glob characters escaped, for pathname expansion
+        let quoted = false; // a quoted "" still produces an (empty) argument
+        let emptyAt = false; // ...except a quoted "$@" with no positional parameters
+
+        const add = (text, active) => {
+            word += text;
+            pattern += active ? text : text.replace(/[*?[\]\\]/g, '\\$&');
+        };
+        const endField = () => {
+            fields.push({ word, pattern });
+            word = '';
+            pattern = '';
+        };
+        const addExpansion = (value, inQuotes) => {
+            if (inQuotes || !split) {
+                add(value, false);
+                return;
+            }
+            value.split(/[ \t\n]+/).forEach((part, idx) => {
+                if (idx > 0 && (word || quoted)) {
+                    endField();
+                    quoted = false;
+                }
+                add(part, true);
+            });
+        };
+
+        if (raw === '~' || raw.startsWith('~/')) {
+            add(this.param('HOME'), false);
+            raw = raw.slice(1);
+        }
+
+        for (let i = 0; i < raw.length; i++) {
+            const c = raw[i];
+            if (c === '\\') {
+                add(raw[++i] || '', false);
+            } else if (c === "'") {
+                const end = raw.indexOf("'", i + 1);
+                add(raw.slice(i + 1, end), false);
+                quoted = true;
+                i = end;
+            } else if (c === '"') {
+                quoted = true;
+                i++;
+                while (i < raw.length && raw[i] !== '"') {
+                    if (raw[i] === '\\' && '"\\$`'.includes(raw[i + 1])) {
+                        add(raw[i + 1], false);
+                        i += 2;
+                    } else if (raw[i] === '$') {
+                        const ref = this.readParam(raw, i);
+                        if (ref.fields) {
+                            // "$@" keeps each positional parameter as its own field
+                            ref.fields.forEach((field, idx) => {
+                                if (idx > 0) endField();
+                                add(field, false);
+                            });
+                            emptyAt = !ref.fields.length;
+                        } else {
+                            addExpansion(ref.value, true);
+                        }
+                        i = ref.end;
+                    } else {
+                        add(raw[i++], false);
+                    }
+                }
+            } else if (c === '$') {
+                const ref = this.readParam(raw, i);
+                addExpansion(ref.value, false);
+                i = ref.end - 1;
+            } else {
+                add(c, true);
+            }
+        }
+
+        if (word || (quoted && !emptyAt)) endField();
+        if (!split) return fields.map(f => f.word);
+        // Unquoted *, ? and [...] match paths; a pattern matching nothing stays as written
+        return fields.flatMap(f => Shell.hasGlob(f.pattern) ? this.glob(f.pattern) || [f.word] : [f.word]);
+    }
+
+    static hasGlob(pattern) {
+        return /(^|[^\\])(\\\\)*([*?]|\[[^\]]*\])/.test(pattern);
+    }
+
+    // One path component pattern as a RegExp: *, ?, [abc], [a-z] and [!abc]
+    static globRegExp(segment) {
+        let source = '';
+        for (let i = 0; i < segment.length; i++) {
+            const c = segment[i];
+            if (c === '\\') {
+                source += (segment[++i] || '').replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            } else if (c === '*') {
+                source += '.*';
+            } else if (c === '?') {
+                source += '.';
+            } else if (c === '[' && segment.indexOf(']', i + 2) > -1) {
+                const close = segment.indexOf(']', i + 2);
+                let set = segment.slice(i + 1, close);
+                if (set[0] === '!') set = '^' + set.slice(1);
+                source += '[' + set.replace(/\\/g, '\\\\') + ']';
+                i = close;
+            } else {
+                source += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            }
+        }
+        return new RegExp('^' + source + '$');
+    }
+
+    // Pathname expansion; "**" as a whole component matches any number of directories.
+    // Returns the sorted matches as they would be typed, or null when nothing matches.
+    glob(pattern) {
+        this.bind();
+        const absolute = pattern.startsWith('/');
+        const segments = pattern.split('/').filter((s, i, all) => s !== '' || i === all.length - 1);
+        const trailingSlash = segments[segments.length - 1] === '';
+        if (trailingSlash) segments.pop();
+
+        const join = (shown, name) => shown === '' ? name : shown.endsWith('/') ? shown + name : shown + '/' + name;
+        const children = (dir, hidden) => {
+            const listing = this.vfs.ls(dir, hidden);
+            return listing.error || !this.vfs.isDir(dir) ? [] : listing.items;
+        };
+
+        // Each candidate is { shown, real } with real the resolved VFS path
+        let candidates = [{ shown: absolute ? '/' : '', real: this.vfs.resolvePath(absolute ? '/' : '.') }];
+        for (const segment of segments) {
+            const next = [];
+            if (segment === '**') {
+                const descend = (c) => {
+                    next.push(c);
+                    children(c.real, false).forEach(name => {
+                        const real = this.vfs.resolvePath(join(c.real, name), false);
+                        if (this.vfs.isDir(real)) descend({ shown: join(c.shown, name), real });
+                    });
+                };
+                candidates.forEach(descend);
+            } else if (!Shell.hasGlob(segment)) {
+                const name = segment.replace(/\\(.)/g, '$1');
+                candidates.forEach(c => {
+                    const real = this.vfs.resolvePath(join(c.real, name));
+                    if (this.vfs.exists(real)) next.push({ shown: join(c.shown, name), real });
+                });
+            } else {
+                const regex = Shell.globRegExp(segment);
+                candidates.forEach(c => {
+                    children(c.real, segment.startsWith('.')).filter(name => regex.test(name)).forEach(name => {
+                        next.push({ shown: join(c.shown, name), real: this.vfs.resolvePath(join(c.real, name)) });
+                    });
+                });
+            }
+            candidates = next;
+        }
+
+        if (trailingSlash) candidates = candidates.filter(c => this.vfs.isDir(c.real)).map(c => ({ ...c, shown: c.shown + '/' }));
+        const matches = [...new Set(candidates.map(c => c.shown).filter(shown => shown !== ''))].sort();
+        return matches.length ? matches : null;
+    }
+
+    // Reads the parameter reference starting at raw[i] === '$'; a lone "$" stays literal
+    readParam(raw, i) {
+        const rest = raw.slice(i + 1);
+        if (rest.startsWith('((')) {
+            let depth = 0;
+            let close = i + 1;
+            for (; close < raw.length; close++) {
+                if (raw[close] === '(') depth++;
+                if (raw[close] === ')' && --depth === 0) break;
+            }
+            return { value: String(this.arith(raw.slice(i + 3, close - 1))), end: close + 1 };
+        }
+        if (rest.startsWith('(')) throw new Error('command substitution $(...) is not supported');
+        if (rest.startsWith('@')) {
+            return { value: this.param('@'), fields: [...this.positional], end: i + 2 };
+        }
+        if (rest.startsWith('{')) {
+            const close = rest.indexOf('}');
+            if (close < 0) throw new Error('bad substitution');
+            const body = rest.slice(1, close);
+            const match = body.match(/^([A-Za-z_][A-Za-z0-9_]*|\d+|[?$#@*])(?::-(.*))?$/s);
+            if (!match) throw new Error(`\${${body}}: bad substitution`);
+            let value = this.param(match[1]);
+            if (value === '' && match[2] !== undefined) value = this.expandWord(match[2], false)[0] || '';
+            return { value, end: i + close + 2 };
+        }
+        const name = rest.match(/^([A-Za-z_][A-Za-z0-9_]*|[?$#@*0-9])/);
+        if (!name) return { value: '$', end: i + 1 };
+        return { value: this.param(name[1]), end: i + 1 + name[1].length };
+    }
+
+    // $(( )) arithmetic: integers, variables, + - * / %, comparisons, && || ! and parentheses
+    arith(expr) {
+        const source = expr.replace(/\$\{?([A-Za-z_][A-Za-z0-9_]*|\d+|[?#$])\}?/g, (m, name) => this.param(name));
+        const tokens = source.match(/\d+|[A-Za-z_][A-Za-z0-9_]*|&&|\|\||[<>=!]=|[-+*\/%()<>!]|\S/g) || [];
+        const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+        let pos = 0;
+
+        const apply = (op, l, r) => {
+            if ((op === '/' || op === '%') && r === 0) throw new Error('division by 0');
+            switch (op) {
+                case '||': return l || r ? 1 : 0;
+                case '&&': return l && r ? 1 : 0;
+                case '==': return l === r ? 1 : 0;
+                case '!=': return l !== r ? 1 : 0;
+                case '<': return l < r ? 1 : 0;
+                case '<=': return l <= r ? 1 : 0;
+                case '>': return l > r ? 1 : 0;
+                case '>=': return l >= r ? 1 : 0;
+                case '+': return l + r;
+                case '-': return l - r;
+                case '*': return l * r;
+                case '/': return Math.trunc(l / r);
+                case '%': return l % r;
+            }
+        };
+        const unary = () => {
+            const tok = tokens[pos++];
+            if (tok === '!') return unary() ? 0 : 1;
+            if (tok === '-') return -unary();
+            if (tok === '+') return unary();
+            if (tok === '(') {
+                const value = level(0);
+                if (tokens[pos++] !== ')') throw new Error(`${expr}: missing \`)'`);
+                return value;
+            }
+            if (/^\d+$/.test(tok)) return parseInt(tok, 10);
+            if (/^[A-Za-z_]/.test(tok)) return parseInt(this.vars[tok], 10) || 0;
+            throw new Error(`${expr}: syntax error in expression`);
+        };
+        const level = (n) => {
+            if (n === levels.length) return unary();
+            let value = level(n + 1);
+            while (levels[n].includes(tokens[pos])) {
+                const op = tokens[pos++];
+                value = apply(op, value, level(n + 1));
+            }
+            return value;
+        };
+
+        if (!tokens.length) return 0;
+        const result = level(0);
+        if (pos < tokens.length) throw new Error(`${expr}: syntax error in expression`);
+        return result;
+    }
+
+    // Evaluates a test / [ expression; throws on malformed expressions
+    evalTest(args) {
+        let pos = 0;
+        const binaryOps = ['=', '==', '!=', '-eq', '-ne', '-lt', '-le', '-gt', '-ge'];
+        const unaryOps = ['-e', '-f', '-d', '-s', '-r', '-w', '-x', '-L', '-h', '-z', '-n'];
+
+        const integer = (value) => {
+            if (!/^\s*-?\d+\s*$/.test(value)) throw new Error(`${value}: integer expression expected`);
+            return parseInt(value, 10);
+        };
+        const unary = (op, operand) => {
+            if (op === '-z') return operand === '';
+            if (op === '-n') return operand !== '';
+            if (op === '-L' || op === '-h') return this.vfs.isSymlink(this.vfs.resolvePath(operand, false));
+            const path = this.vfs.resolvePath(operand);
+            switch (op) {
+                case '-f': return this.vfs.isFile(path);
+                case '-d': return this.vfs.isDir(path);
+                case '-s': return this.vfs.isFile(path) ? this.vfs.stat(path).size > 0 : this.vfs.isDir(path);
+                case '-r': return this.vfs.access(path, 'r');
+                case '-w': return this.vfs.access(path, 'w');
+                case '-x': return this.vfs.access(path, 'x');
+                default: return this.vfs.exists(path);
+            }
+        };
+        const binary = (left, op, right) => {
+            switch (op) {
+                case '=':
+                case '==': return left === right;
+                case '!=': return left !== right;
+                case '-eq': return integer(left) === integer(right);
+                case '-ne': return integer(left) !== integer(right);
+                case '-lt': return integer(left) < integer(right);
+                case '-le': return integer(left) <= integer(right);
+                case '-gt': return integer(left) > integer(right);
+                case '-ge': return integer(left) >= integer(right);
+            }
+        };
+        const primary = () => {
+            const arg = args[pos];
+            if (arg === undefined) throw new Error('argument expected');
+            if (arg === '(') {
+                pos++;
+                const value = or();
+                if (args[pos++] !== ')') throw new Error("`)' expected");
+                return value;
+            }
+            if (binaryOps.includes(args[pos + 1]) && args[pos + 2] !== undefined) {
+                pos += 3;
+                return binary(arg, args[pos - 2], args[pos - 1]);
+            }
+            if (unaryOps.includes(arg) && args[pos + 1] !== undefined) {
+                pos += 2;
+                return unary(arg, args[pos - 1]);
+            }
+            pos++;
+            return arg !== '';
+        };
+        const not = () => {
+            if (args[pos] === '!' && args[pos + 1] !== undefined) {
+                pos++;
+                return !not();
+            }
+            return primary();
+        };
+        const and = () => {
+            let value = not();
+            while (args[pos] === '-a') {
+                pos++;
+                const right = not();
+                value = value && right;
+            }
+            return value;
+        };
+        const or = () => {
+            let value = and();
+            while (args[pos] === '-o') {
+                pos++;
+                const right = and();
+                value = value || right;
+            }
+            return value;
+        };
+
+        if (!args.length) return false;
+        const result = or();
+        if (pos < args.length) throw new Error(`${args[pos]}: unexpected operator`);
+        return result;
+    }
+
+    // Splits "-la" style short flags from operands; everything after "--" is an operand
+    static parseArgs(args) {
+        const flags = new Set();
+        const operands = [];
+        let onlyOperands = false;
+        for (const arg of args) {
+            if (onlyOperands || !arg.startsWith('-') || arg === '-') {
+                operands.push(arg);
+            } else if (arg === '--') {
+                onlyOperands = true;
+            } else {
+                for (const f of arg.slice(1)) flags.add(f);
+            }
+        }
+        return { flags, operands };
+    }
+
+    // 1.5K / 12M style sizes for ls -h
+    static humanSize(bytes) {
+        const units = ['', 'K', 'M', 'G', 'T'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        if (!unit) return String(bytes);
+        return (value < 10 ? (Math.ceil(value * 10) / 10).toFixed(1) : Math.ceil(value)) + units[unit];
+    }
+
+    // "Oct 19 14:03" for recent files, "Oct 19  2024" for anything older than six months
+    static formatLsDate(ms) {
+        const d = new Date(ms);
+        const month = Shell.MONTHS[d.getMonth()];
+        const day = String(d.getDate()).padStart(2);
+        if (Math.abs(Date.now() - ms) < 182 * 24 * 60 * 60 * 1000) {
+            return `${month} ${day} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+        }
+        return `${month} ${day}  ${d.getFullYear()}`;
+    }
+
+    // "2025-10-19 14:03:22"
+    static formatTime(ms) {
+        const d = new Date(ms);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+    }
+
+    // Splits text into lines without the empty entry after a trailing newline
+    static splitLines(text) {
+        const lines = text.split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    }
+
+    // Reads the named files, or stdin when none are given
+    static readInputs(sh, name, files, io) {
+        if (!files.length) {
+            if (io.stdin === null) return { error: `${name}: missing file operand` };
+            return { inputs: [{ name: '', content: io.stdin }] };
+        }
+        const inputs = [];
+        for (const file of files) {
+            const result = sh.vfs.readFile(file);
+            if (result.error) return { error: result.error };
+            inputs.push({ name: file, content: result.content });
+        }
+        return { inputs };
+    }
+
+    // getopt(3)-style parsing: spec lists the option letters, "x:" for ones that take a value.
+    // Options may follow operands, as with GNU tools.
+    static getopt(args, spec) {
+        const flags = new Set();
+        const values = {};
+        const operands = [];
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '--') {
+                operands.push(...args.slice(i + 1));
+                break;
+            }
+            if (!arg.startsWith('-') || arg === '-') {
+                operands.push(arg);
+                continue;
+            }
+            for (let j = 1; j < arg.length; j++) {
+                const at = spec.indexOf(arg[j]);
+                if (at < 0) return { error: `invalid option -- '${arg[j]}'` };
+                flags.add(arg[j]);
+                if (spec[at + 1] === ':') {
+                    const value = j + 1 < arg.length ? arg.slice(j + 1) : args[++i];
+                    if (value === undefined) return { error: `option requires an argument -- '${arg[j]}'` };
+                    values[arg[j]] = value;
+                    break;
+                }
+            }
+        }
+        return { flags, values, operands };
+    }
+
+    // grep/sed patterns as a JS RegExp: POSIX basic syntax (\( \) \{ \} \+ \? \|) unless extended
+    static regex(pattern, extended, flags = '') {
+        let source = pattern;
+        if (!extended) {
+            source = '';
+            for (let i = 0; i < pattern.length; i++) {
+                const c = pattern[i];
+                if (c === '\\' && i + 1 < pattern.length) {
+                    const next = pattern[++i];
+                    source += '(){}+?|'.includes(next) ? next : '\\' + next;
+                } else {
+                    source += '(){}+?|'.includes(c) ? '\\' + c : c;
+                }
+            }
+        }
+        source = source.replace(/\[:(\w+):\]/g, (m, name) => Shell.CHAR_CLASSES[name] || m);
+        return new RegExp(source, flags);
+    }
+
+    // Depth-first listing for find and grep -r, the start included; links are not followed
+    static walkTree(sh, start, errors, maxDepth = Infinity) {
+        const root = sh.vfs.resolvePath(start);
+        if (!sh.vfs.exists(root)) return null;
+        const entries = [];
+        const visit = (shown, path, depth) => {
+            const node = sh.vfs.fs[path];
+            entries.push({ shown, path, node, depth });
+            if (node.type !== 'dir' || depth >= maxDepth) return;
+            const listing = sh.vfs.ls(path, true);
+            if (listing.error) {
+                errors.push(`'${shown}': Permission denied`);
+                return;
+            }
+            listing.items.sort().forEach(name => {
+                visit(shown.endsWith('/') ? shown + name : shown + '/' + name, (path === '/' ? '' : path) + '/' + name, depth + 1);
+            });
+        };
+        visit(start, root, 0);
+        return entries;
+    }
+
+    // head and tail: -n N (or -N); tail also takes -n +N to start at line N
+    static headTail(sh, name, args, io) {
+        const opts = Shell.getopt(args.map((arg, i) => /^-\d+$/.test(arg) && args[i - 1] !== '-n' ? '-n' + arg.slice(1) : arg), 'n:qv');
+        if (opts.error) {
+            io.err(`${name}: ${opts.error}\n`);
+            return 1;
+        }
+        const count = opts.values.n === undefined ? '10' : opts.values.n;
+        if (!(name === 'tail' ? /^[+-]?\d+$/ : /^-?\d+$/).test(count)) {
+            io.err(`${name}: invalid number of lines: '${count}'\n`);
+            return 1;
+        }
+        const read = Shell.readInputs(sh, name, opts.operands, io);
+        if (read.error) {
+            io.err(read.error + '\n');
+            return 1;
+        }
+
+        const n = Math.abs(parseInt(count, 10));
+        read.inputs.forEach((input, i) => {
+            if ((read.inputs.length > 1 && !opts.flags.has('q')) || opts.flags.has('v')) {
+                io.out(`${i ? '\n' : ''}==> ${input.name || 'standard input'} <==\n`);
+            }
+            const lines = Shell.splitLines(input.content);
+            let shown;
+            if (name === 'head') shown = count.startsWith('-') ? lines.slice(0, Math.max(0, lines.length - n)) : lines.slice(0, n);
+            else shown = count.startsWith('+') ? lines.slice(Math.max(0, n - 1)) : (n ? lines.slice(-n) : []);
+            shown.forEach(l => io.out(l + '\n'));
+        });
+    }
+
+    // sed scripts: [address[,address]] then s/re/replacement/[gpiN], d or p; several separated by ;
+    // Addresses are line numbers, $ or /re/.
+    static parseSed(script, extended) {
+        const commands = [];
+        let pos = 0;
+        const fail = (message) => {
+            throw new Error(`-e expression #1, char ${pos}: ${message}`);
+        };
+        // Text up to an unescaped delimiter; "\delim" stands for the delimiter itself
+        const delimited = (delim) => {
+            let text = '';
+            while (pos < script.length && script[pos] !== delim) {
+                if (script[pos] === '\\' && script[pos + 1] === delim) {
+                    text += delim;
+                    pos += 2;
+                } else if (script[pos] === '\\') {
+                    text += script.slice(pos, pos + 2);
+                    pos += 2;
+                } else {
+                    text += script[pos++];
+                }
+            }
+            if (pos >= script.length) fail(`unterminated \`s' command`);
+            pos++;
+            return text;
+        };
+        const address = () => {
+            if (/\d/.test(script[pos])) {
+                const digits = script.slice(pos).match(/^\d+/)[0];
+                pos += digits.length;
+                return { line: parseInt(digits, 10) };
+            }
+            if (script[pos] === '$') {
+                pos++;
+                return { last: true };
+            }
+            if (script[pos] === '/') {
+                pos++;
+                return { regex: Shell.regex(delimited('/'), extended) };
+            }
+            return null;
+        };
+
+        while (pos < script.length) {
+            if (/[\s;]/.test(script[pos])) {
+                pos++;
+                continue;
+            }
+            const command = { from: address(), to: null };
+            if (command.from && script[pos] === ',') {
+                pos++;
+                command.to = address() || fail('unexpected `,\'');
+            }
+            const name = script[pos++];
+            if (name === 's') {
+                const delim = script[pos++];
+                if (!delim || delim === '\\' || delim === '\n') fail(`unterminated \`s' command`);
+                const pattern = delimited(delim);
+                const replacement = delimited(delim);
+                const flags = script.slice(pos).match(/^[gpiI\d]*/)[0];
+                pos += flags.length;
+                const ignoreCase = /[iI]/.test(flags) ? 'i' : '';
+                command.name = 's';
+                command.regex = Shell.regex(pattern, extended, 'g' + ignoreCase);
+                command.replacement = replacement;
+                command.global = flags.includes('g');
+                command.print = flags.includes('p');
+                command.nth = parseInt(flags.replace(/\D/g, ''), 10) || 1;
+            } else if (name === 'd' || name === 'p') {
+                command.name = name;
+            } else {
+                fail(name === undefined ? 'missing command' : `unknown command: \`${name}'`);
+            }
+            commands.push(command);
+        }
+        return commands;
+    }
+
+    // Expands a sed replacement for one match: & is the match, \1-\9 groups, \n a newline
+    static sedReplacement(replacement, match, groups) {
+        let out = '';
+        for (let i = 0; i < replacement.length; i++) {
+            const c = replacement[i];
+            if (c === '&') {
+                out += match;
+            } else if (c === '\\' && i + 1 < replacement.length) {
+                const next = replacement[++i];
+                if (/\d/.test(next)) out += groups[parseInt(next, 10) - 1] || '';
+                else out += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+            } else {
+                out += c;
+            }
+        }
+        return out;
+    }
+
+    // cut lists: "1,3-5,-2,7-" as a test on 1-based positions
+    static parseRanges(list) {
+        const ranges = list.split(',').map(part => {
+            const match = part.match(/^(\d*)(-?)(\d*)$/);
+            if (!match || part === '' || part === '-') return null;
+            const from = match[1] ? parseInt(match[1], 10) : 1;
+            const to = match[2] ? (match[3] ? parseInt(match[3], 10) : Infinity) : from;
+            return [from, to];
+        });
+        if (ranges.includes(null)) return null;
+        return (n) => ranges.some(([from, to]) => n >= from && n <= to);
+    }
+
+    // tr character sets: ranges (a-z), [:classes:] and \n \t \\ escapes, as an array of characters
+    static expandSet(spec) {
+        const chars = [];
+        for (let i = 0; i < spec.length; i++) {
+            const cls = spec.slice(i).match(/^\[:(\w+):\]/);
+            if (cls && Shell.CHAR_CLASSES[cls[1]]) {
+                const test = new RegExp('[' + Shell.CHAR_CLASSES[cls[1]] + ']');
+                for (let code = 0; code < 128; code++) {
+                    if (test.test(String.fromCharCode(code))) chars.push(String.fromCharCode(code));
+                }
+                i += cls[0].length - 1;
+                continue;
+            }
+            let c = spec[i];
+            if (c === '\\' && i + 1 < spec.length) {
+                const next = spec[++i];
+                c = { n: '\n', t: '\t', r: '\r', '\\': '\\' }[next] || next;
+            }
+            if (spec[i + 1] === '-' && i + 2 < spec.length) {
+                const end = spec[i + 2];
+                for (let code = c.charCodeAt(0); code <= end.charCodeAt(0); code++) chars.push(String.fromCharCode(code));
+                i += 2;
+            } else {
+                chars.push(c);
+            }
+        }
+        return chars;
+    }
+
+    // Line diff from a longest-common-subsequence table: [{ op: ' ' | '-' | '+', line }],
+    // with deletions before insertions inside each change. Past DIFF_CELLS table entries the
+    // changed middle is reported as replaced wholesale instead of matched line by line.
+    static diffLines(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const n = endA - start;
+        const m = endB - start;
+        if ((n + 1) * (m + 1) > Shell.DIFF_CELLS) {
+            return [...a.slice(0, start).map(line => ({ op: ' ', line })), ...a.slice(start, endA).map(line => ({ op: '-', line })),
+                ...b.slice(start, endB).map(line => ({ op: '+', line })), ...a.slice(endA).map(line => ({ op: ' ', line }))];
+        }
+        const table = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * (m + 1) + j] = a[start + i] === b[start + j]
+                    ? table[(i + 1) * (m + 1) + j + 1] + 1
+                    : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+            }
+        }
+
+        const ops = a.slice(0, start).map(line => ({ op: ' ', line }));
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && a[start + i] === b[start + j]) {
+                ops.push({ op: ' ', line: a[start + i] });
+                i++;
+                j++;
+            } else if (j >= m || (i < n && table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1])) {
+                ops.push({ op: '-', line: a[start + i++] });
+            } else {
+                ops.push({ op: '+', line: b[start + j++] });
+            }
+        }
+        return ops.concat(a.slice(endA).map(line => ({ op: ' ', line })));
+    }
+
+    // The hunks of diff -u (without the ---/+++ header)
+    static unifiedDiff(ops, context = 3) {
+        let a = 0;
+        let b = 0;
+        const rows = ops.map(o => {
+            const row = { ...o, a, b };
+            if (o.op !== '+') a++;
+            if (o.op !== '-') b++;
+            return row;
+        });
+        const changed = rows.map((r, i) => r.op === ' ' ? -1 : i).filter(i => i > -1);
+        if (!changed.length) return '';
+
+        const hunks = [];
+        let from = Math.max(0, changed[0] - context);
+        let to = Math.min(rows.length, changed[0] + context + 1);
+        for (const i of changed.slice(1)) {
+            if (i - context <= to) {
+                to = Math.min(rows.length, i + context + 1);
+            } else {
+                hunks.push([from, to]);
+                from = i - context;
+                to = Math.min(rows.length, i + context + 1);
+            }
+        }
+        hunks.push([from, to]);
+
+        const range = (first, length) => length === 1 ? String(first + 1) : `${length ? first + 1 : first},${length}`;
+        return hunks.map(([s, e]) => {
+            const part = rows.slice(s, e);
+            const lengthA = part.filter(r => r.op !== '+').length;
+            const lengthB = part.filter(r => r.op !== '-').length;
+            return `@@ -${range(part[0].a, lengthA)} +${range(part[0].b, lengthB)} @@\n` +
+                part.map(r => r.op + r.line + '\n').join('');
+        }).join('');
+    }
+
+    // Classic diff output: 2c2 / 4a5,6 / 7d6 with < and > lines
+    static normalDiff(ops) {
+        let a = 0;
+        let b = 0;
+        let out = '';
+        const range = (start, length) => length > 1 ? `${start + 1},${start + length}` : String(length ? start + 1 : start);
+        for (let i = 0; i < ops.length;) {
+            if (ops[i].op === ' ') {
+                a++;
+                b++;
+                i++;
+                continue;
+            }
+            const removed = [];
+            const added = [];
+            while (i < ops.length && ops[i].op !== ' ') (ops[i].op === '-' ? removed : added).push(ops[i++].line);
+            const kind = !removed.length ? 'a' : !added.length ? 'd' : 'c';
+            out += `${range(a, removed.length)}${kind}${range(b, added.length)}\n`;
+            out += removed.map(l => '< ' + l + '\n').join('');
+            if (removed.length && added.length) out += '---\n';
+            out += added.map(l => '> ' + l + '\n').join('');
+            a += removed.length;
+            b += added.length;
+        }
+        return out;
+    }
+
+    // cp / mv: SOURCE DEST or SOURCE... DIRECTORY, with -i (ask), -f (force), -n (no clobber)
+    // and, for cp, -r/-R; the last of -i/-f/-n given wins, as in coreutils
+    static async transfer(sh, name, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        const overwrite = [...args.filter(a => /^-\w+$/.test(a)).join('')].reverse().find(c => 'ifn'.includes(c)) || 'f';
+        if (operands.length < 2) {
+            io.err(`${name}: missing file operand\n`);
+            return 1;
+        }
+        const dest = operands.pop();
+        if (operands.length > 1 && !sh.vfs.isDir(sh.vfs.resolvePath(dest))) {
+            io.err(`${name}: target '${dest}' is not a directory\n`);
+            return 1;
+        }
+
+        let status = 0;
+        for (const src of operands) {
+            const target = sh.vfs.targetPath(src, dest);
+            if (sh.vfs.exists(target) && sh.vfs.resolvePath(src, false) !== target) {
+                if (overwrite === 'n') continue;
+                if (overwrite === 'i') {
+                    const answer = await sh.readLine(`${name}: overwrite '${target}'? `, io);
+                    if (!answer || !/^y/i.test(answer)) continue;
+                }
+            }
+            const result = name === 'cp'
+                ? sh.vfs.copy(src, target, flags.has('r') || flags.has('R'))
+                : sh.vfs.rename(src, target);
+            if (result.error) {
+                io.err(result.error + '\n');
+                status = 1;
+            }
+        }
+        return status;
+    }
+
+    // chmod modes: octal ("755") or symbolic clauses ("u+x,go-w", "a=r", "+t"); null if malformed
+    static parseMode(spec, mode) {
+        if (/^[0-7]{1,4}$/.test(spec)) return parseInt(spec, 8);
+        for (const clause of spec.split(',')) {
+            const match = clause.match(/^([ugoa]*)([-+=])([rwxt]*)$/);
+            if (!match) return null;
+            const who = match[1] === '' || match[1].includes('a') ? 'ugo' : match[1];
+            let bits = 0;
+            for (const c of who) {
+                const shift = { u: 6, g: 3, o: 0 }[c];
+                for (const p of match[3]) {
+                    if (p !== 't') bits |= { r: 4, w: 2, x: 1 }[p] << shift;
+                }
+            }
+            if (match[3].includes('t')) bits |= 0o1000;
+            if (match[2] === '+') mode |= bits;
+            else if (match[2] === '-') mode &= ~bits;
+            else {
+                let mask = match[3].includes('t') ? 0o1000 : 0;
+                for (const c of who) mask |= 7 << { u: 6, g: 3, o: 0 }[c];
+                mode = (mode & ~mask) | bits;
+            }
+        }
+        return mode;
+    }
+
+    // What chmod and chown change for an operand: with -R also everything below it, except the
+    // symbolic links found there, which would otherwise carry the change to their targets (-P)
+    static changeTargets(sh, operand, recursive) {
+        if (!recursive) return [sh.vfs.resolvePath(operand)];
+        return sh.vfs.walk(operand).filter((path, i) => i === 0 || !sh.vfs.isSymlink(path));
+    }
+
+    // Asks for the invoking user's password up to three times, as sudo and su do
+    static async authenticate(sh, name, prompt, io) {
+        const accounts = sh.os.accounts;
+        if (!accounts.hasPassword(name)) return accounts.verify(name, '');
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const password = await sh.readLine(prompt, io, true);
+            if (password === null) return false;
+            if (await accounts.verify(name, password)) return true;
+            if (attempt < 2) io.err('Sorry, try again.\n');
+        }
+        return false;
+    }
+}
+
+Shell.HISTORY_SIZE = 1000;
+Shell.CHAR_CLASSES = {
+    alpha: 'a-zA-Z', digit: '0-9', alnum: 'a-zA-Z0-9', upper: 'A-Z', lower: 'a-z',
+    space: ' \\t\\n\\r\\f\\v', blank: ' \\t', punct: '!-\\/:-@\\[-`{-~', xdigit: '0-9A-Fa-f'
+};
+Shell.SUDO_TIMEOUT = 5 * 60 * 1000;
+Shell.MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+Shell.MAX_DEPTH = 100;
+Shell.DIFF_CELLS = 1 << 22;
+// For fetchMounted: commands that look at names and sizes only, and ones that go through whole folders
+Shell.LISTING_COMMANDS = ['ls', 'cd', 'pwd', 'find', 'du', 'df', 'stat', 'rm', 'rmdir', 'mkdir', 'touch', 'chmod', 'chown', 'ln', 'readlink', 'trash', 'test', '[', 'mount', 'umount'];
+Shell.TREE_COMMANDS = ['find', 'du', 'zip', 'tar'];
+
+// Built-in terminal commands: (shell, args, io) => exit status
+const termCommands = {
+    help(sh, args, io) {
+        io.out(`Available commands:
+File Operations: ls [-alhtSr1], cd, pwd, mkdir, touch, rm, cp [-rifn], mv [-ifn], ln [-sf], readlink [-f], cat, stat, nano, vim
+Text Processing: echo, grep [-irnvcE], head/tail [-n N], wc, sed [-n -i -E] 's/re/repl/g', sort [-rnuk], uniq [-cdu], cut [-d -f -c], tr [-ds], diff [-u]
+Archives: zip [-r] out.zip files, unzip [-l -o -d dir] in.zip, tar -czf out.tar.gz files, tar -xzf in.tar.gz [-C dir], tar -tvf
+Trash: trash file..., trash -l, trash --empty, restore name|path (rm can trash: see Settings)
+Backup: sudo backup [file.zip], sudo backup diff file.zip, sudo backup restore [-n] [-y] file.zip
+Snapshots: sudo snapshot create NAME | list | diff NAME | restore NAME | delete NAME (file versions: editor History)
+Host folders: mount [-r] /mnt/name (asks for a folder), mount, umount /mnt/name
+Search: find [path] [-name pat] [-type f|d|l] [-mtime [+-]N] [-maxdepth N]
+Open files: open FILE (default app), open -a APP FILE, open -l FILE (apps for it), open APP, xdg-open FILE
+System Info: whoami, id, uname, date, uptime, ps, top, df, free
+Users: chmod [-R] mode, chown [-R] user[:group], su [-] [user], sudo [-u user] cmd, useradd [-m] [-G groups], passwd
+Network: ping, curl, wget
+Utilities: clear, history [n] [-c], export, unset, env, true, false
+Shell: cmd | cmd, > file, >> file, < file, 2>&1, &&, ||, ;, 'quotes' and "quotes"
+Globs: *.txt, file?.md, [abc]*, **/*.js (quote them to pass literally)
+Tab completes command names and paths
+History: Up/Down to recall, Ctrl+R to search, !! and !n to repeat
+Scripts: sh file.sh [args], ./file.sh (#!/bin/sh, after chmod +x), source file, ~/.bashrc runs at startup
+  if/elif/else/fi, for x in ...; do ...; done, while/until, name() { ...; }, test / [ ], $((1 + 2))
+  $1..$n, $#, $@, shift, local, return, exit, break, continue; Ctrl+C stops a running script
+Variables: NAME=value, $NAME, \${NAME:-default}, $? (last exit status), PS1 sets the prompt
+`);
+    },
+
+    clear(sh, args, io) {
+        io.out('\x1b[2J');
+    },
+
+    // File System Commands
+    ls(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        const path = operands[0] || '.';
+        const target = sh.vfs.resolvePath(path);
+
+        const result = sh.vfs.ls(path, flags.has('a'));
+        if (result.error) {
+            io.err(result.error + '\n');
+            return 2;
+        }
+
+        // A file operand lists just that file, under the name it was given as
+        let entries;
+        if (sh.vfs.isDir(target)) {
+            const base = target === '/' ? '' : target;
+            entries = result.items.map(name => sh.vfs.lstat(base + '/' + name)).filter(e => !e.error);
+        } else {
+            entries = [{ ...sh.vfs.lstat(path), name: path }];
+        }
+
+        entries.sort((x, y) => x.name.localeCompare(y.name));
+        if (flags.has('t')) entries.sort((x, y) => y.modified - x.modified);
+        if (flags.has('S')) entries.sort((x, y) => y.size - x.size);
+        if (flags.has('r')) entries.reverse();
+
+        if (flags.has('l')) {
+            const size = (e) => flags.has('h') ? Shell.humanSize(e.size) : String(e.size);
+            const width = Math.max(1, ...entries.map(e => size(e).length));
+            if (sh.vfs.isDir(target)) {
+                const blocks = entries.reduce((sum, e) => sum + Math.ceil(e.size / 4096) * 4, 0);
+                io.out(`total ${blocks}\n`);
+            }
+            const accounts = sh.os.accounts;
+            const owners = entries.map(e => [accounts.userName(e.owner), accounts.groupName(e.group)]);
+            const ownerWidth = Math.max(...owners.map(o => o[0].length));
+            const groupWidth = Math.max(...owners.map(o => o[1].length));
+            entries.forEach((e, i) => {
+                const mode = VirtualFileSystem.modeString(e.type, e.mode) + ' ' + e.links;
+                const [owner, group] = owners[i];
+                const name = e.type === 'symlink' ? `${e.name} -> ${e.target}` : e.name;
+                io.out(`${mode} ${owner.padEnd(ownerWidth)} ${group.padEnd(groupWidth)} ${size(e).padStart(width)} ${Shell.formatLsDate(e.modified)} ${name}\n`);
+            });
+        } else if (entries.length) {
+            io.out(entries.map(e => e.name).join(flags.has('1') ? '\n' : '  ') + '\n');
+        }
+    },
+
+    stat(sh, args, io) {
+        if (!args.length) {
+            io.err('stat: missing operand\n');
+            return 1;
+        }
+        let status = 0;
+        for (const arg of args) {
+            const info = sh.vfs.lstat(arg);
+            if (info.error) {
+                io.err(`stat: cannot stat '${arg}': No such file or directory\n`);
+                status = 1;
+                continue;
+            }
+            const kind = { dir: 'directory', symlink: 'symbolic link' }[info.type] || (info.size ? 'regular file' : 'regular empty file');
+            const accounts = sh.os.accounts;
+            const octal = info.mode.toString(8).padStart(4, '0');
+            io.out(`  File: ${info.type === 'symlink' ? `${arg} -> ${info.target}` : arg}
+  Size: ${String(info.size).padEnd(10)}\tBlocks: ${String(Math.ceil(info.size / 4096) * 8).padEnd(10)}\tIO Block: 4096   ${kind}
+Links: ${info.links}
+Access: (${octal}/${VirtualFileSystem.modeString(info.type, info.mode)})  Uid: (${String(info.owner).padStart(5)}/${accounts.userName(info.owner).padStart(8)})   Gid: (${String(info.group).padStart(5)}/${accounts.groupName(info.group).padStart(8)})
+Access: ${Shell.formatTime(info.accessed)}
+Modify: ${Shell.formatTime(info.modified)}
+Change: ${Shell.formatTime(info.changed)}
+ Birth: ${Shell.formatTime(info.created)}
+`);
+        }
+        return status;
+    },
+
+    cd(sh, args, io) {
+        let target = args[0] || sh.param('HOME') || '/';
+        if (target === '-') {
+            target = sh.param('OLDPWD');
+            if (!target) {
+                io.err('cd: OLDPWD not set\n');
+                return 1;
+            }
+            io.out(target + '\n');
+        }
+        const result = sh.chdir(target);
+        if (result.error) {
+            io.err(result.error + '\n');
+            return 1;
+        }
+    },
+
+    pwd(sh, args, io) {
+        io.out(sh.cwd + '\n');
+    },
+
+    mkdir(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        if (!operands.length) {
+            io.err('mkdir: missing operand\n');
+            return 1;
+        }
+        let status = 0;
+        for (const dir of operands) {
+            if (flags.has('p') && sh.vfs.isDir(sh.vfs.resolvePath(dir))) continue;
+            const result = sh.vfs.mkdir(dir);
+            if (result.error) {
+                io.err(result.error + '\n');
+                status = 1;
+            }
+        }
+        return status;
+    },
+
+    touch(sh, args, io) {
+        if (!args.length) {
+            io.err('touch: missing file operand\n');
+            return 1;
+        }
+        let status = 0;
+        for (const file of args) {
+            const result = sh.vfs.touch(file);
+            if (result.error) {
+                io.err(result.error + '\n');
+                status = 1;
+            }
+        }
+        return status;
+    },
+
+    rm(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        if (!operands.length) {
+            if (flags.has('f')) return 0;
+            io.err('rm: missing operand\n');
+            return 1;
+        }
+        const recursive = flags.has('r') || flags.has('R');
+        // Settings can make rm move things to the Trash; what is already there is deleted for real
+        const toTrash = localStorage.getItem('yesos_rm_trash') === '1';
+        const trash = sh.vfs.trashDir();
+        let status = 0;
+        for (const file of operands) {
+            const path = sh.vfs.resolvePath(file, false);
+            if (flags.has('f') && !sh.vfs.exists(path)) continue;
+            let result;
+            if (toTrash && path !== trash && !path.startsWith(trash + '/') && sh.vfs.exists(path)) {
+                result = sh.vfs.isDir(path) && !recursive ? { error: 'rm: cannot remove: Is a directory (use -r)' } : sh.vfs.trash(path);
+            } else {
+                result = sh.vfs.rm(file, recursive);
+            }
+            if (result.error) {
+                io.err(result.error + '\n');
+                status = 1;
+            }
+        }
+        return status;
+    },
+
+    // trash FILE... | trash -l (list) | trash --empty [NAME...]
+    trash(sh, args, io) {
+        if (args[0] === '-l' || args[0] === '--list') {
+            sh.vfs.listTrash().forEach(item => {
+                const shown = item.path && item.path.endsWith('/' + item.name) ? '' : `  (as ${item.name})`;
+                io.out(`${Shell.formatTime(item.deleted)} ${item.path || '?'}${shown}\n`);
+            });
+            return 0;
+        }
+        if (args[0] === '--empty') {
+            const result = sh.vfs.emptyTrash(args.length > 1 ? args.slice(1) : null);
+            result.errors.forEach(message => io.err(`trash: ${message}\n`));
+            return result.errors.length ? 1 : 0;
+        }
+
+        const { flags, operands } = Shell.parseArgs(args);
+        if (!operands.length) {
+            io.err('Usage: trash FILE... | trash -l | trash --empty [NAME...]\n');
+            return 1;
+        }
+        let status = 0;
+        for (const file of operands) {
+            const result = sh.vfs.trash(file);
+            if (result.error) {
+                io.err(result.error + '\n');
+                status = 1;
+            } else if (flags.has('v')) {
+                io.out(`trashed '${file}'\n`);
+            }
+        }
+        return status;
+    },
+
+    // restore NAME|PATH...: by name in the trash, or by original path (the most recent deletion)
+    restore(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        if (!operands.length) {
+            io.err('Usage: restore [-f] NAME|PATH... (see trash -l)\n');
+            return 1;
+        }
+        const items = sh.vfs.listTrash();
+        let status = 0;
+        for (const operand of operands) {
+            const original = sh.vfs.resolvePath(operand, false);
+            const item = items.find(entry => entry.name === operand) || items.find(entry => entry.path === original);
+            const result = item ? sh.vfs.restoreFromTrash(item.name, flags.has('f')) : { error: `restore: '${operand}': not in the trash` };
+            if (result.error) {
+                io.err(result.error + (result.error.endsWith('already exists') ? ' (use -f to replace it)' : '') + '\n');
+                status = 1;
+                continue;
+            }
+            items.splice(items.indexOf(item), 1);
+            if (flags.has('v')) io.out(`restored '${result.path}'\n`);
+        }
+        return status;
+    },
+
+    cp(sh, args, io) {
+        return Shell.transfer(sh, 'cp', args, io);
+    },
+
+    mv(sh, args, io) {
+        return Shell.transfer(sh, 'mv', args, io);
+    },
+
+    // ln [-s] [-f] TARGET [LINK_NAME], or several targets into a directory
+    ln(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        if (!operands.length) {
+            io.err('ln: missing file operand\n');
+            return 1;
+        }
+        const dest = operands.length > 1 ? operands.pop() : '.';
+        let status = 0;
+        for (const target of operands) {
+            // A symlink stores its target as written; only the link's own name is resolved
+            const path = sh.vfs.isDir(sh.vfs.resolvePath(dest))
+                ? sh.vfs.resolvePath(dest) + '/' + target.replace(/\/+$/, '').split('/').pop()
+                : dest;
+            if (flags.has('f') && sh.vfs.exists(sh.vfs.resolvePath(path, false))) sh.vfs.rm(path);
+            const result = flags.has('s') ? sh.vfs.symlink(target, path) : sh.vfs.link(target, path);
+            if (result.error) {
+                io.err(result.error + '\n');
+                status = 1;
+            }
+        }
+        return status;
+    },
+
+    readlink(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        let status = 0;
+        for (const operand of operands) {
+            // -f prints the canonical path with every link resolved
+            if (flags.has('f')) {
+                io.out(sh.vfs.resolvePath(operand) + '\n');
+                continue;
+            }
+            const result = sh.vfs.readlink(operand);
+            if (result.error) status = 1;
+            else io.out(result.target + '\n');
+        }
+        return status;
+    },
+
+    cat(sh, args, io) {
+        const read = Shell.readInputs(sh, 'cat', args, io);
+        if (read.error) {
+            io.err(read.error + '\n');
+            return 1;
+        }
+        read.inputs.forEach(input => io.out(input.content));
+    },
+
+    echo(sh, args, io) {
+        const noNewline = args[0] === '-n';
+        const text = (noNewline ? args.slice(1) : args).join(' ');
+        io.out(noNewline ? text : text + '\n');
+    },
+
+    // Text Processing
+    grep(sh, args, io) {
+        const opts = Shell.getopt(args, 'irRnvclLhHEFwqse:');
+        if (opts.error) {
+            io.err(`grep: ${opts.error}\n`);
+            return 2;
+        }
+        const { flags, operands } = opts;
+        const pattern = opts.values.e !== undefined ? opts.values.e : operands.shift();
+        if (pattern === undefined) {
+            io.err('Usage: grep [-irnvclhEFw] PATTERN [FILE...]\n');
+            return 2;
+        }
+        let source = flags.has('F') ? pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : pattern;
+        if (flags.has('w')) source = flags.has('F') || flags.has('E') ? `\\b(?:${source})\\b` : `\\b\\(${source}\\)\\b`;
+        let regex;
+        try {
+            regex = Shell.regex(source, flags.has('E') || flags.has('F'), flags.has('i') ? 'i' : '');
+        } catch (e) {
+            io.err(`grep: invalid regular expression: ${pattern}\n`);
+            return 2;
+        }
+
+        const recursive = flags.has('r') || flags.has('R');
+        const errors = [];
+        const inputs = [];
+        if (!operands.length) operands.push(recursive && io.stdin === null ? '.' : '-');
+        for (const operand of operands) {
+            if (operand === '-') {
+                inputs.push({ name: '(standard input)', content: io.stdin || '' });
+                continue;
+            }
+            const path = sh.vfs.resolvePath(operand);
+            if (recursive && sh.vfs.isDir(path)) {
+                const entries = Shell.walkTree(sh, operand, errors);
+                entries.filter(entry => entry.node.type === 'file').forEach(entry => {
+                    const result = sh.vfs.readFile(entry.path);
+                    if (result.error) errors.push(`${entry.shown}: ${result.error.replace(/^cat: /, '')}`);
+                    else inputs.push({ name: entry.shown, content: result.content });
+                });
+                continue;
+            }
+            const result = sh.vfs.readFile(operand);
+            if (result.error) errors.push(`${operand}: ${result.error.replace(/^cat: /, '')}`);
+            else inputs.push({ name: operand, content: result.content });
+        }
+
+        const prefixNames = flags.has('H') || (!flags.has('h') && (recursive || operands.length > 1));
+        let matched = false;
+        for (const input of inputs) {
+            const prefix = prefixNames ? input.name + ':' : '';
+            let count = 0;
+            Shell.splitLines(input.content).forEach((line, i) => {
+                if (regex.test(line) === flags.has('v')) return;
+                count++;
+                if (flags.has('c') || flags.has('l') || flags.has('L') || flags.has('q')) return;
+                io.out(prefix + (flags.has('n') ? `${i + 1}:` : '') + line + '\n');
+            });
+            if (count) matched = true;
+            if (flags.has('q') && matched) return 0;
+            if (flags.has('c')) io.out(prefix + count + '\n');
+            else if (flags.has('l') && count) io.out(input.name + '\n');
+            else if (flags.has('L') && !count) io.out(input.name + '\n');
+        }
+        if (!flags.has('s')) errors.forEach(message => io.err(`grep: ${message}\n`));
+        if (errors.length && !(flags.has('q') && matched)) return 2;
+        return matched ? 0 : 1;
+    },
+
+    wc(sh, args, io) {
+        const read = Shell.readInputs(sh, 'wc', args, io);
+        if (read.error) {
+            io.err(read.error + '\n');
+            return 1;
+        }
+        for (const input of read.inputs) {
+            const lines = (input.content.match(/\n/g) || []).length;
+            const words = input.content.split(/\s+/).filter(w => w).length;
+            const chars = input.content.length;
+            io.out(`  ${lines}  ${words}  ${chars}${input.name ? ' ' + input.name : ''}\n`);
+        }
+    },
+
+    head(sh, args, io) {
+        return Shell.headTail(sh, 'head', args, io);
+    },
+
+    tail(sh, args, io) {
+        return Shell.headTail(sh, 'tail', args, io);
+    },
+
+    find(sh, args, io) {
+        let start = 0;
+        while (start < args.length && !args[start].startsWith('-')) start++;
+        const paths = start ? args.slice(0, start) : ['.'];
+        const tests = [];
+        let minDepth = 0;
+        let maxDepth = Infinity;
+        for (let i = start; i < args.length; i++) {
+            const option = args[i];
+            if (option === '-print') continue;
+            const value = args[++i];
+            if (value === undefined) {
+                io.err(`find: missing argument to \`${option}'\n`);
+                return 1;
+            }
+            if (option === '-name' || option === '-iname') {
+                const regex = new RegExp(Shell.globRegExp(value).source, option === '-iname' ? 'i' : '');
+                tests.push(entry => regex.test(entry.shown === '/' ? '/' : entry.shown.replace(/\/+$/, '').split('/').pop()));
+            } else if (option === '-type') {
+                const type = { f: 'file', d: 'dir', l: 'symlink' }[value];
+                if (!type) {
+                    io.err(`find: Unknown argument to -type: ${value}\n`);
+                    return 1;
+                }
+                tests.push(entry => entry.node.type === type);
+            } else if (option === '-mtime') {
+                if (!/^[+-]?\d+$/.test(value)) {
+                    io.err(`find: invalid argument \`${value}' to \`-mtime'\n`);
+                    return 1;
+                }
+                const days = parseInt(value.replace(/^[+-]/, ''), 10);
+                // Like find(1): age in whole 24-hour periods, +N means more than N, -N fewer than N
+                tests.push(entry => {
+                    const age = Math.floor((Date.now() - (entry.node.modified || entry.node.created || 0)) / 86400000);
+                    if (value.startsWith('+')) return age > days;
+                    if (value.startsWith('-')) return age < days;
+                    return age === days;
+                });
+            } else if (option === '-maxdepth' || option === '-mindepth') {
+                if (!/^\d+$/.test(value)) {
+                    io.err(`find: Expected a positive decimal integer argument to ${option}, but got \`${value}'\n`);
+                    return 1;
+                }
+                if (option === '-maxdepth') maxDepth = parseInt(value, 10);
+                else minDepth = parseInt(value, 10);
+            } else {
+                io.err(`find: unknown predicate \`${option}'\n`);
+                return 1;
+            }
+        }
+
+        let status = 0;
+        for (const path of paths) {
+            const errors = [];
+            const entries = Shell.walkTree(sh, path, errors, maxDepth);
+            if (!entries) {
+                io.err(`find: '${path}': No such file or directory\n`);
+                status = 1;
+                continue;
+            }
+            entries.filter(entry => entry.depth >= minDepth && tests.every(test => test(entry)))
+                .forEach(entry => io.out(entry.shown + '\n'));
+            errors.forEach(message => io.err(`find: ${message}\n`));
+            if (errors.length) status = 1;
+        }
+        return status;
+    },
+
+    sed(sh, args, io) {
+        const opts = Shell.getopt(args, 'nirEe:');
+        if (opts.error) {
+            io.err(`sed: ${opts.error}\n`);
+            return 1;
+        }
+        const { flags, operands } = opts;
+        const script = opts.values.e !== undefined ? opts.values.e : operands.shift();
+        if (script === undefined) {
+            io.err('Usage: sed [-n] [-i] [-E] SCRIPT [FILE...]\n');
+            return 1;
+        }
+        let commands;
+        try {
+            commands = Shell.parseSed(script, flags.has('E') || flags.has('r'));
+        } catch (e) {
+            io.err(`sed: ${e.message}\n`);
+            return 1;
+        }
+        if (flags.has('i') && !operands.length) {
+            io.err('sed: no input files\n');
+            return 1;
+        }
+
+        const read = Shell.readInputs(sh, 'sed', operands, io);
+        if (read.error) {
+            io.err(read.error + '\n');
+            return 1;
+        }
+        const run = (lines, emit) => {
+            const active = commands.map(() => false);
+            lines.forEach((original, index) => {
+                let line = original;
+                let deleted = false;
+                const last = index === lines.length - 1;
+                const matches = (address) => address.last ? last
+                    : address.regex ? address.regex.test(line)
+                        : index + 1 === address.line;
+                for (let c = 0; c < commands.length && !deleted; c++) {
+                    const command = commands[c];
+                    let selected = !command.from;
+                    if (command.from && !command.to) {
+                        selected = matches(command.from);
+                    } else if (command.to) {
+                        if (active[c]) {
+                            selected = true;
+                            if (command.to.line !== undefined ? index + 1 >= command.to.line : matches(command.to)) active[c] = false;
+                        } else if (matches(command.from)) {
+                            selected = true;
+                            active[c] = command.to.line === undefined || command.to.line > index + 1;
+                        }
+                    }
+                    if (!selected) continue;
+
+                    if (command.name === 'd') {
+                        deleted = true;
+                    } else if (command.name === 'p') {
+                        emit(line);
+                    } else {
+                        let seen = 0;
+                        let replaced = false;
+                        command.regex.lastIndex = 0;
+                        line = line.replace(command.regex, (match, ...rest) => {
+                            seen++;
+                            if (seen < command.nth || (seen > command.nth && !command.global)) return match;
+                            replaced = true;
+                            return Shell.sedReplacement(command.replacement, match, rest.slice(0, -2));
+                        });
+                        if (replaced && command.print) emit(line);
+                    }
+                }
+                if (!deleted && !flags.has('n')) emit(line);
+            });
+        };
+
+        for (const input of read.inputs) {
+            const output = [];
+            run(Shell.splitLines(input.content), line => output.push(line + '\n'));
+            if (!flags.has('i')) {
+                output.forEach(line => io.out(line));
+                continue;
+            }
+            const result = sh.vfs.writeFile(input.name, output.join(''));
+            if (result.error) {
+                io.err(`sed: couldn't edit ${input.name}: ${result.error.replace(/^\w+: /, '')}\n`);
+                return 4;
+            }
+        }
+    },
+
+    sort(sh, args, io) {
+        const opts = Shell.getopt(args, 'rnufbk:t:o:');
+        if (opts.error) {
+            io.err(`sort: ${opts.error}\n`);
+            return 2;
+        }
+        const { flags, values } = opts;
+        const read = Shell.readInputs(sh, 'sort', opts.operands, io);
+        if (read.error) {
+            io.err(read.error + '\n');
+            return 2;
+        }
+
+        // -k N[,M]: compare from field N through M, split on -t or runs of blanks
+        let key = line => line;
+        if (values.k !== undefined) {
+            const match = values.k.match(/^(\d+)(?:,(\d+))?$/);
+            if (!match || match[1] === '0') {
+                io.err(`sort: invalid key: '${values.k}'\n`);
+                return 2;
+            }
+            const from = parseInt(match[1], 10) - 1;
+            const to = match[2] ? parseInt(match[2], 10) : Infinity;
+            key = line => {
+                const fields = values.t !== undefined ? line.split(values.t) : line.trim().split(/\s+/);
+                return fields.slice(from, to).join(values.t !== undefined ? values.t : ' ');
+            };
+        }
+        const normalize = text => {
+            let value = flags.has('b') ? text.trim() : text;
+            return flags.has('f') ? value.toLowerCase() : value;
+        };
+        const compare = (a, b) => {
+            const x = normalize(key(a));
+            const y = normalize(key(b));
+            if (flags.has('n')) {
+                const diff = (parseFloat(x) || 0) - (parseFloat(y) || 0);
+                if (diff) return diff;
+                if (flags.has('u')) return 0;
+            }
+            if (x !== y) return x < y ? -1 : 1;
+            return flags.has('u') ? 0 : (a < b ? -1 : a > b ? 1 : 0);
+        };
+
+        let lines = read.inputs.flatMap(input => Shell.splitLines(input.content)).sort(compare);
+        if (flags.has('r')) lines.reverse();
+        if (flags.has('u')) lines = lines.filter((line, i) => !i || compare(lines[i - 1], line) !== 0);
+        const output = lines.map(l => l + '\n').join('');
+        if (values.o === undefined) {
+            io.out(output);
+            return;
+        }
+        const result = sh.vfs.writeFile(values.o, output);
+        if (result.error) {
+            io.err(`sort: ${values.o}: ${result.error.replace(/^\w+: /, '')}\n`);
+            return 2;
+        }
+    },
+
+    uniq(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        const read = Shell.readInputs(sh, 'uniq', operands.slice(0, 1), io);
+        if (read.error) {
+            io.err(read.error + '\n');
+            return 1;
+        }
+        const same = (a, b) => flags.has('i') ? a.toLowerCase() === b.toLowerCase() : a === b;
+        const groups = [];
+        Shell.splitLines(read.inputs[0].content).forEach(line => {
+            const group = groups[groups.length - 1];
+            if (group && same(group.line, line)) group.count++;
+            else groups.push({ line, count: 1 });
+        });
+
+        const output = groups
+            .filter(group => !(flags.has('d') && group.count < 2) && !(flags.has('u') && group.count > 1))
+            .map(group => (flags.has('c') ? String(group.count).padStart(7) + ' ' : '') + group.line + '\n')
+            .join('');
+        if (operands.length < 2) {
+            io.out(output);
+            return;
+        }
+        const result = sh.vfs.writeFile(operands[1], output);
+        if (result.error) {
+            io.err(`uniq: ${operands[1]}: ${result.error.replace(/^\w+: /, '')}\n`);
+            return 1;
+        }
+    },
+
+    cut(sh, args, io) {
+        const opts = Shell.getopt(args, 'd:f:c:b:s');
+        if (opts.error) {
+            io.err(`cut: ${opts.error}\n`);
+            return 1;
+        }
+        const { flags, values } = opts;
+        const list = values.f !== undefined ? values.f : values.c !== undefined ? values.c : values.b;
+        if (list === undefined) {
+            io.err('cut: you must specify a list of bytes, characters, or fields\n');
+            return 1;
+        }
+        const selected = Shell.parseRanges(list);
+        if (!selected) {
+            io.err(`cut: invalid field range: '${list}'\n`);
+            return 1;
+        }
+        const delimiter = values.d !== undefined ? values.d : '\t';
+        if (delimiter.length !== 1) {
+            io.err('cut: the delimiter must be a single character\n');
+            return 1;
+        }
+        const read = Shell.readInputs(sh, 'cut', opts.operands, io);
+        if (read.error) {
+            io.err(read.error + '\n');
+            return 1;
+        }
+
+        read.inputs.forEach(input => {
+            Shell.splitLines(input.content).forEach(line => {
+                if (values.f === undefined) {
+                    io.out([...line].filter((c, i) => selected(i + 1)).join('') + '\n');
+                } else if (!line.includes(delimiter)) {
+                    if (!flags.has('s')) io.out(line + '\n');
+                } else {
+                    io.out(line.split(delimiter).filter((f, i) => selected(i + 1)).join(delimiter) + '\n');
+                }
+            });
+        });
+    },
+
+    tr(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        const needed = flags.has('d') && !flags.has('s') ? 1 : flags.has('d') || !flags.has('s') ? 2 : 1;
+        if (operands.length < needed) {
+            io.err(`tr: missing operand\n`);
+            return 1;
+        }
+        if (io.stdin === null) {
+            io.err('tr: no input (tr only reads standard input)\n');
+            return 1;
+        }
+        const from = Shell.expandSet(operands[0]);
+        const to = operands[1] !== undefined ? Shell.expandSet(operands[1]) : [];
+        const inFrom = new Set(from);
+        const squeeze = new Set(flags.has('d') ? to : (to.length ? to : from));
+
+        let output = '';
+        for (const c of io.stdin) {
+            let out = c;
+            if (flags.has('d')) {
+                if (inFrom.has(c)) continue;
+            } else if (to.length && inFrom.has(c)) {
+                out = to[Math.min(from.lastIndexOf(c), to.length - 1)];
+            }
+            if (flags.has('s') && squeeze.has(out) && output.endsWith(out)) continue;
+            output += out;
+        }
+        io.out(output);
+    },
+
+    diff(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        if (operands.length !== 2) {
+            io.err(`diff: ${operands.length < 2 ? 'missing operand' : `extra operand '${operands[2]}'`}\n`);
+            return 2;
+        }
+        const files = [];
+        for (const operand of operands) {
+            if (operand === '-') {
+                files.push({ name: '-', content: io.stdin || '', modified: Date.now() });
+                continue;
+            }
+            const result = sh.vfs.readFile(operand);
+            if (result.error) {
+                io.err(`diff: ${operand}: ${result.error.replace(/^cat: /, '')}\n`);
+                return 2;
+            }
+            const stat = sh.vfs.stat(operand);
+            files.push({ name: operand, content: result.content, modified: stat.modified });
+        }
+        const ops = Shell.diffLines(Shell.splitLines(files[0].content), Shell.splitLines(files[1].content));
+        if (!ops.some(o => o.op !== ' ')) return 0;
+
+        if (flags.has('q')) {
+            io.out(`Files ${operands[0]} and ${operands[1]} differ\n`);
+        } else if (flags.has('u')) {
+            io.out(`--- ${files[0].name}\t${Shell.formatTime(files[0].modified)}\n`);
+            io.out(`+++ ${files[1].name}\t${Shell.formatTime(files[1].modified)}\n`);
+            io.out(Shell.unifiedDiff(ops));
+        } else {
+            io.out(Shell.normalDiff(ops));
+        }
+        return 1;
+    },
+
+    // Archives
+    async zip(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        if (operands.length < 2) {
+            io.err('Usage: zip [-r] [-q] archive.zip file...\n');
+            return 1;
+        }
+        const archive = /\.[^/]*$/.test(operands[0]) ? operands[0] : operands[0] + '.zip';
+        const { entries, errors } = Archive.collect(sh.vfs, operands.slice(1), flags.has('r'));
+        errors.forEach(message => io.err(`zip warning: ${message}\n`));
+        if (!entries.length) {
+            io.err('zip error: Nothing to do!\n');
+            return 12;
+        }
+        const data = await Archive.zip(entries, (entry, size, stored) => {
+            if (flags.has('q')) return;
+            const how = stored < size ? `deflated ${Math.round((1 - stored / size) * 100)}%` : 'stored 0%';
+            io.out(`  adding: ${entry.name}${entry.type === 'dir' ? '/' : ''} (${how})\n`);
+        });
+        const result = sh.vfs.writeFile(archive, data, false, 'application/zip');
+        if (result.error) {
+            io.err(`zip error: ${archive}: ${result.error.replace(/^\w+: /, '')}\n`);
+            return 15;
+        }
+        return errors.length ? 18 : 0;
+    },
+
+    async unzip(sh, args, io) {
+        const opts = Shell.getopt(args, 'lonqd:');
+        if (opts.error || !opts.operands.length) {
+            io.err(`${opts.error ? 'unzip: ' + opts.error + '\n' : ''}Usage: unzip [-l] [-o | -n] [-q] [-d dir] archive.zip\n`);
+            return 10;
+        }
+        const { flags, values } = opts;
+        const name = opts.operands[0];
+        const read = sh.vfs.readBinary(name);
+        if (read.error) {
+            io.err(`unzip: cannot find or open ${name}: ${read.error.replace(/^cat: /, '')}\n`);
+            return 9;
+        }
+        let entries;
+        try {
+            entries = await Archive.unzip(new Uint8Array(read.data));
+        } catch (e) {
+            io.err(`unzip: ${name}: ${e.message}\n`);
+            return 9;
+        }
+
+        if (flags.has('l')) {
+            io.out('  Length      Date    Time    Name\n---------  ---------- -----   ----\n');
+            let total = 0;
+            entries.forEach(entry => {
+                const size = entry.data ? entry.data.length : 0;
+                total += size;
+                io.out(`${String(size).padStart(9)}  ${Shell.formatTime(entry.mtime).slice(0, 16)}   ${entry.name}${entry.type === 'dir' ? '/' : ''}\n`);
+            });
+            io.out(`---------                     -------\n${String(total).padStart(9)}                     ${entries.length} file${entries.length === 1 ? '' : 's'}\n`);
+            return 0;
+        }
+
+        if (!flags.has('q')) io.out(`Archive:  ${name}\n`);
+        const result = Archive.extract(sh.vfs, entries, values.d || '.', flags.has('o'));
+        if (!flags.has('q')) {
+            entries.filter(entry => entry.type !== 'dir' && !result.skipped.includes(entry.name)).forEach(entry => io.out(`  inflating: ${entry.name}\n`));
+        }
+        if (!flags.has('n')) result.skipped.forEach(path => io.err(`unzip: ${path} exists, not overwritten (use -o to replace)\n`));
+        result.errors.forEach(message => io.err(`unzip: ${message}\n`));
+        return result.errors.length ? 50 : 0;
+    },
+
+    // tar -c/-x/-t with -f archive, -z for gzip, -v to list names, -C dir; "tar czf" works too
+    async tar(sh, args, io) {
+        if (args.length && !args[0].startsWith('-')) args = ['-' + args[0], ...args.slice(1)];
+        const opts = Shell.getopt(args, 'cxtzvkf:C:');
+        if (opts.error) {
+            io.err(`tar: ${opts.error}\n`);
+            return 2;
+        }
+        const { flags, values, operands } = opts;
+        const modes = ['c', 'x', 't'].filter(mode => flags.has(mode));
+        if (modes.length !== 1) {
+            io.err("tar: You must specify one of the '-ctx' options\n");
+            return 2;
+        }
+        if (values.f === undefined) {
+            io.err('tar: an archive must be given with -f (standard input and output are not supported)\n');
+            return 2;
+        }
+
+        if (modes[0] === 'c') {
+            if (!operands.length) {
+                io.err('tar: Cowardly refusing to create an empty archive\n');
+                return 2;
+            }
+            const previous = sh.vfs.currentDir;
+            if (values.C !== undefined) {
+                const moved = sh.vfs.cd(values.C);
+                if (moved.error) {
+                    io.err(`tar: ${values.C}: Cannot open: No such file or directory\n`);
+                    return 2;
+                }
+            }
+            const { entries, errors } = Archive.collect(sh.vfs, operands);
+            sh.vfs.currentDir = previous;
+            if (operands.some(operand => operand.startsWith('/'))) io.err("tar: Removing leading '/' from member names\n");
+            errors.forEach(message => io.err(`tar: ${message}\n`));
+            if (flags.has('v')) entries.forEach(entry => io.out(entry.name + (entry.type === 'dir' ? '/' : '') + '\n'));
+            let data = Archive.tar(entries);
+            if (flags.has('z')) data = await Archive.transform(data, new CompressionStream('gzip'));
+            const result = sh.vfs.writeFile(values.f, data, false, flags.has('z') ? 'application/gzip' : 'application/x-tar');
+            if (result.error) {
+                io.err(`tar: ${values.f}: Cannot open: ${result.error.replace(/^\w+: /, '')}\n`);
+                return 2;
+            }
+            return errors.length ? 2 : 0;
+        }
+
+        const read = sh.vfs.readBinary(values.f);
+        if (read.error) {
+            io.err(`tar: ${values.f}: Cannot open: ${read.error.replace(/^cat: /, '')}\n`);
+            return 2;
+        }
+        let entries;
+        try {
+            const bytes = new Uint8Array(read.data);
+            // Compression is detected from the data, so -z is optional when reading
+            entries = Archive.untar(Archive.detect(bytes) === 'gzip' ? await Archive.transform(bytes, new DecompressionStream('gzip')) : bytes);
+        } catch (e) {
+            io.err(`tar: ${values.f}: ${e.message}\n`);
+            return 2;
+        }
+        if (operands.length) {
+            entries = entries.filter(entry => operands.some(operand => {
+                const name = operand.replace(/\/+$/, '');
+                return entry.name === name || entry.name.startsWith(name + '/');
+            }));
+        }
+
+        if (modes[0] === 't') {
+            entries.forEach(entry => {
+                const name = entry.name + (entry.type === 'dir' ? '/' : '') + (entry.type === 'symlink' ? ' -> ' + entry.target : '');
+                if (!flags.has('v')) {
+                    io.out(name + '\n');
+                    return;
+                }
+                const type = { dir: 'dir', symlink: 'symlink' }[entry.type] || 'file';
+                const size = entry.data ? entry.data.length : 0;
+                io.out(`${VirtualFileSystem.modeString(type, entry.mode)} ${String(size).padStart(8)} ${Shell.formatTime(entry.mtime).slice(0, 16)} ${name}\n`);
+            });
+            return 0;
+        }
+
+        if (flags.has('v')) entries.forEach(entry => io.out(entry.name + (entry.type === 'dir' ? '/' : '') + '\n'));
+        const result = Archive.extract(sh.vfs, entries, values.C || '.', !flags.has('k'));
+        result.skipped.forEach(path => io.err(`tar: ${path}: Cannot open: File exists\n`));
+        result.errors.forEach(message => io.err(`tar: ${message}\n`));
+        return result.errors.length || result.skipped.length ? 2 : 0;
+    },
+
+    // backup [create] [FILE] | backup restore [-n] [-y] FILE | backup diff FILE
+    async backup(sh, args, io) {
+        const sub = ['create', 'restore', 'diff'].includes(args[0]) ? args[0] : 'create';
+        const opts = Shell.getopt(args[0] === sub ? args.slice(1) : args, 'ny');
+        if (opts.error) {
+            io.err(`backup: ${opts.error}\n`);
+            return 2;
+        }
+        if (sh.user.uid !== 0) {
+            io.err(`backup: the whole system can only be ${sub === 'create' ? 'backed up' : 'restored'} by root (try sudo backup)\n`);
+            return 1;
+        }
+
+        if (sub === 'create') {
+            const file = opts.operands[0] || `yesos-backup-${Shell.formatTime(Date.now()).replace(/-|:/g, '').replace(' ', '-')}.zip`;
+            const data = await SystemBackup.create(sh.vfs, sh.os.sessionState());
+            const result = sh.vfs.writeFile(file, data, false, 'application/zip');
+            if (result.error) {
+                io.err(`backup: ${file}: ${result.error.replace(/^\w+: /, '')}\n`);
+                return 1;
+            }
+            sh.vfs.chmod(file, 0o600); // it holds /etc/shadow
+            io.out(`Backed up ${Object.keys(sh.vfs.fs).length} paths and ${SystemBackup.settingsKeys().length} settings to ${file} (${Shell.humanSize(data.length)})\n`);
+            return 0;
+        }
+
+        const file = opts.operands[0];
+        if (!file) {
+            io.err(`Usage: backup ${sub}${sub === 'restore' ? ' [-n] [-y]' : ''} FILE\n`);
+            return 2;
+        }
+        const read = sh.vfs.readBinary(file);
+        if (read.error) {
+            io.err(`backup: ${file}: ${read.error.replace(/^cat: /, '')}\n`);
+            return 1;
+        }
+        let backup;
+        try {
+            backup = await SystemBackup.read(new Uint8Array(read.data));
+        } catch (e) {
+            io.err(`backup: ${file}: ${e.message}\n`);
+            return 1;
+        }
+
+        io.out(`Backup ${backup.created ? 'from ' + Shell.formatTime(backup.created) : 'of an old localStorage filesystem'}:\n`);
+        io.out(SystemBackup.formatDiff(SystemBackup.diff(sh.vfs, backup)));
+        if (sub === 'diff' || opts.flags.has('n')) return 0;
+        if (!opts.flags.has('y')) {
+            const answer = await sh.readLine('Restore this backup, replacing the current system? [y/N] ', io);
+            if (!/^y/i.test(answer || '')) {
+                io.out('Restore cancelled.\n');
+                return 1;
+            }
+        }
+        try {
+            await sh.os.applyBackup(backup);
+        } catch (e) {
+            io.err(`backup: the restored system could not be saved (${e.message}); reloading brings back the previous one\n`);
+            return 1;
+        }
+        io.out('System restored.\n');
+        return 0;
+    },
+
+    // snapshot create NAME | list | diff NAME | restore [-y] NAME | delete NAME
+    async snapshot(sh, args, io) {
+        const [sub, ...rest] = args;
+        const opts = Shell.getopt(rest, 'y');
+        if (opts.error || !['create', 'list', 'diff', 'restore', 'delete'].includes(sub)) {
+            io.err(`${opts.error ? 'snapshot: ' + opts.error + '\n' : ''}Usage: snapshot create NAME | list | diff NAME | restore [-y] NAME | delete NAME\n`);
+            return 2;
+        }
+        if (sh.user.uid !== 0) {
+            io.err('snapshot: snapshots cover the whole filesystem and need root (try sudo snapshot)\n');
+            return 1;
+        }
+        const dir = SystemBackup.SNAPSHOT_DIR;
+        if (sub === 'list') {
+            const names = sh.vfs.isDir(dir) ? sh.vfs.fs[dir].children.filter(name => name.endsWith('.zip')) : [];
+            names.map(name => ({ name: name.slice(0, -4), info: sh.vfs.stat(dir + '/' + name) }))
+                .sort((a, b) => a.info.modified - b.info.modified)
+                .forEach(({ name, info }) => io.out(`${name.padEnd(20)} ${Shell.formatTime(info.modified)} ${Shell.humanSize(info.size).padStart(6)}\n`));
+            return 0;
+        }
+
+        const name = opts.operands[0];
+        if (!name || !/^[\w.-]+$/.test(name)) {
+            io.err(`snapshot: ${name ? `invalid name '${name}' (letters, digits, '.', '-' and '_')` : 'missing snapshot name'}\n`);
+            return 2;
+        }
+        const file = `${dir}/${name}.zip`;
+        if (sub === 'create') {
+            if (sh.vfs.exists(file)) {
+                io.err(`snapshot: '${name}' already exists\n`);
+                return 1;
+            }
+            if (!sh.vfs.isDir(dir)) {
+                sh.vfs.mkdirs(dir);
+                sh.vfs.chmod(dir, 0o700);
+            }
+            const data = await SystemBackup.create(sh.vfs, null, { exclude: [dir], settings: false, kind: 'snapshot', name });
+            const result = sh.vfs.writeFile(file, data, false, 'application/zip');
+            if (result.error) {
+                io.err(`snapshot: ${result.error.replace(/^\w+: /, '')}\n`);
+                return 1;
+            }
+            sh.vfs.chmod(file, 0o600);
+            io.out(`Created snapshot '${name}' (${Shell.humanSize(data.length)})\n`);
+            return 0;
+        }
+        if (!sh.vfs.exists(file)) {
+            io.err(`snapshot: no snapshot named '${name}' (see snapshot list)\n`);
+            return 1;
+        }
+        if (sub === 'delete') {
+            sh.vfs.rm(file);
+            return 0;
+        }
+
+        let backup;
+        try {
+            backup = await SystemBackup.read(new Uint8Array(sh.vfs.readBinary(file).data));
+        } catch (e) {
+            io.err(`snapshot: ${name}: ${e.message}\n`);
+            return 1;
+        }
+        io.out(SystemBackup.formatDiff(SystemBackup.diff(sh.vfs, backup, [dir])));
+        if (sub === 'diff') return 0;
+        if (!opts.flags.has('y')) {
+            const answer = await sh.readLine(`Roll the filesystem back to '${name}'? [y/N] `, io);
+            if (!/^y/i.test(answer || '')) {
+                io.out('Restore cancelled.\n');
+                return 1;
+            }
+        }
+        try {
+            await sh.os.applyBackup(backup, [dir]);
+        } catch (e) {
+            io.err(`snapshot: the restored filesystem could not be saved (${e.message}); reloading brings back the previous one\n`);
+            return 1;
+        }
+        io.out(`Filesystem restored to snapshot '${name}'.\n`);
+        return 0;
+    },
+
+    // mount lists mounts; mount [-r] DIR asks for a host folder and attaches it at DIR
+    async mount(sh, args, io) {
+        const opts = Shell.getopt(args, 'r');
+        if (opts.error || opts.operands.length > 1) {
+            io.err(`${opts.error ? 'mount: ' + opts.error + '\n' : ''}Usage: mount [-r] [DIR]\n`);
+            return 2;
+        }
+        if (!opts.operands.length) {
+            sh.vfs.listMounts().forEach(m => io.out(`${m.name} on ${m.point} type ${m.kind} (${m.readOnly ? 'ro' : 'rw'}, ${m.files} files` +
+                `${m.errors ? `, ${m.errors} failed writes` : ''})\n`));
+            return 0;
+        }
+
+        io.out('Choose a folder on this computer...\n');
+        let backend;
+        try {
+            backend = await sh.os.pickHostFolder(opts.flags.has('r'));
+        } catch (e) {
+            io.err(`mount: ${e.message}\n`);
+            return 1;
+        }
+        if (!backend) {
+            io.err('mount: no folder chosen\n');
+            return 1;
+        }
+        const result = await sh.vfs.mount(opts.operands[0], backend);
+        if (result.error) {
+            io.err(result.error + '\n');
+            return 1;
+        }
+        io.out(`Mounted ${backend.name} on ${sh.vfs.resolvePath(opts.operands[0])}${backend.readOnly ? ' (read-only)' : ''}, ${result.count} entries\n`);
+        return 0;
+    },
+
+    async umount(sh, args, io) {
+        if (!args.length) {
+            io.err('Usage: umount DIR...\n');
+            return 2;
+        }
+        let status = 0;
+        for (const point of args) {
+            const result = await sh.vfs.umount(point);
+            if (result.error) {
+                io.err(result.error + '\n');
+                status = 1;
+            } else if (result.errors) {
+                io.err(`umount: ${point}: ${result.errors} change(s) could not be written to the host folder\n`);
+                status = 1;
+            }
+        }
+        return status;
+    },
+
+    // System Info
+    whoami(sh, args, io) {
+        io.out(sh.user.name + '\n');
+    },
+
+    id(sh, args, io) {
+        const user = args[0] ? sh.os.accounts.credentials(args[0]) : sh.user;
+        if (!user) {
+            io.err(`id: '${args[0]}': no such user\n`);
+            return 1;
+        }
+        const accounts = sh.os.accounts;
+        const groups = user.groups.map(gid => `${gid}(${accounts.groupName(gid)})`).join(',');
+        io.out(`uid=${user.uid}(${user.name}) gid=${user.gid}(${accounts.groupName(user.gid)}) groups=${groups}\n`);
+    },
+
+    // Users and permissions
+    chmod(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args.filter(a => !/^-[rwxt]+$/.test(a)));
+        const spec = args.find(a => /^-[rwxt]+$/.test(a)) || operands.shift();
+        if (!spec || !operands.length) {
+            io.err('chmod: missing operand\n');
+            return 1;
+        }
+        let status = 0;
+        for (const operand of operands) {
+            for (const path of Shell.changeTargets(sh, operand, flags.has('R'))) {
+                const info = sh.vfs.stat(path);
+                const mode = Shell.parseMode(spec, info.error ? 0 : info.mode);
+                if (mode === null) {
+                    io.err(`chmod: invalid mode: '${spec}'\n`);
+                    return 1;
+                }
+                const result = sh.vfs.chmod(path, mode);
+                if (result.error) {
+                    io.err(result.error.replace(/^(\w+: [^:]+)/, `$1 '${operand}'`) + '\n');
+                    status = 1;
+                }
+            }
+        }
+        return status;
+    },
+
+    chown(sh, args, io) {
+        const { flags, operands } = Shell.parseArgs(args);
+        const spec = operands.shift();
+        if (!spec || !operands.length) {
+            io.err('chown: missing operand\n');
+            return 1;
+        }
+        const accounts = sh.os.accounts;
+        const [ownerName, groupName] = spec.split(':');
+        let uid = null;
+        let gid = null;
+        if (ownerName) {
+            const user = /^\d+$/.test(ownerName) ? { uid: parseInt(ownerName) } : accounts.find(ownerName);
+            if (!user) {
+                io.err(`chown: invalid user: '${spec}'\n`);
+                return 1;
+            }
+            uid = user.uid;
+        }
+        if (groupName) {
+            const group = /^\d+$/.test(groupName) ? { gid: parseInt(groupName) } : accounts.findGroup(groupName);
+            if (!group) {
+                io.err(`chown: invalid group: '${spec}'\n`);
+                return 1;
+            }
+            gid = group.gid;
+        }
+        let status = 0;
+        for (const operand of operands) {
+            for (const path of Shell.changeTargets(sh, operand, flags.has('R'))) {
+                const result = sh.vfs.chown(path, uid, gid);
+                if (result.error) {
+                    io.err(result.error.replace(/^(\w+: [^:]+)/, `$1 '${operand}'`) + '\n');
+                    status = 1;
+                }
+            }
+        }
+        return status;
+    },
+
+    // su [-] [user]: a nested session as another user until `exit`
+    async su(sh, args, io) {
+        const login = args.includes('-') || args.includes('-l');
+        const name = args.filter(a => !a.startsWith('-'))[0] || 'root';
+        const target = sh.os.accounts.credentials(name);
+        if (!target) {
+            io.err(`su: user ${name} does not exist\n`);
+            return 1;
+        }
+        if (sh.user.uid !== 0 && !(await Shell.authenticate(sh, name, 'Password: ', io))) {
+            io.err('su: Authentication failure\n');
+            return 1;
+        }
+        sh.startSu(target, login);
+        return 0;
+    },
+
+    // sudo [-u user] command: runs one command as root after the caller's own password
+    async sudo(sh, args, io) {
+        const accounts = sh.os.accounts;
+        let name = 'root';
+        if (args[0] === '-u') {
+            name = args[1];
+            args = args.slice(2);
+        }
+        if (!args.length) {
+            io.err('usage: sudo [-u user] command\n');
+            return 1;
+        }
+        const target = name && accounts.credentials(name);
+        if (!target) {
+            io.err(`sudo: unknown user ${name}\n`);
+            return 1;
+        }
+        if (!accounts.isSudoer(sh.user.name)) {
+            io.err(`${sh.user.name} is not in the sudoers file.\n`);
+            return 1;
+        }
+        if (sh.user.uid !== 0 && !(sh.sudoUntil > Date.now())) {
+            // An account without a password has nothing to prove who is at the keyboard
+            if (!accounts.hasPassword(sh.user.name)) {
+                io.err(`sudo: ${sh.user.name} has no password; set one with passwd first\n`);
+                return 1;
+            }
+            if (!(await Shell.authenticate(sh, sh.user.name, `[sudo] password for ${sh.user.name}: `, io))) {
+                io.err('sudo: 3 incorrect password attempts\n');
+                return 1;
+            }
+            sh.sudoUntil = Date.now() + Shell.SUDO_TIMEOUT;
+        }
+
+        const saved = sh.user;
+        const depth = sh.userStack.length;
+        sh.user = target;
+        sh.bind();
+        try {
+            return await sh.invoke(args[0], args.slice(1), io);
+        } finally {
+            // "sudo su" keeps the new session; its exit returns to the caller rather than to root
+            if (sh.userStack.length > depth) sh.userStack[depth].user = saved;
+            else sh.user = saved;
+            sh.bind();
+        }
+    },
+
+    useradd(sh, args, io) {
+        const options = { createHome: false, groups: [] };
+        let name;
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '-m') options.createHome = true;
+            else if (arg === '-G') options.groups = (args[++i] || '').split(',').filter(g => g);
+            else if (arg === '-s') options.shell = args[++i];
+            else if (arg === '-d') options.home = args[++i];
+            else if (arg === '-c') options.comment = args[++i];
+            else name = arg;
+        }
+        if (!name) {
+            io.err('Usage: useradd [-m] [-G groups] [-s shell] [-d home] [-c comment] name\n');
+            return 2;
+        }
+        if (sh.user.uid !== 0) {
+            io.err('useradd: Permission denied.\n');
+            return 1;
+        }
+        const result = sh.os.accounts.add(name, options);
+        if (result.error) {
+            io.err(result.error + '\n');
+            return result.error.includes('exists') ? 9 : 1;
+        }
+        sh.os.renderLoginUsers();
+    },
+
+    async passwd(sh, args, io) {
+        const accounts = sh.os.accounts;
+        const name = args[0] || sh.user.name;
+        if (!accounts.find(name)) {
+            io.err(`passwd: user '${name}' does not exist\n`);
+            return 1;
+        }
+        if (sh.user.uid !== 0 && name !== sh.user.name) {
+            io.err(`passwd: You may not view or modify password information for ${name}.\n`);
+            return 1;
+        }
+        if (sh.user.uid !== 0 && accounts.hasPassword(name)) {
+            const current = await sh.readLine('Current password: ', io, true);
+            if (current === null || !(await accounts.verify(name, current))) {
+                io.err('passwd: Authentication token manipulation error\n');
+                return 1;
+            }
+        }
+        const password = await sh.readLine('New password: ', io, true);
+        if (password === null) return 1;
+        const again = await sh.readLine('Retype new password: ', io, true);
+        if (password !== again) {
+            io.err('Sorry, passwords do not match.\npasswd: password unchanged\n');
+            return 1;
+        }
+        await accounts.setPassword(name, password);
+        io.out('passwd: password updated successfully\n');
+    },
+
+    uname(sh, args, io) {
+        io.out(args.includes('-a') ? 'YesOS 1.0.0 Linux x86_64 GNU/Linux\n' : 'YesOS\n');
+    },
+
+    date(sh, args, io) {
+        io.out(new Date().toString() + '\n');
+    },
+
+    uptime(sh, args, io) {
+        io.out('up 42 days, 13:37, 1 user, load average: 0.00, 0.01, 0.05\n');
+    },
+
+    ps(sh, args, io) {
+        io.out(`  PID TTY          TIME CMD
+    1 pts/0    00:00:00 bash
+   42 pts/0    00:00:00 yesos
+  420 pts/0    00:00:00 ps
+`);
+    },
+
+    top(sh, args, io) {
+        io.out(`top - simulated
+Tasks: 3 total, 1 running
+%Cpu(s): 0.3 us, 0.1 sy
+MiB Mem: 8192 total, 2048 free
+  PID USER      PR  NI    VIRT    RES  %CPU  %MEM COMMAND
+    1 user      20   0   12345   1234   0.1   0.1 yesos
+`);
+    },
+
+    async df(sh, args, io) {
+        const { flags } = Shell.parseArgs(args);
+        const usage = await sh.vfs.usage();
+        const size = (bytes) => flags.has('h') ? Shell.humanSize(bytes) : String(Math.ceil(bytes / 1024));
+        // Without a quota estimate from the browser only the used space is known
+        const known = usage.quota >= usage.used && usage.quota > 0;
+        const row = [
+            usage.backend,
+            size(known ? usage.quota : usage.used),
+            size(usage.used),
+            known ? size(usage.quota - usage.used) : '-',
+            known ? Math.ceil(usage.used / usage.quota * 100) + '%' : '-',
+            '/'
+        ];
+        const header = ['Filesystem', flags.has('h') ? 'Size' : '1K-blocks', 'Used', 'Available', 'Use%', 'Mounted on'];
+        const widths = header.map((h, i) => Math.max(h.length, row[i].length));
+        const format = (cols) => cols.map((c, i) => i === 0 || i === 5 ? c.padEnd(widths[i]) : c.padStart(widths[i])).join(' ').trimEnd();
+        io.out(format(header) + '\n' + format(row) + '\n');
+    },
+
+    free(sh, args, io) {
+        io.out(`              total        used        free
+Mem:        8388608     2097152     6291456
+Swap:             0           0           0
+`);
+    },
+
+    // Network
+    ping(sh, args, io) {
+        const host = args[0] || 'localhost';
+        io.out(`PING ${host} (127.0.0.1): 56 data bytes
+64 bytes from 127.0.0.1: icmp_seq=0 ttl=64 time=0.1 ms
+64 bytes from 127.0.0.1: icmp_seq=1 ttl=64 time=0.1 ms
+`);
+    },
+
+    // Utilities
+    history(sh, args, io) {
+        if (args[0] === '-c') {
+            sh.clearHistory();
+            return 0;
+        }
+        if (args[0] !== undefined && !/^\d+$/.test(args[0])) {
+            io.err(`history: ${args[0]}: numeric argument required\n`);
+            return 1;
+        }
+        const count = args[0] !== undefined ? parseInt(args[0]) : sh.history.length;
+        const start = Math.max(0, sh.history.length - count);
+        sh.history.slice(start).forEach((line, i) => {
+            io.out(`${String(start + i + 1).padStart(5)}  ${line}\n`);
+        });
+    },
+
+    export(sh, args, io) {
+        if (!args.length || args[0] === '-p') {
+            const env = sh.environment();
+            Object.keys(env).sort().forEach(name => io.out(`declare -x ${name}="${env[name]}"\n`));
+            return 0;
+        }
+        let status = 0;
+        for (const arg of args) {
+            const match = arg.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:=(.*))?$/s);
+            if (!match) {
+                io.err(`export: \`${arg}': not a valid identifier\n`);
+                status = 1;
+                continue;
+            }
+            sh.setVar(match[1], match[2] !== undefined ? match[2] : sh.param(match[1]), true);
+        }
+        return status;
+    },
+
+    unset(sh, args, io) {
+        args.forEach(name => sh.unsetVar(name));
+    },
+
+    env(sh, args, io) {
+        const env = sh.environment();
+        Object.keys(env).sort().forEach(name => io.out(`${name}=${env[name]}\n`));
+    },
+
+    // Scripting
+    sh(sh, args, io) {
+        if (args[0] === '-c') {
+            if (args[1] === undefined) {
+                io.err('sh: -c: option requires an argument\n');
+                return 2;
+            }
+            return sh.runScript(args[1], args[2] || 'sh', args.slice(3), io);
+        }
+        if (!args.length) {
+            io.err('sh: interactive subshells are not supported (try: sh script.sh)\n');
+            return 2;
+        }
+        const file = sh.vfs.readFile(args[0]);
+        if (file.error) {
+            io.err(`sh: ${args[0]}: No such file or directory\n`);
+            return 127;
+        }
+        return sh.runScript(file.content, args[0], args.slice(1), io);
+    },
+
+    source(sh, args, io) {
+        if (!args.length) {
+            io.err('source: filename argument required\n');
+            return 2;
+        }
+        return sh.source(args[0], args.slice(1), io);
+    },
+
+    test(sh, args, io) {
+        try {
+            return sh.evalTest(args) ? 0 : 1;
+        } catch (e) {
+            io.err(`test: ${e.message}\n`);
+            return 2;
+        }
+    },
+
+    '['(sh, args, io) {
+        if (args[args.length - 1] !== ']') {
+            io.err("[: missing `]'\n");
+            return 2;
+        }
+        try {
+            return sh.evalTest(args.slice(0, -1)) ? 0 : 1;
+        } catch (e) {
+            io.err(`[: ${e.message}\n`);
+            return 2;
+        }
+    },
+
+    shift(sh, args, io) {
+        const n = args.length ? parseInt(args[0]) : 1;
+        if (isNaN(n) || n < 0 || n > sh.positional.length) return 1;
+        sh.positional = sh.positional.slice(n);
+    },
+
+    local(sh, args, io) {
+        const frame = sh.frames[sh.frames.length - 1];
+        if (!frame) {
+            io.err('local: can only be used in a function\n');
+            return 1;
+        }
+        for (const arg of args) {
+            const [name, ...value] = arg.split('=');
+            if (!(name in frame)) frame[name] = sh.vars[name];
+            sh.setVar(name, value.join('='));
+        }
+    },
+
+    true() {
+        return 0;
+    },
+
+    false() {
+        return 1;
+    }
+};
+
+// exit, return, break and continue unwind the executor with a ShellControl
+[['exit', null], ['return', null], ['break', 1], ['continue', 1]].forEach(([name, fallback]) => {
+    termCommands[name] = (sh, args, io) => {
+        if (args.length && !/^\d+$/.test(args[0])) {
+            io.err(`${name}: ${args[0]}: numeric argument required\n`);
+            return 2;
+        }
+        const value = args.length ? parseInt(args[0]) : (fallback === null ? sh.status : fallback);
+        throw new ShellControl(name, name === 'exit' || name === 'return' ? value & 255 : Math.max(1, value));
+    };
+});
+
+// Aliases keep the old spellings working
+termCommands.cls = termCommands.clear;
+termCommands.dir = termCommands.ls;
+termCommands.bash = termCommands.sh;
+termCommands[':'] = termCommands.true;
+termCommands['.'] = termCommands.source;
+
+['nano', 'vim', 'vi'].forEach(name => {
+    termCommands[name] = (sh, args, io) => {
+        if (!args[0]) {
+            io.err(`${name}: missing file operand\n`);
+            return 1;
+        }
+        sh.os.openFileEditor(args[0]);
+    };
+});
+
+// open FILE... uses each file's default app and open -a APP FILE... a given one; open -l FILE
+// lists the apps that can open it. With an app's name instead of a file, open starts the app.
+termCommands.open = (sh, args, io) => {
+    const opts = Shell.getopt(args, 'la:');
+    if (opts.error || !opts.operands.length) {
+        io.err(`${opts.error ? 'open: ' + opts.error + '\n' : ''}Usage: open [-l] [-a APP] FILE... | open APP\n`);
+        return 2;
+    }
+    const types = sh.os.fileTypes;
+    const chosen = opts.values.a !== undefined ? types.find(opts.values.a) : null;
+    if (opts.values.a !== undefined && !chosen) {
+        io.err(`open: ${opts.values.a}: no such application (${Object.keys(types.apps).join(', ')})\n`);
+        return 1;
+    }
+    const launchers = {
+        notepad: 'notepad', calculator: 'calculator', calc: 'calculator', browser: 'browser', terminal: 'terminal',
+        settings: 'settings', trash: 'trash', editor: 'editor', explorer: 'fileexplorer', files: 'fileexplorer', fileexplorer: 'fileexplorer', ai: 'aibot', aibot: 'aibot'
+    };
+
+    let status = 0;
+    for (const operand of opts.operands) {
+        const path = sh.vfs.resolvePath(operand);
+        if (!sh.vfs.exists(path)) {
+            if (!chosen && !opts.flags.has('l') && launchers[operand.toLowerCase()]) {
+                sh.os.openApp(launchers[operand.toLowerCase()]);
+                continue;
+            }
+            io.err(`open: ${operand}: No such file or directory\n`);
+            status = 1;
+            continue;
+        }
+        const mime = sh.os.fileMime(path);
+        if (opts.flags.has('l')) {
+            const fallback = types.defaultApp(mime);
+            io.out(`${operand}: ${mime}\n`);
+            types.appsFor(mime).forEach(app => io.out(`${fallback && app.id === fallback.id ? '*' : ' '} ${app.id.padEnd(12)} ${app.name}\n`));
+            continue;
+        }
+        if (!sh.vfs.access(path, 'r')) {
+            io.err(`open: ${operand}: Permission denied\n`);
+            status = 1;
+            continue;
+        }
+        const app = chosen || types.defaultApp(mime);
+        if (!app) {
+            io.err(`open: no application is set up for ${mime} (${operand}); try open -a APP\n`);
+            status = 1;
+            continue;
+        }
+        app.open(path);
+    }
+    return status;
+};
+termCommands['xdg-open'] = termCommands.open;
+
+['curl', 'wget'].forEach(name => {
+    termCommands[name] = (sh, args, io) => {
+        if (!args[0]) {
+            io.err(`${name}: missing URL\n`);
+            return 1;
+        }
+        io.out(`${name}: simulated download (use File Explorer for real downloads)\n`);
+    };
+});
+
+// Syntax colouring for the text editor. A language is a list of [class, sticky RegExp, nested
+// language] rules tried in order at each position; the first match becomes a "tok-" span (a
+// nested language colours inside it: HTML tags, <script> and <style> bodies) and text no rule
+// claims stays plain. Only colours change, so the text lines up with the textarea above it.
+class Highlighter {
+    static language(path) {
+        const match = /\.([^./]+)$/.exec(path || '');
+        return match ? Highlighter.EXTENSIONS[match[1].toLowerCase()] || null : null;
+    }
+
+    static escape(text) {
+        return text.replace(/[&<>]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[c]);
+    }
+
+    static highlight(text, language) {
+        const rules = Highlighter.RULES[language];
+        if (!rules) return Highlighter.escape(text);
+        let html = '';
+        let plain = 0;
+        let pos = 0;
+        while (pos < text.length) {
+            let rule = null;
+            let token = '';
+            for (const candidate of rules) {
+                candidate[1].lastIndex = pos;
+                const match = candidate[1].exec(text);
+                if (match && match[0]) {
+                    rule = candidate;
+                    token = match[0];
+                    break;
+                }
+            }
+            if (!rule) {
+                pos++;
+                continue;
+            }
+            const [cls, , nested] = rule;
+            const inner = nested ? Highlighter.highlight(token, nested) : Highlighter.escape(token);
+            html += Highlighter.escape(text.slice(plain, pos)) + (cls ? `<span class="tok-${cls}">${inner}</span>` : inner);
+            pos += token.length;
+            plain = pos;
+        }
+        return html + Highlighter.escape(text.slice(plain));
+    }
+}
+
+Highlighter.EXTENSIONS = { js: 'js', mjs: 'js', cjs: 'js', css: 'css', json: 'json', md: 'md', markdown: 'md', html: 'html', htm: 'html' };
+Highlighter.NAMES = { js: 'JavaScript', css: 'CSS', json: 'JSON', md: 'Markdown', html: 'HTML' };
+
+Highlighter.RULES = {
+    js: [
+        ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['string', /'(?:\\[\s\S]|[^\\'\n])*'?|"(?:\\[\s\S]|[^\\"\n])*"?|`(?:\\[\s\S]|[^\\`])*`?/y],
+        ['keyword', /(?:async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|if|import|in|instanceof|let|new|of|return|static|super|switch|this|throw|try|typeof|var|void|while|with|yield)(?![\w$])/y],
+        ['literal', /(?:true|false|null|undefined|NaN|Infinity)(?![\w$])/y],
+        ['number', /(?:0[xX][\da-fA-F_]+|0[bBoO][\d_]+|\d[\d_]*\.?[\d_]*(?:[eE][+-]?\d+)?)n?(?![\w$])/y],
+        ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+        ['type', /[A-Z][\w$]*/y],
+        [null, /[A-Za-z_$][\w$]*|\s+/y]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+        ['string', /"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?/y],
+        ['keyword', /@[\w-]+|!important/y],
+        // A property is followed by its value and a ; or }, a selector by the { of its block
+        ['property', /--[\w-]+|[a-zA-Z-]+(?=\s*:[^;{}]*[;}])/y],
+        ['selector', /[.#]?[a-zA-Z_-][\w-]*(?=[^;{}]*\{)/y],
+        ['number', /#[\da-fA-F]{3,8}(?![\w-])|-?(?:\d+\.?\d*|\.\d+)(?:%|[a-zA-Z]+)?/y],
+        [null, /[\w-]+|\s+/y]
+    ],
+    json: [
+        ['property', /"(?:\\.|[^\\"\n])*"(?=\s*:)/y],
+        ['string', /"(?:\\.|[^\\"\n])*"?/y],
+        ['number', /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+        ['literal', /(?:true|false|null)(?!\w)/y],
+        [null, /\s+/y]
+    ],
+    md: [
+        ['code', /^(```|~~~)[\s\S]*?(?:^\1[^\n]*|(?![\s\S]))/my],
+        ['heading', /^#{1,6}(?:[ \t][^\n]*)?$/my],
+        ['quote', /^>[^\n]*/my],
+        ['keyword', /^(?:[-*_][ \t]*){3,}$|^[ \t]*(?:[-*+]|\d+[.)])(?=[ \t])/my],
+        ['code', /`[^`\n]+`/y],
+        ['link', /!?\[[^\]\n]*\]\([^)\n]*\)|<https?:\/\/[^>\s]+>/y],
+        ['strong', /\*\*[^*\n]+\*\*|__[^_\n]+__/y],
+        ['emphasis', /\*[^*\n]+\*|_[^_\n]+_(?!\w)/y],
+        [null, /\w+|[^\S\n]+/y]
+    ],
+    html: [
+        ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+        ['keyword', /<![^>]*>?/y],
+        ['', /(?<=<script\b[^>]*>)(?!<\/script)[\s\S]+?(?=<\/script|$)/iy, 'js'],
+        ['', /(?<=<style\b[^>]*>)(?!<\/style)[\s\S]+?(?=<\/style|$)/iy, 'css'],
+        ['', /<\/?[A-Za-z][^>]*>?/y, 'tag'],
+        ['entity', /&(?:#\d+|#x[\da-fA-F]+|\w+);/y],
+        [null, /[^<&]+/y]
+    ],
+    // The inside of one HTML tag
+    tag: [
+        ['tag', /^<\/?[\w:-]+|\/?>$/y],
+        ['string', /"[^"]*"?|'[^']*'?/y],
+        ['attribute', /[^\s"'=<>\/]+/y],
+        [null, /\s+/y]
+    ]
+};
+
+// Markdown to HTML for the editor's preview and export, after CommonMark with GitHub's tables,
+// task lists and strikethrough: ATX and setext headings, paragraphs, block quotes, nested
+// lists, fenced and indented code, rules, and inline code, emphasis, links, images and
+// autolinks. All text is escaped and only web, mail and in-page links keep their scheme; any
+// other link or image target is a file path, resolved against options.base and handed to
+// options.image(path) for an image's src.
+class Markdown {
+    constructor(options = {}) {
+        this.base = options.base || '/';
+        this.image = options.image || (() => null);
+        this.slugs = new Map();
+    }
+
+    static render(text, options) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+        return new Markdown(options).blocks(lines);
+    }
+
+    // A complete page for an exported document, styled to read well in a browser
+    static document(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${Markdown.escape(title)}</title>
+<style>
+${Markdown.STYLE}</style>
+</head>
+<body>
+<article class="markdown-body">
+${body}</article>
+</body>
+</html>
+`;
+    }
+
+    static escape(text) {
+        return text.replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+
+    static indent(line) {
+        return line.length - line.trimStart().length;
+    }
+
+    // Lines that end a paragraph without a blank line before them
+    static interrupts(line) {
+        return Markdown.FENCE.test(line) || Markdown.HEADING.test(line) || Markdown.RULE.test(line)
+            || /^ {0,3}>/.test(line) || Markdown.ITEM.test(line);
+    }
+
+    // With tight set (the items of a list without blank lines between them) paragraphs are bare text
+    blocks(lines, tight = false) {
+        let html = '';
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+            if (!line.trim()) {
+                i++;
+            } else if ((match = Markdown.FENCE.exec(line))) {
+                const close = new RegExp(`^ {0,3}${match[1][0] === '`' ? '`' : '~'}{${match[1].length},}\\s*$`);
+                const body = [];
+                for (i++; i < lines.length && !close.test(lines[i]); i++) body.push(lines[i].slice(Math.min(match[0].indexOf(match[1]), Markdown.indent(lines[i]))));
+                i++;
+                html += this.code(body.join('\n'), match[2]);
+            } else if ((match = Markdown.HEADING.exec(line))) {
+                html += this.heading(match[1].length, (match[2] || '').replace(/[ \t]+#+[ \t]*$/, '').replace(/^#+$/, ''));
+                i++;
+            } else if (Markdown.RULE.test(line)) {
+                html += '<hr>\n';
+                i++;
+            } else if (/^ {0,3}>/.test(line)) {
+                const body = [];
+                while (i < lines.length && lines[i].trim() && (/^ {0,3}>/.test(lines[i]) || !Markdown.interrupts(lines[i]))) {
+                    body.push(lines[i++].replace(/^ {0,3}> ?/, ''));
+                }
+                html += `<blockquote>\n${this.blocks(body)}</blockquote>\n`;
+            } else if (Markdown.ITEM.test(line)) {
+                i = this.list(lines, i, out => html += out);
+            } else if (line.includes('|') && i + 1 < lines.length && Markdown.TABLE_RULE.test(lines[i + 1])) {
+                i = this.table(lines, i, out => html += out);
+            } else if (Markdown.indent(line) >= 4) {
+                const body = [];
+                while (i < lines.length && (!lines[i].trim() || Markdown.indent(lines[i]) >= 4)) body.push(lines[i++].slice(4));
+                while (!body[body.length - 1].trim()) body.pop();
+                html += this.code(body.join('\n'), '');
+            } else {
+                const para = [line];
+                let level = 0;
+                for (i++; i < lines.length && lines[i].trim(); i++) {
+                    if (/^ {0,3}(=+|-+)[ \t]*$/.test(lines[i])) {
+                        level = lines[i].trim()[0] === '=' ? 1 : 2;
+                        i++;
+                        break;
+                    }
+                    if (Markdown.interrupts(lines[i])) break;
+                    para.push(lines[i]);
+                }
+                const text = para.map(l => l.trimStart()).join('\n').trim();
+                if (level) html += this.heading(level, text);
+                else html += tight ? this.inline(text) + '\n' : `<p>${this.inline(text)}</p>\n`;
+            }
+        }
+        return html;
+    }
+
+    // Headings get ids (GitHub's slugs) so "#section" links can reach them
+    heading(level, text) {
+        const inner = this.inline(text.trim());
+        let slug = inner.replace(/<[^>]*>/g, '').toLowerCase().replace(/&\w+;/g, '').replace(/[^\w\s-]/g, '').trim().replace(/\s/g, '-');
+        const seen = this.slugs.get(slug) || 0;
+        this.slugs.set(slug, seen + 1);
+        if (seen) slug += '-' + seen;
+        return `<h${level} id="${slug}">${inner}</h${level}>\n`;
+    }
+
+    code(text, language) {
+        const lang = Highlighter.EXTENSIONS[language.toLowerCase()] || (Highlighter.RULES[language.toLowerCase()] ? language.toLowerCase() : null);
+        const cls = language ? ` class="language-${Markdown.escape(language)}"` : '';
+        return `<pre><code${cls}>${lang ? Highlighter.highlight(text, lang) : Markdown.escape(text)}\n</code></pre>\n`;
+    }
+
+    // An item runs on while lines are indented past its marker; a blank line between items makes
+    // the list loose (paragraphs in <p>), and a different kind of marker starts a new list
+    list(lines, i, emit) {
+        const first = Markdown.ITEM.exec(lines[i]);
+        const ordered = /\d/.test(first[2]);
+        const delimiter = first[2].slice(-1);
+        const items = [];
+        let loose = false;
+        while (i < lines.length) {
+            const match = Markdown.ITEM.exec(lines[i]);
+            if (!match || /\d/.test(match[2]) !== ordered || match[2].slice(-1) !== delimiter) break;
+            const width = match[0].length;
+            const body = [lines[i].slice(width)];
+            for (i++; i < lines.length; i++) {
+                const line = lines[i];
+                if (!line.trim()) {
+                    let next = i;
+                    while (next < lines.length && !lines[next].trim()) next++;
+                    if (next === lines.length || Markdown.indent(lines[next]) < width) break;
+                    body.push('');
+                } else if (Markdown.indent(line) >= width) {
+                    body.push(line.slice(width));
+                } else if (body[body.length - 1].trim() && !Markdown.interrupts(line)) {
+                    body.push(line.trim());
+                } else {
+                    break;
+                }
+            }
+            if (body.includes('')) loose = true;
+            items.push(body);
+            let next = i;
+            while (next < lines.length && !lines[next].trim()) next++;
+            if (next > i && next < lines.length && Markdown.ITEM.test(lines[next])) {
+                const following = Markdown.ITEM.exec(lines[next]);
+                if (/\d/.test(following[2]) === ordered && following[2].slice(-1) === delimiter) loose = true;
+            }
+            if (next > i && !(next < lines.length && Markdown.ITEM.test(lines[next]))) break;
+            i = next;
+        }
+
+        const start = ordered && parseInt(first[2], 10) !== 1 ? ` start="${parseInt(first[2], 10)}"` : '';
+        let html = ordered ? `<ol${start}>\n` : '<ul>\n';
+        items.forEach(body => {
+            const task = /^\[([ xX])\][ \t]+/.exec(body[0]);
+            if (task) body[0] = body[0].slice(task[0].length);
+            const box = task ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ` : '';
+            html += `<li${task ? ' class="task"' : ''}>${box}${this.blocks(body, !loose).replace(/\n$/, '')}</li>\n`;
+        });
+        emit(html + (ordered ? '</ol>\n' : '</ul>\n'));
+        return i;
+    }
+
+    table(lines, i, emit) {
+        const cells = row => row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+        const header = cells(lines[i]);
+        const aligns = cells(lines[i + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return ' style="text-align: center"';
+            if (cell.endsWith(':')) return ' style="text-align: right"';
+            return cell.startsWith(':') ? ' style="text-align: left"' : '';
+        });
+        const row = (values, tag) => '<tr>' + header.map((_, c) => `<${tag}${aligns[c] || ''}>${this.inline(values[c] || '')}</${tag}>`).join('') + '</tr>\n';
+        let html = `<table>\n<thead>\n${row(header, 'th')}</thead>\n`;
+        const body = [];
+        for (i += 2; i < lines.length && lines[i].trim() && !Markdown.interrupts(lines[i]); i++) body.push(row(cells(lines[i]), 'td'));
+        if (body.length) html += `<tbody>\n${body.join('')}</tbody>\n`;
+        emit(html + '</table>\n');
+        return i;
+    }
+
+    // Code spans, escapes, links and autolinks are set aside as numbered placeholders so that
+    // the emphasis rules never see inside them, then put back; link text shares the stash
+    inline(text, stash = null) {
+        if (!stash) {
+            stash = [];
+            text = text.replace(/\u0000/g, '');
+        }
+        const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+        let out = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (all, ticks, code) => keep(`<code>${Markdown.escape(code.replace(/\n/g, ' ').replace(/^ (.*) $/, '$1'))}</code>`))
+            .replace(/\\([!-/:-@[-`{-~])/g, (all, c) => keep(Markdown.escape(c)))
+            // Targets are <anything> or have balanced parentheses, as in wiki/Foo_(bar), two levels deep
+            .replace(/(!?)\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*(?:<([^<>\n]*)>|((?:[^\s()]|\((?:[^\s()]|\([^\s()]*\))*\))*))(?:\s+"([^"]*)")?\s*\)/g,
+                (all, bang, label, angled, bare, title) => {
+                    const href = angled === undefined ? bare : angled;
+                    return keep(bang ? this.img(label, href, title) : this.link(this.inline(label, stash), href, title));
+                })
+            .replace(/<((?:https?|mailto):[^\s<>]+)>|\b(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/g,
+                (all, angled, bare) => keep(this.link(Markdown.escape(angled || bare), angled || bare)));
+        out = Markdown.escape(out)
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__(?!\w)/g, (all, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*|(?<!\w)_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, (all, a, b) => `<em>${a || b}</em>`)
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/(?: {2,}|\\)\n/g, '<br>\n');
+        while (/\u0000\d+\u0000/.test(out)) out = out.replace(/\u0000(\d+)\u0000/g, (all, n) => stash[n]);
+        return out;
+    }
+
+    // A file path for targets without a scheme; null for web, mail and in-page ones
+    path(href) {
+        if (!href || /^(#|[a-z][\w+.-]*:)/i.test(href)) return null;
+        let path = href.replace(/[?#].*$/, '');
+        try {
+            path = decodeURIComponent(path);
+        } catch (e) {
+            // Left as written
+        }
+        const parts = [];
+        (path.startsWith('/') ? path : this.base + '/' + path).split('/').forEach(part => {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        });
+        return '/' + parts.join('/');
+    }
+
+    link(label, href, title) {
+        const attrs = title ? ` title="${Markdown.escape(title)}"` : '';
+        if (/^(https?|mailto):/i.test(href)) return `<a href="${Markdown.escape(href)}"${attrs} target="_blank" rel="noopener">${label}</a>`;
+        if (href.startsWith('#')) return `<a href="${Markdown.escape(href)}"${attrs}>${label}</a>`;
+        const path = this.path(href);
+        if (!path) return label;
+        return `<a href="${Markdown.escape(href)}" data-path="${Markdown.escape(path)}"${attrs}>${label}</a>`;
+    }
+
+    img(alt, src, title) {
+        const attrs = (title ? ` title="${Markdown.escape(title)}"` : '') + ` alt="${Markdown.escape(alt)}"`;
+        if (/^https?:/i.test(src)) return `<img src="${Markdown.escape(src)}"${attrs}>`;
+        const path = this.path(src);
+        const url = path && this.image(path);
+        return url ? `<img src="${Markdown.escape(url)}" data-path="${Markdown.escape(path)}"${attrs}>` : `<span class="missing-image">${Markdown.escape(alt || src)}</span>`;
+    }
+}
+
+Markdown.FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+Markdown.HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*))?$/;
+Markdown.RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+Markdown.ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:[ \t]+|$)/;
+Markdown.TABLE_RULE = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+// The exported page's stylesheet, with light-theme colours for highlighted code
+Markdown.STYLE = `body { margin: 0; background: #fff; color: #1f2328; font: 16px/1.6 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; }
+.markdown-body { max-width: 860px; margin: 0 auto; padding: 32px 24px; }
+h1, h2 { padding-bottom: 0.3em; border-bottom: 1px solid #d1d9e0; }
+h1, h2, h3, h4, h5, h6 { margin: 1.5em 0 0.6em; line-height: 1.25; }
+a { color: #0969da; }
+code { padding: 0.2em 0.4em; background: #eff1f3; border-radius: 6px; font: 85% Consolas, Monaco, monospace; }
+pre { padding: 16px; overflow: auto; background: #f6f8fa; border-radius: 6px; }
+pre code { padding: 0; background: none; font-size: 85%; }
+blockquote { margin: 0 0 1em; padding: 0 1em; color: #59636e; border-left: 0.25em solid #d1d9e0; }
+table { border-collapse: collapse; margin: 1em 0; }
+th, td { padding: 6px 13px; border: 1px solid #d1d9e0; }
+tr:nth-child(2n) { background: #f6f8fa; }
+hr { height: 0.25em; margin: 24px 0; background: #d1d9e0; border: 0; }
+img { max-width: 100%; }
+li.task { list-style: none; }
+.tok-comment, .tok-quote { color: #59636e; }
+.tok-string, .tok-code { color: #0a3069; }
+.tok-keyword, .tok-literal, .tok-tag, .tok-heading { color: #cf222e; }
+.tok-number, .tok-property, .tok-attribute { color: #0550ae; }
+.tok-function, .tok-selector, .tok-type { color: #8250df; }
+`;
+
+// File types and the apps that open them, after freedesktop.org's shared MIME info and
+// .desktop files: each type has a description and an icon, each app lists the MIME types it
+// opens ("image/*" for a whole family), and the user's choice of default app per type is
+// the "yesos_default_apps" setting.
+class FileTypes {
+    constructor() {
+        this.apps = {};
+    }
+
+    // id: { name, icon, mimes, open(path) }; earlier registrations win ties for the default
+    register(id, app) {
+        this.apps[id] = { id, ...app };
+    }
+
+    // pattern "text/*" covers "text/plain" and is covered by itself
+    static matches(pattern, mime) {
+        return pattern === mime || pattern === '*/*' || (pattern.endsWith('/*') && mime.startsWith(pattern.slice(0, -1)));
+    }
+
+    // { mime, name, icon } for a MIME type: its own entry, else its family's, else "File"
+    static type(mime) {
+        const types = FileTypes.TYPES;
+        return types.find(t => t.mime === mime) || types.find(t => FileTypes.matches(t.mime, mime)) || types[types.length - 1];
+    }
+
+    // Apps that can open mime, those naming it exactly before those taking its whole family
+    appsFor(mime) {
+        const rank = (app) => app.mimes.some(m => m === mime) ? 0 : app.mimes.some(m => m !== '*/*' && FileTypes.matches(m, mime)) ? 1 : 2;
+        return Object.values(this.apps).filter(app => app.mimes.some(m => FileTypes.matches(m, mime)))
+            .map((app, order) => ({ app, order })).sort((a, b) => rank(a.app) - rank(b.app) || a.order - b.order).map(entry => entry.app);
+    }
+
+    defaults() {
+        try {
+            return JSON.parse(localStorage.getItem('yesos_default_apps')) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // The app chosen for the type while it can still open it; then an app made for exactly this
+    // type (so a choice for all of text/* leaves HTML to the HTML viewer), the one chosen for
+    // the family, and the best match
+    defaultApp(mime) {
+        const chosen = this.defaults();
+        const apps = this.appsFor(mime);
+        const pick = (id) => apps.find(app => app.id === id);
+        const specific = apps.filter(app => app.mimes.includes(mime));
+        return pick(chosen[mime]) || specific[0] || pick(chosen[mime.split('/')[0] + '/*']) || apps[0] || null;
+    }
+
+    // app null goes back to the automatic choice
+    setDefault(mime, app) {
+        const chosen = this.defaults();
+        if (app) chosen[mime] = app;
+        else delete chosen[mime];
+        localStorage.setItem('yesos_default_apps', JSON.stringify(chosen));
+    }
+
+    // An app by id or by name, case-insensitively ("editor", "Text Editor")
+    find(name) {
+        name = name.toLowerCase();
+        return this.apps[name] || Object.values(this.apps).find(app => app.name.toLowerCase() === name) || null;
+    }
+}
+
+// Most specific first; the last entry is the fallback for anything unknown
+FileTypes.TYPES = [
+    { mime: 'inode/directory', name: 'Folder', icon: '📁' },
+    { mime: 'inode/symlink', name: 'Link', icon: '🔗' },
+    { mime: 'text/html', name: 'HTML document', icon: '🌐' },
+    { mime: 'text/markdown', name: 'Markdown document', icon: '📝' },
+    { mime: 'text/javascript', name: 'JavaScript file', icon: '📜' },
+    { mime: 'text/css', name: 'CSS stylesheet', icon: '🎨' },
+    { mime: 'application/json', name: 'JSON file', icon: '🔧' },
+    { mime: 'text/x-shellscript', name: 'Shell script', icon: '⚙️' },
+    { mime: 'text/csv', name: 'CSV table', icon: '📊' },
+    { mime: 'text/*', name: 'Text document', icon: '📄' },
+    { mime: 'image/*', name: 'Image', icon: '🖼️' },
+    { mime: 'audio/*', name: 'Audio', icon: '🎵' },
+    { mime: 'video/*', name: 'Video', icon: '🎬' },
+    { mime: 'application/pdf', name: 'PDF document', icon: '📕' },
+    { mime: 'application/zip', name: 'Zip archive', icon: '🗜️' },
+    { mime: 'application/gzip', name: 'Gzip archive', icon: '🗜️' },
+    { mime: 'application/x-tar', name: 'Tar archive', icon: '🗜️' },
+    { mime: 'application/octet-stream', name: 'File', icon: '📄' }
+];
+
+class OS {
+    constructor() {
+        this.desktop = document.getElementById('desktop');
+        this.windowArea = document.getElementById('window-area');
+        this.windows = {};
+        this.zIndex = 100;
+        this.nextId = 1;
+        this.vfs = new VirtualFileSystem(); // Virtual File System
+        this.fileTypes = new FileTypes();
+        this.registerApps();
+        this.user = null; // logged-in account; the desktop stays behind the login screen until set
+        // A filesystem that failed to load or save still runs from memory; the user is told nothing will be kept
+        this.ready = this.vfs.ready.catch(e => {
+            console.error(e);
+            alert(`${e.message}. You can keep working, but changes made in this session will not be saved.`);
+        }).then(() => {
+            this.accounts = new UserAccounts(this.vfs);
+            this.renderLoginUsers();
+        });
+
+        this.startClock();
+        this.setupDrag();
+        this.setupResize();
+        // The browser asks before a reload or closing the tab throws away unsaved documents
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.unsavedWork().length) return;
+            e.preventDefault();
+            e.returnValue = '';
+        });
+        // Notepad drafts still waiting for their autosave are written as the page goes, and kept in
+        // localStorage too: the IndexedDB write won't finish. The next Notepad window puts them back,
+        // or this one if the browser brings the page back from its cache.
+        window.addEventListener('pagehide', () => {
+            const pending = Object.values(this.windows).filter(win => win.notepad && win.notepad.timer);
+            pending.forEach(win => {
+                clearTimeout(win.notepad.timer);
+                win.notepad.timer = null;
+                this.saveNotepadDraft(win);
+            });
+            if (pending.length) this.keepNotepadDrafts(pending);
+        });
+        window.addEventListener('pageshow', (e) => {
+            if (e.persisted && this.user) this.restoreNotepadDrafts();
+        });
+    }
+
+    // What each app can open, for double-clicks, "Open with…" and the open command
+    registerApps() {
+        this.fileTypes.register('fileexplorer', { name: 'File Explorer', icon: '📁', mimes: ['inode/directory'], open: path => this.openFolder(path) });
+        this.fileTypes.register('htmlviewer', { name: 'HTML Viewer', icon: '🌐', mimes: ['text/html'], open: path => this.openHtmlFile(path) });
+        this.fileTypes.register('imageviewer', { name: 'Image Viewer', icon: '🖼️', mimes: ['image/*', 'image/svg+xml'], open: path => this.openImage(path) });
+        this.fileTypes.register('mediaplayer', { name: 'Media Player', icon: '🎬', mimes: ['audio/*', 'video/*'], open: path => this.openMedia(path) });
+        this.fileTypes.register('editor', { name: 'Text Editor', icon: '📝', mimes: ['text/*', 'application/json', 'application/xml', 'image/svg+xml'], open: path => this.openFileEditor(path) });
+        this.fileTypes.register('notepad', { name: 'Notepad', icon: '🗒️', mimes: ['text/*', 'application/json'], open: path => this.openInNotepad(path) });
+    }
+
+    /* --- Login --- */
+
+    renderLoginUsers() {
+        const list = document.getElementById('login-users');
+        if (!list) return;
+        list.innerHTML = '';
+        this.accounts.users().filter(u => u.uid >= 1000 && u.uid < 60000).forEach(user => {
+            const card = document.createElement('div');
+            card.className = 'login-user';
+            card.dataset.user = user.name;
+            card.innerHTML = `<div class="login-avatar"></div><div class="login-name"></div>`;
+            card.querySelector('.login-avatar').innerText = user.name[0].toUpperCase();
+            card.querySelector('.login-name').innerText = user.gecos || user.name;
+            card.onclick = () => this.selectLoginUser(user.name);
+            list.appendChild(card);
+        });
+        const first = this.accounts.users().find(u => u.uid >= 1000 && u.uid < 60000);
+        if (first) this.selectLoginUser(first.name);
+    }
+
+    selectLoginUser(name) {
+        document.getElementById('login-username').value = name;
+        document.querySelectorAll('.login-user').forEach(card => card.classList.toggle('selected', card.dataset.user === name));
+        const password = document.getElementById('login-password');
+        password.value = '';
+        password.placeholder = this.accounts.hasPassword(name) ? 'Password' : 'No password, press Enter';
+        document.getElementById('login-error').innerText = '';
+        password.focus();
+    }
+
+    async login() {
+        await this.ready;
+        const name = document.getElementById('login-username').value.trim();
+        const password = document.getElementById('login-password').value;
+        const error = document.getElementById('login-error');
+        const user = this.accounts.credentials(name);
+        if (!user || !(await this.accounts.verify(name, password))) {
+            error.innerText = 'Login incorrect';
+            document.getElementById('login-password').value = '';
+            return false;
+        }
+
+        this.user = user;
+        this.vfs.user = user;
+        this.vfs.currentDir = this.vfs.isDir(user.home) ? user.home : '/';
+        document.getElementById('login-screen').classList.add('hidden');
+        document.getElementById('session-user').innerText = user.name;
+        this.watchDesktop();
+
+        // Show help once the desktop appears
+        setTimeout(() => this.toggleHelp(), 800);
+        return true;
+    }
+
+    async logout() {
+        const unsaved = this.unsavedWork();
+        if (unsaved.length && !confirm(`Unsaved changes in ${unsaved.join(', ')} will be lost. Log out anyway?`)) return;
+        Object.keys(this.windows).forEach(id => this.closeWindow(id, true));
+        try {
+            const errors = (await this.unmountAll()).reduce((sum, result) => sum + (result.errors || 0), 0);
+            if (errors) alert(`${errors} change(s) could not be written to the host folder.`);
+        } catch (e) {
+            alert('Could not unmount the host folders: ' + e.message);
+        }
+        this.user = null;
+        this.vfs.user = VirtualFileSystem.ROOT;
+        this.watchDesktop();
+        document.getElementById('login-screen').classList.remove('hidden');
+        this.renderLoginUsers();
+    }
+
+    startClock() {
+        setInterval(() => {
+            document.getElementById('clock').innerText = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }, 1000);
+    }
+
+    /* --- Window Management --- */
+
+    openApp(appType, arg = null) {
+        let content = '';
+        let title = '';
+        let width = 400;
+        let height = 300;
+
+        switch (appType) {
+            case 'notepad':
+                title = 'Notepad';
+                width = 520;
+                height = 380;
+                content = `
+                    <div class="notepad">
+                        <div class="notepad-menubar">
+                            <button onclick="os.notepadMenu('${this.nextId}', 'file', this)">File</button>
+                            <button onclick="os.notepadMenu('${this.nextId}', 'format', this)">Format</button>
+                            <button onclick="os.notepadMenu('${this.nextId}', 'view', this)">View</button>
+                        </div>
+                        <textarea class="notepad-area" id="notepad-text-${this.nextId}" spellcheck="false" placeholder="Type here..." oninput="os.notepadInput('${this.nextId}')" onkeydown="os.notepadKey('${this.nextId}', event)" onkeyup="os.updateNotepadStatus('${this.nextId}')" onmouseup="os.updateNotepadStatus('${this.nextId}')"></textarea>
+                        <div class="notepad-status" id="notepad-status-${this.nextId}"></div>
+                    </div>`;
+                break;
+            case 'calculator':
+                title = 'Calculator';
+                width = 300;
+                height = 400;
+                content = this.getCalculatorHTML();
+                break;
+            case 'browser':
+                title = 'Web Surf';
+                width = 800;
+                height = 600;
+                const initialUrl = arg || 'https://www.wikipedia.org';
+                // If it's a blob URL, we might want to show a friendly name in the bar, but for now show real URL
+                // Check if it's a blob to determine if we need proxy
+                const isBlob = initialUrl.startsWith('blob:');
+                const srcUrl = isBlob ? initialUrl : (initialUrl.startsWith('http') ? 'https://api.allorigins.win/raw?url=' + encodeURIComponent(initialUrl) : initialUrl);
+
+                content = `
+                    <div class="browser-chrome">
+                        <button onclick="os.browserBack(this)">⬅</button>
+                        <input type="text" class="url-bar" value="${initialUrl}" onkeydown="if(event.key==='Enter') os.browserGo(this)">
+                        <button onclick="os.browserGo(this.previousElementSibling)">Go</button>
+                    </div>
+                    <iframe src="${srcUrl}" sandbox="allow-scripts allow-same-origin allow-forms allow-popups"></iframe>
+                `;
+                break;
+            case 'htmlviewer':
+                title = 'HTML Viewer';
+                width = 800;
+                height = 600;
+                // arg should be the blob URL
+                content = `
+                    <div style="width:100%; height:100%; display:flex; flex-direction:column; background:#fff;">
+                         <div style="background:#eee; padding:5px 10px; border-bottom:1px solid #ccc; font-size:0.8rem; color:#555;">
+                            Previewing File
+                        </div>
+                        <iframe src="${arg}" style="flex:1; border:none; width:100%; height:100%;" sandbox="allow-scripts allow-forms allow-popups"></iframe>
+                    </div>
+                `;
+                break;
+            case 'aibot':
+                title = 'YesAI Assistant';
+                width = 350;
+                height = 500;
+                content = `
+                    <div class="chat-container">
+                        <div class="chat-history" id="ai-history-${this.nextId}"></div>
+                        <div class="chat-input-area">
+                            <input class="chat-input" type="text" placeholder="Ask me anything..." onkeydown="if(event.key==='Enter') os.aiSend(this)">
+                            <button class="chat-send" onclick="os.aiSend(this.previousElementSibling)">➤</button>
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'terminal':
+                title = 'Terminal';
+                width = 600;
+                height = 400;
+                content = `
+                    <div class="terminal-window" onclick="this.querySelector('input').focus()">
+                        <div class="term-output">
+                            <div class="term-line">Welcome to YesOS Linux</div>
+                            <div class="term-line">Type 'help' for available commands</div>
+                            <br>
+                        </div>
+                        <div class="term-input-line">
+                            <span class="term-prompt">user@yesos:~$</span>
+                            <input class="term-input" type="text" onkeydown="os.termKeyDown(event)">
+                        </div>
+                    </div>
+                `;
+                break;
+            case 'settings':
+                title = 'Settings';
+                height = 520;
+                content = `
+                    <div style="padding:20px; color:#fff;">
+                        <h3>System Settings</h3>
+                        <p>Customize your Yes Browser experience.</p>
+                        <br>
+                        <label>Background Style</label>
+                        <select style="width:100%; padding:5px; margin-top:5px; background:#333; color:#fff; border:1px solid #555;">
+                            <option>Deep Space (Default)</option>
+                            <option>Nebula</option>
+                            <option>Black Hole</option>
+                        </select>
+                        <br><br>
+                        <label>AI API Key (Gemini or OpenAI/ChatGPT)</label>
+                        <input type="password" id="gemini-key-input" placeholder="Paste API Key here..." style="width:100%; padding:5px; margin-top:5px; background:#333; color:#fff; border:1px solid #555;">
+                        <button onclick="os.saveSettings()" style="margin-top:10px; padding:8px 15px; background:var(--accent); border:none; color:#000; font-weight:bold; cursor:pointer;">Save Settings</button>
+                        <br><br>
+                        <label style="display:flex; align-items:center; gap:8px; cursor:pointer;">
+                            <input type="checkbox" ${localStorage.getItem('yesos_rm_trash') === '1' ? 'checked' : ''} onchange="os.setRmTrash(this.checked)">
+                            Terminal <code>rm</code> moves files to the Trash
+                        </label>
+                        <label style="display:flex; align-items:center; gap:8px; margin-top:8px;">
+                            Earlier versions kept per file
+                            <input type="number" min="0" max="100" value="${this.vfs.revisionLimit()}" onchange="os.setRevisionLimit(this)" style="width:60px; padding:3px; background:#333; color:#fff; border:1px solid #555;">
+                        </label>
+                        <br>
+                        <h3>Default Apps</h3>
+                        <p style="font-size:0.85rem; color:#aaa;">Which app opens each kind of file. "Open with…" in the File Explorer can change these too.</p>
+                        ${this.defaultAppsSettings()}
+                        <br>
+                        <h3>Backup &amp; Restore</h3>
+                        <p style="font-size:0.85rem; color:#aaa;">One file with every user's files, these settings and the open windows. Administrators only.</p>
+                        <input type="password" id="backup-password-${this.nextId}" placeholder="Your password" style="width:100%; padding:5px; margin-top:5px; background:#333; color:#fff; border:1px solid #555;">
+                        <div style="display:flex; gap:8px; margin-top:8px;">
+                            <button class="settings-btn" onclick="os.downloadBackup('${this.nextId}')">💾 Download backup</button>
+                            <label class="settings-btn">
+                                📂 Restore from file…
+                                <input type="file" accept=".zip,.json" style="display:none" onchange="os.previewRestore('${this.nextId}', event)">
+                            </label>
+                        </div>
+                        <pre class="backup-diff hidden" id="backup-diff-${this.nextId}"></pre>
+                        <button class="settings-btn hidden" id="backup-apply-${this.nextId}" onclick="os.confirmRestore('${this.nextId}')">Restore now</button>
+                    </div>`;
+                break;
+            case 'editor':
+                title = 'Text Editor';
+                width = 760;
+                height = 520;
+                content = `
+                    <div class="editor" onkeydown="os.editorKey('${this.nextId}', event)">
+                        <div class="editor-toolbar">
+                            <button title="New document" onclick="os.editorNew('${this.nextId}')">New</button>
+                            <button title="Open a file" onclick="os.editorOpenPrompt('${this.nextId}')">Open</button>
+                            <button title="Save (Ctrl+S)" onclick="os.editorSave('${this.nextId}')">Save</button>
+                            <button title="Save As (Ctrl+Shift+S)" onclick="os.editorSaveAs('${this.nextId}')">Save As</button>
+                            <span class="viewer-separator"></span>
+                            <button title="Undo (Ctrl+Z)" onclick="os.editorUndo('${this.nextId}')">↶</button>
+                            <button title="Redo (Ctrl+Y)" onclick="os.editorRedo('${this.nextId}')">↷</button>
+                            <span class="viewer-separator"></span>
+                            <button title="Find (Ctrl+F)" onclick="os.editorFind('${this.nextId}')">Find</button>
+                            <button title="Replace (Ctrl+H)" onclick="os.editorFind('${this.nextId}', true)">Replace</button>
+                            <button title="Go to line (Ctrl+G)" onclick="os.editorGoToLine('${this.nextId}')">Go to Line</button>
+                            <span class="viewer-separator"></span>
+                            <button title="Earlier versions of this file" onclick="os.toggleEditorHistory('${this.nextId}')">History</button>
+                            <span class="viewer-separator editor-markdown"></span>
+                            <button class="editor-markdown" id="editor-preview-btn-${this.nextId}" title="Show the rendered Markdown beside the text" onclick="os.toggleEditorPreview('${this.nextId}')">Preview</button>
+                            <button class="editor-markdown" title="Save the rendered document as a web page" onclick="os.editorExportHtml('${this.nextId}')">Export HTML</button>
+                        </div>
+                        <div class="editor-tabs" id="editor-tabs-${this.nextId}"></div>
+                        <div class="editor-find hidden" id="editor-find-${this.nextId}">
+                            <input type="text" id="find-query-${this.nextId}" placeholder="Find" oninput="os.editorFindUpdate('${this.nextId}')" onkeydown="os.editorFindKey('${this.nextId}', event)">
+                            <label title="Match case"><input type="checkbox" id="find-case-${this.nextId}" onchange="os.editorFindUpdate('${this.nextId}')">Aa</label>
+                            <label title="Regular expression"><input type="checkbox" id="find-regex-${this.nextId}" onchange="os.editorFindUpdate('${this.nextId}')">.*</label>
+                            <span class="editor-find-count" id="find-count-${this.nextId}"></span>
+                            <button title="Previous match (Shift+Enter)" onclick="os.editorFindStep('${this.nextId}', -1)">▲</button>
+                            <button title="Next match (Enter)" onclick="os.editorFindStep('${this.nextId}', 1)">▼</button>
+                            <input type="text" id="find-replace-${this.nextId}" placeholder="Replace" onkeydown="os.editorFindKey('${this.nextId}', event)">
+                            <button title="Replace this match" onclick="os.editorReplace('${this.nextId}')">Replace</button>
+                            <button title="Replace every match" onclick="os.editorReplaceAll('${this.nextId}')">All</button>
+                            <button title="Close (Esc)" onclick="os.editorFindClose('${this.nextId}')">✕</button>
+                        </div>
+                        <div class="editor-panes" id="editor-panes-${this.nextId}"></div>
+                        <div class="editor-status" id="editor-status-${this.nextId}"></div>
+                    </div>`;
+                break;
+            case 'imageviewer':
+                title = 'Image Viewer';
+                width = 640;
+                height = 480;
+                content = `
+                    <div class="viewer">
+                        <div class="viewer-toolbar">
+                            <button title="Previous (←)" onclick="os.viewerStep('${this.nextId}', -1)">◀</button>
+                            <button title="Next (→)" onclick="os.viewerStep('${this.nextId}', 1)">▶</button>
+                            <span class="viewer-separator"></span>
+                            <button title="Zoom out (-)" onclick="os.viewerZoom('${this.nextId}', 1 / 1.25)">−</button>
+                            <span class="viewer-zoom" id="viewer-zoom-${this.nextId}">100%</span>
+                            <button title="Zoom in (+)" onclick="os.viewerZoom('${this.nextId}', 1.25)">+</button>
+                            <button title="Fit to window (0)" onclick="os.viewerFit('${this.nextId}')">Fit</button>
+                            <button title="Actual size (1)" onclick="os.viewerActualSize('${this.nextId}')">1:1</button>
+                            <span class="viewer-separator"></span>
+                            <button title="Rotate left (Shift+R)" onclick="os.viewerRotate('${this.nextId}', -90)">⟲</button>
+                            <button title="Rotate right (R)" onclick="os.viewerRotate('${this.nextId}', 90)">⟳</button>
+                            <button id="viewer-play-${this.nextId}" title="Slideshow (Space)" onclick="os.viewerSlideshow('${this.nextId}')">▶ Slideshow</button>
+                        </div>
+                        <div class="viewer-stage" id="viewer-stage-${this.nextId}" tabindex="0" onwheel="os.viewerWheel('${this.nextId}', event)" onmousedown="os.viewerPan('${this.nextId}', event)" onkeydown="os.viewerKey('${this.nextId}', event)" ondblclick="os.viewerFit('${this.nextId}')">
+                            <img class="viewer-image" id="viewer-img-${this.nextId}" draggable="false" alt="">
+                        </div>
+                        <div class="viewer-status" id="viewer-status-${this.nextId}"></div>
+                    </div>`;
+                break;
+            case 'mediaplayer':
+                title = 'Media Player';
+                width = 520;
+                height = 520;
+                content = `
+                    <div class="player" tabindex="0" onkeydown="os.playerKey('${this.nextId}', event)">
+                        <div class="player-stage audio" id="player-stage-${this.nextId}">
+                            <video class="player-media" id="player-media-${this.nextId}" ondblclick="this.requestFullscreen && this.requestFullscreen()"></video>
+                            <div class="player-art">🎵</div>
+                        </div>
+                        <div class="player-title" id="player-title-${this.nextId}">Nothing playing</div>
+                        <div class="player-seek">
+                            <span id="player-time-${this.nextId}">0:00</span>
+                            <input type="range" id="player-seek-${this.nextId}" min="0" max="0" step="0.1" value="0" oninput="os.playerSeek('${this.nextId}', this.value)">
+                            <span id="player-duration-${this.nextId}">0:00</span>
+                        </div>
+                        <div class="player-controls">
+                            <button title="Previous (P)" onclick="os.playerPrevious('${this.nextId}')">⏮</button>
+                            <button class="player-toggle" id="player-toggle-${this.nextId}" title="Play/Pause (Space)" onclick="os.playerToggle('${this.nextId}')">▶</button>
+                            <button title="Next (N)" onclick="os.playerNext('${this.nextId}')">⏭</button>
+                            <span class="viewer-separator"></span>
+                            <button id="player-mute-${this.nextId}" title="Mute (M)" onclick="os.playerMute('${this.nextId}')">🔊</button>
+                            <input type="range" class="player-volume" id="player-volume-${this.nextId}" min="0" max="1" step="0.05" value="1" oninput="os.playerVolume('${this.nextId}', parseFloat(this.value))">
+                        </div>
+                        <div class="player-lists">
+                            <div class="player-heading hidden" id="player-queue-heading-${this.nextId}">Up next</div>
+                            <div id="player-queue-${this.nextId}"></div>
+                            <div class="player-heading">Playlist</div>
+                            <div id="player-playlist-${this.nextId}"></div>
+                        </div>
+                    </div>`;
+                break;
+            case 'trash':
+                title = 'Trash';
+                width = 640;
+                height = 420;
+                content = `
+                    <div class="explorer-container">
+                        <div class="explorer-toolbar">
+                            <div class="explorer-path">🗑️ Trash</div>
+                            <button onclick="os.trashRestoreAll('${this.nextId}')">↩ Restore All</button>
+                            <button onclick="os.emptyTrash('${this.nextId}')">🧹 Empty Trash</button>
+                        </div>
+                        <div class="trash-list" id="trash-${this.nextId}"></div>
+                    </div>
+                `;
+                break;
+            case 'fileexplorer':
+                title = 'File Explorer';
+                width = 700;
+                height = 500;
+                content = `
+                    <div class="explorer-container">
+                        <div class="explorer-toolbar">
+                            <button id="back-${this.nextId}" title="Back (Alt+Left)" onclick="os.explorerBack('${this.nextId}')" disabled>◀</button>
+                            <button id="forward-${this.nextId}" title="Forward (Alt+Right)" onclick="os.explorerForward('${this.nextId}')" disabled>▶</button>
+                            <button onclick="os.navigateExplorer('${this.nextId}', '..')">⬆ Up</button>
+                            <div class="explorer-path" id="path-${this.nextId}" title="Click to type a path" onclick="os.editExplorerPath('${this.nextId}', event)"></div>
+                            <input class="explorer-search" id="search-${this.nextId}" type="search" placeholder="🔍 Search names and contents" oninput="os.explorerSearch('${this.nextId}', this.value)" onkeydown="os.explorerSearchKey('${this.nextId}', event)">
+                        </div>
+                        <div class="explorer-toolbar explorer-actions">
+                            <button onclick="os.explorerMkdir('${this.nextId}')">📁 New Folder</button>
+                            <button onclick="os.explorerNewFile('${this.nextId}')">📄 New File</button>
+                            <button onclick="os.explorerPaste('${this.nextId}')">📋 Paste</button>
+                            <button onclick="os.explorerDownload('${this.nextId}')">🌐 Download URL</button>
+                            <button onclick="os.explorerMount('${this.nextId}')">🔌 Mount folder</button>
+                            <label class="explorer-toolbar-btn" style="cursor:pointer; background:rgba(255,255,255,0.1); padding:5px 10px; border-radius:4px; font-size:0.85rem;">
+                                📤 Upload
+                                <input type="file" multiple style="display:none" onchange="os.explorerUpload('${this.nextId}', event)">
+                            </label>
+                            <span class="explorer-spacer"></span>
+                            <select id="sort-${this.nextId}" title="Sort by" onchange="os.setExplorerSort('${this.nextId}', this.value, false)">
+                                <option value="name">Name</option>
+                                <option value="size">Size</option>
+                                <option value="modified">Date</option>
+                                <option value="type">Type</option>
+                            </select>
+                            <button id="order-${this.nextId}" title="Reverse order" onclick="os.setExplorerSort('${this.nextId}', null)">↑</button>
+                            <span class="explorer-views" id="views-${this.nextId}">
+                                <button data-view="grid" title="Icons" onclick="os.setExplorerView('${this.nextId}', 'grid')">▦</button>
+                                <button data-view="list" title="List" onclick="os.setExplorerView('${this.nextId}', 'list')">☰</button>
+                                <button data-view="details" title="Details" onclick="os.setExplorerView('${this.nextId}', 'details')">▤</button>
+                            </span>
+                        </div>
+                        <div class="explorer-body">
+                            <div class="explorer-sidebar" id="places-${this.nextId}"></div>
+                            <div class="file-grid" id="grid-${this.nextId}" tabindex="0" onmousedown="os.explorerRubberBand('${this.nextId}', event)" onkeydown="os.explorerKey('${this.nextId}', event)" oncontextmenu="os.explorerBackgroundMenu('${this.nextId}', event)" ondragover="os.explorerDragOver(event)" ondragleave="this.classList.remove('drop-target')" ondrop="os.explorerDrop('${this.nextId}', event)"></div>
+                        </div>
+                        <div class="explorer-status" id="status-${this.nextId}"></div>
+                    </div>
+                `;
+                break;
+        }
+
+        this.createWindow(title, content, width, height, appType);
+    }
+
+    createWindow(title, content, width, height, type) {
+        const id = 'win_' + this.nextId++;
+        const win = document.createElement('div');
+        win.className = 'window';
+        win.id = id;
+        win.style.width = width + 'px';
+        win.style.height = height + 'px';
+        win.style.zIndex = ++this.zIndex;
+
+        // Random pos
+        const top = 50 + (this.nextId * 20) % 300;
+        const left = 50 + (this.nextId * 20) % 500;
+        win.style.top = top + 'px';
+        win.style.left = left + 'px';
+
+        win.innerHTML = `
+            <div class="title-bar" onmousedown="os.startDrag(event, '${id}')">
+                <h4>${title}</h4>
+                <div class="window-controls">
+                    <div class="control-btn min-btn"></div>
+                    <div class="control-btn max-btn"></div>
+                    <div class="control-btn close-btn" onclick="os.closeWindow('${id}')"></div>
+                </div>
+            </div>
+            <div class="window-content">${content}</div>
+            <div class="resize-handle" onmousedown="os.startResize(event, '${id}')"></div>
+        `;
+
+        win.dataset.app = type;
+        win.onmousedown = () => this.focusWindow(id);
+        this.windowArea.appendChild(win);
+        this.windows[id] = win;
+
+        // Post-render init for apps
+        if (type === 'calculator') this.initCalculator(id);
+        if (type === 'editor') this.initEditor(win);
+        if (type === 'notepad') this.initNotepad(win);
+        if (type === 'imageviewer') this.initViewer(win);
+        if (type === 'mediaplayer') this.initPlayer(win);
+        if (type === 'terminal') this.initTerminal(win);
+        if (type === 'aibot') setTimeout(() => this.aiGreet(id), 500);
+        if (type === 'fileexplorer') {
+            const winNum = id.split('_')[1];
+            this.renderFileExplorer(winNum, this.vfs.user.home);
+        }
+        if (type === 'trash') {
+            const winNum = id.split('_')[1];
+            this.renderTrash(winNum);
+            win.unwatch = this.vfs.watch(this.vfs.trashDir(), () => this.renderTrash(winNum), { recursive: true });
+        }
+    }
+
+    // Apps with unsaved work list it in win.unsaved(); force closes without asking
+    closeWindow(id, force = false) {
+        const win = document.getElementById(id);
+        if (win) {
+            const unsaved = !force && win.unsaved ? win.unsaved() : [];
+            if (unsaved.length && !confirm(`Unsaved changes in ${unsaved.join(', ')} will be lost. Close anyway?`)) return;
+            if (win.unwatch) win.unwatch();
+            if (win.unwatchPlaces) win.unwatchPlaces();
+            if (win.cleanup) win.cleanup();
+            // Animate out?
+            win.remove();
+            delete this.windows[id];
+        }
+    }
+
+    // Names of the documents with unsaved changes across all windows
+    unsavedWork() {
+        return Object.values(this.windows).flatMap(win => win.unsaved ? win.unsaved() : []);
+    }
+
+    focusWindow(id) {
+        const win = document.getElementById(id);
+        if (win) {
+            win.style.zIndex = ++this.zIndex;
+        }
+    }
+
+    toggleHelp() {
+        const overlay = document.getElementById('help-overlay');
+        if (overlay) {
+            overlay.classList.toggle('hidden');
+        }
+    }
+    /* --- Window Dragging --- */
+    setupDrag() {
+        this.dragState = { active: false, currentWin: null, offsetX: 0, offsetY: 0 };
+
+        document.addEventListener('mousemove', (e) => {
+            if (this.dragState.active && this.dragState.currentWin) {
+                const win = this.dragState.currentWin;
+                win.style.top = (e.clientY - this.dragState.offsetY) + 'px';
+                win.style.left = (e.clientX - this.dragState.offsetX) + 'px';
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.dragState.active = false;
+            this.dragState.currentWin = null;
+        });
+    }
+
+    startDrag(e, id) {
+        // Only drag if left click
+        if (e.button !== 0) return;
+
+        const win = document.getElementById(id);
+        this.focusWindow(id);
+
+        const rect = win.getBoundingClientRect();
+        this.dragState.active = true;
+        this.dragState.currentWin = win;
+        this.dragState.offsetX = e.clientX - rect.left;
+        this.dragState.offsetY = e.clientY - rect.top;
+    }
+
+    // --- Window Resizing ---
+    setupResize() {
+        this.resizeState = { active: false, currentWin: null, startX: 0, startY: 0, startW: 0, startH: 0 };
+
+        document.addEventListener('mousemove', (e) => {
+            if (this.resizeState.active && this.resizeState.currentWin) {
+                const win = this.resizeState.currentWin;
+                const newWidth = Math.max(200, this.resizeState.startW + (e.clientX - this.resizeState.startX));
+                const newHeight = Math.max(150, this.resizeState.startH + (e.clientY - this.resizeState.startY));
+
+                win.style.width = newWidth + 'px';
+                win.style.height = newHeight + 'px';
+            }
+        });
+
+        document.addEventListener('mouseup', () => {
+            this.resizeState.active = false;
+            this.resizeState.currentWin = null;
+        });
+    }
+
+    startResize(e, id) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const win = document.getElementById(id);
+        this.focusWindow(id);
+
+        this.resizeState.active = true;
+        this.resizeState.currentWin = win;
+        this.resizeState.startX = e.clientX;
+        this.resizeState.startY = e.clientY;
+        this.resizeState.startW = parseInt(win.style.width);
+        this.resizeState.startH = parseInt(win.style.height);
+    }
+
+    /* --- App Specific Logic --- */
+
+    // Browser
+    // AI Bot
+    // AI Bot
+    async aiGreet(winId) {
+        const win = document.getElementById(winId);
+        if (!win) return;
+        const history = win.querySelector('.chat-history');
+
+        let msg = "Hello! I am YesAI.";
+        const key = localStorage.getItem('gemini_key');
+
+        if (key && key.startsWith('sk-or-')) {
+            msg += " Connected to ChatGPT (via OpenRouter) 🟢.";
+        } else if (key && key.length > 5) {
+            msg += " Connected to Gemini Cloud ☁️.";
         } else if (navigator.onLine) {
             msg += " Connected to Pollinations AI (Free Cloud) 🌸. No key needed!";
         } else {
-            msg += " I'm running offline (Local Mode).";
+            msg += " I'm running offline (Local Mode).";
+        }
+
+        this.addAiMsg(history, msg);
+    }
+
+    async aiSend(input) {
+        const text = input.value.trim();
+        if (!text) return;
+
+        const history = input.parentElement.previousElementSibling;
+        this.addAiMsg(history, text, true);
+        input.value = '';
+
+        // Simulate thinking UI
+        const thinkingId = 'thinking-' + Date.now();
+        const thinkingMsg = document.createElement('div');
+        thinkingMsg.className = 'chat-msg ai';
+        thinkingMsg.id = thinkingId;
+        thinkingMsg.innerText = '...';
+        history.appendChild(thinkingMsg);
+        history.scrollTop = history.scrollHeight;
+
+        try {
+            let response = "";
+            let command = null;
+            const apiKey = localStorage.getItem('gemini_key');
+
+            // 1. Paid/Private Cloud (Gemini / OpenAI)
+            if (apiKey && apiKey.length > 5) {
+                const isOpenRouter = apiKey.startsWith('sk-or-');
+                try {
+                    let apiResp;
+                    if (isOpenRouter) {
+                        apiResp = await fetch("https://openrouter.ai/api/v1/chat/completions", {
+                            method: "POST",
+                            headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
+                            body: JSON.stringify({
+                                "model": "openai/gpt-4o-mini",
+                                "messages": [{ "role": "user", "content": text }]
+                            })
+                        });
+                        if (apiResp.ok) {
+                            const data = await apiResp.json();
+                            response = data.choices[0].message.content.trim();
+                        }
+                    } else {
+                        // Gemini
+                        apiResp = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`, {
+                            method: 'POST', body: JSON.stringify({ contents: [{ parts: [{ text }] }] })
+                        });
+                        if (!apiResp.ok) apiResp = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
+                            method: 'POST', body: JSON.stringify({ contents: [{ parts: [{ text }] }] })
+                        });
+
+                        if (apiResp.ok) {
+                            const data = await apiResp.json();
+                            response = data.candidates[0].content.parts[0].text.trim();
+                        }
+                    }
+                } catch (e) { console.error("Key API failed", e); }
+            }
+
+            // 2. Pollinations AI (Free Cloud - No Key)
+            if (!response && navigator.onLine) {
+                try {
+                    const systemPrompt = "You are YesAI. If user wants to open an app (calculator, notepad, browser, terminal), reply ONLY with 'OPEN: appname'. Otherwise answer normally.";
+                    const url = `https://text.pollinations.ai/${encodeURIComponent(systemPrompt + " User: " + text)}`;
+
+                    const pollResp = await fetch(url);
+                    if (pollResp.ok) {
+                        response = await pollResp.text();
+                    }
+                } catch (e) {
+                    console.warn("Pollinations failed", e);
+                }
+            }
+
+            // 3. Fallback (Native or Local)
+            if (!response) {
+                if (window.ai) {
+                    try {
+                        const session = await window.ai.createTextSession();
+                        response = await session.prompt(text);
+                        session.destroy();
+                    } catch (e) { }
+                }
+            }
+
+            // 4. SimpleNLP (Offline)
+            if (!response) {
+                const nlp = new SimpleNLP();
+                const result = nlp.process(text);
+                if (result.intent === 'OPEN_APP') {
+                    command = { type: 'OPEN_APP', app: result.entity };
+                    response = "Opening " + result.entity + "...";
+                } else {
+                    response = result.answer;
+                }
+            }
+
+            // Command Parsing (Generic for all providers)
+            if (response && response.startsWith("OPEN:")) {
+                const app = response.split(":")[1].trim().toLowerCase();
+                command = { type: 'OPEN_APP', app: app };
+                response = "Opening " + app + "...";
+            }
+
+            // Cleanup Thinking
+            const thinkingEl = document.getElementById(thinkingId);
+            if (thinkingEl) thinkingEl.remove();
+
+            this.addAiMsg(history, response || "Error");
+
+            // Execute Command
+            if (command && command.type === 'OPEN_APP') {
+                setTimeout(() => this.openApp(command.app), 500);
+            }
+
+        } catch (err) {
+            const thinkingEl = document.getElementById(thinkingId);
+            if (thinkingEl) thinkingEl.remove();
+            this.addAiMsg(history, "Connectivity Error.");
+            console.error(err);
+        }
+    }
+
+    addAiMsg(historyDiv, text, isUser = false) {
+        const msg = document.createElement('div');
+        msg.className = `chat-msg ${isUser ? 'user' : 'ai'}`;
+        msg.innerText = text;
+        historyDiv.appendChild(msg);
+        historyDiv.scrollTop = historyDiv.scrollHeight;
+    }
+
+    /* --- Trash --- */
+
+    renderTrash(winNum) {
+        const list = document.getElementById(`trash-${winNum}`);
+        if (!list) return;
+        list.innerHTML = '';
+        const items = this.vfs.listTrash();
+        if (!items.length) {
+            list.innerHTML = '<div class="trash-empty">Trash is empty</div>';
+            return;
+        }
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'trash-item';
+            row.innerHTML = `
+                <div class="trash-icon"></div>
+                <div class="trash-info"><div class="trash-name"></div><div class="trash-origin"></div></div>
+                <div class="trash-date"></div>
+                <button title="Put back where it was">↩ Restore</button>
+                <button title="Delete permanently">✕</button>`;
+            row.querySelector('.trash-icon').innerText = item.type === 'dir' ? '📁' : '📄';
+            row.querySelector('.trash-name').innerText = item.path ? item.path.substring(item.path.lastIndexOf('/') + 1) : item.name;
+            row.querySelector('.trash-origin').innerText = item.path ? `${item.path.substring(0, item.path.lastIndexOf('/')) || '/'} · ${this.formatFileSize(item.size)}` : 'Original location unknown';
+            row.querySelector('.trash-date').innerText = new Date(item.deleted).toLocaleString();
+            const [restore, remove] = row.querySelectorAll('button');
+            restore.onclick = () => this.trashRestore(winNum, [item.name]);
+            remove.onclick = () => this.trashDelete(winNum, item.name);
+            row.oncontextmenu = (e) => {
+                e.preventDefault();
+                this.showContextMenu(e.clientX, e.clientY, [
+                    { label: 'Restore', action: () => this.trashRestore(winNum, [item.name]) },
+                    { label: 'Delete permanently', action: () => this.trashDelete(winNum, item.name) }
+                ]);
+            };
+            list.appendChild(row);
+        });
+    }
+
+    // Re-renders every open Trash window after something was trashed, restored or emptied
+    refreshTrash() {
+        Object.entries(this.windows).forEach(([id, win]) => {
+            if (win.dataset.app === 'trash') this.renderTrash(id.split('_')[1]);
+        });
+    }
+
+    trashRestore(winNum, names) {
+        const errors = [];
+        for (const name of names) {
+            let result = this.vfs.restoreFromTrash(name);
+            if (result.error && result.error.endsWith('already exists') && confirm(result.error.replace(/^restore: /, '') + '. Replace it?')) {
+                result = this.vfs.restoreFromTrash(name, true);
+            }
+            if (result.error && !result.error.endsWith('already exists')) errors.push(result.error);
+        }
+        this.refreshTrash();
+        if (errors.length) alert('Restore failed:\n' + errors.join('\n'));
+    }
+
+    trashRestoreAll(winNum) {
+        this.trashRestore(winNum, this.vfs.listTrash().map(item => item.name));
+    }
+
+    trashDelete(winNum, name) {
+        if (!confirm('Permanently delete this item? This cannot be undone.')) return;
+        const result = this.vfs.emptyTrash([name]);
+        this.refreshTrash();
+        if (result.errors.length) alert('Delete failed:\n' + result.errors.join('\n'));
+    }
+
+    emptyTrash(winNum = null) {
+        const count = this.vfs.listTrash().length;
+        if (!count || !confirm(`Permanently delete ${count === 1 ? 'the item' : `all ${count} items`} in the Trash?`)) return;
+        const result = this.vfs.emptyTrash();
+        this.refreshTrash();
+        if (result.errors.length) alert('Some items could not be deleted:\n' + result.errors.join('\n'));
+    }
+
+    showTrashMenu(event) {
+        event.preventDefault();
+        this.showContextMenu(event.clientX, event.clientY, [
+            { label: 'Open', action: () => this.openApp('trash') },
+            { label: 'Empty Trash', action: () => this.emptyTrash() }
+        ]);
+    }
+
+    setRmTrash(enabled) {
+        if (enabled) localStorage.setItem('yesos_rm_trash', '1');
+        else localStorage.removeItem('yesos_rm_trash');
+    }
+
+    // Applies to the next save of each file; existing history is trimmed then
+    setRevisionLimit(input) {
+        const limit = Math.min(100, Math.max(0, parseInt(input.value, 10) || 0));
+        input.value = limit;
+        localStorage.setItem('yesos_revisions', String(limit));
+    }
+
+    /* --- Mounts --- */
+
+    // Asks for a folder on the host: read-write through the File System Access API where the browser
+    // has it, otherwise a read-only copy picked with <input webkitdirectory>. null when cancelled.
+    async pickHostFolder(readOnly = false) {
+        if (window.showDirectoryPicker) {
+            try {
+                return new HostFolderBackend(await window.showDirectoryPicker({ mode: readOnly ? 'read' : 'readwrite' }), readOnly);
+            } catch (e) {
+                if (e.name === 'AbortError') return null;
+                throw e;
+            }
+        }
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.webkitdirectory = true;
+            input.onchange = () => resolve(input.files.length ? new FileListBackend(input.files) : null);
+            input.oncancel = () => resolve(null);
+            input.click();
+        });
+    }
+
+    // Mounts the chosen folder at /mnt/<its name> and shows it
+    async explorerMount(winNum) {
+        let backend;
+        try {
+            backend = await this.pickHostFolder();
+        } catch (e) {
+            alert('Could not open the folder: ' + e.message);
+            return;
+        }
+        if (!backend) return;
+
+        const base = VirtualFileSystem.MNT + '/' + (backend.name.replace(/\//g, '_') || 'folder');
+        // An empty folder of the user's from an earlier mount is reused
+        const free = (path) => !this.vfs.exists(path) ||
+            (this.vfs.isDir(path) && !this.vfs.mounts[path] && !this.vfs.fs[path].children.length && this.vfs.fs[path].owner === this.user.uid);
+        let point = base;
+        for (let n = 2; !free(point); n++) point = `${base}-${n}`;
+        const result = await this.vfs.mount(point, backend);
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+        this.renderFileExplorer(winNum, point);
+    }
+
+    async explorerUnmount(winNum, point) {
+        const result = await this.vfs.umount(point);
+        if (result.error) alert(result.error);
+        else if (result.errors) alert(`${result.errors} change(s) could not be written to the host folder.`);
+    }
+
+    // On logout and before a restore; queued writes still reach the host
+    unmountAll() {
+        return Promise.all(this.vfs.listMounts().map(({ point }) => this.vfs.asRoot(() => this.vfs.umount(point))));
+    }
+
+    /* --- Desktop --- */
+
+    // What is in ~/Desktop shows after the app icons and follows changes to the folder
+    watchDesktop() {
+        if (this.unwatchDesktop) this.unwatchDesktop();
+        this.unwatchDesktop = this.user ? this.vfs.watch(this.desktopDir(), () => this.renderDesktopFiles()) : null;
+        this.renderDesktopFiles();
+    }
+
+    desktopDir() {
+        return (this.user.home === '/' ? '' : this.user.home) + '/Desktop';
+    }
+
+    renderDesktopFiles() {
+        const grid = document.querySelector('.icon-grid');
+        if (!grid) return;
+        grid.querySelectorAll('.desktop-file').forEach(icon => icon.remove());
+        if (!this.user) return;
+
+        const dir = this.desktopDir();
+        const result = this.vfs.ls(dir);
+        if (result.error || !this.vfs.isDir(dir)) return;
+        result.items.sort((a, b) => a.localeCompare(b)).forEach(name => {
+            const path = dir + '/' + name;
+            const info = this.vfs.stat(path);
+            if (info.error) return;
+            const icon = document.createElement('div');
+            icon.className = 'desktop-icon desktop-file';
+            icon.title = path;
+            icon.innerHTML = '<div class="icon-img"></div><div class="icon-label"></div>';
+            icon.querySelector('.icon-img').innerText = this.fileIcon(name, info.type, info.mime);
+            icon.querySelector('.icon-label').innerText = name;
+            icon.onclick = () => info.type === 'dir' ? this.openFolder(path) : this.openFile(path);
+            grid.appendChild(icon);
+        });
+    }
+
+    openFolder(path) {
+        this.openApp('fileexplorer');
+        this.renderFileExplorer(String(this.nextId - 1), path);
+    }
+
+    /* --- Backup & Restore --- */
+
+    // What a backup remembers about the desktop: who is logged in and which windows are open where
+    sessionState() {
+        return {
+            user: this.user ? this.user.name : null,
+            // A file dialog means nothing without the app waiting on it
+            windows: Object.values(this.windows).filter(win => win.dataset.app !== 'filedialog').map(win => {
+                const state = { app: win.dataset.app, top: win.style.top, left: win.style.left, width: win.style.width, height: win.style.height };
+                if (win.explorer) state.path = win.explorer.path;
+                if (win.editor) state.files = win.editor.tabs.filter(tab => tab.path).map(tab => tab.path);
+                if (win.notepad) state.file = win.notepad.path;
+                return state;
+            })
+        };
+    }
+
+    // The user stays logged in if their account survives the restore; otherwise it's back to the login screen.
+    // A backup's saved windows replace the open ones; archives without a session (snapshots) keep them.
+    async applyBackup(backup, keep = []) {
+        if (backup.session) Object.keys(this.windows).forEach(id => this.closeWindow(id, true));
+        await this.unmountAll();
+        await SystemBackup.apply(this.vfs, backup, keep);
+        this.accounts = new UserAccounts(this.vfs);
+        const session = backup.session || {};
+        const user = this.user && this.accounts.credentials(this.user.name);
+        if (!user) {
+            await this.logout();
+            if (session.user && this.accounts.find(session.user)) this.selectLoginUser(session.user);
+            return;
+        }
+
+        this.user = user;
+        this.vfs.user = user;
+        this.vfs.currentDir = this.vfs.isDir(user.home) ? user.home : '/';
+        this.renderLoginUsers();
+        this.watchDesktop();
+        // Windows left open (snapshots) pick up the new tree through their watches
+        if (!backup.session) return;
+        (session.windows || []).forEach(state => {
+            if (!state.app) return;
+            this.openApp(state.app);
+            const id = 'win_' + (this.nextId - 1);
+            const win = this.windows[id];
+            if (!win) return;
+            ['top', 'left', 'width', 'height'].forEach(prop => {
+                if (state[prop]) win.style[prop] = state[prop];
+            });
+            if (state.path && this.vfs.isDir(state.path)) this.renderFileExplorer(id.split('_')[1], state.path);
+            (state.files || []).filter(path => this.vfs.isFile(path)).forEach(path => this.editorOpen(id.split('_')[1], path));
+            if (state.file && this.vfs.isFile(state.file) && win.notepad.path !== state.file) this.notepadLoad(id.split('_')[1], state.file);
+        });
+    }
+
+    // Root, or a member of the sudo group who typed their password in the Settings window
+    async backupAuthorized(winNum) {
+        if (this.user.uid === 0) return true;
+        if (!this.accounts.isSudoer(this.user.name)) {
+            alert('Only administrators (members of the sudo group) can back up or restore the whole system.');
+            return false;
+        }
+        if (!this.accounts.hasPassword(this.user.name)) {
+            alert('Set a password for your account first (passwd in the Terminal); backing up or restoring the whole system asks for it.');
+            return false;
+        }
+        const input = document.getElementById(`backup-password-${winNum}`);
+        if (!(await this.accounts.verify(this.user.name, input.value))) {
+            alert('Incorrect password.');
+            input.value = '';
+            return false;
+        }
+        return true;
+    }
+
+    async downloadBackup(winNum) {
+        if (!(await this.backupAuthorized(winNum))) return;
+        const data = await SystemBackup.create(this.vfs, this.sessionState());
+        const stamp = Shell.formatTime(Date.now()).replace(/-|:/g, '').replace(' ', '-');
+        this.saveToHost(new Blob([data], { type: 'application/zip' }), `yesos-backup-${stamp}.zip`);
+    }
+
+    // Reads a backup from the host and shows what restoring it would change; nothing is written yet
+    async previewRestore(winNum, event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file || !(await this.backupAuthorized(winNum))) return;
+
+        const diff = document.getElementById(`backup-diff-${winNum}`);
+        const apply = document.getElementById(`backup-apply-${winNum}`);
+        let backup;
+        try {
+            backup = await SystemBackup.read(new Uint8Array(await file.arrayBuffer()));
+        } catch (e) {
+            alert(`Cannot restore ${file.name}: ${e.message}`);
+            return;
+        }
+        this.pendingRestore = { winNum, backup };
+        const when = backup.created ? new Date(backup.created).toLocaleString() : 'an old localStorage filesystem';
+        diff.innerText = `Restoring ${file.name} (${when}) would change:\n` + SystemBackup.formatDiff(SystemBackup.diff(this.vfs, backup));
+        diff.classList.remove('hidden');
+        apply.classList.remove('hidden');
+    }
+
+    async confirmRestore(winNum) {
+        if (!this.pendingRestore || this.pendingRestore.winNum !== winNum) return;
+        if (!confirm('Replace the whole system with this backup? Files and settings not in it will be deleted.')) return;
+        const { backup } = this.pendingRestore;
+        this.pendingRestore = null;
+        try {
+            await this.applyBackup(backup);
+        } catch (e) {
+            alert(`The restored system could not be saved: ${e.message}. Reloading brings back the previous one.`);
+            return;
+        }
+        alert('System restored.');
+    }
+
+    saveSettings() {
+        const input = document.getElementById('gemini-key-input');
+        if (input) {
+            localStorage.setItem('gemini_key', input.value.trim());
+            alert('Settings Saved! AI upgraded.');
+        }
+    }
+
+    // --- File Explorer Logic ---
+
+    // Each explorer window keeps its state on the window element: the folder it shows, the
+    // folders for Back and Forward, the search text, the selected paths, the anchor of Shift
+    // ranges, the keyboard focus and the view options
+    explorerState(winNum) {
+        const win = this.windows['win_' + winNum];
+        if (!win) return null;
+        if (!win.explorer) {
+            win.explorer = { path: null, back: [], forward: [], search: '', items: [], selected: new Set(), anchor: null, focus: null, ...this.explorerPrefs() };
+        }
+        return win.explorer;
+    }
+
+    explorerPath(winNum) {
+        const state = this.explorerState(winNum);
+        return state && state.path ? state.path : this.vfs.user.home;
+    }
+
+    // View, sort order and hidden files carry over to new windows
+    explorerPrefs() {
+        let prefs = {};
+        try {
+            prefs = JSON.parse(localStorage.getItem('yesos_explorer')) || {};
+        } catch (e) {
+            prefs = {};
+        }
+        return { view: prefs.view || 'grid', sort: prefs.sort || 'name', desc: !!prefs.desc, hidden: !!prefs.hidden };
+    }
+
+    saveExplorerPrefs({ view, sort, desc, hidden }) {
+        localStorage.setItem('yesos_explorer', JSON.stringify({ view, sort, desc, hidden }));
+    }
+
+    // Going to another folder is remembered for Back unless record is false (Back and Forward
+    // themselves, and following a folder that was moved or deleted) and ends any search
+    renderFileExplorer(winNum, path, record = true) {
+        const state = this.explorerState(winNum);
+        const grid = document.getElementById(`grid-${winNum}`);
+        if (!state || !grid) return;
+
+        path = this.vfs.resolvePath(path);
+        if (path !== state.path) {
+            if (state.path && record) {
+                state.back.push(state.path);
+                state.forward = [];
+            }
+            state.path = path;
+            state.search = '';
+            state.selected = new Set();
+            // A mounted folder is listed again on the way in; what changed re-renders through the watch
+            if (this.vfs.mountOf(path)) this.vfs.fetch(path, { contents: false }).then(result => {
+                if (result.error) console.error(result.error);
+            });
+            state.anchor = state.focus = null;
+            const box = document.getElementById(`search-${winNum}`);
+            if (box) box.value = '';
+        }
+        this.renderBreadcrumb(winNum);
+        this.renderPlaces(winNum);
+        this.watchExplorer(winNum, path, !!state.search);
+        this.updateExplorerToolbar(winNum);
+        grid.className = `file-grid view-${state.view}` + (state.search ? ' searching' : '');
+        grid.innerHTML = '';
+
+        if (state.search) {
+            this.renderSearchResults(winNum, grid);
+            return;
+        }
+        const result = this.vfs.ls(path, state.hidden);
+        if (result.error) {
+            state.items = [];
+            const error = document.createElement('div');
+            error.className = 'explorer-message error';
+            error.innerText = result.error;
+            grid.appendChild(error);
+            this.updateExplorerStatus(winNum);
+            return;
+        }
+
+        const base = path === '/' ? '' : path;
+        state.items = this.sortExplorerItems(result.items.map(name => this.explorerEntry(base + '/' + name)), state.sort, state.desc);
+        const shown = new Set(state.items.map(item => item.path));
+        state.selected = new Set([...state.selected].filter(p => shown.has(p)));
+        if (!shown.has(state.focus)) state.focus = null;
+
+        if (state.view === 'details') grid.appendChild(this.explorerHeader(winNum));
+        state.items.forEach(item => this.addFileItem(winNum, grid, item));
+        if (!state.items.length) {
+            const empty = document.createElement('div');
+            empty.className = 'explorer-message';
+            empty.innerText = 'This folder is empty';
+            grid.appendChild(empty);
+        }
+        this.refreshSelection(winNum);
+    }
+
+    // { name, path, info, isDir } for one listed path
+    explorerEntry(path) {
+        const stat = this.vfs.stat(path);
+        const info = stat.error ? this.vfs.lstat(path) : stat; // dangling links still show
+        return { name: path.substring(path.lastIndexOf('/') + 1), path, info, isDir: info.type === 'dir' };
+    }
+
+    // Folders first, then by the chosen key
+    sortExplorerItems(entries, sort, desc) {
+        const items = entries.filter(item => !item.info.error);
+        const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+        const compare = {
+            name: byName,
+            size: (a, b) => a.info.size - b.info.size,
+            modified: (a, b) => a.info.modified - b.info.modified,
+            type: (a, b) => this.fileKind(a.info).localeCompare(this.fileKind(b.info))
+        }[sort] || byName;
+        return items.sort((a, b) => (b.isDir - a.isDir) || (desc ? -1 : 1) * (compare(a, b) || byName(a, b)));
+    }
+
+    // Matches below the folder, each showing where it is and, for content matches, the line found
+    renderSearchResults(winNum, grid) {
+        const state = this.explorerState(winNum);
+        const { matches, truncated } = this.vfs.search(state.path, state.search, { hidden: state.hidden });
+        const base = state.path === '/' ? '' : state.path;
+        state.items = this.sortExplorerItems(matches.map(match => ({
+            ...this.explorerEntry(match.path),
+            location: match.path.substring(base.length + 1, match.path.lastIndexOf('/') + 1) || './',
+            line: match.line
+        })), state.sort, state.desc);
+        const shown = new Set(state.items.map(item => item.path));
+        state.selected = new Set([...state.selected].filter(p => shown.has(p)));
+        if (!shown.has(state.focus)) state.focus = null;
+
+        if (state.view === 'details') grid.appendChild(this.explorerHeader(winNum));
+        state.items.forEach(item => this.addFileItem(winNum, grid, item));
+        if (!state.items.length || truncated) {
+            const message = document.createElement('div');
+            message.className = 'explorer-message';
+            message.innerText = truncated ? `Showing the first ${state.items.length} results` : `Nothing named or containing "${state.search}" here`;
+            grid.appendChild(message);
+        }
+        this.refreshSelection(winNum);
+    }
+
+    // Typing in the search box filters after a short pause; Escape clears it
+    explorerSearch(winNum, query) {
+        const state = this.explorerState(winNum);
+        clearTimeout(state.searchTimer);
+        state.searchTimer = setTimeout(() => {
+            state.search = query.trim();
+            state.selected = new Set();
+            state.anchor = state.focus = null;
+            this.renderFileExplorer(winNum, state.path);
+        }, 250);
+    }
+
+    explorerSearchKey(winNum, event) {
+        if (event.key === 'Escape') {
+            event.target.value = '';
+            this.explorerSearch(winNum, '');
+        } else if (event.key === 'Enter' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            document.getElementById(`grid-${winNum}`).focus();
+        }
+    }
+
+    explorerBack(winNum) {
+        this.explorerHistoryGo(winNum, 'back', 'forward');
+    }
+
+    explorerForward(winNum) {
+        this.explorerHistoryGo(winNum, 'forward', 'back');
+    }
+
+    // Folders deleted since they were visited are skipped
+    explorerHistoryGo(winNum, from, to) {
+        const state = this.explorerState(winNum);
+        while (state[from].length && !this.vfs.isDir(state[from][state[from].length - 1])) state[from].pop();
+        if (!state[from].length) return;
+        state[to].push(state.path);
+        this.renderFileExplorer(winNum, state[from].pop(), false);
+    }
+
+    // Pinned folders are kept one path per line in ~/.config/places
+    placesFile() {
+        return (this.vfs.user.home === '/' ? '' : this.vfs.user.home) + '/.config/places';
+    }
+
+    pinnedFolders() {
+        const result = this.vfs.readFile(this.placesFile());
+        return result.error ? [] : result.content.split('\n').filter(line => line.startsWith('/'));
+    }
+
+    savePinnedFolders(paths) {
+        const file = this.placesFile();
+        const made = this.vfs.mkdirs(file.substring(0, file.lastIndexOf('/')));
+        const result = made.error ? made : this.vfs.writeFile(file, paths.map(path => path + '\n').join(''));
+        if (result.error) alert('Could not save pinned folders: ' + result.error);
+    }
+
+    pinFolder(path) {
+        const pinned = this.pinnedFolders();
+        if (!pinned.includes(path)) this.savePinnedFolders([...pinned, path]);
+    }
+
+    unpinFolder(path) {
+        this.savePinnedFolders(this.pinnedFolders().filter(p => p !== path));
+    }
+
+    // The sidebar: standard folders and the Trash, pinned folders, then mounted host folders
+    explorerPlaces() {
+        const home = this.vfs.user.home;
+        const base = home === '/' ? '' : home;
+        const places = [{ icon: '🏠', label: 'Home', path: home }];
+        [['🖥️', 'Desktop'], ['📄', 'Documents'], ['⬇️', 'Downloads']].forEach(([icon, name]) => {
+            if (this.vfs.isDir(base + '/' + name)) places.push({ icon, label: name, path: base + '/' + name });
+        });
+        places.push({ icon: '🗑️', label: 'Trash', app: 'trash' });
+        const pinned = this.pinnedFolders().map(path => ({ icon: '📌', label: path.substring(path.lastIndexOf('/') + 1) || '/', path, pinned: true, missing: !this.vfs.isDir(path) }));
+        const mounts = this.vfs.listMounts().map(m => ({ icon: '🔌', label: m.name, path: m.point, mount: true }));
+        return { places, pinned, mounts };
+    }
+
+    renderPlaces(winNum) {
+        const sidebar = document.getElementById(`places-${winNum}`);
+        const state = this.explorerState(winNum);
+        if (!sidebar || !state) return;
+        const { places, pinned, mounts } = this.explorerPlaces();
+        const signature = JSON.stringify([places, pinned, mounts, state.path]);
+        if (sidebar.dataset.signature === signature) return;
+        sidebar.dataset.signature = signature;
+        sidebar.innerHTML = '';
+
+        const section = (title, entries) => {
+            if (!entries.length) return;
+            const heading = document.createElement('div');
+            heading.className = 'sidebar-heading';
+            heading.innerText = title;
+            sidebar.appendChild(heading);
+            entries.forEach(place => {
+                const item = document.createElement('div');
+                item.className = 'sidebar-item' + (place.path === state.path ? ' active' : '') + (place.missing ? ' missing' : '');
+                item.title = place.path || place.label;
+                item.innerText = `${place.icon} ${place.label}`;
+                item.onclick = () => place.app ? this.openApp(place.app) : this.renderFileExplorer(winNum, place.path);
+                item.oncontextmenu = (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const menu = [];
+                    if (place.path) menu.push({ label: 'Open in new window', action: () => this.openFolder(place.path) });
+                    if (place.pinned) menu.push({ label: 'Unpin', action: () => this.unpinFolder(place.path) });
+                    if (place.mount) menu.push({ label: 'Unmount', action: () => this.explorerUnmount(winNum, place.path) });
+                    if (place.app) menu.push({ label: 'Open', action: () => this.openApp(place.app) });
+                    this.showContextMenu(e.clientX, e.clientY, menu);
+                };
+                sidebar.appendChild(item);
+            });
+        };
+        section('Places', places);
+        section('Pinned', pinned);
+        section('Devices', mounts);
+    }
+
+    // The path bar: one button per folder, or a text field after clicking its empty part
+    renderBreadcrumb(winNum) {
+        const bar = document.getElementById(`path-${winNum}`);
+        if (!bar || bar.querySelector('input')) return;
+        const path = this.explorerPath(winNum);
+        bar.innerHTML = '';
+        const parts = path.split('/').filter(p => p);
+        [['/', '/'], ...parts.map((part, i) => [part, '/' + parts.slice(0, i + 1).join('/')])].forEach(([label, target], i) => {
+            if (i > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'crumb-separator';
+                separator.innerText = '›';
+                bar.appendChild(separator);
+            }
+            const crumb = document.createElement('span');
+            crumb.className = 'crumb';
+            crumb.innerText = label;
+            crumb.onclick = (e) => {
+                e.stopPropagation();
+                this.renderFileExplorer(winNum, target);
+            };
+            bar.appendChild(crumb);
+        });
+    }
+
+    editExplorerPath(winNum, event) {
+        const bar = document.getElementById(`path-${winNum}`);
+        if (event.target !== bar) return;
+        bar.innerHTML = '<input class="explorer-path-input" spellcheck="false">';
+        const input = bar.querySelector('input');
+        input.value = this.explorerPath(winNum);
+        input.focus();
+        input.select();
+        const close = () => {
+            bar.innerHTML = '';
+            this.renderBreadcrumb(winNum);
+        };
+        input.onkeydown = (e) => {
+            if (e.key === 'Escape') close();
+            if (e.key !== 'Enter') return;
+            const oldDir = this.vfs.currentDir;
+            this.vfs.currentDir = this.explorerPath(winNum);
+            const target = this.vfs.resolvePath(input.value.trim() || '.');
+            this.vfs.currentDir = oldDir;
+            if (!this.vfs.isDir(target)) {
+                alert(`No such folder: ${input.value}`);
+                return;
+            }
+            close();
+            this.renderFileExplorer(winNum, target);
+        };
+        input.onblur = close;
+    }
+
+    updateExplorerToolbar(winNum) {
+        const state = this.explorerState(winNum);
+        const back = document.getElementById(`back-${winNum}`);
+        if (back) back.disabled = !state.back.length;
+        const forward = document.getElementById(`forward-${winNum}`);
+        if (forward) forward.disabled = !state.forward.length;
+        const sort = document.getElementById(`sort-${winNum}`);
+        if (sort) sort.value = state.sort;
+        const order = document.getElementById(`order-${winNum}`);
+        if (order) order.innerText = state.desc ? '↓' : '↑';
+        document.querySelectorAll(`#views-${winNum} button`).forEach(button => button.classList.toggle('active', button.dataset.view === state.view));
+    }
+
+    updateExplorerStatus(winNum) {
+        const status = document.getElementById(`status-${winNum}`);
+        const state = this.explorerState(winNum);
+        if (!status || !state) return;
+        const selected = state.items.filter(item => state.selected.has(item.path));
+        let text = `${state.items.length} ${state.search ? 'result' : 'item'}${state.items.length === 1 ? '' : 's'}`;
+        if (selected.length) {
+            const bytes = selected.reduce((sum, item) => sum + (item.isDir ? 0 : item.info.size), 0);
+            text += `, ${selected.length} selected` + (selected.some(item => !item.isDir) ? ` (${this.formatFileSize(bytes)})` : '');
+        }
+        status.innerText = text;
+    }
+
+    // Column headers of the details view; clicking one sorts by it
+    explorerHeader(winNum) {
+        const state = this.explorerState(winNum);
+        const header = document.createElement('div');
+        header.className = 'explorer-header';
+        [['name', 'Name', 'file-name'], ['size', 'Size', 'file-col file-size'], ['modified', 'Modified', 'file-col file-date'], ['type', 'Type', 'file-col file-kind']].forEach(([key, label, className]) => {
+            const column = document.createElement('div');
+            column.className = className;
+            column.innerText = label + (state.sort === key ? (state.desc ? ' ↓' : ' ↑') : '');
+            column.onclick = () => this.setExplorerSort(winNum, key);
+            header.appendChild(column);
+            if (key === 'name' && state.search) {
+                const folder = document.createElement('div');
+                folder.className = 'file-col file-where';
+                folder.innerText = 'Folder';
+                header.appendChild(folder);
+            }
+        });
+        return header;
+    }
+
+    // Keeps the window's listing in step with changes made anywhere (Terminal, other windows,
+    // restores); search results follow the whole subtree. The sidebar follows pins and mounts.
+    watchExplorer(winNum, path, recursive = false) {
+        const win = this.windows['win_' + winNum];
+        if (!win) return;
+        if (!win.unwatchPlaces) this.watchPlaces(winNum);
+        if (win.watching === path && win.watchingAll === recursive) return;
+        if (win.unwatch) win.unwatch();
+        win.watching = path;
+        win.watchingAll = recursive;
+        win.unwatch = this.vfs.watch(path, events => {
+            if (!this.windows['win_' + winNum] || win.watching !== path || win.explorer.renaming) return;
+            this.renderFileExplorer(winNum, this.explorerTarget(path, events), false);
+        }, { recursive });
+    }
+
+    // Only what the sidebar shows: the pins file, the standard folders in home, the pinned
+    // folders and mounts coming and going. New pins are watched from when they are saved.
+    watchPlaces(winNum) {
+        const win = this.windows['win_' + winNum];
+        if (win.unwatchPlaces) win.unwatchPlaces();
+        const update = () => this.renderPlaces(winNum);
+        const stops = [
+            this.vfs.watch(this.placesFile(), () => {
+                this.watchPlaces(winNum);
+                update();
+            }),
+            this.vfs.watch(this.vfs.user.home, update, { types: ['create', 'delete', 'rename'] }),
+            this.vfs.watch('/', events => {
+                if (events.some(e => e.mount)) update();
+            }, { recursive: true, types: ['modify'] }),
+            ...this.pinnedFolders().map(path => this.vfs.watch(path, update, { types: ['create', 'delete', 'rename'] }))
+        ];
+        win.unwatchPlaces = () => stops.forEach(stop => stop());
+    }
+
+    // Where a window showing path should be after events: the same folder, its new name
+    // when it (or a parent) was moved, or the nearest folder still there when it was deleted
+    explorerTarget(path, events) {
+        if (this.vfs.isDir(path)) return path;
+        const moved = events.filter(e => e.type === 'rename' && (path === e.oldPath || path.startsWith(e.oldPath + '/'))).pop();
+        if (moved && this.vfs.isDir(moved.path + path.slice(moved.oldPath.length))) return moved.path + path.slice(moved.oldPath.length);
+        while (path !== '/' && !this.vfs.isDir(path)) path = path.substring(0, path.lastIndexOf('/')) || '/';
+        return path;
+    }
+
+    // One entry; grid, list and details views differ only in which parts the stylesheet shows
+    addFileItem(winNum, container, { name, path, info, isDir, location, line }) {
+        const item = document.createElement('div');
+        item.className = 'file-item';
+        item.dataset.path = path;
+        item.title = `${name}\nModified: ${new Date(info.modified).toLocaleString()}` + (isDir ? '' : `\nSize: ${this.formatFileSize(info.size)}`);
+        item.innerHTML = '<div class="file-icon"></div><div class="file-name"></div><div class="file-meta"></div><div class="file-col file-where"></div>' +
+            '<div class="file-col file-size"></div><div class="file-col file-date"></div><div class="file-col file-kind"></div>';
+
+        const date = new Date(info.modified);
+        const size = isDir ? '' : this.formatFileSize(info.size);
+        item.querySelector('.file-icon').innerText = info.type === 'symlink' ? FileTypes.type(info.mime).icon : this.fileIcon(name, isDir ? 'dir' : 'file', info.mime);
+        item.querySelector('.file-name').innerText = name;
+        item.querySelector('.file-meta').innerText = isDir ? date.toLocaleDateString() : `${size} · ${date.toLocaleDateString()}`;
+        item.querySelector('.file-size').innerText = size;
+        item.querySelector('.file-date').innerText = date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        item.querySelector('.file-kind').innerText = this.fileKind(info);
+        if (location !== undefined) {
+            item.title = path + (line !== undefined ? `\n…${line.slice(0, 200)}` : '');
+            item.querySelector('.file-meta').innerText = line !== undefined ? `“${line.slice(0, 60)}”` : location;
+            item.querySelector('.file-where').innerText = location;
+        }
+
+        item.onclick = (e) => this.explorerSelect(winNum, path, e);
+        item.ondblclick = () => this.explorerOpen(winNum, [path]);
+        item.oncontextmenu = (e) => this.explorerItemMenu(winNum, path, e);
+        container.appendChild(item);
+    }
+
+    // Icons and kinds come from the file type registry; mime falls back to the name's extension
+    fileIcon(name, type, mime = '') {
+        if (type === 'dir') return FileTypes.type('inode/directory').icon;
+        const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+        return FileTypes.type(mime || VirtualFileSystem.MIME_TYPES[ext] || 'application/octet-stream').icon;
+    }
+
+    fileKind(info) {
+        return FileTypes.type(info.mime).name;
+    }
+
+    /* --- Explorer selection --- */
+
+    explorerItems(winNum) {
+        const grid = document.getElementById(`grid-${winNum}`);
+        return grid ? [...grid.querySelectorAll('.file-item')] : [];
+    }
+
+    refreshSelection(winNum) {
+        const state = this.explorerState(winNum);
+        this.explorerItems(winNum).forEach(item => {
+            item.classList.toggle('selected', state.selected.has(item.dataset.path));
+            item.classList.toggle('focused', state.focus === item.dataset.path);
+        });
+        this.updateExplorerStatus(winNum);
+    }
+
+    // Click selects one item, Ctrl+click toggles one, Shift+click selects the range from the anchor
+    explorerSelect(winNum, path, event) {
+        const state = this.explorerState(winNum);
+        const paths = state.items.map(item => item.path);
+        const toggle = event.ctrlKey || event.metaKey;
+        if (event.shiftKey && paths.includes(state.anchor)) {
+            const [from, to] = [paths.indexOf(state.anchor), paths.indexOf(path)].sort((a, b) => a - b);
+            if (!toggle) state.selected = new Set();
+            paths.slice(from, to + 1).forEach(p => state.selected.add(p));
+        } else if (toggle) {
+            if (state.selected.has(path)) state.selected.delete(path);
+            else state.selected.add(path);
+            state.anchor = path;
+        } else {
+            state.selected = new Set([path]);
+            state.anchor = path;
+        }
+        state.focus = path;
+        this.refreshSelection(winNum);
+        document.getElementById(`grid-${winNum}`).focus();
+    }
+
+    // Dragging on the empty part of the view draws a rectangle and selects what it touches;
+    // with Ctrl or Shift it adds to the selection. A plain click there clears the selection.
+    explorerRubberBand(winNum, event) {
+        const grid = event.currentTarget;
+        if (event.button !== 0 || event.target.closest('.file-item, .explorer-header, input')) return;
+        event.preventDefault();
+        grid.focus();
+
+        const state = this.explorerState(winNum);
+        const additive = event.ctrlKey || event.metaKey || event.shiftKey;
+        const initial = additive ? new Set(state.selected) : new Set();
+        const origin = grid.getBoundingClientRect();
+        const point = (e) => ({ x: e.clientX - origin.left + grid.scrollLeft, y: e.clientY - origin.top + grid.scrollTop });
+        const start = point(event);
+        const band = document.createElement('div');
+        band.className = 'explorer-rubberband';
+        let dragging = false;
+
+        const move = (e) => {
+            const end = point(e);
+            const box = { left: Math.min(start.x, end.x), top: Math.min(start.y, end.y), right: Math.max(start.x, end.x), bottom: Math.max(start.y, end.y) };
+            if (!dragging && box.right - box.left < 4 && box.bottom - box.top < 4) return;
+            if (!dragging) grid.appendChild(band);
+            dragging = true;
+            Object.assign(band.style, { left: box.left + 'px', top: box.top + 'px', width: box.right - box.left + 'px', height: box.bottom - box.top + 'px' });
+            state.selected = new Set(initial);
+            this.explorerItems(winNum).forEach(item => {
+                const hit = item.offsetLeft < box.right && item.offsetLeft + item.offsetWidth > box.left &&
+                    item.offsetTop < box.bottom && item.offsetTop + item.offsetHeight > box.top;
+                if (hit) state.selected.add(item.dataset.path);
+            });
+            this.refreshSelection(winNum);
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+            band.remove();
+            if (!dragging && !additive) {
+                state.selected = new Set();
+                this.refreshSelection(winNum);
+            }
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
+
+    explorerKey(winNum, event) {
+        const state = this.explorerState(winNum);
+        if (!state || state.renaming || event.target.tagName === 'INPUT') return;
+        const ctrl = event.ctrlKey || event.metaKey;
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const selected = state.items.filter(item => state.selected.has(item.path)).map(item => item.path);
+
+        if (ctrl && key === 'a') {
+            state.selected = new Set(state.items.map(item => item.path));
+            this.refreshSelection(winNum);
+        } else if (ctrl && (key === 'c' || key === 'x')) {
+            if (selected.length) this.explorerClip(key === 'c' ? 'copy' : 'cut', selected);
+        } else if (ctrl && key === 'v') {
+            this.explorerPaste(winNum);
+        } else if (key === 'Enter') {
+            if (selected.length) this.explorerOpen(winNum, selected);
+        } else if (key === 'Delete') {
+            if (selected.length) this.explorerDelete(winNum, selected);
+        } else if (key === 'F2') {
+            if (selected.length === 1) this.explorerRename(winNum, selected[0]);
+        } else if (key === 'Backspace' || (event.altKey && key === 'ArrowUp')) {
+            this.navigateExplorer(winNum, '..');
+        } else if (event.altKey && (key === 'ArrowLeft' || key === 'ArrowRight')) {
+            if (key === 'ArrowLeft') this.explorerBack(winNum);
+            else this.explorerForward(winNum);
+        } else if (ctrl && key === 'f') {
+            document.getElementById(`search-${winNum}`).focus();
+        } else if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'].includes(key)) {
+            this.moveExplorerFocus(winNum, key, event.shiftKey, ctrl);
+        } else if (key === 'Escape') {
+            state.selected = new Set();
+            this.refreshSelection(winNum);
+        } else if (key.length === 1 && !ctrl && !event.altKey) {
+            this.explorerTypeAhead(winNum, key);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    // Arrow keys move the focus (by rows in the grid view); Shift extends the selection from
+    // the anchor and Ctrl moves the focus alone
+    moveExplorerFocus(winNum, key, extend, focusOnly) {
+        const state = this.explorerState(winNum);
+        const paths = state.items.map(item => item.path);
+        if (!paths.length) return;
+        const items = this.explorerItems(winNum);
+        const columns = state.view === 'grid' && items.length ? Math.max(1, items.filter(item => item.offsetTop === items[0].offsetTop).length) : 1;
+        const step = {
+            ArrowLeft: state.view === 'grid' ? -1 : 0, ArrowRight: state.view === 'grid' ? 1 : 0,
+            ArrowUp: -columns, ArrowDown: columns, PageUp: -columns * 5, PageDown: columns * 5,
+            Home: -paths.length, End: paths.length
+        }[key];
+        const index = paths.indexOf(state.focus);
+        const next = index < 0 ? (step < 0 ? paths.length - 1 : 0) : Math.max(0, Math.min(paths.length - 1, index + step));
+        state.focus = paths[next];
+
+        if (extend && paths.includes(state.anchor)) {
+            const [from, to] = [paths.indexOf(state.anchor), next].sort((a, b) => a - b);
+            state.selected = new Set(paths.slice(from, to + 1));
+        } else if (!focusOnly) {
+            state.selected = new Set([state.focus]);
+            state.anchor = state.focus;
+        }
+        this.refreshSelection(winNum);
+        const item = items.find(el => el.dataset.path === state.focus);
+        if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Typing jumps to the next item whose name starts with the letters typed in quick succession
+    explorerTypeAhead(winNum, letter) {
+        const state = this.explorerState(winNum);
+        const now = Date.now();
+        state.typed = (state.typedAt && now - state.typedAt < 800 ? state.typed : '') + letter;
+        state.typedAt = now;
+        const start = Math.max(0, state.items.findIndex(item => item.path === state.focus));
+        const ordered = [...state.items.slice(start + (state.typed.length === 1 ? 1 : 0)), ...state.items.slice(0, start + 1)];
+        const match = ordered.find(item => item.name.toLowerCase().startsWith(state.typed));
+        if (!match) return;
+        state.focus = state.anchor = match.path;
+        state.selected = new Set([match.path]);
+        this.refreshSelection(winNum);
+    }
+
+    /* --- Explorer actions --- */
+
+    // A single folder opens in place; files open in their apps and extra folders in new windows
+    explorerOpen(winNum, paths) {
+        const dirs = paths.filter(path => this.vfs.isDir(path));
+        if (paths.length === 1 && dirs.length === 1) {
+            this.navigateExplorer(winNum, dirs[0]);
+            return;
+        }
+        paths.forEach(path => dirs.includes(path) ? this.openFolder(path) : this.openFile(path));
+    }
+
+    // Shows a search result in its folder, selected
+    explorerReveal(winNum, path) {
+        this.renderFileExplorer(winNum, path.substring(0, path.lastIndexOf('/')) || '/');
+        const state = this.explorerState(winNum);
+        state.selected = new Set([path]);
+        state.focus = state.anchor = path;
+        this.refreshSelection(winNum);
+    }
+
+    // The apps for the file's type, straight from the menu; "Other app…" opens the chooser
+    explorerOpenWith(path, x, y) {
+        const apps = this.fileTypes.appsFor(this.fileMime(path));
+        const menu = apps.map(app => ({ label: `${app.icon} ${app.name}`, action: () => app.open(path) }));
+        if (menu.length) menu.push({ separator: true });
+        menu.push({ label: 'Other app…', action: () => this.openWithChooser(path) });
+        this.showContextMenu(x, y, menu);
+    }
+
+    // Renames in place: the name turns into a text field (the extension is left unselected)
+    explorerRename(winNum, path) {
+        const state = this.explorerState(winNum);
+        const item = this.explorerItems(winNum).find(el => el.dataset.path === path);
+        if (!item) return;
+        const name = path.substring(path.lastIndexOf('/') + 1);
+        const input = document.createElement('input');
+        input.className = 'file-rename';
+        input.value = name;
+        item.querySelector('.file-name').replaceWith(input);
+        state.renaming = path;
+        input.focus();
+        const dot = name.lastIndexOf('.');
+        input.setSelectionRange(0, dot > 0 && !this.vfs.isDir(path) ? dot : name.length);
+
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            state.renaming = null;
+            const newName = input.value.trim();
+            if (commit && newName && newName !== name) {
+                const target = path.substring(0, path.lastIndexOf('/') + 1) + newName;
+                let error = null;
+                if (newName.includes('/') || newName === '.' || newName === '..') error = `"${newName}" is not a valid name.`;
+                else if (this.vfs.exists(target)) error = `"${newName}" already exists.`;
+                else error = this.vfs.rename(path, target).error || null;
+                if (error) {
+                    alert(error);
+                } else {
+                    state.selected = new Set([target]);
+                    state.focus = state.anchor = target;
+                }
+            }
+            this.renderFileExplorer(winNum, state.path);
+            document.getElementById(`grid-${winNum}`).focus();
+        };
+        input.onkeydown = (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        };
+        input.onblur = () => finish(true);
+        input.onclick = input.ondblclick = input.onmousedown = (e) => e.stopPropagation();
+    }
+
+    explorerItemMenu(winNum, path, event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const state = this.explorerState(winNum);
+        if (!state.selected.has(path)) {
+            state.selected = new Set([path]);
+            state.anchor = state.focus = path;
+            this.refreshSelection(winNum);
+        }
+        const paths = state.items.filter(item => state.selected.has(item.path)).map(item => item.path);
+        const single = paths.length === 1 ? paths[0] : null;
+        const isDir = single !== null && this.vfs.isDir(single);
+
+        const menu = [{ label: 'Open', action: () => this.explorerOpen(winNum, paths) }];
+        if (single && !isDir) menu.push({ label: 'Open with…', action: () => this.explorerOpenWith(single, event.clientX, event.clientY) });
+        if (paths.every(path => /^(audio|video)\//.test(this.fileMime(path)))) menu.push({ label: 'Add to queue', action: () => this.enqueueMedia(paths) });
+        if (single && state.search) menu.push({ label: 'Open containing folder', action: () => this.explorerReveal(winNum, single) });
+        if (isDir) {
+            const pinned = this.pinnedFolders().includes(single);
+            menu.push({ label: pinned ? 'Unpin from sidebar' : 'Pin to sidebar', action: () => pinned ? this.unpinFolder(single) : this.pinFolder(single) });
+        }
+        menu.push({ separator: true });
+        if (single) menu.push({ label: 'Rename', action: () => this.explorerRename(winNum, single) });
+        menu.push({ label: 'Delete', action: () => this.explorerDelete(winNum, paths) });
+        menu.push({ label: 'Copy', action: () => this.explorerClip('copy', paths) });
+        menu.push({ label: 'Cut', action: () => this.explorerClip('cut', paths) });
+        if (this.clipboard) menu.push({ label: isDir ? 'Paste into' : 'Paste', action: () => this.explorerPaste(winNum, isDir ? single : null) });
+        menu.push({ separator: true });
+        menu.push({ label: 'Compress', action: () => this.explorerCompress(winNum, paths) });
+        if (single && !isDir && /\.(zip|tar|tar\.gz|tgz)$/i.test(single)) menu.push({ label: 'Extract here', action: () => this.explorerExtract(winNum, single) });
+        if (single && !isDir) menu.push({ label: 'Export to host', action: () => this.exportToHost(single) });
+        if (single && this.vfs.mounts[single]) menu.push({ label: 'Unmount', action: () => this.explorerUnmount(winNum, single) });
+        menu.push({ separator: true });
+        menu.push({ label: 'Properties', action: () => this.showProperties(paths) });
+        this.showContextMenu(event.clientX, event.clientY, menu);
+    }
+
+    explorerBackgroundMenu(winNum, event) {
+        if (event.target.closest('.file-item')) return;
+        event.preventDefault();
+        const state = this.explorerState(winNum);
+        const check = (on) => on ? '✓ ' : '';
+        const menu = [
+            { label: 'New Folder', action: () => this.explorerMkdir(winNum) },
+            { label: 'New File', action: () => this.explorerNewFile(winNum) }
+        ];
+        if (this.clipboard) menu.push({ label: 'Paste', action: () => this.explorerPaste(winNum) });
+        menu.push({
+            label: 'Select All', action: () => {
+                state.selected = new Set(state.items.map(item => item.path));
+                this.refreshSelection(winNum);
+            }
+        });
+        menu.push({ separator: true });
+        [['name', 'Name'], ['size', 'Size'], ['modified', 'Date modified'], ['type', 'Type']].forEach(([key, label]) =>
+            menu.push({ label: `${check(state.sort === key)}Sort by ${label}`, action: () => this.setExplorerSort(winNum, key) }));
+        menu.push({ separator: true });
+        [['grid', 'Icons'], ['list', 'List'], ['details', 'Details']].forEach(([view, label]) =>
+            menu.push({ label: `${check(state.view === view)}${label}`, action: () => this.setExplorerView(winNum, view) }));
+        menu.push({ label: `${check(state.hidden)}Show hidden files`, action: () => this.setExplorerHidden(winNum, !state.hidden) });
+        const pinned = this.pinnedFolders().includes(state.path);
+        menu.push({ label: pinned ? 'Unpin this folder' : 'Pin this folder', action: () => pinned ? this.unpinFolder(state.path) : this.pinFolder(state.path) });
+        menu.push({ separator: true });
+        menu.push({ label: 'Properties', action: () => this.showProperties([state.path]) });
+        this.showContextMenu(event.clientX, event.clientY, menu);
+    }
+
+    // The same key again reverses the order; desc chooses it explicitly
+    setExplorerSort(winNum, key, desc = null) {
+        const state = this.explorerState(winNum);
+        key = key || state.sort;
+        state.desc = desc !== null ? desc : key === state.sort ? !state.desc : false;
+        state.sort = key;
+        this.saveExplorerPrefs(state);
+        this.renderFileExplorer(winNum, state.path);
+    }
+
+    setExplorerView(winNum, view) {
+        const state = this.explorerState(winNum);
+        state.view = view;
+        this.saveExplorerPrefs(state);
+        this.renderFileExplorer(winNum, state.path);
+    }
+
+    setExplorerHidden(winNum, hidden) {
+        const state = this.explorerState(winNum);
+        state.hidden = hidden;
+        this.saveExplorerPrefs(state);
+        this.renderFileExplorer(winNum, state.path);
+    }
+
+    // Name, type, size (folders counted recursively), owner, permissions and times in a small window
+    showProperties(paths) {
+        const accounts = this.accounts;
+        const rows = [];
+        const totals = (path) => this.vfs.walk(path).reduce((sum, p) => {
+            const node = this.vfs.fs[p];
+            if (node.type === 'file') {
+                sum.bytes += node.size;
+                sum.files++;
+            } else if (node.type === 'dir' && p !== path) {
+                sum.dirs++;
+            }
+            return sum;
+        }, { bytes: 0, files: 0, dirs: 0 });
+        const describe = ({ bytes, files, dirs }) => `${this.formatFileSize(bytes)} (${files} file${files === 1 ? '' : 's'}, ${dirs} folder${dirs === 1 ? '' : 's'})`;
+
+        if (paths.length === 1) {
+            const path = paths[0];
+            const info = this.vfs.lstat(path);
+            if (info.error) {
+                alert(info.error);
+                return;
+            }
+            const name = path === '/' ? '/' : path.substring(path.lastIndexOf('/') + 1);
+            rows.push(['Name', name], ['Type', this.fileKind(info) + (info.type === 'file' ? ` (${info.mime})` : '')]);
+            rows.push(['Location', path.substring(0, path.lastIndexOf('/')) || '/']);
+            const app = this.fileTypes.defaultApp(this.fileMime(path));
+            if (info.type !== 'dir') rows.push(['Opens with', app ? app.name : 'No app set up']);
+            if (info.type === 'symlink') rows.push(['Link to', info.target]);
+            rows.push(['Size', info.type === 'dir' ? describe(totals(path)) : `${this.formatFileSize(info.size)} (${info.size} bytes)`]);
+            const point = this.vfs.mountOf(path);
+            if (point) rows.push(['Mounted', `${this.vfs.mounts[point].backend.name} on ${point}${this.vfs.mounts[point].backend.readOnly ? ' (read-only)' : ''}`]);
+            rows.push(['Owner', accounts.userName(info.owner)], ['Group', accounts.groupName(info.group)]);
+            rows.push(['Permissions', `${VirtualFileSystem.modeString(info.type, info.mode)} (${(info.mode & 0o7777).toString(8).padStart(3, '0')})`]);
+            rows.push(['Created', new Date(info.created).toLocaleString()], ['Modified', new Date(info.modified).toLocaleString()], ['Accessed', new Date(info.accessed).toLocaleString()]);
+            const revisions = info.type === 'file' ? this.vfs.revisions(path) : null;
+            if (revisions && !revisions.error && revisions.revisions.length) rows.push(['Versions', `${revisions.revisions.length} earlier (see History in the editor)`]);
+        } else {
+            const sum = paths.reduce((all, path) => {
+                const part = totals(path);
+                if (this.vfs.isDir(path)) part.dirs++;
+                return { bytes: all.bytes + part.bytes, files: all.files + part.files, dirs: all.dirs + part.dirs };
+            }, { bytes: 0, files: 0, dirs: 0 });
+            rows.push(['Selected', `${paths.length} items`], ['Location', paths[0].substring(0, paths[0].lastIndexOf('/')) || '/'], ['Size', describe(sum)]);
+        }
+
+        const winNum = this.nextId;
+        this.createWindow('Properties', `<div class="properties" id="properties-${winNum}"></div>`, 380, 400, 'properties');
+        const table = document.getElementById(`properties-${winNum}`);
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'properties-row';
+            row.innerHTML = '<span class="properties-label"></span><span class="properties-value"></span>';
+            row.children[0].innerText = label;
+            row.children[1].innerText = value;
+            table.appendChild(row);
+        });
+    }
+
+    // Small menu at the pointer; items are { label, action } or { separator: true }. Any click elsewhere closes it.
+    showContextMenu(x, y, items) {
+        this.hideContextMenu();
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.style.left = x + 'px';
+        menu.style.top = y + 'px';
+        menu.style.zIndex = ++this.zIndex;
+        items.forEach(entry => {
+            const item = document.createElement('div');
+            if (entry.separator) {
+                item.className = 'context-menu-separator';
+                menu.appendChild(item);
+                return;
+            }
+            item.className = 'context-menu-item';
+            item.innerText = entry.label;
+            item.onclick = () => {
+                this.hideContextMenu();
+                entry.action();
+            };
+            menu.appendChild(item);
+        });
+        document.body.appendChild(menu);
+        // Keep the menu on screen when opened near the right or bottom edge
+        const box = menu.getBoundingClientRect();
+        if (box.right > window.innerWidth) menu.style.left = Math.max(0, x - box.width) + 'px';
+        if (box.bottom > window.innerHeight) menu.style.top = Math.max(0, y - box.height) + 'px';
+        setTimeout(() => document.addEventListener('mousedown', this.contextMenuCloser = (e) => {
+            if (!menu.contains(e.target)) this.hideContextMenu();
+        }), 0);
+    }
+
+    hideContextMenu() {
+        document.querySelectorAll('.context-menu').forEach(menu => menu.remove());
+        if (this.contextMenuCloser) document.removeEventListener('mousedown', this.contextMenuCloser);
+        this.contextMenuCloser = null;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        const units = ['KB', 'MB', 'GB'];
+        let value = bytes / 1024;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return value.toFixed(value < 10 ? 1 : 0) + ' ' + units[unit];
+    }
+
+    // Paths are relative to the folder the window shows; going up selects the folder we came from
+    navigateExplorer(winNum, path) {
+        const currentPath = this.explorerPath(winNum);
+
+        // Temporarily set vfs current dir to resolve relative paths
+        const oldDir = this.vfs.currentDir;
+        this.vfs.currentDir = currentPath;
+        const newPath = this.vfs.resolvePath(path);
+        this.vfs.currentDir = oldDir;
+
+        this.renderFileExplorer(winNum, newPath);
+        if (currentPath.startsWith(newPath === '/' ? '/' : newPath + '/')) {
+            const state = this.explorerState(winNum);
+            const child = (newPath === '/' ? '' : newPath) + '/' + currentPath.slice(newPath.length).split('/').filter(p => p)[0];
+            if (state.items.some(item => item.path === child)) {
+                state.selected = new Set([child]);
+                state.focus = state.anchor = child;
+                this.refreshSelection(winNum);
+            }
+        }
+    }
+
+    explorerMkdir(winNum) {
+        this.explorerCreate(winNum, 'New Folder', path => this.vfs.mkdir(path));
+    }
+
+    explorerNewFile(winNum) {
+        this.explorerCreate(winNum, 'New File.txt', path => this.vfs.touch(path));
+    }
+
+    // Creates an item under a free default name and starts renaming it
+    explorerCreate(winNum, name, create) {
+        const base = this.explorerPath(winNum);
+        const dot = name.lastIndexOf('.');
+        const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+        let path = (base === '/' ? '' : base) + '/' + name;
+        for (let n = 2; this.vfs.exists(path); n++) path = (base === '/' ? '' : base) + `/${stem} ${n}${ext}`;
+        const result = create(path);
+        if (result.error) {
+            alert(result.error);
+            return;
+        }
+        const state = this.explorerState(winNum);
+        state.selected = new Set([path]);
+        state.focus = state.anchor = path;
+        this.renderFileExplorer(winNum, base);
+        this.explorerRename(winNum, path);
+    }
+
+    // Cut / Copy put paths on this.clipboard; Paste copies or moves them into a folder
+    explorerClip(mode, paths) {
+        this.clipboard = { mode, paths };
+    }
+
+    explorerPaste(winNum, dir = null, fetched = false) {
+        const currentPath = this.explorerPath(winNum);
+        if (!this.clipboard) return;
+        dir = dir || currentPath;
+        const { mode, paths } = this.clipboard;
+        // Copies, and moves out of a mount, need what they take read from the mounted folder
+        const reading = mode === 'copy' || paths.some(src => this.vfs.mountOf(src) !== this.vfs.mountOf(dir));
+        if (!fetched) return this.withFetched(paths, () => this.explorerPaste(winNum, dir, true), reading);
+        const errors = [];
+
+        for (const src of paths) {
+            let target = this.vfs.targetPath(src, dir);
+            if (target === src && mode === 'copy') {
+                target = this.copyName(target);
+            } else if (this.vfs.exists(target) && target !== src) {
+                if (!confirm(`"${target.substring(target.lastIndexOf('/') + 1)}" already exists in ${dir}. Replace it?`)) continue;
+                if (mode === 'copy' && this.vfs.isDir(target)) {
+                    const removed = this.vfs.rm(target, true);
+                    if (removed.error) {
+                        errors.push(removed.error);
+                        continue;
+                    }
+                }
+            }
+            const result = mode === 'copy' ? this.vfs.copy(src, target, true) : this.vfs.rename(src, target);
+            if (result.error) errors.push(result.error);
+        }
+
+        if (mode === 'cut') this.clipboard = null;
+        this.renderFileExplorer(winNum, currentPath);
+        if (errors.length) alert('Paste failed:\n' + errors.join('\n'));
+    }
+
+    // "name (copy).txt", "name (copy 2).txt", ... for pasting a file next to itself
+    copyName(path) {
+        const dot = path.lastIndexOf('.');
+        const [stem, ext] = dot > path.lastIndexOf('/') + 1 && this.vfs.isFile(path) ? [path.slice(0, dot), path.slice(dot)] : [path, ''];
+        let candidate = `${stem} (copy)${ext}`;
+        for (let n = 2; this.vfs.exists(candidate); n++) candidate = `${stem} (copy ${n})${ext}`;
+        return candidate;
+    }
+
+    explorerDownload(winNum) {
+        const currentPath = this.explorerPath(winNum);
+        const url = prompt('Enter file URL:');
+        if (!url) return;
+
+        const name = url.substring(url.lastIndexOf('/') + 1) || 'downloaded_file';
+
+        // Use CORS proxy for cross-origin requests
+        const corsProxy = 'https://api.allorigins.win/raw?url=';
+        const fetchUrl = corsProxy + encodeURIComponent(url);
+
+        console.log('Downloading from:', url);
+        console.log('Using proxy URL:', fetchUrl);
+
+        fetch(fetchUrl)
+            .then(async res => {
+                if (!res.ok) throw new Error('Network response was not ok');
+                const mime = (res.headers.get('content-type') || '').split(';')[0].trim();
+                return { data: await res.arrayBuffer(), mime };
+            })
+            .then(({ data, mime }) => {
+                const result = this.importFile((currentPath === '/' ? '' : currentPath) + '/' + name, data, mime);
+                if (result.error) throw new Error(result.error);
+                this.renderFileExplorer(winNum, currentPath);
+                alert(`Downloaded ${name} successfully!`);
+            })
+            .catch(err => {
+                console.error('Download error:', err);
+                alert('Failed to download: ' + err.message);
+            });
+    }
+
+    explorerUpload(winNum, event) {
+        const files = [...event.target.files].map(file => ({ path: file.webkitRelativePath || file.name, file }));
+        event.target.value = '';
+        this.uploadFiles(winNum, files);
+    }
+
+    explorerDragOver(event) {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        event.currentTarget.classList.add('drop-target');
+    }
+
+    // Dropped folders are walked through the entries API so their structure is kept
+    async explorerDrop(winNum, event) {
+        event.preventDefault();
+        event.currentTarget.classList.remove('drop-target');
+        const items = [...(event.dataTransfer.items || [])];
+        const entries = items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(entry => entry);
+
+        let files;
+        try {
+            if (entries.length) {
+                files = (await Promise.all(entries.map(entry => this.readDroppedEntry(entry, '')))).flat();
+            } else {
+                files = [...event.dataTransfer.files].map(file => ({ path: file.name, file }));
+            }
+        } catch (e) {
+            alert('Error reading dropped items: ' + e.message);
+            return;
+        }
+        await this.uploadFiles(winNum, files);
+    }
+
+    async readDroppedEntry(entry, prefix) {
+        const path = prefix + entry.name;
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            return [{ path, file }];
+        }
+        // readEntries hands out directory contents in batches until it returns none
+        const reader = entry.createReader();
+        const children = [];
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length);
+        const nested = await Promise.all(children.map(child => this.readDroppedEntry(child, path + '/')));
+        return [{ path, dir: true }, ...nested.flat()];
+    }
+
+    // files: [{ path relative to the explorer's folder, file } or { path, dir: true }]
+    async uploadFiles(winNum, files) {
+        const currentPath = this.explorerPath(winNum);
+        const base = currentPath === '/' ? '' : currentPath;
+        const errors = [];
+        let count = 0;
+
+        for (const entry of files) {
+            const target = base + '/' + entry.path;
+            if (entry.dir) {
+                const result = this.mkdirs(target);
+                if (result.error) errors.push(`${entry.path}: ${result.error}`);
+                continue;
+            }
+            let result;
+            try {
+                result = this.importFile(target, await entry.file.arrayBuffer(), entry.file.type);
+            } catch (e) {
+                result = { error: e.message };
+            }
+            if (result.error) errors.push(`${entry.path}: ${result.error}`);
+            else count++;
+        }
+
+        this.renderFileExplorer(winNum, currentPath);
+        if (errors.length) alert(`Uploaded ${count} file(s), ${errors.length} failed:\n${errors.join('\n')}`);
+        else if (count) alert(`Uploaded ${count === 1 ? files.find(f => !f.dir).path : count + ' files'} successfully!`);
+    }
+
+    // Creates a directory and any missing parents
+    mkdirs(path) {
+        return this.vfs.mkdirs(path);
+    }
+
+    // Writes host bytes into the VFS; text stays a string so the editor and shell tools can use it
+    importFile(path, data, mime) {
+        const parent = path.substring(0, path.lastIndexOf('/')) || '/';
+        const made = this.mkdirs(parent);
+        if (made.error) return made;
+
+        mime = mime || VirtualFileSystem.MIME_TYPES[path.split('.').pop().toLowerCase()] || 'application/octet-stream';
+        let content = data;
+        if (VirtualFileSystem.isText(mime)) {
+            try {
+                content = new TextDecoder('utf-8', { fatal: true }).decode(data);
+            } catch (e) {
+                content = data; // not valid UTF-8 after all; keep the bytes
+            }
+        }
+        return this.vfs.writeFile(path, content, false, mime);
+    }
+
+    // Delete moves items to the Trash; inside the Trash itself it deletes them for good
+    explorerDelete(winNum, paths) {
+        const currentPath = this.explorerPath(winNum);
+        const trash = this.vfs.trashDir();
+        const errors = [];
+        const inTrash = paths.filter(path => path.startsWith(trash + '/'));
+        if (inTrash.length && !confirm(`Permanently delete ${inTrash.length === 1 ? `"${inTrash[0].substring(inTrash[0].lastIndexOf('/') + 1)}"` : inTrash.length + ' items'}? This cannot be undone.`)) return;
+        for (const path of paths) {
+            const result = path.startsWith(trash + '/') ? this.vfs.rm(path, true) : this.vfs.trash(path);
+            if (result.error) errors.push(result.error);
+        }
+        this.renderFileExplorer(winNum, currentPath);
+        this.refreshTrash();
+        if (errors.length) alert('Delete failed:\n' + errors.join('\n'));
+    }
+
+    // Zips the items into "<name>.zip" (or "Archive.zip" for several) next to them
+    async explorerCompress(winNum, paths) {
+        const currentPath = this.explorerPath(winNum);
+        const base = currentPath === '/' ? '' : currentPath;
+        const stem = base + '/' + (paths.length === 1 ? paths[0].substring(paths[0].lastIndexOf('/') + 1) : 'Archive');
+        let target = stem + '.zip';
+        for (let n = 2; this.vfs.exists(target); n++) target = `${stem} (${n}).zip`;
+
+        const fetched = await Promise.all(paths.map(path => this.vfs.fetch(path, { recursive: true })));
+        const failed = fetched.find(result => result.error);
+        if (failed) {
+            alert('Could not read from the mounted folder: ' + failed.error);
+            return;
+        }
+        const oldDir = this.vfs.currentDir;
+        this.vfs.currentDir = currentPath;
+        const { entries, errors } = Archive.collect(this.vfs, paths);
+        this.vfs.currentDir = oldDir;
+        if (entries.length) {
+            const result = this.vfs.writeFile(target, await Archive.zip(entries), false, 'application/zip');
+            if (result.error) errors.push(result.error);
+        }
+        this.renderFileExplorer(winNum, currentPath);
+        if (errors.length) alert('Compress failed for some items:\n' + errors.join('\n'));
+    }
+
+    // Unpacks a zip, tar or tar.gz into the folder the explorer shows
+    async explorerExtract(winNum, path) {
+        const currentPath = this.explorerPath(winNum);
+        const fetched = await this.vfs.fetch(path);
+        const read = fetched.error ? fetched : this.vfs.readBinary(path);
+        let entries;
+        try {
+            if (read.error) throw new Error(read.error);
+            entries = await Archive.read(new Uint8Array(read.data));
+        } catch (e) {
+            alert('Error extracting archive: ' + e.message);
+            return;
+        }
+
+        const base = currentPath === '/' ? '' : currentPath;
+        const existing = entries.filter(entry => entry.type !== 'dir' && this.vfs.exists(base + '/' + entry.name));
+        const overwrite = existing.length > 0 && confirm(`${existing.length} item(s) already exist in ${currentPath}. Replace them?`);
+        const result = Archive.extract(this.vfs, entries, currentPath, overwrite);
+        this.renderFileExplorer(winNum, currentPath);
+        if (result.errors.length) alert(`Extracted ${result.count} item(s), ${result.errors.length} failed:\n${result.errors.join('\n')}`);
+    }
+
+    // Saves a VFS file to the real machine through a browser download
+    exportToHost(path) {
+        this.withFetched([path], () => {
+            const result = this.vfs.readBinary(path);
+            if (result.error) {
+                alert('Error exporting file: ' + result.error);
+                return;
+            }
+            this.saveToHost(new Blob([result.data], { type: this.vfs.mimeType(path) }), path.substring(path.lastIndexOf('/') + 1));
+        });
+    }
+
+    saveToHost(blob, name) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Opens a file in the default app for its type, or asks which app to use when there is none
+    openFile(path) {
+        path = this.vfs.resolvePath(path);
+        const app = this.fileTypes.defaultApp(this.fileMime(path));
+        if (app) this.withFetched([path], () => app.open(path));
+        else this.openWithChooser(path);
+    }
+
+    // An app id that isn't registered (any more) gets the type's default app, or the chooser
+    openWith(app, path) {
+        path = this.vfs.resolvePath(path);
+        const chosen = this.fileTypes.apps[app];
+        if (!chosen) return this.openFile(path);
+        this.withFetched([path], () => chosen.open(path));
+    }
+
+    // Runs action once the mounted ones among paths have been read from their folder (see
+    // VirtualFileSystem.fetch), and right away when there are none. recursive also reads what
+    // is below mounted folders.
+    withFetched(paths, action, recursive = false) {
+        const mounted = paths.map(path => this.vfs.resolvePath(path)).filter(path => this.vfs.mountOf(path));
+        if (!mounted.length) return action();
+        Promise.all(mounted.map(path => this.vfs.fetch(path, { recursive }))).then(results => {
+            const failed = results.find(result => result.error);
+            if (failed) alert('Could not read from the mounted folder: ' + failed.error);
+            else action();
+        });
+    }
+
+    fileMime(path) {
+        return this.vfs.isDir(path) ? 'inode/directory' : this.vfs.mimeType(path);
+    }
+
+    openHtmlFile(path) {
+        this.withFetched([path], () => {
+            const result = this.vfs.readFile(path);
+            if (result.error) {
+                alert('Error opening file: ' + result.error);
+                return;
+            }
+            const blob = new Blob([result.content], { type: 'text/html' });
+            const url = URL.createObjectURL(blob);
+            this.openApp('htmlviewer', url);
+        });
+    }
+
+    // A file already open in a Notepad window brings that window forward
+    openInNotepad(path) {
+        path = this.vfs.resolvePath(path);
+        const open = this.notepadWindow(path);
+        if (open) {
+            this.focusWindow(open.id);
+            return;
+        }
+        this.openApp('notepad');
+        this.notepadLoad(String(this.nextId - 1), path);
+    }
+
+    // A small window listing the apps for the file's type first, then every other app, with
+    // a box to make the choice the default for that type
+    openWithChooser(path) {
+        path = this.vfs.resolvePath(path);
+        const mime = this.fileMime(path);
+        const type = FileTypes.type(mime);
+        const capable = this.fileTypes.appsFor(mime);
+        const others = Object.values(this.fileTypes.apps).filter(app => !capable.includes(app) && app.id !== 'fileexplorer');
+        const winNum = this.nextId;
+        this.createWindow('Open With', `
+            <div class="open-with">
+                <p class="open-with-file" id="openwith-file-${winNum}"></p>
+                <div class="open-with-list" id="openwith-list-${winNum}"></div>
+                <label class="open-with-default"><input type="checkbox" id="openwith-default-${winNum}"> <span></span></label>
+            </div>`, 340, 380, 'openwith');
+
+        const name = path.substring(path.lastIndexOf('/') + 1);
+        document.getElementById(`openwith-file-${winNum}`).innerText = capable.length
+            ? `Open "${name}" (${type.name}) with:`
+            : `No app is set up for "${name}" (${mime}). Open it with:`;
+        const always = document.getElementById(`openwith-default-${winNum}`);
+        always.nextElementSibling.innerText = `Always use this app for ${mime} files`;
+        const list = document.getElementById(`openwith-list-${winNum}`);
+        const current = this.fileTypes.defaultApp(mime);
+        const section = (title, apps) => {
+            if (!apps.length) return;
+            if (title) {
+                const heading = document.createElement('div');
+                heading.className = 'open-with-heading';
+                heading.innerText = title;
+                list.appendChild(heading);
+            }
+            apps.forEach(app => {
+                const button = document.createElement('button');
+                button.className = 'open-with-app' + (current && app.id === current.id ? ' default' : '');
+                button.innerText = `${app.icon} ${app.name}` + (current && app.id === current.id ? ' (default)' : '');
+                button.onclick = () => {
+                    if (always.checked) this.fileTypes.setDefault(mime, app.id);
+                    this.closeWindow('win_' + winNum);
+                    app.open(path);
+                };
+                list.appendChild(button);
+            });
+        };
+        section(null, capable);
+        section(capable.length ? 'Other apps' : null, others);
+    }
+
+    setDefaultApp(mime, app) {
+        this.fileTypes.setDefault(mime, app);
+    }
+
+    // Default app choices for the Settings app: one row per file type that several apps open
+    defaultAppsSettings() {
+        const chosen = this.fileTypes.defaults();
+        return FileTypes.TYPES.filter(type => this.fileTypes.appsFor(type.mime).length > 1).map(type => `
+            <label class="default-app-row">
+                <span>${type.icon} ${type.name}</span>
+                <select onchange="os.setDefaultApp('${type.mime}', this.value)">
+                    <option value="">Automatic (${this.fileTypes.appsFor(type.mime)[0].name})</option>
+                    ${this.fileTypes.appsFor(type.mime).map(app => `<option value="${app.id}" ${chosen[type.mime] === app.id ? 'selected' : ''}>${app.name}</option>`).join('')}
+                </select>
+            </label>`).join('');
+    }
+
+    /* --- Notepad --- */
+
+    // Each Notepad window holds one document: a file it was opened on or saved as, or an
+    // untitled draft that lives (and is saved as you type) under ~/.local/notepad
+    notepadDraftDir() {
+        return (this.vfs.user.home === '/' ? '' : this.vfs.user.home) + '/.local/notepad';
+    }
+
+    notepadPrefs() {
+        let prefs = {};
+        try {
+            prefs = JSON.parse(localStorage.getItem('yesos_notepad')) || {};
+        } catch (e) {
+            // Defaults
+        }
+        return Object.assign({ wrap: true, font: 'monospace', size: 14, status: true }, prefs);
+    }
+
+    saveNotepadPrefs(prefs) {
+        localStorage.setItem('yesos_notepad', JSON.stringify(prefs));
+    }
+
+    // A new window reopens the most recent draft no other window has, or starts a new one
+    initNotepad(win) {
+        const winNum = win.id.split('_')[1];
+        win.notepad = { path: null, draft: true, savedContent: '', timer: null, unwatch: null, changedOnDisk: false, prefs: this.notepadPrefs() };
+        win.unsaved = () => !win.notepad.draft && this.notepadDirty(win) ? [this.notepadName(win)] : [];
+        win.cleanup = () => this.notepadLeave(win);
+
+        this.restoreNotepadDrafts();
+        const dir = this.notepadDraftDir();
+        const listing = this.vfs.ls(dir, true);
+        const drafts = (listing.error ? [] : listing.items).map(name => dir + '/' + name)
+            .filter(path => this.vfs.isFile(path) && !this.notepadWindow(path))
+            .sort((a, b) => this.vfs.stat(b).modified - this.vfs.stat(a).modified);
+        this.applyNotepadPrefs(winNum);
+        this.notepadLoad(winNum, drafts[0] || this.newNotepadDraft());
+    }
+
+    // Drafts as they were when the page was closed, by path ("" for one left empty), for
+    // restoreNotepadDrafts to write in case the filesystem didn't get to store them
+    keepNotepadDrafts(wins) {
+        const kept = JSON.parse(localStorage.getItem('notepad-drafts') || '{}');
+        wins.forEach(win => kept[win.notepad.path] = document.getElementById(`notepad-text-${win.id.split('_')[1]}`).value);
+        try {
+            localStorage.setItem('notepad-drafts', JSON.stringify(kept));
+        } catch (e) {
+            console.error('Could not keep Notepad drafts', e);
+        }
+    }
+
+    // Writes the current user's drafts kept by keepNotepadDrafts. The single note older versions
+    // kept in the "yesos_notepad_cache" setting becomes a draft. Either is only forgotten once written.
+    restoreNotepadDrafts() {
+        const dir = this.notepadDraftDir();
+        const kept = JSON.parse(localStorage.getItem('notepad-drafts') || '{}');
+        Object.keys(kept).filter(path => path.startsWith(dir + '/')).forEach(path => {
+            this.vfs.mkdirs(dir);
+            const result = kept[path] ? this.vfs.writeFile(path, kept[path]) : this.vfs.isFile(path) ? this.vfs.rm(path) : {};
+            if (!result.error) delete kept[path];
+        });
+        if (Object.keys(kept).length) localStorage.setItem('notepad-drafts', JSON.stringify(kept));
+        else localStorage.removeItem('notepad-drafts');
+
+        const legacy = localStorage.getItem('yesos_notepad_cache');
+        if (legacy === null) return;
+        if (legacy) {
+            this.vfs.mkdirs(dir);
+            if (this.vfs.writeFile(this.newNotepadDraft(), legacy).error) return;
+        }
+        localStorage.removeItem('yesos_notepad_cache');
+    }
+
+    // The first Untitled-N.txt in the drafts folder that no file or window has taken
+    newNotepadDraft() {
+        const dir = this.notepadDraftDir();
+        for (let n = 1; ; n++) {
+            const path = `${dir}/Untitled-${n}.txt`;
+            if (!this.vfs.exists(path) && !this.notepadWindow(path)) return path;
+        }
+    }
+
+    notepadWindow(path) {
+        return Object.values(this.windows).find(win => win.notepad && win.notepad.path === path) || null;
+    }
+
+    notepadName(win) {
+        const path = win.notepad.path || '';
+        const name = path.substring(path.lastIndexOf('/') + 1);
+        return win.notepad.draft ? name.replace(/\.txt$/, '') : name;
+    }
+
+    notepadDirty(win) {
+        return document.getElementById(`notepad-text-${win.id.split('_')[1]}`).value !== win.notepad.savedContent;
+    }
+
+    // Brings the window's document up to date on disk before it shows another one: a pending
+    // draft save is written now, and a draft left empty is removed
+    notepadLeave(win) {
+        const state = win.notepad;
+        if (state.unwatch) state.unwatch();
+        state.unwatch = null;
+        clearTimeout(state.timer);
+        state.timer = null;
+        if (state.draft && state.path) this.saveNotepadDraft(win);
+    }
+
+    saveNotepadDraft(win) {
+        const state = win.notepad;
+        const text = document.getElementById(`notepad-text-${win.id.split('_')[1]}`).value;
+        if (!text) {
+            if (this.vfs.isFile(state.path)) this.vfs.rm(state.path);
+        } else if (text !== state.savedContent || !this.vfs.isFile(state.path)) {
+            this.vfs.mkdirs(this.notepadDraftDir());
+            const result = this.vfs.writeFile(state.path, text);
+            if (result.error) return;
+        }
+        state.savedContent = text;
+    }
+
+    notepadLoad(winNum, path) {
+        this.withFetched([path], () => {
+            const win = this.windows['win_' + winNum];
+            const state = win.notepad;
+            let content = '';
+            if (this.vfs.exists(path)) {
+                const result = this.vfs.readFile(path);
+                if (result.error) {
+                    alert('Error opening file: ' + result.error);
+                    return;
+                }
+                content = result.content;
+            }
+            this.notepadLeave(win);
+            Object.assign(state, { path, draft: path.startsWith(this.notepadDraftDir() + '/'), savedContent: content, changedOnDisk: false });
+            if (!state.draft) state.unwatch = this.vfs.watch(path, () => this.notepadFileChanged(winNum));
+            const textarea = document.getElementById(`notepad-text-${winNum}`);
+            textarea.value = content;
+            textarea.setSelectionRange(0, 0);
+            textarea.scrollTop = 0;
+            this.updateNotepadTitle(winNum);
+            this.updateNotepadStatus(winNum);
+        });
+    }
+
+    updateNotepadTitle(winNum) {
+        const win = this.windows['win_' + winNum];
+        const dirty = !win.notepad.draft && this.notepadDirty(win);
+        win.querySelector('.title-bar h4').innerText = `${dirty ? '*' : ''}${this.notepadName(win)} - Notepad`;
+    }
+
+    updateNotepadStatus(winNum) {
+        const win = this.windows['win_' + winNum];
+        const status = document.getElementById(`notepad-status-${winNum}`);
+        if (!win || !status) return;
+        const state = win.notepad;
+        const textarea = document.getElementById(`notepad-text-${winNum}`);
+        const before = textarea.value.slice(0, textarea.selectionStart).split('\n');
+        let saved = state.draft ? 'Draft, saved automatically' : this.notepadDirty(win) ? 'Unsaved changes' : 'Saved';
+        if (state.changedOnDisk) saved = 'Changed on disk; saving replaces it';
+        status.innerText = [`Ln ${before.length}, Col ${before[before.length - 1].length + 1}`, `${textarea.value.length} characters`,
+            saved, `${Math.round(state.prefs.size / 14 * 100)}%`].join('  ·  ');
+    }
+
+    // Drafts are written half a second after typing stops; files wait for Save
+    notepadInput(winNum) {
+        const win = this.windows['win_' + winNum];
+        const state = win.notepad;
+        if (state.draft) {
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                this.saveNotepadDraft(win);
+            }, 500);
+        }
+        this.updateNotepadTitle(winNum);
+        this.updateNotepadStatus(winNum);
+    }
+
+    // Another program wrote the file: pick up its version unless there are edits to keep
+    notepadFileChanged(winNum) {
+        const win = this.windows['win_' + winNum];
+        if (!win) return;
+        const state = win.notepad;
+        const current = this.vfs.readFile(state.path);
+        if (!current.error && current.content === state.savedContent) return;
+        if (!current.error && !this.notepadDirty(win)) {
+            const textarea = document.getElementById(`notepad-text-${winNum}`);
+            const caret = textarea.selectionStart;
+            textarea.value = state.savedContent = current.content;
+            textarea.setSelectionRange(caret, caret);
+            state.changedOnDisk = false;
+        } else {
+            state.changedOnDisk = true;
         }
+        this.updateNotepadTitle(winNum);
+        this.updateNotepadStatus(winNum);
+    }
 
-        this.addAiMsg(history, msg);
+    notepadKey(winNum, e) {
+        const key = e.key.toLowerCase();
+        if (e.ctrlKey && key === 's') {
+            if (e.shiftKey) this.notepadSaveAs(winNum);
+            else this.notepadSave(winNum);
+        } else if (e.ctrlKey && key === 'o') {
+            this.notepadOpen(winNum);
+        } else if (e.ctrlKey && (key === '=' || key === '+')) {
+            this.notepadZoom(winNum, 2);
+        } else if (e.ctrlKey && key === '-') {
+            this.notepadZoom(winNum, -2);
+        } else if (e.ctrlKey && key === '0') {
+            this.notepadZoom(winNum, 0);
+        } else if (e.key === 'Tab' && !e.ctrlKey && !e.altKey) {
+            e.target.setRangeText('\t', e.target.selectionStart, e.target.selectionEnd, 'end');
+            this.notepadInput(winNum);
+        } else {
+            return;
+        }
+        e.preventDefault();
     }
 
-    async aiSend(input) {
-        const text = input.value.trim();
-        if (!text) return;
+    notepadMenu(winNum, menu, button) {
+        const win = this.windows['win_' + winNum];
+        const prefs = win.notepad.prefs;
+        const check = (on, label) => (on ? '✓ ' : '') + label;
+        const items = {
+            file: [
+                { label: 'New', action: () => this.notepadNew(winNum) },
+                { label: 'New Window', action: () => this.openApp('notepad') },
+                { label: 'Open… (Ctrl+O)', action: () => this.notepadOpen(winNum) },
+                { label: 'Save (Ctrl+S)', action: () => this.notepadSave(winNum) },
+                { label: 'Save As… (Ctrl+Shift+S)', action: () => this.notepadSaveAs(winNum) },
+                { separator: true },
+                { label: 'Close', action: () => this.closeWindow(win.id) }
+            ],
+            format: [
+                { label: check(prefs.wrap, 'Word Wrap'), action: () => this.setNotepadPref(winNum, 'wrap', !prefs.wrap) },
+                { separator: true },
+                ...Object.entries(OS.NOTEPAD_FONTS).map(([font, { label }]) => ({ label: check(prefs.font === font, label), action: () => this.setNotepadPref(winNum, 'font', font) }))
+            ],
+            view: [
+                { label: 'Zoom In (Ctrl+=)', action: () => this.notepadZoom(winNum, 2) },
+                { label: 'Zoom Out (Ctrl+-)', action: () => this.notepadZoom(winNum, -2) },
+                { label: 'Reset Zoom (Ctrl+0)', action: () => this.notepadZoom(winNum, 0) },
+                { separator: true },
+                { label: check(prefs.status, 'Status Bar'), action: () => this.setNotepadPref(winNum, 'status', !prefs.status) }
+            ]
+        }[menu];
+        const box = button.getBoundingClientRect();
+        this.showContextMenu(box.left, box.bottom, items);
+    }
 
-        const history = input.parentElement.previousElementSibling;
-        this.addAiMsg(history, text, true);
-        input.value = '';
+    // Format and view choices apply to this window and become the default for new ones
+    setNotepadPref(winNum, key, value) {
+        const prefs = this.windows['win_' + winNum].notepad.prefs;
+        prefs[key] = value;
+        this.saveNotepadPrefs(prefs);
+        this.applyNotepadPrefs(winNum);
+    }
 
-        // Simulate thinking UI
-        const thinkingId = 'thinking-' + Date.now();
-        const thinkingMsg = document.createElement('div');
-        thinkingMsg.className = 'chat-msg ai';
-        thinkingMsg.id = thinkingId;
-        thinkingMsg.innerText = '...';
-        history.appendChild(thinkingMsg);
-        history.scrollTop = history.scrollHeight;
+    notepadZoom(winNum, step) {
+        const prefs = this.windows['win_' + winNum].notepad.prefs;
+        this.setNotepadPref(winNum, 'size', step ? Math.min(40, Math.max(8, prefs.size + step)) : 14);
+    }
 
-        try {
-            let response = "";
-            let command = null;
-            const apiKey = localStorage.getItem('gemini_key');
+    applyNotepadPrefs(winNum) {
+        const prefs = this.windows['win_' + winNum].notepad.prefs;
+        const textarea = document.getElementById(`notepad-text-${winNum}`);
+        textarea.wrap = prefs.wrap ? 'soft' : 'off';
+        textarea.classList.toggle('nowrap', !prefs.wrap);
+        textarea.style.fontFamily = (OS.NOTEPAD_FONTS[prefs.font] || OS.NOTEPAD_FONTS.monospace).family;
+        textarea.style.fontSize = prefs.size + 'px';
+        document.getElementById(`notepad-status-${winNum}`).classList.toggle('hidden', !prefs.status);
+        this.updateNotepadStatus(winNum);
+    }
 
-            // 1. Paid/Private Cloud (Gemini / OpenAI)
-            if (apiKey && apiKey.length > 5) {
-                const isOpenRouter = apiKey.startsWith('sk-or-');
-                try {
-                    let apiResp;
-                    if (isOpenRouter) {
-                        apiResp = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-                            method: "POST",
-                            headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-                            body: JSON.stringify({
-                                "model": "openai/gpt-4o-mini",
-                                "messages": [{ "role": "user", "content": text }]
-                            })
-                        });
-                        if (apiResp.ok) {
-                            const data = await apiResp.json();
-                            response = data.choices[0].message.content.trim();
-                        }
-                    } else {
-                        // Gemini
-                        apiResp = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`, {
-                            method: 'POST', body: JSON.stringify({ contents: [{ parts: [{ text }] }] })
-                        });
-                        if (!apiResp.ok) apiResp = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${apiKey}`, {
-                            method: 'POST', body: JSON.stringify({ contents: [{ parts: [{ text }] }] })
-                        });
+    // Leaves a file with unsaved changes only after asking; drafts are already on disk
+    notepadConfirmLeave(winNum) {
+        const win = this.windows['win_' + winNum];
+        return win.notepad.draft || !this.notepadDirty(win) || confirm(`${this.notepadName(win)} has unsaved changes. Discard them?`);
+    }
 
-                        if (apiResp.ok) {
-                            const data = await apiResp.json();
-                            response = data.candidates[0].content.parts[0].text.trim();
-                        }
-                    }
-                } catch (e) { console.error("Key API failed", e); }
-            }
+    notepadNew(winNum) {
+        if (!this.notepadConfirmLeave(winNum)) return;
+        this.notepadLeave(this.windows['win_' + winNum]);
+        this.notepadLoad(winNum, this.newNotepadDraft());
+    }
 
-            // 2. Pollinations AI (Free Cloud - No Key)
-            if (!response && navigator.onLine) {
-                try {
-                    const systemPrompt = "You are YesAI. If user wants to open an app (calculator, notepad, browser, terminal), reply ONLY with 'OPEN: appname'. Otherwise answer normally.";
-                    const url = `https://text.pollinations.ai/${encodeURIComponent(systemPrompt + " User: " + text)}`;
+    notepadStartDir(winNum) {
+        const state = this.windows['win_' + winNum].notepad;
+        if (state.draft) return (this.vfs.user.home === '/' ? '' : this.vfs.user.home) + '/Documents';
+        return state.path.substring(0, state.path.lastIndexOf('/')) || '/';
+    }
 
-                    const pollResp = await fetch(url);
-                    if (pollResp.ok) {
-                        response = await pollResp.text();
-                    }
-                } catch (e) {
-                    console.warn("Pollinations failed", e);
-                }
+    notepadOpen(winNum) {
+        this.showFileDialog({
+            mode: 'open',
+            title: 'Open - Notepad',
+            dir: this.notepadStartDir(winNum),
+            places: [{ icon: '📝', label: 'Drafts', path: this.notepadDraftDir() }],
+            onSelect: path => {
+                if (!this.windows['win_' + winNum]) return;
+                const open = this.notepadWindow(path);
+                if (open) this.focusWindow(open.id);
+                else if (this.notepadConfirmLeave(winNum)) this.notepadLoad(winNum, path);
             }
+        });
+    }
 
-            // 3. Fallback (Native or Local)
-            if (!response) {
-                if (window.ai) {
-                    try {
-                        const session = await window.ai.createTextSession();
-                        response = await session.prompt(text);
-                        session.destroy();
-                    } catch (e) { }
-                }
-            }
+    notepadSave(winNum) {
+        const win = this.windows['win_' + winNum];
+        const state = win.notepad;
+        if (state.draft) return this.notepadSaveAs(winNum);
+        const text = document.getElementById(`notepad-text-${winNum}`).value;
+        const result = this.vfs.writeFile(state.path, text);
+        if (result.error) {
+            alert('Error saving file: ' + result.error);
+            return;
+        }
+        state.savedContent = text;
+        state.changedOnDisk = false;
+        this.updateNotepadTitle(winNum);
+        this.updateNotepadStatus(winNum);
+    }
 
-            // 4. SimpleNLP (Offline)
-            if (!response) {
-                const nlp = new SimpleNLP();
-                const result = nlp.process(text);
-                if (result.intent === 'OPEN_APP') {
-                    command = { type: 'OPEN_APP', app: result.entity };
-                    response = "Opening " + result.entity + "...";
-                } else {
-                    response = result.answer;
+    // Saving a draft under a real name moves it out of the drafts folder
+    notepadSaveAs(winNum) {
+        const win = this.windows['win_' + winNum];
+        this.showFileDialog({
+            mode: 'save',
+            title: 'Save As - Notepad',
+            dir: this.notepadStartDir(winNum),
+            name: this.notepadName(win) + (win.notepad.draft ? '.txt' : ''),
+            onSelect: path => {
+                if (!this.windows['win_' + winNum]) return;
+                // Another window showing the file closes, but not over edits of its own without asking
+                const other = this.notepadWindow(path);
+                if (other && other !== win && other.unsaved().length &&
+                    !confirm(`${this.notepadName(other)} is open in another Notepad window with unsaved changes. Discard them?`)) return;
+                const text = document.getElementById(`notepad-text-${winNum}`).value;
+                const result = this.vfs.writeFile(path, text);
+                if (result.error) {
+                    alert('Error saving file: ' + result.error);
+                    return;
                 }
+                if (other && other !== win) this.closeWindow(other.id, true);
+                const state = win.notepad;
+                if (state.draft) {
+                    this.notepadLeave(win);
+                    if (this.vfs.isFile(state.path)) this.vfs.rm(state.path);
+                    state.path = null;
+                }
+                this.notepadLoad(winNum, path);
             }
+        });
+    }
 
-            // Command Parsing (Generic for all providers)
-            if (response && response.startsWith("OPEN:")) {
-                const app = response.split(":")[1].trim().toLowerCase();
-                command = { type: 'OPEN_APP', app: app };
-                response = "Opening " + app + "...";
-            }
-
-            // Cleanup Thinking
-            const thinkingEl = document.getElementById(thinkingId);
-            if (thinkingEl) thinkingEl.remove();
-
-            this.addAiMsg(history, response || "Error");
+    /* --- File dialog --- */
+
+    // An Open or Save window over a folder listing, for apps that need the user to pick a file.
+    // onSelect gets the chosen path; saving over an existing file asks first.
+    showFileDialog({ mode = 'open', title, dir, name = '', places = [], onSelect }) {
+        const winNum = String(this.nextId);
+        const action = mode === 'save' ? 'Save' : 'Open';
+        this.createWindow(title || action, `
+            <div class="file-dialog">
+                <div class="file-dialog-bar">
+                    <button title="Up one folder" onclick="os.fileDialogUp('${winNum}')">⬆</button>
+                    <div class="file-dialog-path" id="fd-path-${winNum}"></div>
+                </div>
+                <div class="file-dialog-body">
+                    <div class="explorer-sidebar" id="fd-places-${winNum}"></div>
+                    <div class="file-dialog-list" id="fd-list-${winNum}"></div>
+                </div>
+                <div class="file-dialog-footer">
+                    <input type="text" id="fd-name-${winNum}" placeholder="File name" onkeydown="if (event.key === 'Enter') os.fileDialogAccept('${winNum}')">
+                    <button class="file-dialog-primary" onclick="os.fileDialogAccept('${winNum}')">${action}</button>
+                    <button onclick="os.closeWindow('win_${winNum}')">Cancel</button>
+                </div>
+            </div>`, 540, 400, 'filedialog');
+        const win = this.windows['win_' + winNum];
+        win.fileDialog = { mode, dir: null, onSelect };
+
+        const sidebar = document.getElementById(`fd-places-${winNum}`);
+        const { places: standard, pinned, mounts } = this.explorerPlaces();
+        [...standard.filter(place => place.path), ...places, ...pinned.filter(place => !place.missing), ...mounts].forEach(place => {
+            const item = document.createElement('div');
+            item.className = 'sidebar-item';
+            item.innerText = `${place.icon} ${place.label}`;
+            item.onclick = () => this.fileDialogGo(winNum, place.path);
+            sidebar.appendChild(item);
+        });
 
-            // Execute Command
-            if (command && command.type === 'OPEN_APP') {
-                setTimeout(() => this.openApp(command.app), 500);
-            }
+        this.fileDialogGo(winNum, this.vfs.isDir(dir) ? dir : this.vfs.user.home);
+        const input = document.getElementById(`fd-name-${winNum}`);
+        input.value = name;
+        input.focus();
+        input.setSelectionRange(0, name.lastIndexOf('.') > 0 ? name.lastIndexOf('.') : name.length);
+        return winNum;
+    }
 
-        } catch (err) {
-            const thinkingEl = document.getElementById(thinkingId);
-            if (thinkingEl) thinkingEl.remove();
-            this.addAiMsg(history, "Connectivity Error.");
-            console.error(err);
+    fileDialogGo(winNum, dir) {
+        const win = this.windows['win_' + winNum];
+        const listing = this.vfs.ls(dir);
+        if (listing.error) {
+            alert(listing.error);
+            return;
         }
+        win.fileDialog.dir = dir;
+        document.getElementById(`fd-path-${winNum}`).innerText = dir;
+        const list = document.getElementById(`fd-list-${winNum}`);
+        list.innerHTML = '';
+        const base = dir === '/' ? '' : dir;
+        const entries = listing.items.map(name => ({ name, path: base + '/' + name, isDir: this.vfs.isDir(base + '/' + name) }))
+            .sort((a, b) => (b.isDir - a.isDir) || a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+        if (!entries.length) list.innerHTML = '<div class="file-dialog-empty">This folder is empty.</div>';
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'file-dialog-item';
+            item.innerText = `${this.fileIcon(entry.name, entry.isDir ? 'dir' : 'file', entry.isDir ? '' : this.vfs.mimeType(entry.path))} ${entry.name}`;
+            item.onclick = () => {
+                list.querySelectorAll('.selected').forEach(other => other.classList.remove('selected'));
+                item.classList.add('selected');
+                if (!entry.isDir) document.getElementById(`fd-name-${winNum}`).value = entry.name;
+            };
+            item.ondblclick = () => {
+                if (entry.isDir) this.fileDialogGo(winNum, entry.path);
+                else this.fileDialogAccept(winNum);
+            };
+            list.appendChild(item);
+        });
     }
 
-    addAiMsg(historyDiv, text, isUser = false) {
-        const msg = document.createElement('div');
-        msg.className = `chat-msg ${isUser ? 'user' : 'ai'}`;
-        msg.innerText = text;
-        historyDiv.appendChild(msg);
-        historyDiv.scrollTop = historyDiv.scrollHeight;
+    fileDialogUp(winNum) {
+        const dir = this.windows['win_' + winNum].fileDialog.dir;
+        if (dir !== '/') this.fileDialogGo(winNum, dir.substring(0, dir.lastIndexOf('/')) || '/');
     }
 
-    saveSettings() {
-        const input = document.getElementById('gemini-key-input');
-        if (input) {
-            localStorage.setItem('gemini_key', input.value.trim());
-            alert('Settings Saved! AI upgraded.');
+    // A typed name is relative to the folder shown; naming a folder opens it
+    fileDialogAccept(winNum) {
+        const win = this.windows['win_' + winNum];
+        const state = win.fileDialog;
+        const input = document.getElementById(`fd-name-${winNum}`);
+        const name = input.value.trim();
+        if (!name) return;
+        const path = this.vfs.resolvePath(name.startsWith('/') ? name : (state.dir === '/' ? '' : state.dir) + '/' + name);
+        if (this.vfs.isDir(path)) {
+            input.value = '';
+            this.fileDialogGo(winNum, path);
+            return;
+        }
+        if (state.mode === 'open' && !this.vfs.isFile(path)) {
+            alert(`${path} does not exist.`);
+            return;
         }
+        if (state.mode === 'save' && this.vfs.exists(path) && !confirm(`${path.substring(path.lastIndexOf('/') + 1)} already exists. Replace it?`)) return;
+        this.closeWindow(win.id);
+        state.onSelect(path);
     }
 
-    // --- File Explorer Logic ---
+    /* --- Image Viewer --- */
 
-    renderFileExplorer(winNum, path) {
-        console.log('renderFileExplorer called with winNum:', winNum, 'path:', path);
-        path = this.vfs.resolvePath(path);
-        console.log('Resolved path:', path);
+    openImage(path) {
+        this.openApp('imageviewer');
+        this.showImage(String(this.nextId - 1), path);
+    }
 
-        const grid = document.getElementById(`grid-${winNum}`);
-        const pathDisplay = document.getElementById(`path-${winNum}`);
-        console.log('Grid element:', grid, 'Path element:', pathDisplay);
+    // Image files in the same folder, in name order, for Previous and Next
+    siblingFiles(path, accept) {
+        const dir = path.substring(0, path.lastIndexOf('/')) || '/';
+        const listing = this.vfs.ls(dir, true);
+        if (listing.error) return [path];
+        const base = dir === '/' ? '' : dir;
+        return listing.items.map(name => base + '/' + name)
+            .filter(p => this.vfs.isFile(p) && accept(this.vfs.mimeType(p)))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+    }
 
-        if (!grid || !pathDisplay) {
-            console.error('Grid or path display not found for winNum:', winNum);
-            return;
+    // An object URL for a VFS file's bytes; null (after telling the user) when it can't be read
+    fileObjectURL(path) {
+        const result = this.vfs.readBinary(path);
+        if (result.error) {
+            alert('Error opening file: ' + result.error);
+            return null;
         }
+        return URL.createObjectURL(new Blob([result.data], { type: this.vfs.mimeType(path) }));
+    }
 
-        pathDisplay.innerText = path;
-        const result = this.vfs.ls(path);
-        console.log('VFS ls result:', result);
+    // The viewer's zoom, rotation and pan offset, the folder's images and the object URL to free on close
+    initViewer(win) {
+        win.viewer = { path: null, images: [], zoom: 1, rotate: 0, x: 0, y: 0, fit: true, slideshow: null, url: null };
+        win.cleanup = () => {
+            clearInterval(win.viewer.slideshow);
+            if (win.viewer.url) URL.revokeObjectURL(win.viewer.url);
+        };
+    }
 
-        if (result.error) {
-            grid.innerHTML = `<div style="padding:20px; color:#ff5555;">Error: ${result.error}</div>`;
-            return;
-        }
+    showImage(winNum, path) {
+        this.withFetched([path], () => {
+            const win = this.windows['win_' + winNum];
+            if (!win) return;
+            const url = this.fileObjectURL(path);
+            if (!url) return;
+            const viewer = win.viewer;
+            if (viewer.url) URL.revokeObjectURL(viewer.url);
+            const images = this.siblingFiles(path, mime => mime.startsWith('image/'));
+            Object.assign(viewer, { path, images, url, rotate: 0, x: 0, y: 0, fit: true });
+
+            const name = path.substring(path.lastIndexOf('/') + 1);
+            win.querySelector('.title-bar h4').innerText = `${name} - Image Viewer`;
+            const img = document.getElementById(`viewer-img-${winNum}`);
+            img.onload = () => {
+                if (viewer.fit) this.viewerFit(winNum);
+            };
+            img.onerror = () => {
+                document.getElementById(`viewer-status-${winNum}`).innerText = `${name}: not an image this browser can show`;
+            };
+            img.src = url;
+            this.viewerTransform(winNum);
+        });
+    }
 
-        grid.innerHTML = '';
+    viewerStep(winNum, delta) {
+        const win = this.windows['win_' + winNum];
+        if (!win || !win.viewer.path) return;
+        const images = this.siblingFiles(win.viewer.path, mime => mime.startsWith('image/'));
+        if (!images.length) return;
+        const index = images.indexOf(win.viewer.path);
+        this.showImage(winNum, images[((index < 0 ? 0 : index + delta) + images.length) % images.length]);
+    }
 
-        // Add ".." if not root
-        if (path !== '/') {
-            this.addFileItem(grid, '..', 'dir', () => this.navigateExplorer(winNum, '..'));
-        }
+    viewerTransform(winNum) {
+        const win = this.windows['win_' + winNum];
+        const img = document.getElementById(`viewer-img-${winNum}`);
+        if (!win || !win.viewer.path || !img) return;
+        const { zoom, rotate, x, y, path, images } = win.viewer;
+        img.style.transform = `translate(-50%, -50%) translate(${x}px, ${y}px) rotate(${rotate}deg) scale(${zoom})`;
+        document.getElementById(`viewer-zoom-${winNum}`).innerText = Math.round(zoom * 100) + '%';
+
+        const size = img.naturalWidth ? `${img.naturalWidth} × ${img.naturalHeight} · ` : '';
+        document.getElementById(`viewer-status-${winNum}`).innerText =
+            `${size}${this.formatFileSize(this.vfs.stat(path).size || 0)} · ${images.indexOf(path) + 1} of ${images.length}`;
+    }
 
-        result.items.forEach(name => {
-            const filePath = path === '/' ? '/' + name : path + '/' + name;
-            const isDir = this.vfs.isDir(filePath);
-            const type = isDir ? 'dir' : 'file';
-            console.log('Adding item:', name, 'path:', filePath, 'isDir:', isDir);
+    viewerZoom(winNum, factor) {
+        const viewer = this.windows['win_' + winNum].viewer;
+        viewer.zoom = Math.min(20, Math.max(0.05, viewer.zoom * factor));
+        viewer.fit = false;
+        this.viewerTransform(winNum);
+    }
 
-            this.addFileItem(grid, name, type, () => {
-                console.log('Item clicked:', name, 'filePath:', filePath, 'isDir:', isDir);
-                if (isDir) {
-                    this.navigateExplorer(winNum, filePath);
-                } else {
-                    this.openFile(filePath);
-                }
-            });
-        });
+    // Largest size that shows the whole (rotated) image, but never enlarged past 100%
+    viewerFit(winNum) {
+        const viewer = this.windows['win_' + winNum].viewer;
+        const img = document.getElementById(`viewer-img-${winNum}`);
+        const stage = document.getElementById(`viewer-stage-${winNum}`);
+        const sideways = viewer.rotate % 180 !== 0;
+        const width = sideways ? img.naturalHeight : img.naturalWidth;
+        const height = sideways ? img.naturalWidth : img.naturalHeight;
+        viewer.zoom = width && height && stage.clientWidth ? Math.min(1, stage.clientWidth / width, stage.clientHeight / height) : 1;
+        Object.assign(viewer, { x: 0, y: 0, fit: true });
+        this.viewerTransform(winNum);
     }
 
-    addFileItem(container, name, type, onclick) {
-        const item = document.createElement('div');
-        item.className = 'file-item';
-        item.onclick = onclick;
+    viewerActualSize(winNum) {
+        Object.assign(this.windows['win_' + winNum].viewer, { zoom: 1, x: 0, y: 0, fit: false });
+        this.viewerTransform(winNum);
+    }
 
-        const icon = document.createElement('div');
-        icon.className = 'file-icon';
-        icon.innerText = type === 'dir' ? '📁' : '📄';
-        if (name.endsWith('.png') || name.endsWith('.jpg')) icon.innerText = '🖼️';
-        if (name.endsWith('.mp3')) icon.innerText = '🎵';
+    viewerRotate(winNum, degrees) {
+        const viewer = this.windows['win_' + winNum].viewer;
+        viewer.rotate = (viewer.rotate + degrees + 360) % 360;
+        if (viewer.fit) this.viewerFit(winNum);
+        else this.viewerTransform(winNum);
+    }
 
-        const label = document.createElement('div');
-        label.className = 'file-name';
-        label.innerText = name;
+    viewerSlideshow(winNum) {
+        const viewer = this.windows['win_' + winNum].viewer;
+        const button = document.getElementById(`viewer-play-${winNum}`);
+        if (viewer.slideshow) {
+            clearInterval(viewer.slideshow);
+            viewer.slideshow = null;
+            button.innerText = '▶ Slideshow';
+            return;
+        }
+        viewer.slideshow = setInterval(() => this.viewerStep(winNum, 1), 3000);
+        button.innerText = '⏸ Stop';
+    }
 
-        item.appendChild(icon);
-        item.appendChild(label);
-        container.appendChild(item);
+    viewerWheel(winNum, event) {
+        event.preventDefault();
+        this.viewerZoom(winNum, event.deltaY < 0 ? 1.1 : 1 / 1.1);
     }
 
-    navigateExplorer(winNum, path) {
-        console.log('navigateExplorer called with winNum:', winNum, 'path:', path);
-        // We need to know the current path of this explorer window
-        // For simplicity, we get it from the UI or store it in a map
-        const pathDisplay = document.getElementById(`path-${winNum}`);
-        const currentPath = pathDisplay ? pathDisplay.innerText : '/home/user';
-        console.log('Current path from UI:', currentPath);
+    // Dragging moves the image around
+    viewerPan(winNum, event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        event.currentTarget.focus();
+        const viewer = this.windows['win_' + winNum].viewer;
+        const start = { x: event.clientX - viewer.x, y: event.clientY - viewer.y };
+        const move = (e) => {
+            viewer.x = e.clientX - start.x;
+            viewer.y = e.clientY - start.y;
+            this.viewerTransform(winNum);
+        };
+        const up = () => {
+            document.removeEventListener('mousemove', move);
+            document.removeEventListener('mouseup', up);
+        };
+        document.addEventListener('mousemove', move);
+        document.addEventListener('mouseup', up);
+    }
 
-        // Temporarily set vfs current dir to resolve relative paths
-        const oldDir = this.vfs.currentDir;
-        this.vfs.currentDir = currentPath;
-        const newPath = this.vfs.resolvePath(path);
-        this.vfs.currentDir = oldDir;
-        console.log('New path resolved to:', newPath);
+    viewerKey(winNum, event) {
+        const actions = {
+            ArrowLeft: () => this.viewerStep(winNum, -1),
+            ArrowRight: () => this.viewerStep(winNum, 1),
+            '+': () => this.viewerZoom(winNum, 1.25),
+            '=': () => this.viewerZoom(winNum, 1.25),
+            '-': () => this.viewerZoom(winNum, 1 / 1.25),
+            '0': () => this.viewerFit(winNum),
+            '1': () => this.viewerActualSize(winNum),
+            r: () => this.viewerRotate(winNum, 90),
+            R: () => this.viewerRotate(winNum, -90),
+            ' ': () => this.viewerSlideshow(winNum)
+        };
+        if (!actions[event.key]) return;
+        event.preventDefault();
+        actions[event.key]();
+    }
 
-        this.renderFileExplorer(winNum, newPath);
+    /* --- Media Player --- */
+
+    // One player plays everything: opening a file replaces its playlist with the file's folder
+    openMedia(path) {
+        const winNum = this.mediaPlayer();
+        const player = this.windows['win_' + winNum].player;
+        player.playlist = this.siblingFiles(path, mime => mime.startsWith('audio/') || mime.startsWith('video/'));
+        this.playerPlay(winNum, path);
     }
 
-    explorerMkdir(winNum) {
-        const path = document.getElementById(`path-${winNum}`).innerText;
-        const name = prompt('Enter folder name:');
-        if (name) {
-            const oldDir = this.vfs.currentDir;
-            this.vfs.currentDir = path;
-            this.vfs.mkdir(name);
-            this.vfs.currentDir = oldDir;
-            this.renderFileExplorer(winNum, path);
+    // Adds files to the "Up next" queue; starts playing when the player is idle
+    enqueueMedia(paths) {
+        const winNum = this.mediaPlayer();
+        const player = this.windows['win_' + winNum].player;
+        player.queue.push(...paths);
+        if (!player.path) this.playerNext(winNum);
+        else this.renderPlayerLists(winNum);
+    }
+
+    // The number of the open player window, opening one when there is none
+    mediaPlayer() {
+        let win = Object.values(this.windows).find(w => w.dataset.app === 'mediaplayer');
+        if (!win) {
+            this.openApp('mediaplayer');
+            win = this.windows['win_' + (this.nextId - 1)];
         }
+        this.focusWindow(win.id);
+        return win.id.split('_')[1];
     }
 
-    explorerDownload(winNum) {
-        const currentPath = document.getElementById(`path-${winNum}`).innerText;
-        const url = prompt('Enter file URL:');
-        if (!url) return;
+    // The current file, the folder playlist and the queue; the volume is remembered between windows
+    initPlayer(win) {
+        win.player = { path: null, playlist: [], queue: [], url: null };
+        win.cleanup = () => {
+            if (win.player.url) URL.revokeObjectURL(win.player.url);
+        };
+        const winNum = win.id.split('_')[1];
+        const media = document.getElementById(`player-media-${winNum}`);
+        media.volume = Math.min(1, Math.max(0, parseFloat(localStorage.getItem('yesos_player_volume') || '1')));
+        document.getElementById(`player-volume-${winNum}`).value = media.volume;
+        media.ontimeupdate = media.onloadedmetadata = media.ondurationchange = () => this.updatePlayerTime(winNum);
+        media.onplay = media.onpause = () => {
+            document.getElementById(`player-toggle-${winNum}`).innerText = media.paused ? '▶' : '⏸';
+        };
+        media.onended = () => this.playerNext(winNum);
+    }
 
-        const name = url.substring(url.lastIndexOf('/') + 1) || 'downloaded_file';
+    playerPlay(winNum, path) {
+        this.withFetched([path], () => {
+            const win = this.windows['win_' + winNum];
+            const url = this.fileObjectURL(path);
+            if (!url) return;
+            const player = win.player;
+            if (player.url) URL.revokeObjectURL(player.url);
+            player.url = url;
+            player.path = path;
+
+            const name = path.substring(path.lastIndexOf('/') + 1);
+            const video = this.vfs.mimeType(path).startsWith('video/');
+            win.querySelector('.title-bar h4').innerText = `${name} - Media Player`;
+            document.getElementById(`player-title-${winNum}`).innerText = name;
+            document.getElementById(`player-stage-${winNum}`).classList.toggle('audio', !video);
+            const media = document.getElementById(`player-media-${winNum}`);
+            media.src = url;
+            this.playerStart(winNum);
+            this.renderPlayerLists(winNum);
+        });
+    }
 
-        // Use CORS proxy for cross-origin requests
-        const corsProxy = 'https://api.allorigins.win/raw?url=';
-        const fetchUrl = corsProxy + encodeURIComponent(url);
+    // Plays the loaded file; when the browser refuses, the title says why (a newer load cutting this one short is no error)
+    playerStart(winNum) {
+        const media = document.getElementById(`player-media-${winNum}`);
+        const path = this.windows['win_' + winNum].player.path;
+        const playing = media.play();
+        if (playing && playing.catch) playing.catch(e => {
+            if (e.name !== 'AbortError') document.getElementById(`player-title-${winNum}`).innerText = `${path.substring(path.lastIndexOf('/') + 1)}: ${e.message}`;
+        });
+    }
 
-        console.log('Downloading from:', url);
-        console.log('Using proxy URL:', fetchUrl);
+    // The queue comes first; then the playlist continues after the current file
+    playerNext(winNum) {
+        const player = this.windows['win_' + winNum].player;
+        if (player.queue.length) {
+            this.playerPlay(winNum, player.queue.shift());
+            return;
+        }
+        const index = player.playlist.indexOf(player.path);
+        if (index > -1 && index + 1 < player.playlist.length) this.playerPlay(winNum, player.playlist[index + 1]);
+    }
 
-        fetch(fetchUrl)
-            .then(res => {
-                if (!res.ok) throw new Error('Network response was not ok');
-                return res.text();
-            })
-            .then(content => {
-                const oldDir = this.vfs.currentDir;
-                this.vfs.currentDir = currentPath;
-                this.vfs.writeFile(name, content);
-                this.vfs.currentDir = oldDir;
-                this.renderFileExplorer(winNum, currentPath);
-                alert(`Downloaded ${name} successfully!`);
-            })
-            .catch(err => {
-                console.error('Download error:', err);
-                alert('Failed to download: ' + err.message);
-            });
+    // Back to the start of the file, or to the previous one when already near its start
+    playerPrevious(winNum) {
+        const player = this.windows['win_' + winNum].player;
+        const media = document.getElementById(`player-media-${winNum}`);
+        const index = player.playlist.indexOf(player.path);
+        if (media.currentTime > 3 || index < 1) media.currentTime = 0;
+        else this.playerPlay(winNum, player.playlist[index - 1]);
     }
 
-    explorerUpload(winNum, event) {
-        const currentPath = document.getElementById(`path-${winNum}`).innerText;
-        const file = event.target.files[0];
-        if (!file) return;
+    playerToggle(winNum) {
+        const media = document.getElementById(`player-media-${winNum}`);
+        if (!media.src) return;
+        if (media.paused) this.playerStart(winNum);
+        else media.pause();
+    }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const content = e.target.result;
-            const oldDir = this.vfs.currentDir;
-            this.vfs.currentDir = currentPath;
-            this.vfs.writeFile(file.name, content);
-            this.vfs.currentDir = oldDir;
-            this.renderFileExplorer(winNum, currentPath);
-            alert(`Uploaded ${file.name} successfully!`);
-        };
-        reader.readAsText(file); // For simplicity, handle as text
+    playerSeek(winNum, seconds) {
+        const media = document.getElementById(`player-media-${winNum}`);
+        if (isFinite(media.duration)) media.currentTime = Math.max(0, Math.min(media.duration, seconds));
     }
 
-    openFile(path) {
-        const ext = path.split('.').pop().toLowerCase();
+    playerVolume(winNum, volume) {
+        const media = document.getElementById(`player-media-${winNum}`);
+        media.volume = volume;
+        media.muted = false;
+        localStorage.setItem('yesos_player_volume', String(volume));
+        document.getElementById(`player-mute-${winNum}`).innerText = volume > 0 ? '🔊' : '🔇';
+    }
 
-        if (ext === 'html') {
-            const result = this.vfs.readFile(path);
-            if (result.error) {
-                alert('Error opening file: ' + result.error);
-                return;
-            }
-            const blob = new Blob([result.content], { type: 'text/html' });
-            const url = URL.createObjectURL(blob);
-            this.openApp('htmlviewer', url);
-        }
-        else if (['txt', 'js', 'css', 'json', 'md'].includes(ext)) {
-            this.openFileEditor(path);
-        } else {
-            // Default to Notepad
-            const result = this.vfs.readFile(path);
-            if (!result.error) {
-                this.openApp('notepad');
-                // Find latest notepad window and set content
-                setTimeout(() => {
-                    const notepad = document.querySelector('.notepad-area');
-                    if (notepad) notepad.value = result.content;
-                }, 100);
-            }
-        }
+    playerMute(winNum) {
+        const media = document.getElementById(`player-media-${winNum}`);
+        media.muted = !media.muted;
+        document.getElementById(`player-mute-${winNum}`).innerText = media.muted ? '🔇' : '🔊';
+    }
+
+    updatePlayerTime(winNum) {
+        const media = document.getElementById(`player-media-${winNum}`);
+        if (!media) return;
+        const seek = document.getElementById(`player-seek-${winNum}`);
+        const duration = isFinite(media.duration) ? media.duration : 0;
+        seek.max = duration;
+        if (!seek.matches(':active')) seek.value = media.currentTime;
+        document.getElementById(`player-time-${winNum}`).innerText = OS.formatTime(media.currentTime);
+        document.getElementById(`player-duration-${winNum}`).innerText = OS.formatTime(duration);
+    }
+
+    // 75 -> "1:15", 3725 -> "1:02:05"
+    static formatTime(seconds) {
+        seconds = Math.floor(seconds || 0);
+        const [h, m, s] = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60];
+        return (h ? `${h}:${String(m).padStart(2, '0')}` : String(m)) + ':' + String(s).padStart(2, '0');
+    }
+
+    renderPlayerLists(winNum) {
+        const player = this.windows['win_' + winNum].player;
+        const fill = (id, paths, menu) => {
+            const list = document.getElementById(id);
+            list.innerHTML = '';
+            paths.forEach((path, index) => {
+                const item = document.createElement('div');
+                item.className = 'player-item' + (id.includes('playlist') && path === player.path ? ' current' : '');
+                item.innerText = `${FileTypes.type(this.vfs.mimeType(path)).icon} ${path.substring(path.lastIndexOf('/') + 1)}`;
+                item.title = path;
+                item.ondblclick = () => {
+                    if (!id.includes('playlist')) player.queue.splice(index, 1);
+                    this.playerPlay(winNum, path);
+                };
+                item.oncontextmenu = (e) => {
+                    e.preventDefault();
+                    this.showContextMenu(e.clientX, e.clientY, menu(path, index));
+                };
+                list.appendChild(item);
+            });
+        };
+        fill(`player-queue-${winNum}`, player.queue, (path, index) => [
+            { label: 'Play now', action: () => { player.queue.splice(index, 1); this.playerPlay(winNum, path); } },
+            { label: 'Remove from queue', action: () => { player.queue.splice(index, 1); this.renderPlayerLists(winNum); } },
+            { label: 'Clear queue', action: () => { player.queue = []; this.renderPlayerLists(winNum); } }
+        ]);
+        fill(`player-playlist-${winNum}`, player.playlist, (path) => [
+            { label: 'Play', action: () => this.playerPlay(winNum, path) },
+            { label: 'Play next', action: () => { player.queue.unshift(path); this.renderPlayerLists(winNum); } },
+            { label: 'Add to queue', action: () => { player.queue.push(path); this.renderPlayerLists(winNum); } }
+        ]);
+        document.getElementById(`player-queue-heading-${winNum}`).classList.toggle('hidden', !player.queue.length);
+    }
+
+    playerKey(winNum, event) {
+        const media = document.getElementById(`player-media-${winNum}`);
+        const actions = {
+            ' ': () => this.playerToggle(winNum),
+            ArrowLeft: () => this.playerSeek(winNum, media.currentTime - 5),
+            ArrowRight: () => this.playerSeek(winNum, media.currentTime + 5),
+            ArrowUp: () => this.playerVolume(winNum, Math.min(1, media.volume + 0.1)),
+            ArrowDown: () => this.playerVolume(winNum, Math.max(0, media.volume - 0.1)),
+            m: () => this.playerMute(winNum),
+            n: () => this.playerNext(winNum),
+            p: () => this.playerPrevious(winNum)
+        };
+        if (!actions[event.key] || ['INPUT', 'BUTTON'].includes(event.target.tagName)) return;
+        event.preventDefault();
+        actions[event.key]();
     }
 
 
@@ -932,384 +9702,1068 @@ class OS {
         }
     }
 
-    // File Editor
+    /* --- Text Editor --- */
+
+    // The editor window that was focused last, if any
+    editorWindow() {
+        return Object.values(this.windows).filter(win => win.editor)
+            .sort((a, b) => Number(b.style.zIndex) - Number(a.style.zIndex))[0] || null;
+    }
+
+    // Opens the file in a tab of the front editor window, or a new window if there is none
     openFileEditor(filename) {
-        const filepath = this.vfs.resolvePath(filename);
+        const path = this.vfs.resolvePath(filename);
+        let win = this.editorWindow();
+        if (!win) {
+            this.openApp('editor');
+            win = this.windows['win_' + (this.nextId - 1)];
+        }
+        this.focusWindow(win.id);
+        this.editorOpen(win.id.split('_')[1], path);
+    }
+
+    // Each tab keeps its own text, undo stack and saved content; the window starts with an
+    // empty Untitled tab that the first file opened replaces
+    initEditor(win) {
+        const winNum = win.id.split('_')[1];
+        win.editor = { tabs: [], active: null };
+        win.unsaved = () => win.editor.tabs.filter(tab => this.editorDirty(tab)).map(tab => this.editorTabName(tab));
+        win.cleanup = () => win.editor.tabs.forEach(tab => this.disposeEditorTab(tab));
+        this.addEditorTab(winNum, null);
+    }
+
+    editorOpen(winNum, path) {
+        this.withFetched([path], () => {
+            const win = this.windows['win_' + winNum];
+            const open = win.editor.tabs.find(tab => tab.path === path);
+            if (open) return this.activateEditorTab(winNum, open);
+            if (this.vfs.isDir(path)) {
+                alert(`${path} is a folder.`);
+                return;
+            }
+            const blank = win.editor.tabs.length === 1 && win.editor.tabs[0];
+            const replace = blank && !blank.path && !blank.textarea.value;
+            if (!this.addEditorTab(winNum, path)) return;
+            if (replace) this.closeEditorTab(winNum, blank, true);
+        });
+    }
 
-        // Read existing content or create new file
+    editorOpenPrompt(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const dir = tab && tab.path ? tab.path.substring(0, tab.path.lastIndexOf('/')) || '/' : this.vfs.currentDir;
+        const answer = prompt('Open file:', dir + '/');
+        if (answer) this.editorOpen(winNum, this.vfs.resolvePath(answer));
+    }
+
+    // A tab for a file (which need not exist yet: saving creates it) or, with no path, an Untitled one
+    addEditorTab(winNum, path) {
+        const win = this.windows['win_' + winNum];
         let content = '';
-        const readResult = this.vfs.readFile(filepath);
-        if (!readResult.error) {
-            content = readResult.content;
-        } else {
-            // File doesn't exist, will be created on save
-            this.vfs.touch(filepath);
-        }
-
-        // Create editor modal
-        const modal = document.createElement('div');
-        modal.className = 'editor-modal';
-        modal.innerHTML = `
-            <div class="editor-container">
-                <div class="editor-header">
-                    <span>Editing: ${filename}</span>
-                    <div>
-                        <button onclick="os.saveAndCloseEditor(this, '${filepath}')">Save & Close</button>
-                        <button onclick="os.closeEditor(this)">Cancel</button>
+        if (path && this.vfs.exists(path)) {
+            const result = this.vfs.readFile(path);
+            if (result.error) {
+                alert('Error opening file: ' + result.error);
+                return null;
+            }
+            content = result.content;
+        }
+
+        const pane = document.createElement('div');
+        pane.className = 'editor-pane';
+        pane.innerHTML = `
+            <div class="editor-notice hidden"></div>
+            <div class="editor-body">
+                <div class="editor-code">
+                    <pre class="editor-gutter"></pre>
+                    <div class="editor-surface">
+                        <pre class="editor-marks"></pre>
+                        <pre class="editor-highlight"></pre>
+                        <textarea class="editor-textarea" spellcheck="false" wrap="off"></textarea>
                     </div>
                 </div>
-                <textarea class="editor-textarea">${content}</textarea>
-                <div class="editor-footer">Ctrl+S to save | ESC to cancel</div>
-            </div>
-        `;
-
-        document.body.appendChild(modal);
-        const textarea = modal.querySelector('.editor-textarea');
-        textarea.focus();
+                <div class="editor-preview markdown-body hidden"></div>
+                <div class="editor-history hidden">
+                    <div class="editor-history-list"></div>
+                    <pre class="editor-history-view"></pre>
+                </div>
+            </div>`;
+        document.getElementById(`editor-panes-${winNum}`).appendChild(pane);
+
+        const tab = {
+            path,
+            untitled: path ? 0 : Math.max(0, ...win.editor.tabs.map(tab => tab.untitled)) + 1,
+            language: Highlighter.language(path),
+            // What the file held when last loaded or saved; anything else arriving on disk was written elsewhere
+            savedContent: content,
+            undo: [],
+            redo: [],
+            lastKind: '',
+            lastEdit: 0,
+            pane,
+            textarea: pane.querySelector('.editor-textarea'),
+            unwatch: null,
+            // Markdown opens with its preview beside it
+            preview: Highlighter.language(path) === 'md',
+            previewTimer: null,
+            images: new Map()
+        };
+        tab.textarea.value = content;
+        tab.textarea.addEventListener('beforeinput', (e) => this.editorBeforeInput(winNum, tab, e));
+        tab.textarea.addEventListener('input', () => this.editorChanged(winNum, tab));
+        tab.textarea.addEventListener('scroll', () => this.editorScroll(tab));
+        ['keyup', 'mouseup', 'focus'].forEach(type => tab.textarea.addEventListener(type, () => this.updateEditorStatus(winNum)));
+        pane.querySelector('.editor-preview').addEventListener('click', (e) => this.editorPreviewClick(tab, e));
+        this.watchEditorTab(winNum, tab);
+
+        win.editor.tabs.push(tab);
+        this.renderEditorCode(tab);
+        this.renderEditorPreview(tab);
+        this.activateEditorTab(winNum, tab);
+        return tab;
+    }
 
-        // Keyboard shortcuts
-        textarea.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeEditor(modal);
-            } else if (e.ctrlKey && e.key === 's') {
-                e.preventDefault();
-                this.saveAndCloseEditor(modal, filepath);
-            }
+    disposeEditorTab(tab) {
+        if (tab.unwatch) tab.unwatch();
+        clearTimeout(tab.previewTimer);
+        tab.images.forEach(image => {
+            if (image.unwatch) image.unwatch();
+            if (image.url) URL.revokeObjectURL(image.url);
         });
+        tab.images.clear();
     }
 
-    saveAndCloseEditor(element, filepath) {
-        const modal = element.closest ? element.closest('.editor-modal') : element;
-        const textarea = modal.querySelector('.editor-textarea');
-        const content = textarea.value;
+    watchEditorTab(winNum, tab) {
+        if (tab.unwatch) tab.unwatch();
+        tab.unwatch = tab.path ? this.vfs.watch(tab.path, () => this.editorFileChanged(winNum, tab)) : null;
+    }
 
-        this.vfs.writeFile(filepath, content);
-        this.closeEditor(modal);
+    editorTabName(tab) {
+        return tab.path ? tab.path.substring(tab.path.lastIndexOf('/') + 1) : `Untitled-${tab.untitled}`;
     }
 
-    closeEditor(element) {
-        const modal = element.closest ? element.closest('.editor-modal') : element;
-        modal.remove();
+    editorDirty(tab) {
+        return tab.textarea.value !== tab.savedContent;
     }
 
-    // Terminal
-    termEnter(e) {
-        if (e.key === 'Enter') {
-            const input = e.target;
-            const cmd = input.value;
-            const output = input.parentElement.previousElementSibling;
+    activateEditorTab(winNum, tab) {
+        const win = this.windows['win_' + winNum];
+        win.editor.active = tab;
+        win.editor.tabs.forEach(other => other.pane.classList.toggle('hidden', other !== tab));
+        this.renderEditorTabs(winNum);
+        this.updateEditorToolbar(winNum);
+        this.updateEditorStatus(winNum);
+        this.editorFindUpdate(winNum);
+        tab.textarea.focus();
+    }
 
-            // Add previous line with current directory
-            const historyLine = document.createElement('div');
-            historyLine.className = 'term-line';
-            const promptDir = this.vfs.pwd().replace('/home/user', '~');
-            historyLine.innerHTML = `<span class="term-prompt">user@yesos:${promptDir}$</span> ${cmd}`;
-            output.appendChild(historyLine);
+    renderEditorTabs(winNum) {
+        const win = this.windows['win_' + winNum];
+        const strip = document.getElementById(`editor-tabs-${winNum}`);
+        strip.innerHTML = '';
+        win.editor.tabs.forEach(tab => {
+            const dirty = this.editorDirty(tab);
+            const el = document.createElement('div');
+            el.className = 'editor-tab' + (tab === win.editor.active ? ' active' : '') + (dirty ? ' dirty' : '');
+            el.title = tab.path || 'Not saved yet';
+            el.innerHTML = '<span class="editor-tab-name"></span><span class="editor-tab-close" title="Close">×</span>';
+            el.querySelector('.editor-tab-name').innerText = (dirty ? '● ' : '') + this.editorTabName(tab);
+            el.onclick = () => this.activateEditorTab(winNum, tab);
+            el.onauxclick = (e) => {
+                if (e.button === 1) this.closeEditorTab(winNum, tab);
+            };
+            el.querySelector('.editor-tab-close').onclick = (e) => {
+                e.stopPropagation();
+                this.closeEditorTab(winNum, tab);
+            };
+            strip.appendChild(el);
+        });
+        const active = win.editor.active;
+        win.querySelector('.title-bar h4').innerText = active
+            ? `${this.editorDirty(active) ? '● ' : ''}${this.editorTabName(active)} - Text Editor` : 'Text Editor';
+    }
 
-            const responseLine = document.createElement('div');
-            responseLine.className = 'term-line';
+    // Closing the last tab closes the window
+    closeEditorTab(winNum, tab, force = false) {
+        const win = this.windows['win_' + winNum];
+        if (!force && this.editorDirty(tab) && !confirm(`${this.editorTabName(tab)} has unsaved changes. Close it without saving?`)) return false;
+        this.disposeEditorTab(tab);
+        tab.pane.remove();
+        const index = win.editor.tabs.indexOf(tab);
+        win.editor.tabs.splice(index, 1);
+        if (!win.editor.tabs.length) {
+            this.closeWindow(win.id, true);
+            return true;
+        }
+        if (win.editor.active === tab) this.activateEditorTab(winNum, win.editor.tabs[Math.min(index, win.editor.tabs.length - 1)]);
+        else this.renderEditorTabs(winNum);
+        return true;
+    }
 
-            this.runTermCmd(cmd, responseLine);
-            output.appendChild(responseLine);
+    editorNew(winNum) {
+        this.addEditorTab(winNum, null);
+    }
 
-            input.value = '';
-            // Auto scroll
-            input.parentElement.parentElement.scrollTop = input.parentElement.parentElement.scrollHeight;
+    // Untitled documents go through Save As
+    editorSave(winNum, tab = null) {
+        tab = tab || this.windows['win_' + winNum].editor.active;
+        if (!tab.path) return this.editorSaveAs(winNum, tab);
+        const content = tab.textarea.value;
+        const result = this.vfs.writeFile(tab.path, content);
+        if (result.error) {
+            alert('Error saving file: ' + result.error);
+            return false;
         }
+        tab.savedContent = content;
+        tab.pane.querySelector('.editor-notice').classList.add('hidden');
+        this.renderEditorTabs(winNum);
+        if (!tab.pane.querySelector('.editor-history').classList.contains('hidden')) this.renderEditorHistory(tab);
+        return true;
     }
 
-    runTermCmd(cmd, el) {
-        const parts = cmd.trim().split(/\s+/);
-        const command = parts[0].toLowerCase();
-        const args = parts.slice(1);
+    editorSaveAs(winNum, tab = null) {
+        const win = this.windows['win_' + winNum];
+        tab = tab || win.editor.active;
+        const suggested = tab.path || `${this.vfs.user.home}/${this.editorTabName(tab)}.txt`;
+        const answer = prompt('Save as:', suggested);
+        if (!answer) return false;
+        const path = this.vfs.resolvePath(answer);
+        if (this.vfs.isDir(path)) {
+            alert(`${path} is a folder.`);
+            return false;
+        }
+        if (path !== tab.path && this.vfs.exists(path) && !confirm(`${path} already exists. Replace it?`)) return false;
 
-        // Help
-        if (command === 'help') {
-            el.innerText = `Available commands:
-File Operations: ls, cd, pwd, mkdir, touch, rm, cp, mv, cat, nano, vim
-Text Processing: echo, grep, head, tail, wc
-System Info: whoami, uname, date, uptime, ps, top, df, free
-Network: ping, curl, wget
-Utilities: clear, history, export`;
-            return;
+        const result = this.vfs.writeFile(path, tab.textarea.value);
+        if (result.error) {
+            alert('Error saving file: ' + result.error);
+            return false;
         }
+        // Another tab showing the file we just replaced would only be out of date
+        const other = win.editor.tabs.find(t => t !== tab && t.path === path);
+        if (other) this.closeEditorTab(winNum, other, true);
+        Object.assign(tab, { path, untitled: 0, language: Highlighter.language(path), savedContent: tab.textarea.value });
+        this.watchEditorTab(winNum, tab);
+        tab.pane.querySelector('.editor-notice').classList.add('hidden');
+        this.renderEditorCode(tab);
+        this.renderEditorPreview(tab);
+        this.renderEditorTabs(winNum);
+        this.updateEditorToolbar(winNum);
+        this.updateEditorStatus(winNum);
+        return true;
+    }
 
-        // Clear
-        if (command === 'clear' || command === 'cls') {
-            el.parentElement.innerHTML = '';
-            el.innerText = '';
-            return;
+    editorKey(winNum, e) {
+        const win = this.windows['win_' + winNum];
+        const tab = win.editor.active;
+        const key = e.key.toLowerCase();
+        const inText = e.target === tab.textarea;
+        let handled = true;
+        if (e.ctrlKey && key === 's') {
+            if (e.shiftKey) this.editorSaveAs(winNum);
+            else this.editorSave(winNum);
+        } else if (e.ctrlKey && key === 'f') {
+            this.editorFind(winNum);
+        } else if (e.ctrlKey && key === 'h') {
+            this.editorFind(winNum, true);
+        } else if (e.ctrlKey && key === 'g') {
+            this.editorGoToLine(winNum);
+        } else if (inText && e.ctrlKey && (key === 'y' || (key === 'z' && e.shiftKey))) {
+            this.editorRedo(winNum);
+        } else if (inText && e.ctrlKey && key === 'z') {
+            this.editorUndo(winNum);
+        } else if (inText && e.key === 'Tab' && !e.ctrlKey && !e.altKey) {
+            this.editorIndent(winNum, tab, e.shiftKey);
+        } else if (e.key === 'Escape' && !document.getElementById(`editor-find-${winNum}`).classList.contains('hidden')) {
+            this.editorFindClose(winNum);
+        } else {
+            handled = false;
         }
+        if (handled) e.preventDefault();
+    }
 
-        // File System Commands
-        if (command === 'ls' || command === 'dir') {
-            const showAll = args.includes('-a') || args.includes('-la') || args.includes('-al');
-            const longFormat = args.includes('-l') || args.includes('-la') || args.includes('-al');
-            const path = args.find(a => !a.startsWith('-')) || '.';
+    /* --- Editor undo history --- */
 
-            const result = this.vfs.ls(path, showAll);
-            if (result.error) {
-                el.innerText = result.error;
-            } else {
-                if (longFormat) {
-                    el.innerText = result.items.map(i => {
-                        const fullPath = this.vfs.resolvePath(path + '/' + i);
-                        const isDir = this.vfs.isDir(fullPath);
-                        return `${isDir ? 'd' : '-'}rw-r--r-- 1 user user 0 Jan 1 00:00 ${i}`;
-                    }).join('\n') || 'total 0';
-                } else {
-                    el.innerText = result.items.join('  ') || '';
-                }
-            }
+    // Typing and deleting in quick succession undo as one step; anything else is its own
+    editorBeforeInput(winNum, tab, e) {
+        if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+            e.preventDefault();
+            if (e.inputType === 'historyUndo') this.editorUndo(winNum);
+            else this.editorRedo(winNum);
             return;
         }
+        const now = Date.now();
+        const typing = ['insertText', 'deleteContentBackward', 'deleteContentForward'].includes(e.inputType);
+        if (!typing || e.inputType !== tab.lastKind || now - tab.lastEdit > 1000) this.editorSnapshot(tab);
+        tab.lastKind = e.inputType;
+        tab.lastEdit = now;
+        tab.redo = [];
+    }
+
+    editorSnapshot(tab, stack = tab.undo) {
+        const { value, selectionStart, selectionEnd } = tab.textarea;
+        stack.push({ value, start: selectionStart, end: selectionEnd });
+        if (stack.length > OS.EDITOR_UNDO_LIMIT) stack.shift();
+    }
+
+    // Replaces the text as one undoable step (find/replace, reload, restore, indent)
+    editorApply(winNum, tab, value, start, end = start) {
+        this.editorSnapshot(tab);
+        tab.redo = [];
+        tab.lastKind = '';
+        tab.textarea.value = value;
+        tab.textarea.setSelectionRange(start, end);
+        this.editorChanged(winNum, tab);
+    }
+
+    editorUndo(winNum) {
+        this.editorHistoryStep(winNum, 'undo', 'redo');
+    }
+
+    editorRedo(winNum) {
+        this.editorHistoryStep(winNum, 'redo', 'undo');
+    }
+
+    editorHistoryStep(winNum, from, to) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const state = tab[from].pop();
+        if (!state) return;
+        this.editorSnapshot(tab, tab[to]);
+        tab.lastKind = '';
+        tab.textarea.value = state.value;
+        tab.textarea.setSelectionRange(state.start, state.end);
+        tab.textarea.focus();
+        this.editorChanged(winNum, tab);
+        this.editorReveal(tab, state.start);
+    }
 
-        if (command === 'cd') {
-            const path = args[0] || '~';
-            const result = this.vfs.cd(path);
-            el.innerText = result.error || '';
+    // Tab inserts four spaces; with several lines selected, Tab and Shift+Tab indent and outdent them
+    editorIndent(winNum, tab, outdent) {
+        const { value, selectionStart: start, selectionEnd: end } = tab.textarea;
+        if (!outdent && !value.slice(start, end).includes('\n')) {
+            this.editorApply(winNum, tab, value.slice(0, start) + '    ' + value.slice(end), start + 4);
             return;
         }
+        const first = value.lastIndexOf('\n', start - 1) + 1;
+        const lines = value.slice(first, end).split('\n');
+        const changed = lines.map(line => outdent ? line.replace(/^( {1,4}|\t)/, '') : '    ' + line);
+        const shift = changed[0].length - lines[0].length;
+        const block = changed.join('\n');
+        this.editorApply(winNum, tab, value.slice(0, first) + block + value.slice(end),
+            Math.max(first, start + shift), first + block.length);
+    }
 
-        if (command === 'pwd') {
-            el.innerText = this.vfs.pwd();
-            return;
+    /* --- Editor display --- */
+
+    editorChanged(winNum, tab) {
+        this.renderEditorCode(tab);
+        this.scheduleEditorPreview(tab);
+        const dirty = this.editorDirty(tab);
+        if (dirty !== tab.dirty) {
+            tab.dirty = dirty;
+            this.renderEditorTabs(winNum);
+        }
+        if (tab === this.windows['win_' + winNum].editor.active) {
+            this.updateEditorStatus(winNum);
+            this.editorFindUpdate(winNum);
         }
+    }
 
-        if (command === 'mkdir') {
-            if (!args[0]) {
-                el.innerText = 'mkdir: missing operand';
-                return;
-            }
-            const result = this.vfs.mkdir(args[0]);
-            el.innerText = result.error || '';
-            return;
+    // The coloured copy of the text behind the (transparent) textarea, and the line numbers beside it.
+    // The extra newline gives the copy the empty last line the textarea shows after a trailing newline.
+    renderEditorCode(tab) {
+        const text = tab.textarea.value;
+        tab.pane.querySelector('.editor-highlight').innerHTML = (text.length <= OS.EDITOR_HIGHLIGHT_LIMIT
+            ? Highlighter.highlight(text, tab.language) : Highlighter.escape(text)) + '\n';
+        const lines = text.split('\n').length;
+        const gutter = tab.pane.querySelector('.editor-gutter');
+        if (gutter.dataset.lines !== String(lines)) {
+            gutter.dataset.lines = lines;
+            gutter.textContent = Array.from({ length: lines }, (_, i) => i + 1).join('\n') + '\n';
         }
+        this.editorScroll(tab);
+    }
 
-        if (command === 'touch') {
-            if (!args[0]) {
-                el.innerText = 'touch: missing file operand';
-                return;
-            }
-            const result = this.vfs.touch(args[0]);
-            el.innerText = result.error || '';
-            return;
+    editorScroll(tab) {
+        const { scrollTop, scrollLeft } = tab.textarea;
+        tab.pane.querySelectorAll('.editor-highlight, .editor-marks').forEach(layer => {
+            layer.scrollTop = scrollTop;
+            layer.scrollLeft = scrollLeft;
+        });
+        tab.pane.querySelector('.editor-gutter').scrollTop = scrollTop;
+        // The preview keeps to the same fraction of the document
+        const preview = tab.pane.querySelector('.editor-preview');
+        if (!preview.classList.contains('hidden')) {
+            const fraction = scrollTop / Math.max(1, tab.textarea.scrollHeight - tab.textarea.clientHeight);
+            preview.scrollTop = fraction * (preview.scrollHeight - preview.clientHeight);
         }
+    }
 
-        if (command === 'rm') {
-            if (!args[0]) {
-                el.innerText = 'rm: missing operand';
-                return;
-            }
-            const recursive = args.includes('-r') || args.includes('-rf');
-            const file = args.find(a => !a.startsWith('-'));
-            const result = this.vfs.rm(file, recursive);
-            el.innerText = result.error || '';
-            return;
+    // Scrolls the line holding the offset into view
+    editorReveal(tab, offset) {
+        const textarea = tab.textarea;
+        const line = textarea.value.slice(0, offset).split('\n').length - 1;
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 22;
+        const top = line * lineHeight;
+        if (top < textarea.scrollTop || top + lineHeight > textarea.scrollTop + textarea.clientHeight) {
+            textarea.scrollTop = Math.max(0, top - textarea.clientHeight / 2);
         }
+        this.editorScroll(tab);
+    }
 
-        if (command === 'cp') {
-            if (args.length < 2) {
-                el.innerText = 'cp: missing file operand';
-                return;
-            }
-            const result = this.vfs.cp(args[0], args[1]);
-            el.innerText = result.error || '';
+    updateEditorStatus(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const status = document.getElementById(`editor-status-${winNum}`);
+        if (!tab || !status) return;
+        const { value, selectionStart, selectionEnd } = tab.textarea;
+        const before = value.slice(0, selectionStart).split('\n');
+        const parts = [`Ln ${before.length}, Col ${before[before.length - 1].length + 1}`];
+        if (selectionEnd > selectionStart) parts.push(`${selectionEnd - selectionStart} selected`);
+        parts.push(`${value.split('\n').length} lines`, Highlighter.NAMES[tab.language] || 'Plain Text');
+        if (tab.path && !this.vfs.exists(tab.path)) parts.push('New file');
+        status.innerText = parts.join('  ·  ');
+    }
+
+    editorGoToLine(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const lines = tab.textarea.value.split('\n');
+        const current = tab.textarea.value.slice(0, tab.textarea.selectionStart).split('\n').length;
+        const answer = prompt(`Go to line (1-${lines.length}):`, current);
+        const line = parseInt(answer, 10);
+        if (!line) return;
+        const target = Math.min(Math.max(line, 1), lines.length);
+        const offset = lines.slice(0, target - 1).reduce((sum, text) => sum + text.length + 1, 0);
+        tab.textarea.focus();
+        tab.textarea.setSelectionRange(offset, offset);
+        this.editorReveal(tab, offset);
+        this.updateEditorStatus(winNum);
+    }
+
+    /* --- Markdown preview --- */
+
+    toggleEditorPreview(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        tab.preview = !tab.preview;
+        this.renderEditorPreview(tab);
+        this.updateEditorToolbar(winNum);
+    }
+
+    // Preview and export only apply to Markdown tabs
+    updateEditorToolbar(winNum) {
+        const win = this.windows['win_' + winNum];
+        const tab = win.editor.active;
+        const markdown = tab.language === 'md';
+        win.querySelectorAll('.editor-markdown').forEach(button => button.classList.toggle('hidden', !markdown));
+        document.getElementById(`editor-preview-btn-${winNum}`).classList.toggle('active', markdown && tab.preview);
+    }
+
+    // Typing re-renders the preview once it pauses
+    scheduleEditorPreview(tab) {
+        if (!tab.preview || tab.language !== 'md') return;
+        clearTimeout(tab.previewTimer);
+        tab.previewTimer = setTimeout(() => this.renderEditorPreview(tab), 150);
+    }
+
+    renderEditorPreview(tab) {
+        const preview = tab.pane.querySelector('.editor-preview');
+        const shown = tab.preview && tab.language === 'md';
+        preview.classList.toggle('hidden', !shown);
+        if (!shown) {
+            preview.innerHTML = '';
             return;
         }
+        preview.innerHTML = Markdown.render(tab.textarea.value, { base: this.editorDir(tab), image: path => this.editorPreviewImage(tab, path) });
+        this.editorScroll(tab);
+    }
 
-        if (command === 'mv') {
-            if (args.length < 2) {
-                el.innerText = 'mv: missing file operand';
-                return;
+    // Where the document's relative links point from
+    editorDir(tab) {
+        return tab.path ? tab.path.substring(0, tab.path.lastIndexOf('/')) || '/' : this.vfs.user.home;
+    }
+
+    // Object URLs for the preview's images, made once per path and freed when the file changes or
+    // the tab closes. An image in a mounted folder that wasn't read yet is fetched first, with no URL meanwhile.
+    editorPreviewImage(tab, path) {
+        if (!tab.images.has(path)) {
+            const image = { url: null, unwatch: null };
+            const node = this.vfs.isFile(path) && this.vfs.fs[this.vfs.resolvePath(path)];
+            if (node && node.content === undefined) {
+                tab.images.set(path, image);
+                this.vfs.fetch(path).then(result => {
+                    if (!result.error && tab.images.get(path) === image) this.dropPreviewImage(tab, path);
+                });
+                return null;
             }
-            const result = this.vfs.mv(args[0], args[1]);
-            el.innerText = result.error || '';
-            return;
+            const result = node ? this.vfs.readBinary(path) : { error: 'No such file' };
+            if (result.error) return null;
+            image.url = URL.createObjectURL(new Blob([result.data], { type: this.vfs.mimeType(path) }));
+            image.unwatch = this.vfs.watch(path, () => this.dropPreviewImage(tab, path));
+            tab.images.set(path, image);
         }
+        return tab.images.get(path).url;
+    }
 
-        if (command === 'cat') {
-            if (!args[0]) {
-                el.innerText = 'cat: missing file operand';
-                return;
-            }
-            const result = this.vfs.readFile(args[0]);
-            el.innerText = result.error || result.content || '';
-            return;
+    // Forgets an image the preview showed and draws the preview again, which reads it afresh
+    dropPreviewImage(tab, path) {
+        const image = tab.images.get(path);
+        if (!image) return;
+        if (image.unwatch) image.unwatch();
+        if (image.url) URL.revokeObjectURL(image.url);
+        tab.images.delete(path);
+        this.renderEditorPreview(tab);
+    }
+
+    // Links to files open them with their default app; #links scroll the preview
+    editorPreviewClick(tab, e) {
+        const link = e.target.closest('a');
+        if (!link) return;
+        const href = link.getAttribute('href');
+        if (link.dataset.path) {
+            e.preventDefault();
+            if (this.vfs.exists(link.dataset.path)) this.openFile(link.dataset.path);
+            else alert(`${link.dataset.path} does not exist.`);
+        } else if (href.startsWith('#')) {
+            e.preventDefault();
+            const id = decodeURIComponent(href.slice(1));
+            const target = [...tab.pane.querySelectorAll('.editor-preview [id]')].find(el => el.id === id);
+            if (target) target.scrollIntoView();
         }
+    }
 
-        if (command === 'nano' || command === 'vim' || command === 'vi') {
-            if (!args[0]) {
-                el.innerText = `${command}: missing file operand`;
-                return;
-            }
-            this.openFileEditor(args[0]);
-            el.innerText = '';
+    // Saves the rendered document as a page that stands on its own (images inlined) and opens it
+    // in the HTML Viewer
+    editorExportHtml(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const name = this.editorTabName(tab).replace(/\.(md|markdown)$/i, '');
+        const answer = prompt('Export as HTML:', `${this.editorDir(tab)}/${name}.html`);
+        if (!answer) return;
+        const path = this.vfs.resolvePath(answer);
+        if (this.vfs.isDir(path)) {
+            alert(`${path} is a folder.`);
             return;
         }
+        if (this.vfs.exists(path) && !confirm(`${path} already exists. Replace it?`)) return;
 
-        // Echo with redirection
-        if (command === 'echo') {
-            const fullCmd = cmd.trim();
-            if (fullCmd.includes('>')) {
-                const [echopart, filepart] = fullCmd.split('>').map(s => s.trim());
-                const text = echopart.substring(5).replace(/^["']|["']$/g, ''); // Remove quotes
-                const append = fullCmd.includes('>>');
-                const filename = filepart.replace('>', '').trim();
-                const result = this.vfs.writeFile(filename, text + '\n', append);
-                el.innerText = result.error || '';
-            } else {
-                el.innerText = args.join(' ');
-            }
+        const text = tab.textarea.value;
+        const heading = /^ {0,3}#[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/m.exec(text);
+        const body = Markdown.render(text, { base: this.editorDir(tab), image: image => this.fileDataURL(image) });
+        const result = this.vfs.writeFile(path, Markdown.document(heading ? heading[1] : name, body));
+        if (result.error) {
+            alert('Error exporting file: ' + result.error);
             return;
         }
+        this.openHtmlFile(path);
+    }
 
-        // Text Processing
-        if (command === 'grep') {
-            if (args.length < 2) {
-                el.innerText = 'grep: missing pattern or file';
-                return;
-            }
-            const pattern = args[0];
-            const file = args[1];
-            const result = this.vfs.readFile(file);
-            if (result.error) {
-                el.innerText = result.error;
-            } else {
-                const lines = result.content.split('\n').filter(l => l.includes(pattern));
-                el.innerText = lines.join('\n') || `grep: no matches found`;
-            }
-            return;
+    fileDataURL(path) {
+        const result = this.vfs.isFile(path) ? this.vfs.readBinary(path) : { error: 'No such file' };
+        if (result.error) return null;
+        let binary = '';
+        new Uint8Array(result.data).forEach(b => binary += String.fromCharCode(b));
+        return `data:${this.vfs.mimeType(path)};base64,${btoa(binary)}`;
+    }
+
+    /* --- Editor find and replace --- */
+
+    // Opens the find bar, seeded with the selected text when it fits on one line
+    editorFind(winNum, replace = false) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const bar = document.getElementById(`editor-find-${winNum}`);
+        const query = document.getElementById(`find-query-${winNum}`);
+        const selected = tab.textarea.value.slice(tab.textarea.selectionStart, tab.textarea.selectionEnd);
+        if (selected && !selected.includes('\n')) query.value = selected;
+        bar.classList.remove('hidden');
+        const input = replace && query.value ? document.getElementById(`find-replace-${winNum}`) : query;
+        input.focus();
+        input.select();
+        this.editorFindUpdate(winNum);
+    }
+
+    editorFindClose(winNum) {
+        document.getElementById(`editor-find-${winNum}`).classList.add('hidden');
+        const tab = this.windows['win_' + winNum].editor.active;
+        this.editorFindUpdate(winNum);
+        tab.textarea.focus();
+    }
+
+    // The find bar's query as a global RegExp; plain text unless "Regular expression" is ticked
+    editorSearch(winNum) {
+        const query = document.getElementById(`find-query-${winNum}`).value;
+        if (!query) return { regex: null };
+        const literal = !document.getElementById(`find-regex-${winNum}`).checked;
+        const flags = 'gm' + (document.getElementById(`find-case-${winNum}`).checked ? '' : 'i');
+        try {
+            return { regex: new RegExp(literal ? query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : query, flags), literal };
+        } catch (e) {
+            return { error: 'Invalid regular expression' };
         }
+    }
 
-        if (command === 'wc') {
-            if (!args[0]) {
-                el.innerText = 'wc: missing file operand';
-                return;
-            }
-            const result = this.vfs.readFile(args[0]);
-            if (result.error) {
-                el.innerText = result.error;
-            } else {
-                const lines = result.content.split('\n').length;
-                const words = result.content.split(/\s+/).filter(w => w).length;
-                const chars = result.content.length;
-                el.innerText = `  ${lines}  ${words}  ${chars} ${args[0]}`;
-            }
-            return;
+    editorMatches(winNum, tab) {
+        const search = this.editorSearch(winNum);
+        if (!search.regex) return Object.assign(search, { matches: [] });
+        const matches = [];
+        for (const match of tab.textarea.value.matchAll(search.regex)) {
+            if (!match[0]) continue;
+            matches.push({ start: match.index, end: match.index + match[0].length });
+            if (matches.length >= OS.EDITOR_MATCH_LIMIT) break;
         }
+        return Object.assign(search, { matches });
+    }
 
-        if (command === 'head' || command === 'tail') {
-            if (!args[0]) {
-                el.innerText = `${command}: missing file operand`;
-                return;
-            }
-            const result = this.vfs.readFile(args[0]);
-            if (result.error) {
-                el.innerText = result.error;
-            } else {
-                const lines = result.content.split('\n');
-                const output = command === 'head' ? lines.slice(0, 10) : lines.slice(-10);
-                el.innerText = output.join('\n');
-            }
+    // Marks every match behind the text, the selected one brighter, and counts them
+    editorFindUpdate(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const bar = document.getElementById(`editor-find-${winNum}`);
+        if (!tab || !bar) return;
+        const marks = tab.pane.querySelector('.editor-marks');
+        const count = document.getElementById(`find-count-${winNum}`);
+        if (bar.classList.contains('hidden')) {
+            marks.innerHTML = '';
             return;
         }
+        const { matches, error } = this.editorMatches(winNum, tab);
+        const text = tab.textarea.value;
+        const { selectionStart, selectionEnd } = tab.textarea;
+        const current = matches.findIndex(m => m.start === selectionStart && m.end === selectionEnd);
+        let html = '';
+        let pos = 0;
+        matches.forEach((m, i) => {
+            html += Highlighter.escape(text.slice(pos, m.start)) + `<mark${i === current ? ' class="current"' : ''}>${Highlighter.escape(text.slice(m.start, m.end))}</mark>`;
+            pos = m.end;
+        });
+        marks.innerHTML = html + Highlighter.escape(text.slice(pos)) + '\n';
+        this.editorScroll(tab);
 
-        // System Info
-        if (command === 'whoami') {
-            el.innerText = 'user';
-            return;
+        count.classList.toggle('error', Boolean(error));
+        count.innerText = error || (!document.getElementById(`find-query-${winNum}`).value ? ''
+            : !matches.length ? 'No results'
+            : current >= 0 ? `${current + 1} of ${matches.length}` : `${matches.length} found`);
+    }
+
+    // Selects the next (or previous) match after the selection, wrapping around the ends
+    editorFindStep(winNum, direction) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const { matches } = this.editorMatches(winNum, tab);
+        if (!matches.length) return;
+        const { selectionStart, selectionEnd } = tab.textarea;
+        const next = direction > 0
+            ? matches.find(m => m.start >= selectionEnd) || matches[0]
+            : [...matches].reverse().find(m => m.start < selectionStart) || matches[matches.length - 1];
+        tab.textarea.setSelectionRange(next.start, next.end);
+        this.editorReveal(tab, next.start);
+        this.editorFindUpdate(winNum);
+        this.updateEditorStatus(winNum);
+    }
+
+    editorFindKey(winNum, e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            if (e.target.id === `find-replace-${winNum}`) this.editorReplace(winNum);
+            else this.editorFindStep(winNum, e.shiftKey ? -1 : 1);
         }
+    }
 
-        if (command === 'uname') {
-            if (args.includes('-a')) {
-                el.innerText = 'YesOS 1.0.0 Linux x86_64 GNU/Linux';
-            } else {
-                el.innerText = 'YesOS';
-            }
-            return;
+    // $&, $1 and $<name> in the replacement refer to the match, as in String.prototype.replace
+    static expandReplacement(replacement, match) {
+        return replacement.replace(/\$(\$|&|\d{1,2}|<[^>]*>)/g, (all, ref) => {
+            if (ref === '$') return '$';
+            if (ref === '&') return match[0];
+            if (ref[0] === '<') return (match.groups && match.groups[ref.slice(1, -1)]) || '';
+            return Number(ref) < match.length ? match[Number(ref)] || '' : all;
+        });
+    }
+
+    // Replaces the selected match, if the selection is one, then moves on to the next
+    editorReplace(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const { regex, literal, matches } = this.editorMatches(winNum, tab);
+        const { value, selectionStart, selectionEnd } = tab.textarea;
+        if (matches.some(m => m.start === selectionStart && m.end === selectionEnd)) {
+            const replacement = document.getElementById(`find-replace-${winNum}`).value;
+            regex.lastIndex = selectionStart;
+            const text = literal ? replacement : OS.expandReplacement(replacement, regex.exec(value));
+            this.editorApply(winNum, tab, value.slice(0, selectionStart) + text + value.slice(selectionEnd), selectionStart + text.length);
         }
+        this.editorFindStep(winNum, 1);
+    }
+
+    editorReplaceAll(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const { regex, literal, matches } = this.editorMatches(winNum, tab);
+        if (!matches.length) return;
+        const replacement = document.getElementById(`find-replace-${winNum}`).value;
+        const value = tab.textarea.value.replace(regex, literal ? () => replacement : replacement);
+        this.editorApply(winNum, tab, value, Math.min(tab.textarea.selectionStart, value.length));
+        document.getElementById(`find-count-${winNum}`).innerText = `Replaced ${matches.length}`;
+    }
 
-        if (command === 'date') {
-            el.innerText = new Date().toString();
+    /* --- Editor external changes --- */
+
+    editorFileChanged(winNum, tab) {
+        if (!tab.pane.isConnected) return;
+        const notice = tab.pane.querySelector('.editor-notice');
+        const current = this.vfs.readFile(tab.path);
+        if (current.error) {
+            notice.innerHTML = '<span></span>';
+            notice.querySelector('span').innerText = `${tab.path} was deleted or moved by another program. Save writes it back.`;
+        } else if (current.content !== tab.savedContent) {
+            notice.innerHTML = '<span>This file was changed by another program.</span>';
+            const reload = document.createElement('button');
+            reload.innerText = 'Reload';
+            reload.onclick = () => this.reloadEditorFile(winNum, tab);
+            const keep = document.createElement('button');
+            keep.innerText = 'Keep my version';
+            keep.onclick = () => this.keepEditorVersion(winNum, tab);
+            notice.append(reload, keep);
+        } else {
             return;
         }
+        notice.classList.remove('hidden');
+    }
+
+    reloadEditorFile(winNum, tab) {
+        const current = this.vfs.readFile(tab.path);
+        if (current.error) return;
+        tab.savedContent = current.content;
+        this.editorApply(winNum, tab, current.content, Math.min(tab.textarea.selectionStart, current.content.length));
+        tab.pane.querySelector('.editor-notice').classList.add('hidden');
+    }
+
+    // Saving will overwrite the other change; stop warning about this version of it
+    keepEditorVersion(winNum, tab) {
+        const current = this.vfs.readFile(tab.path);
+        if (!current.error) tab.savedContent = current.content;
+        tab.pane.querySelector('.editor-notice').classList.add('hidden');
+        this.editorChanged(winNum, tab);
+    }
+
+    /* --- Editor history --- */
 
-        if (command === 'uptime') {
-            el.innerText = 'up 42 days, 13:37, 1 user, load average: 0.00, 0.01, 0.05';
+    toggleEditorHistory(winNum) {
+        const tab = this.windows['win_' + winNum].editor.active;
+        const pane = tab.pane.querySelector('.editor-history');
+        pane.classList.toggle('hidden');
+        if (!pane.classList.contains('hidden')) this.renderEditorHistory(tab);
+    }
+
+    renderEditorHistory(tab) {
+        const list = tab.pane.querySelector('.editor-history-list');
+        const view = tab.pane.querySelector('.editor-history-view');
+        list.innerHTML = '';
+        view.innerHTML = '';
+
+        const result = tab.path ? this.vfs.revisions(tab.path) : { revisions: [] };
+        if (result.error || !result.revisions.length) {
+            list.innerHTML = `<div class="editor-history-empty">${result.error ? 'History unavailable' : 'No earlier versions yet.<br>Each save keeps the previous content.'}</div>`;
             return;
         }
+        const winNum = tab.pane.closest('.window').id.split('_')[1];
+        [...result.revisions].reverse().forEach(({ rev, modified, size, user }) => {
+            const row = document.createElement('div');
+            row.className = 'editor-history-item';
+            row.innerHTML = `
+                <div class="editor-history-info"></div>
+                <div class="editor-history-actions">
+                    <button>View</button>
+                    <button>Diff</button>
+                    <button>Restore</button>
+                </div>`;
+            row.querySelector('.editor-history-info').innerText = `#${rev}  ${Shell.formatTime(modified)}\n${this.formatFileSize(size)} · ${user}`;
+            const [view, diff, restore] = row.querySelectorAll('button');
+            view.onclick = () => this.viewRevision(tab, rev);
+            diff.onclick = () => this.diffRevision(tab, rev);
+            restore.onclick = () => this.restoreEditorRevision(winNum, tab, rev);
+            list.appendChild(row);
+        });
+    }
 
-        if (command === 'ps') {
-            el.innerText = `  PID TTY          TIME CMD
-    1 pts/0    00:00:00 bash
-   42 pts/0    00:00:00 yesos
-  420 pts/0    00:00:00 ps`;
+    viewRevision(tab, rev) {
+        const revision = this.vfs.readRevision(tab.path, rev);
+        tab.pane.querySelector('.editor-history-view').innerText = revision.error || revision.content;
+    }
+
+    // Unified diff from the old version to what is in the editor right now (saved or not)
+    diffRevision(tab, rev) {
+        const view = tab.pane.querySelector('.editor-history-view');
+        const revision = this.vfs.readRevision(tab.path, rev);
+        if (revision.error) {
+            view.innerText = revision.error;
             return;
         }
-
-        if (command === 'top') {
-            el.innerText = `top - simulated
-Tasks: 3 total, 1 running
-%Cpu(s): 0.3 us, 0.1 sy
-MiB Mem: 8192 total, 2048 free
-  PID USER      PR  NI    VIRT    RES  %CPU  %MEM COMMAND
-    1 user      20   0   12345   1234   0.1   0.1 yesos`;
+        const lines = text => text === '' ? [] : text.replace(/\n$/, '').split('\n');
+        const hunks = Shell.unifiedDiff(Shell.diffLines(lines(revision.content), lines(tab.textarea.value)));
+        view.innerHTML = '';
+        if (!hunks) {
+            view.innerText = 'Identical to the editor contents.';
             return;
         }
+        [`--- revision ${rev}`, '+++ editor', ...hunks.replace(/\n$/, '').split('\n')].forEach(line => {
+            const span = document.createElement('span');
+            span.className = line.startsWith('@@') ? 'diff-hunk' : /^[-+]/.test(line) ? (line[0] === '+' ? 'diff-add' : 'diff-del') : '';
+            span.innerText = line + '\n';
+            view.appendChild(span);
+        });
+    }
 
-        if (command === 'df') {
-            el.innerText = `Filesystem     1K-blocks    Used Available Use% Mounted on
-/dev/vfs        10485760 1048576   9437184  10% /`;
+    // The restored text replaces the editor's as one undoable step
+    restoreEditorRevision(winNum, tab, rev) {
+        if (this.editorDirty(tab) && !confirm('Discard your unsaved changes and restore this version?')) return;
+        if (!confirm(`Restore version #${rev}? The current file content is kept in the history.`)) return;
+
+        const result = this.vfs.restoreRevision(tab.path, rev);
+        if (result.error) {
+            alert(result.error);
             return;
         }
+        tab.savedContent = this.vfs.readFile(tab.path).content;
+        this.editorApply(winNum, tab, tab.savedContent, 0);
+        this.renderEditorHistory(tab);
+    }
 
-        if (command === 'free') {
-            el.innerText = `              total        used        free
-Mem:        8388608     2097152     6291456
-Swap:             0           0           0`;
-            return;
+    // Terminal
+    async initTerminal(win) {
+        win.shell = new Shell(this, { terminal: { readLine: (secret) => this.termReadLine(win, secret) } });
+        this.updateTermPrompt(win);
+
+        const rc = win.shell.param('HOME') + '/.bashrc';
+        if (this.vfs.isFile(rc)) {
+            const line = document.createElement('div');
+            line.className = 'term-line';
+            win.querySelector('.term-output').appendChild(line);
+            const write = (text) => this.termWrite(line, text);
+            await this.termRun(win, () => win.shell.runStartup(rc, { stdin: null, out: write, err: write }));
+            if (win.shell.exited) this.closeWindow(win.id);
         }
+    }
 
-        // Network
-        if (command === 'ping') {
-            const host = args[0] || 'localhost';
-            el.innerText = `PING ${host} (127.0.0.1): 56 data bytes
-64 bytes from 127.0.0.1: icmp_seq=0 ttl=64 time=0.1 ms
-64 bytes from 127.0.0.1: icmp_seq=1 ttl=64 time=0.1 ms`;
-            return;
+    // Hides the prompt while a command runs; keystrokes then only reach Ctrl+C
+    async termRun(win, task) {
+        const inputLine = win.querySelector('.term-input-line');
+        const input = inputLine.querySelector('.term-input');
+        win.shell.running = true;
+        inputLine.classList.add('busy');
+        input.readOnly = true;
+        try {
+            await task();
+        } catch (e) {
+            console.error('Terminal command failed', e);
+        } finally {
+            this.vfs.user = this.user;
+            win.shell.running = false;
+            inputLine.classList.remove('busy');
+            input.readOnly = false;
+            this.updateTermPrompt(win);
+            input.focus();
         }
+    }
 
-        if (command === 'curl' || command === 'wget') {
-            if (!args[0]) {
-                el.innerText = `${command}: missing URL`;
-                return;
+    termKeyDown(e) {
+        const input = e.target;
+        const win = input.closest('.window');
+        const shell = win.shell;
+
+        if (shell.pendingRead) {
+            if (e.key === 'Enter' || (e.ctrlKey && e.key === 'c')) {
+                e.preventDefault();
+                shell.pendingRead(e.key === 'Enter' ? input.value : null);
             }
-            el.innerText = `${command}: simulated download (use File Explorer for real downloads)`;
-            return;
+        } else if (shell.running) {
+            e.preventDefault();
+            if (e.ctrlKey && e.key === 'c') shell.signal.interrupted = true;
+        } else if (shell.search) {
+            this.termSearchKey(e, win);
+        } else if (e.key === 'Enter') {
+            this.termEnter(e);
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            this.termComplete(win);
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            const line = shell.historyStep(e.key === 'ArrowUp' ? -1 : 1, input.value);
+            if (line !== null) {
+                input.value = line;
+                input.setSelectionRange(line.length, line.length);
+            }
+        } else if (e.ctrlKey && e.key === 'r') {
+            e.preventDefault();
+            shell.search = { query: '', index: -1, draft: input.value };
+            this.renderTermSearch(win);
         }
+    }
+
+    // Lets a running command read one line (e.g. a password) from the input box
+    termReadLine(win, secret) {
+        const inputLine = win.querySelector('.term-input-line');
+        const input = inputLine.querySelector('.term-input');
+        inputLine.classList.remove('busy');
+        inputLine.querySelector('.term-prompt').innerText = '';
+        input.type = secret ? 'password' : 'text';
+        input.readOnly = false;
+        input.value = '';
+        input.focus();
+
+        return new Promise(resolve => {
+            win.shell.pendingRead = (line) => {
+                win.shell.pendingRead = null;
+                input.value = '';
+                input.type = 'text';
+                input.readOnly = true;
+                inputLine.classList.add('busy');
+                resolve(line);
+            };
+        });
+    }
 
-        // Utilities
-        if (command === 'history') {
-            el.innerText = 'history: command history not implemented yet';
+    // Ctrl+R reverse-incremental search: typing narrows, Ctrl+R finds older matches,
+    // Enter runs the match, Escape/Ctrl+G cancels, any other key accepts it for editing
+    termSearchKey(e, win) {
+        const shell = win.shell;
+        const search = shell.search;
+        const input = e.target;
+
+        if (e.ctrlKey && e.key === 'r') {
+            e.preventDefault();
+            const older = shell.findHistory(search.query, (search.index < 0 ? shell.history.length : search.index) - 1);
+            if (older > -1) search.index = older;
+            search.failed = older < 0;
+        } else if (e.key === 'Backspace') {
+            e.preventDefault();
+            search.query = search.query.slice(0, -1);
+            search.index = search.query ? shell.findHistory(search.query, shell.history.length - 1) : -1;
+            search.failed = false;
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            search.query += e.key;
+            const match = shell.findHistory(search.query, search.index < 0 ? shell.history.length - 1 : search.index);
+            if (match > -1) search.index = match;
+            search.failed = match < 0;
+        } else if (e.key === 'Escape' || (e.ctrlKey && e.key === 'g')) {
+            e.preventDefault();
+            input.value = search.draft;
+            shell.search = null;
+            this.updateTermPrompt(win);
+            return;
+        } else if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            return;
+        } else {
+            shell.search = null;
+            this.updateTermPrompt(win);
+            if (e.key === 'Enter') this.termEnter(e);
             return;
         }
 
-        if (command === 'export') {
-            el.innerText = args.length ? '' : 'export: environment variables not implemented';
-            return;
+        this.renderTermSearch(win);
+    }
+
+    // Tab completion; ambiguous matches are listed under the current line, as bash does
+    termComplete(win) {
+        const input = win.querySelector('.term-input');
+        const result = win.shell.complete(input.value, input.selectionStart);
+        input.value = result.line;
+        input.setSelectionRange(result.caret, result.caret);
+
+        if (result.candidates.length) {
+            const output = win.querySelector('.term-output');
+            const echo = document.createElement('div');
+            echo.className = 'term-line';
+            echo.innerText = win.shell.prompt() + input.value;
+            output.appendChild(echo);
+            const list = document.createElement('div');
+            list.className = 'term-line';
+            list.innerText = result.candidates.join('  ');
+            output.appendChild(list);
+            output.parentElement.scrollTop = output.parentElement.scrollHeight;
         }
+    }
 
-        // Empty command
-        if (command === '') {
-            return;
+    renderTermSearch(win) {
+        const search = win.shell.search;
+        const label = search.failed ? 'failed reverse-i-search' : 'reverse-i-search';
+        win.querySelector('.term-input-line .term-prompt').innerText = `(${label})\`${search.query}':`;
+        win.querySelector('.term-input').value = search.index > -1 ? win.shell.history[search.index] : '';
+    }
+
+    async termEnter(e) {
+        if (e.key === 'Enter') {
+            const input = e.target;
+            const inputLine = input.parentElement;
+            const output = inputLine.previousElementSibling;
+            const shell = this.windows[input.closest('.window').id].shell;
+            const typed = input.value;
+
+            // Echo the command line after the prompt it was typed at
+            const historyLine = document.createElement('div');
+            historyLine.className = 'term-line';
+            const prompt = document.createElement('span');
+            prompt.className = 'term-prompt';
+            prompt.innerText = shell.prompt().trimEnd();
+            historyLine.appendChild(prompt);
+            historyLine.appendChild(document.createTextNode(' ' + typed));
+            output.appendChild(historyLine);
+
+            const responseLine = document.createElement('div');
+            responseLine.className = 'term-line';
+            output.appendChild(responseLine);
+            input.value = '';
+
+            // !! and !n are expanded before parsing and the result is echoed, as bash does
+            const history = shell.expandHistory(typed);
+            if (history.error) {
+                this.termWrite(responseLine, history.error + '\n');
+                return;
+            }
+            const cmd = history.line;
+            if (history.expanded) this.termWrite(responseLine, cmd + '\n');
+            shell.addHistory(cmd);
+
+            await this.termRun(inputLine.closest('.window'), () => this.runTermCmd(cmd, responseLine));
+            if (shell.exited) {
+                this.closeWindow(inputLine.closest('.window').id);
+                return;
+            }
+
+            // Auto scroll
+            inputLine.parentElement.scrollTop = inputLine.parentElement.scrollHeight;
+        }
+    }
+
+    async runTermCmd(cmd, el) {
+        const win = el.closest('.window');
+        const shell = this.windows[win.id].shell;
+        const write = (text) => this.termWrite(el, text);
+        return shell.run(cmd, { stdin: null, out: write, err: write });
+    }
+
+    updateTermPrompt(win) {
+        win.querySelector('.term-input-line .term-prompt').innerText = win.shell.prompt().trimEnd();
+    }
+
+    termWrite(el, text) {
+        // "clear" writes the ANSI clear-screen sequence
+        const clearAt = text.lastIndexOf('\x1b[2J');
+        if (clearAt > -1) {
+            const output = el.parentElement;
+            output.innerHTML = '';
+            output.appendChild(el);
+            el.textContent = '';
+            text = text.slice(clearAt + 4);
         }
+        el.appendChild(document.createTextNode(text));
 
-        // Unknown command
-        el.innerText = `bash: ${command}: command not found`;
+        const terminal = el.closest('.terminal-window');
+        if (terminal) terminal.scrollTop = terminal.scrollHeight;
     }
 }
 
+OS.EDITOR_UNDO_LIMIT = 200;
+OS.EDITOR_HIGHLIGHT_LIMIT = 50000; // longer text is shown uncoloured, which keeps typing fast
+OS.EDITOR_MATCH_LIMIT = 10000;
+OS.NOTEPAD_FONTS = {
+    monospace: { label: 'Monospace', family: "'Consolas', 'Monaco', monospace" },
+    sans: { label: 'Sans-serif', family: "'Outfit', 'Segoe UI', sans-serif" },
+    serif: { label: 'Serif', family: "Georgia, 'Times New Roman', serif" }
+};
+
 // Simple Logic Engine (Fallback)
 // Enhanced Logic Engine (Local / No Key)
 class SimpleNLP {
@@ -1401,9 +10855,4 @@ class SimpleNLP {
 
 const os = new OS();
 
-// Show help on first load
-setTimeout(() => {
-    os.toggleHelp();
-}, 800);
-
 